@@ -1,29 +1,38 @@
 // api/monitor.js - Fixed Continuous Position Monitoring with Better Validation
-import { getYahooPrice, getHistoricalData } from '../lib/yahooFinance.js';
-import { placeAlpacaOrder, syncAlpacaPosition } from '../lib/alpaca.js';
+import marketData from '../lib/marketData.js';
+import broker from '../lib/broker.js';
 import TechnicalIndicators from '../lib/indicators.js';
-import strategy from '../lib/strategy.js';
+import { strategyFor } from '../lib/ruleStrategy.js';
 import logger from '../lib/logger.js';
 import storage from '../lib/storage.js';
 import { randomUUID } from 'crypto';
-import symbols from '../config/symbols.js';
-
-const yahooTicker = symbols.yahoo;
-const alpacaTicker = symbols.alpaca;
+import { findInstrument, toYahooTicker } from '../lib/watchlist.js';
+import orderTracker from '../lib/orderTracker.js';
+import protectiveOrders from '../lib/protectiveOrders.js';
+import { requireAuth } from '../lib/auth.js';
+import tradingState from '../lib/tradingState.js';
+import symbolLocks from '../lib/symbolLock.js';
+import reconciliation from '../lib/reconciliation.js';
+import idempotency from '../lib/idempotency.js';
 
 export default async function handler(req, res) {
   const requestId = randomUUID();
   const startTime = Date.now();
+  const cacheStart = marketData.getStats();
   
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Webhook-Signature, X-Webhook-Timestamp');
   
   if (req.method === 'OPTIONS') {
     return res.status(204).end();
   }
 
+  // Monitoring can close positions (urgent exits, ghost cleanup)
+  const principal = requireAuth(req, res, 'trade', requestId);
+  if (!principal) return;
+
   try {
     logger.info('🔍 Position Monitoring Service Started', { requestId });
     
@@ -37,6 +46,18 @@ export default async function handler(req, res) {
       });
     }
 
+    // Settle orders earlier runs left pending before reading positions (including
+    // broker-side stops that fired since the last run), each symbol under its lock
+    const reconciledOrders = await orderTracker.reconcilePending({ owner: `monitor:${requestId}` });
+    await protectiveOrders.syncAll({ owner: `monitor:${requestId}` });
+
+    // Compare storage with the broker's positions and open orders; heals or alerts per RECONCILE_POLICY.
+    // A broker outage shouldn't stop the price checks below
+    const reconciliationReport = await reconciliation.run({ actor: `monitor:${requestId}` }).catch(error => {
+      logger.error('❌ Reconciliation failed', error);
+      return { error: error.message };
+    });
+
     // Clean up any ghost positions first
     const { cleanupGhosts = false } = req.method === 'GET' ? req.query : req.body;
     if (cleanupGhosts === 'true' || cleanupGhosts === true) {
@@ -58,6 +79,8 @@ export default async function handler(req, res) {
         data: { 
           positionCount: 0, 
           alerts: [],
+          reconciledOrders,
+          reconciliation: reconciliationReport,
           cleanupPerformed: cleanupGhosts === 'true' || cleanupGhosts === true
         }
       });
@@ -67,9 +90,29 @@ export default async function handler(req, res) {
     const monitoringResults = [];
     const alerts = [];
     
-    for (const [symbol, position] of Object.entries(allPositions)) {
+    for (const symbol of Object.keys(allPositions)) {
+      // Stop moves and urgent exits need the symbol's lock; a trading run holding it wins
+      const lease = await symbolLocks.acquire(symbol, `monitor:${requestId}`);
+      if (!lease.acquired) {
+        logger.warn(`🔒 ${symbol} is locked by ${lease.heldBy} - skipping`);
+        monitoringResults.push({
+          symbol,
+          status: 'SKIPPED',
+          message: `Locked by another run (${lease.heldBy}) until ${lease.expiresAt}`,
+          lock: { heldBy: lease.heldBy, expiresAt: lease.expiresAt }
+        });
+        continue;
+      }
+
       try {
-        const result = await monitorPosition(symbol, position);
+        // Read the position again now that no other run can change it
+        const position = await storage.getCurrentPosition(symbol);
+        if (!position) {
+          monitoringResults.push({ symbol, status: 'CLOSED', message: 'Closed by another run before it could be monitored' });
+          continue;
+        }
+
+        const result = await monitorPosition(symbol, position, lease);
         monitoringResults.push(result);
         
         if (result.alerts) {
@@ -78,7 +121,7 @@ export default async function handler(req, res) {
         
         // Execute emergency trades if needed (but validate first)
         if (result.urgentAction && result.hasValidPosition) {
-          await executeUrgentAction(symbol, result.urgentAction, position);
+          await executeUrgentAction(symbol, result.urgentAction, position, lease);
         } else if (result.urgentAction && !result.hasValidPosition) {
           logger.warn(`🚫 Skipping urgent action for invalid position: ${symbol}`);
         }
@@ -90,11 +133,13 @@ export default async function handler(req, res) {
           error: error.message,
           status: 'ERROR'
         });
+      } finally {
+        await symbolLocks.releaseAll([lease]);
       }
     }
 
     // Calculate overall portfolio metrics
-    const portfolioMetrics = calculatePortfolioMetrics(monitoringResults);
+    const portfolioMetrics = calculatePortfolioMetrics(monitoringResults, await storage.getRealizedSummary());
     
     // Log performance metrics
     await storage.logPerformanceMetrics(portfolioMetrics);
@@ -110,6 +155,14 @@ export default async function handler(req, res) {
         monitoringResults,
         alerts,
         portfolioMetrics,
+        reconciledOrders,
+        reconciliation: reconciliationReport,
+        tradingState: await tradingState.getState(),
+        broker: broker.name,
+        marketData: {
+          providers: marketData.providers.map(p => p.name),
+          cache: marketData.statsSince(cacheStart)
+        },
         timestamp: new Date().toISOString(),
         cleanupPerformed: cleanupGhosts === 'true' || cleanupGhosts === true
       }
@@ -127,13 +180,13 @@ export default async function handler(req, res) {
   }
 }
 
-async function monitorPosition(symbol, position) {
+async function monitorPosition(symbol, position, lease) {
   logger.info(`🔍 Monitoring position: ${symbol}`);
   
   try {
     // Get current market data
-    const marketData = await getYahooPrice(symbol === alpacaTicker ? yahooTicker : symbol);
-    const currentPrice = marketData.price;
+    const quoteData = await marketData.getQuote(toYahooTicker(symbol));
+    const currentPrice = quoteData.price;
     
     // Validate position value
     const positionValue = position.quantity * currentPrice;
@@ -184,16 +237,23 @@ async function monitorPosition(symbol, position) {
     const positionAnalysis = analyzePositionHealth(symbol, position, currentPrice, pnlPercentage);
     
     // Get technical analysis for additional context
-    const historicalData = await getHistoricalData(symbol === alpacaTicker ? yahooTicker : symbol, '1mo');
+    const instrument = findInstrument(symbol);
+    const strategy = strategyFor(instrument);
+    const timeframe = instrument?.timeframe;
+    const historicalData = await marketData.getBars(toYahooTicker(symbol), timeframe || { interval: '1d' });
     const indicators = new TechnicalIndicators();
-    const technicals = indicators.calculate(historicalData);
+    const { series: technicals } = await indicators.calculateIncremental(
+      historicalData,
+      strategy.indicators,
+      { storage, key: `${symbol}:${timeframe?.interval || '1d'}` }
+    );
     
     // Make trading decision using the enhanced strategy
     const decision = strategy.analyze(
       {
         ...technicals,
         currentPrice,
-        volume: marketData.volume,
+        volume: quoteData.volume,
         signals: [],
         historical: historicalData
       },
@@ -216,6 +276,13 @@ async function monitorPosition(symbol, position) {
       };
     }
 
+    // Ratchet the broker-side stop up to the strategy's (trailing) stop
+    const stopMoves = urgentAction ? [] : await protectiveOrders.moveStop(
+      symbol,
+      strategy.stopPrice({ ...position, highWaterMark: newHighWaterMark }),
+      lease
+    );
+
     return {
       symbol,
       status: 'MONITORED',
@@ -230,6 +297,10 @@ async function monitorPosition(symbol, position) {
       decision,
       alerts: positionAnalysis.alerts,
       urgentAction,
+      protection: {
+        orders: await protectiveOrders.getActive(symbol),
+        stopMoves
+      },
       technicalIndicators: {
         rsi: technicals.rsi?.[technicals.rsi.length - 1]?.value || null,
         sma20: technicals.sma?.[technicals.sma.length - 1]?.value || null,
@@ -299,7 +370,7 @@ function analyzePositionHealth(symbol, position, currentPrice, pnlPercentage) {
   return { alerts, riskLevel };
 }
 
-async function executeUrgentAction(symbol, urgentAction, position) {
+async function executeUrgentAction(symbol, urgentAction, position, lease) {
   try {
     logger.warn(`🚨 EXECUTING URGENT ACTION: ${symbol}`, {
       action: urgentAction.action,
@@ -313,39 +384,52 @@ async function executeUrgentAction(symbol, urgentAction, position) {
       return;
     }
     
+    // Kill switch is checked right before the order goes out
+    const stateCheck = await tradingState.checkOrder(urgentAction.action);
+    if (!stateCheck.allowed) {
+      logger.warn(`🚦 Urgent ${urgentAction.action} for ${symbol} blocked`, { reason: stateCheck.reason });
+      return;
+    }
+    
     const orderParams = {
-      symbol: alpacaTicker,
+      symbol,
       side: urgentAction.action.toLowerCase(),
       qty: Math.min(urgentAction.quantity, position.quantity), // Don't try to sell more than we have
       type: 'market',
-      tif: 'gtc',
+      tif: findInstrument(symbol)?.defaultTimeInForce || 'gtc',
+      // One urgent exit per symbol per cron window, however often the monitor is retried
+      client_order_id: idempotency.clientOrderId({ symbol, action: urgentAction.action, source: 'monitor' }),
       confirm: true // Auto-confirm urgent actions
     };
     
     logger.info('📋 Urgent order parameters:', orderParams);
+    await symbolLocks.verify(lease);
+    
+    // The broker-side exits hold the quantity - release it for the urgent sell
+    if (orderParams.side === 'sell') {
+      await protectiveOrders.cancel(symbol, { reason: `urgent exit: ${urgentAction.reason}`, lease });
+    }
     
-    const orderResult = await placeAlpacaOrder(orderParams);
+    const orderResult = await idempotency.placeOrder(orderParams);
     
     if (orderResult && orderResult.status !== 'simulated') {
-      // Log urgent trade
-      const tradeData = {
-        id: `urgent_${Date.now()}`,
-        symbol: alpacaTicker,
+      // Track the urgent order so the trade is logged at the broker's fill price
+      const fill = await orderTracker.track(orderResult, {
         action: urgentAction.action,
-        quantity: orderParams.qty,
-        price: 0, // Will be filled at market price
-        orderId: orderResult.orderId,
-        timestamp: new Date().toISOString(),
-        reasoning: [`URGENT: ${urgentAction.reason}`]
-      };
-      
-      await storage.updatePosition(alpacaTicker, tradeData);
+        reasoning: [`URGENT: ${urgentAction.reason}`],
+        confidence: urgentAction.confidence,
+        urgency: 'IMMEDIATE',
+        source: 'monitor',
+        tradeIdPrefix: 'urgent'
+      }, lease);
       
       logger.info('🚨✅ URGENT ACTION EXECUTED SUCCESSFULLY', {
         symbol,
         action: urgentAction.action,
         quantity: orderParams.qty,
-        orderId: orderResult.orderId
+        orderId: orderResult.orderId,
+        fillStatus: fill?.status,
+        fillPrice: fill?.filledAvgPrice
       });
     } else if (orderResult && orderResult.status === 'simulated') {
       logger.warn('⚠️ Urgent action was simulated (not real trade)', {
@@ -357,19 +441,22 @@ async function executeUrgentAction(symbol, urgentAction, position) {
   } catch (error) {
     logger.error(`❌ Failed to execute urgent action for ${symbol}`, error);
     
-    // Check if it's an insufficient balance error
+    // The broker doesn't hold what storage says - reconcile the symbol under the lock we hold
     if (error.message && error.message.includes('insufficient balance')) {
-      logger.error(`🚫 INSUFFICIENT BALANCE: Cannot sell ${symbol} - position may not exist in broker account`);
-      
-      // Mark position for cleanup
-      logger.info('🧹 Scheduling ghost position cleanup due to insufficient balance error');
-      // The storage cleanup will handle this on next initialization
+      logger.error(`🚫 INSUFFICIENT BALANCE: Cannot sell ${symbol} - reconciling with the broker`);
+      try {
+        await reconciliation.run({ symbols: [symbol], actor: lease.owner, leases: [lease] });
+      } catch (reconcileError) {
+        logger.error(`❌ Failed to reconcile ${symbol}`, reconcileError);
+      }
     }
   }
 }
 
-function calculatePortfolioMetrics(monitoringResults) {
-  const validResults = monitoringResults.filter(r => !r.error && r.hasValidPosition !== false);
+// Unrealized P&L comes from the open positions; win rate and trade count come
+// from closed trades in the lot ledger (`realized` = storage.getRealizedSummary())
+function calculatePortfolioMetrics(monitoringResults, realized = null) {
+  const validResults = monitoringResults.filter(r => !r.error && !['SKIPPED', 'CLOSED'].includes(r.status) && r.hasValidPosition !== false);
   const totalPositions = validResults.length;
   let totalPnL = 0;
   let totalValue = 0;
@@ -392,13 +479,17 @@ function calculatePortfolioMetrics(monitoringResults) {
   }
   
   const portfolioPnLPercentage = totalValue > 0 ? (totalPnL / totalValue) * 100 : 0;
-  const winRate = totalPositions > 0 ? (profitablePositions / totalPositions) * 100 : 0;
+  const realizedPnL = realized?.realizedPnL || 0;
   
   return {
     totalPositions,
-    totalPnL: parseFloat(totalPnL.toFixed(2)),
+    totalPnL: parseFloat((realizedPnL + totalPnL).toFixed(2)),
+    unrealizedPnL: parseFloat(totalPnL.toFixed(2)),
+    realizedPnL: parseFloat(realizedPnL.toFixed(2)),
     portfolioPnLPercentage: parseFloat(portfolioPnLPercentage.toFixed(2)),
-    winRate: parseFloat(winRate.toFixed(1)),
+    tradeCount: realized?.closedTrades || 0,
+    winRate: realized?.winRate || 0,
+    profitFactor: realized?.profitFactor ?? null,
     criticalAlerts,
     totalValue: parseFloat(totalValue.toFixed(2)),
     profitablePositions,
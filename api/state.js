@@ -0,0 +1,82 @@
+// api/state.js - Read and change the trading state (kill switch), optionally flattening positions
+import tradingState, { TRADING_STATES } from '../lib/tradingState.js';
+import logger from '../lib/logger.js';
+import { requireAuth } from '../lib/auth.js';
+import { randomUUID } from 'crypto';
+
+export default async function handler(req, res) {
+  const requestId = randomUUID();
+  const startTime = Date.now();
+
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Webhook-Signature, X-Webhook-Timestamp');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ success: false, requestId, error: 'Method not allowed' });
+  }
+
+  // Reading the state needs 'read'; changing it or flattening needs 'trade'
+  const principal = requireAuth(req, res, req.method === 'GET' ? 'read' : 'trade', requestId);
+  if (!principal) return;
+
+  try {
+    if (req.method === 'GET') {
+      const limit = Math.min(parseInt(req.query?.limit) || 20, 200);
+      return res.json({
+        success: true,
+        requestId,
+        data: {
+          ...(await tradingState.getState()),
+          states: TRADING_STATES,
+          audit: await tradingState.getAuditLog(limit)
+        }
+      });
+    }
+
+    // POST { state, reason, flatten }
+    const { state, reason, flatten = false } = req.body || {};
+    const shouldFlatten = flatten === true || flatten === 'true';
+    const nextState = state ? String(state).toUpperCase() : (shouldFlatten ? 'LIQUIDATE' : null);
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, requestId, error: 'A reason is required for the audit log' });
+    }
+    if (!nextState) {
+      return res.status(400).json({ success: false, requestId, error: `Provide a state (${TRADING_STATES.join(', ')}) and/or flatten: true` });
+    }
+    if (!TRADING_STATES.includes(nextState)) {
+      return res.status(400).json({ success: false, requestId, error: `Unknown state ${state} - expected one of ${TRADING_STATES.join(', ')}` });
+    }
+
+    const actor = principal.name;
+    logger.warn('🚦 Trading state change requested', { requestId, actor, state: nextState, flatten: shouldFlatten });
+
+    const current = await tradingState.setState(nextState, { actor, reason });
+    const liquidation = shouldFlatten ? await tradingState.flattenAll({ actor, reason }) : null;
+
+    return res.json({
+      success: true,
+      requestId,
+      durationMs: Date.now() - startTime,
+      data: {
+        ...current,
+        liquidation
+      }
+    });
+  } catch (error) {
+    logger.error('💥 Trading state API error', error);
+
+    return res.status(500).json({
+      success: false,
+      requestId,
+      error: error.message,
+      durationMs: Date.now() - startTime
+    });
+  }
+}
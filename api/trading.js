@@ -1,31 +1,67 @@
 // api/trading.js - Enhanced Professional Trading API with Active Position Management
-import { getYahooPrice, getHistoricalData } from '../lib/yahooFinance.js';
-import { getAlpacaQuote, placeAlpacaOrder, syncAlpacaPosition } from '../lib/alpaca.js';
-import TechnicalIndicators from '../lib/indicators.js';
+import marketData from '../lib/marketData.js';
+import broker, { getBrokerRequiredEnv } from '../lib/broker.js';
+import TechnicalIndicators, { latestValues } from '../lib/indicators.js';
 import strategy from '../lib/strategy.js';
 import logger from '../lib/logger.js';
-import storage from '../lib/storage.js';
+import storage, { getStorageRequiredEnv } from '../lib/storage.js';
 import { randomUUID } from 'crypto';
-import symbols from '../config/symbols.js';
-
-const yahooTicker = symbols.yahoo;
-const alpacaTicker = symbols.alpaca;
+import { resolveInstruments } from '../lib/watchlist.js';
+import { loadTimeframes } from '../lib/multiTimeframe.js';
+import { strategyFor } from '../lib/ruleStrategy.js';
+import orderTracker from '../lib/orderTracker.js';
+import protectiveOrders from '../lib/protectiveOrders.js';
+import { validateOrder, strategyOrderParams } from '../lib/orderValidation.js';
+import idempotency, { IDEMPOTENCY_HEADER, keyClientOrderId, requestFingerprint } from '../lib/idempotency.js';
+import symbolLocks from '../lib/symbolLock.js';
+import { requireAuth } from '../lib/auth.js';
+import tradingState from '../lib/tradingState.js';
 
 export default async function handler(req, res) {
   const requestId = randomUUID();
   const startTime = Date.now();
+  const cacheStart = marketData.getStats();
   
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Confirm, X-Request-Id');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Confirm, X-Request-Id, X-Webhook-Signature, X-Webhook-Timestamp, Idempotency-Key');
   
   if (req.method === 'OPTIONS') {
     return res.status(204).end();
   }
 
+  // Symbol locks held by this run, released however it ends
+  const leases = [];
+
   try {
     logger.info('🚀 Enhanced Trading API request started', { requestId, method: req.method });
+
+    const params = (req.method === 'GET' ? req.query : req.body) || {};
+
+    // Authenticate before touching the broker or storage
+    const principal = requireAuth(req, res, getRequiredScope(req, params), requestId);
+    if (!principal) return;
+
+    // A retry carrying the same Idempotency-Key gets the first request's response back
+    const idempotencyKey = req.headers?.[IDEMPOTENCY_HEADER];
+    if (idempotencyKey) {
+      const claim = await idempotency.begin(idempotencyKey, requestFingerprint(req, params));
+      if (claim.state === 'replay') {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(claim.statusCode).json(claim.body);
+      }
+      if (claim.state !== 'new') {
+        return res.status(claim.state === 'mismatch' ? 422 : 409).json({
+          success: false,
+          requestId,
+          error: claim.state === 'mismatch' ?
+            'Idempotency-Key was already used for a different request' :
+            'A request with this Idempotency-Key is still in progress - retry shortly'
+        });
+      }
+      recordResponse(res, idempotencyKey);
+    }
     
     // Environment validation
     const envCheck = validateEnvironment();
@@ -39,13 +75,31 @@ export default async function handler(req, res) {
     }
 
     const {
-      ticker = yahooTicker,
-      symbol = alpacaTicker,
-      action = 'analyze',
-      autoTrade = true,
-      forceAction = false,
-      monitorOnly = false
-    } = req.method === 'GET' ? req.query : req.body;
+      symbols: symbolSelection,
+      symbol,
+      ticker,
+      action = 'analyze'
+    } = params;
+
+    // Pick the watchlist entries for this run (?symbols=ETHUSD,BTCUSD or ?symbol=ETHUSD)
+    const { instruments, unknown } = resolveInstruments(symbolSelection || symbol || ticker);
+    if (unknown.length > 0 || instruments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        requestId,
+        error: unknown.length > 0 ?
+          `Unknown symbols: ${unknown.join(', ')} - add them to the watchlist in config/symbols.js` :
+          'No enabled symbols in the watchlist'
+      });
+    }
+
+    if (action === 'trade' && req.method === 'POST' && instruments.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        requestId,
+        error: 'Manual trades require exactly one symbol'
+      });
+    }
 
     // Storage health check
     logger.info('🔍 Checking enhanced storage connection...');
@@ -65,235 +119,126 @@ export default async function handler(req, res) {
       features: storageHealth.enhancedFeatures
     });
 
-    // Load position data with enhanced monitoring
-    logger.info('📊 Loading enhanced position data...');
-    const currentPosition = await storage.getCurrentPosition(alpacaTicker);
-    const lastTrade = await storage.getLastTrade(alpacaTicker);
-    const allPositions = await storage.getAllPositions();
-
-    // Sync with Alpaca to ensure accuracy
-    logger.info('🔄 Syncing with Alpaca positions...');
-    let syncedPosition;
-    try {
-      syncedPosition = await syncAlpacaPosition(alpacaTicker, storage);
-      if (syncedPosition) {
-        logger.info('✅ Position synced with Alpaca', {
-          local: currentPosition?.quantity || 0,
-          alpaca: syncedPosition.quantity
-        });
-      }
-    } catch (syncError) {
-      logger.warn('⚠️ Alpaca sync failed, using local data', syncError.message);
-      syncedPosition = currentPosition;
-    }
-
-    const activePosition = syncedPosition || currentPosition;
-
-    logger.info('📋 Enhanced position data loaded', {
-      hasPosition: !!activePosition,
-      positionQuantity: activePosition?.quantity || 0,
-      totalPositions: Object.keys(allPositions).length,
-      hasLastTrade: !!lastTrade
-    });
-
-    // Monitor-only mode (for continuous monitoring service)
-    if (monitorOnly && activePosition) {
-      return await handleMonitoringMode(req, res, activePosition, requestId);
-    }
-
-    // Check cooldown (reduced to 5 minutes for more active trading)
-    const inCooldown = await storage.isInCooldown();
-    if (inCooldown && !forceAction) {
-      logger.info('⏳ System in cooldown - skipping trade');
-      return res.json({
-        success: true,
-        requestId,
-        message: 'System in enhanced cooldown period (5 minutes)',
-        data: { 
-          status: 'COOLDOWN', 
-          autoTrade: 'disabled',
-          position: activePosition,
-          portfolioSummary: await getPortfolioSummary()
-        }
-      });
+    // Settle orders earlier runs left pending before reading positions. Fills write
+    // positions, so each symbol is settled under its lock; locked ones wait for a later run
+    const reconciledOrders = await orderTracker.reconcilePending({ owner: `trading:${requestId}` });
+    // Broker-side exits: note triggered stops, place exits for entries that have filled since
+    await protectiveOrders.syncAll({ owner: `trading:${requestId}` });
+
+    // Runs that may place orders lock each symbol first; one an overlapping trading or
+    // monitor run is holding is skipped rather than traded twice
+    const mayTrade = getRequiredScope(req, params) === 'trade';
+
+    // Kill switch: LIQUIDATE sells whatever is still open before anything else runs -
+    // only on runs authorized to trade, never on read or analyze requests
+    const currentState = await tradingState.getState();
+    let liquidation = null;
+    if (currentState.state === 'LIQUIDATE' && mayTrade) {
+      liquidation = await tradingState.flattenAll({ actor: 'system', reason: currentState.reason || 'LIQUIDATE state' });
     }
 
-    // Fetch enhanced market data
-    logger.info('📈 Fetching enhanced market data...');
-    const yahooData = await getYahooPrice(ticker);
-    const historicalData = await getHistoricalData(ticker, '1mo');
-    
-    // Calculate enhanced technical indicators
-    const indicators = new TechnicalIndicators();
-    const technicals = indicators.calculate(historicalData);
-    const signals = indicators.generateSignals(technicals, yahooData.price);
-
-    // Enhanced trading decision with professional strategy
-    const enhancedTechnicalData = {
-      ...technicals,
-      currentPrice: yahooData.price,
-      volume: yahooData.volume,
-      signals: Object.values(signals).map(signal => ({ type: signal })),
-      historical: historicalData
-    };
+    const allPositions = await storage.getAllPositions();
+    const account = await loadAccountEquity();
 
-    const decision = strategy.analyze(
-      enhancedTechnicalData,
-      activePosition,
-      lastTrade
-    );
+    // A drawdown breach pauses entries until an operator resumes; exits keep running
+    const riskControls = await getRiskControls(account);
+    if (mayTrade) await tradingState.pauseOnRisk(riskControls);
 
-    logger.info('🎯 Enhanced trading decision made', {
-      action: decision.action,
-      confidence: decision.confidence,
-      urgency: decision.urgency || 'NORMAL'
+    // Evaluate every symbol independently - one failure doesn't stop the others
+    logger.info(`📋 Evaluating ${instruments.length} symbol(s)`, {
+      symbols: instruments.map(i => i.symbol)
     });
 
-    // Enhanced auto-trading logic with urgency levels
-    let orderResult = null;
-    const shouldAutoTrade = autoTrade && 
-      decision && 
-      (decision.action === 'BUY' || decision.action === 'SELL') && 
-      (decision.confidence > 0.6 || decision.urgency === 'CRITICAL');
+    const results = {};
+    for (const instrument of instruments) {
+      let lease = null;
+      if (mayTrade) {
+        lease = await symbolLocks.acquire(instrument.symbol, `trading:${requestId}`);
+        if (!lease.acquired) {
+          logger.warn(`🔒 ${instrument.symbol} is locked by ${lease.heldBy} - skipping`);
+          results[instrument.symbol] = {
+            symbol: instrument.symbol,
+            status: 'SKIPPED',
+            message: `Locked by another run (${lease.heldBy}) until ${lease.expiresAt}`,
+            lock: { heldBy: lease.heldBy, expiresAt: lease.expiresAt }
+          };
+          continue;
+        }
+        leases.push(lease);
+      }
 
-    if (shouldAutoTrade) {
       try {
-        logger.info('🤖 Executing enhanced auto-trade...', {
-          urgency: decision.urgency,
-          confidence: decision.confidence
-        });
-
-        const orderParams = {
-          symbol: alpacaTicker,
-          side: decision.action.toLowerCase(),
-          qty: decision.quantity || 0.02,
-          type: 'market',
-          tif: 'gtc',
-          // Auto-confirm for critical urgency or if confirm header is set
-          confirm: decision.urgency === 'CRITICAL' || 
-                  decision.urgency === 'IMMEDIATE' ||
-                  req.headers.confirm === 'true' || 
-                  req.query.confirm === 'true'
+        results[instrument.symbol] = await runSymbolCycle(instrument, req, params, allPositions, account, lease);
+      } catch (error) {
+        logger.error(`💥 Trading cycle failed for ${instrument.symbol}`, error);
+        results[instrument.symbol] = {
+          symbol: instrument.symbol,
+          status: 'ERROR',
+          error: error.message
         };
+      }
+    }
 
-        orderResult = await placeAlpacaOrder(orderParams);
-
-        // Enhanced trade logging with reasoning
-        if (orderResult && orderResult.status !== 'simulated') {
-          const tradeData = {
-            id: `enhanced_${Date.now()}`,
-            symbol: alpacaTicker,
-            action: decision.action,
-            quantity: decision.quantity || 0.02,
-            price: yahooData.price,
-            orderId: orderResult.orderId,
-            timestamp: new Date().toISOString(),
-            reasoning: decision.reasoning,
-            confidence: decision.confidence,
-            urgency: decision.urgency
-          };
-
-          logger.info('📝 Logging enhanced trade...');
-          await storage.updatePosition(alpacaTicker, tradeData);
-          
-          // Trigger immediate monitoring for the updated position
-          if (decision.action === 'BUY') {
-            logger.info('🔍 Initiating position monitoring for new buy order');
-          }
-          
-          logger.info('✅ Enhanced trade successfully logged');
-        }
+    const failed = Object.values(results).filter(r => r.status === 'ERROR');
+    if (failed.length === instruments.length) {
+      throw new Error(failed.map(r => `${r.symbol}: ${r.error}`).join('; '));
+    }
 
-      } catch (tradeError) {
-        logger.error('❌ Enhanced auto-trade execution failed', tradeError);
-        
-        // Log the failure for manual review
-        if (decision.urgency === 'CRITICAL' || decision.urgency === 'IMMEDIATE') {
-          logger.error('🚨 CRITICAL TRADE FAILED - MANUAL INTERVENTION REQUIRED', {
-            symbol: alpacaTicker,
-            decision,
-            error: tradeError.message
-          });
-        }
+    // Enhanced manual trading
+    if (action === 'trade' && req.method === 'POST') {
+      const instrument = instruments[0];
+      const result = results[instrument.symbol];
+      if (result.status === 'COOLDOWN') {
+        return res.json({ success: true, requestId, message: result.message, data: result });
       }
+      if (result.status === 'SKIPPED') {
+        return res.status(409).json({ success: false, requestId, error: result.message, data: result });
+      }
+      const yahooData = result.market?.yahoo || await marketData.getQuote(instrument.yahoo);
+      return await handleManualTrade(req, res, instrument, yahooData, requestId, startTime, leases[0]);
     }
 
     // Enhanced response with comprehensive data
     const duration = Date.now() - startTime;
-    
-    if (action === 'analyze') {
-      const portfolioSummary = await getPortfolioSummary();
-      const riskAssessment = assessPortfolioRisk(allPositions, yahooData.price);
-      
-      const responseData = {
-        success: true,
-        requestId,
-        durationMs: duration,
-        data: {
-          market: {
-            yahoo: yahooData,
-            technicals: {
-              rsi: technicals.rsi?.[technicals.rsi.length - 1]?.value || null,
-              sma20: technicals.sma?.[technicals.sma.length - 1]?.value || null,
-              trend: determineTrendFromTechnicals(technicals)
-            },
-            signals
-          },
-          positions: {
-            current: activePosition,
-            lastTrade,
-            all: allPositions,
-            synced: !!syncedPosition
-          },
-          decision: {
-            ...decision,
-            professionalAnalysis: generateProfessionalAnalysis(decision, activePosition, yahooData.price)
-          },
-          trading: {
-            autoTrade: shouldAutoTrade ? 
-              (orderResult ? 'executed' : 'failed') : 
-              (autoTrade ? 'no_signal' : 'disabled'),
-            inCooldown,
-            confidence: decision.confidence,
-            urgency: decision.urgency || 'NORMAL',
-            minConfidenceRequired: 0.6
-          },
-          portfolio: portfolioSummary,
-          risk: riskAssessment,
-          order: orderResult,
-          storage: {
-            status: storageHealth.status,
-            enhanced: true,
-            features: storageHealth.enhancedFeatures
-          },
-          recommendations: generateTradingRecommendations(decision, activePosition, riskAssessment)
-        }
-      };
+    const portfolioSummary = await getPortfolioSummary();
+    const riskAssessment = assessPortfolioRisk(allPositions, riskControls);
+    const storageInfo = {
+      status: storageHealth.status,
+      backend: storageHealth.backend,
+      enhanced: true,
+      ...(action === 'analyze' && { features: storageHealth.enhancedFeatures })
+    };
 
-      return res.json(responseData);
-    }
+    for (const result of Object.values(results)) {
+      if (result.status !== 'ANALYZED') continue;
 
-    // Enhanced manual trading
-    if (action === 'trade' && req.method === 'POST') {
-      return await handleManualTrade(req, res, yahooData, requestId, startTime);
+      // Latest values only - the full series would outgrow a stored Idempotency-Key response
+      result.market.technicals = summarizeTechnicals(result.market.technicals);
+
+      if (action === 'analyze') {
+        result.recommendations = generateTradingRecommendations(result.decision, result.positions.current, riskAssessment);
+      }
     }
 
-    // Default enhanced response
     return res.json({
       success: true,
       requestId,
       durationMs: duration,
       data: {
-        market: { yahoo: yahooData },
-        position: activePosition,
-        technicals,
-        signals,
-        decision,
-        portfolio: await getPortfolioSummary(),
-        storage: { 
-          status: storageHealth.status,
-          enhanced: true 
-        }
+        symbols: instruments.map(i => i.symbol),
+        results,
+        portfolio: portfolioSummary,
+        risk: riskAssessment,
+        reconciledOrders,
+        protectiveOrders: await protectiveOrders.getActive(),
+        tradingState: await tradingState.getState(),
+        liquidation,
+        broker: broker.name,
+        marketData: {
+          providers: marketData.providers.map(p => p.name),
+          cache: marketData.statsSince(cacheStart)
+        },
+        storage: storageInfo
       }
     });
 
@@ -312,14 +257,309 @@ export default async function handler(req, res) {
         enhancement: 'Professional trading system with enhanced monitoring'
       }
     });
+  } finally {
+    await symbolLocks.releaseAll(leases);
   }
 }
 
+// One full analyze/trade cycle for a single watchlist symbol
+async function runSymbolCycle(instrument, req, params, allPositions, account, lease = null) {
+  const { symbol, yahoo } = instrument;
+  const autoTrade = parseFlag(params.autoTrade, true);
+  const forceAction = parseFlag(params.forceAction, false);
+  const monitorOnly = parseFlag(params.monitorOnly, false);
+
+  // Load position data with enhanced monitoring
+  logger.info(`📊 Loading enhanced position data for ${symbol}...`);
+  const currentPosition = await storage.getCurrentPosition(symbol);
+  const lastTrade = await storage.getLastTrade(symbol);
+  const openLots = await storage.getOpenLots(symbol);
+
+  // Sync with the broker to ensure accuracy
+  logger.info(`🔄 Syncing with ${broker.name} positions...`);
+  let syncedPosition;
+  try {
+    syncedPosition = await broker.syncPosition(symbol, storage);
+    if (syncedPosition) {
+      logger.info(`✅ Position synced with ${broker.name}`, {
+        symbol,
+        local: currentPosition?.quantity || 0,
+        broker: syncedPosition.quantity
+      });
+    }
+  } catch (syncError) {
+    logger.warn(`⚠️ ${broker.name} sync failed, using local data`, syncError.message);
+    syncedPosition = currentPosition;
+  }
+
+  const activePosition = syncedPosition || currentPosition;
+
+  logger.info('📋 Enhanced position data loaded', {
+    symbol,
+    hasPosition: !!activePosition,
+    positionQuantity: activePosition?.quantity || 0,
+    totalPositions: Object.keys(allPositions).length,
+    hasLastTrade: !!lastTrade
+  });
+
+  const positions = {
+    current: activePosition,
+    lastTrade,
+    lots: openLots,
+    synced: !!syncedPosition
+  };
+
+  // Monitor-only mode (for continuous monitoring service) - never trades
+  if (monitorOnly) {
+    return {
+      symbol,
+      status: 'MONITORING',
+      positions,
+      monitoring: activePosition ? await getMonitoringSnapshot(instrument, activePosition) : null
+    };
+  }
+
+  // Per-symbol cooldown (COOLDOWN_MINUTES unless the watchlist entry overrides it)
+  const inCooldown = await storage.isInCooldown(symbol, instrument.cooldownMinutes);
+  if (inCooldown && !forceAction) {
+    logger.info(`⏳ ${symbol} in cooldown - skipping trade`);
+    return {
+      symbol,
+      status: 'COOLDOWN',
+      message: 'Symbol in enhanced cooldown period',
+      positions,
+      trading: { autoTrade: 'disabled', inCooldown }
+    };
+  }
+
+  // Fetch enhanced market data
+  // Indicators run on the symbol's own timeframe (trading.interval / trading.lookback)
+  logger.info(`📈 Fetching enhanced market data for ${yahoo} (${instrument.timeframe.interval} bars)...`);
+  const yahooData = await marketData.getQuote(yahoo);
+  const historicalData = await marketData.getBars(yahoo, instrument.timeframe);
+  
+  // Calculate enhanced technical indicators, resuming the saved indicator state
+  const symbolStrategy = strategyFor(instrument);
+  const indicators = new TechnicalIndicators();
+  const { series: technicals, state: indicatorState } = await indicators.calculateIncremental(
+    historicalData,
+    symbolStrategy.indicators,
+    { storage, key: `${symbol}:${instrument.timeframe.interval}` }
+  );
+  const signals = indicators.generateSignals(technicals, yahooData.price);
+
+  // Bars and indicators for the symbol's confirmation timeframes, if it has any
+  const timeframes = instrument.confirmations.length > 0 ?
+    await loadTimeframes(marketData, yahoo, instrument.confirmations) :
+    {};
+
+  // Enhanced trading decision with the symbol's strategy
+  const enhancedTechnicalData = {
+    ...technicals,
+    currentPrice: yahooData.price,
+    volume: yahooData.volume,
+    signals: Object.values(signals).map(signal => ({ type: signal })),
+    historical: historicalData,
+    confirmations: instrument.confirmations,
+    timeframes
+  };
+
+  // Risk controls read the full recent history - earlier symbols in this run may have traded
+  const riskHistory = await loadRiskHistory();
+
+  const decision = applyPositionLimits(
+    symbolStrategy.analyze(
+      enhancedTechnicalData,
+      activePosition,
+      lastTrade,
+      account,
+      riskHistory
+    ),
+    instrument
+  );
+
+  if (decision.riskMetrics?.shouldPause) {
+    logger.warn(`🛑 ${symbol} new entries paused by risk controls`, {
+      reasons: decision.riskMetrics.pauseReasons
+    });
+  }
+
+  logger.info('🎯 Enhanced trading decision made', {
+    symbol,
+    action: decision.action,
+    confidence: decision.confidence,
+    urgency: decision.urgency || 'NORMAL'
+  });
+
+  // Enhanced auto-trading logic with urgency levels
+  let orderResult = null;
+  const wantsTrade = autoTrade && 
+    decision && 
+    (decision.action === 'BUY' || decision.action === 'SELL') && 
+    (decision.confidence > 0.6 || decision.urgency === 'CRITICAL');
+
+  // Kill switch is checked right before the order goes out
+  const stateCheck = wantsTrade ? await tradingState.checkOrder(decision.action) : null;
+  if (stateCheck && !stateCheck.allowed) {
+    logger.warn(`🚦 ${symbol} ${decision.action} blocked`, { state: stateCheck.state });
+  }
+  const shouldAutoTrade = wantsTrade && stateCheck.allowed;
+
+  if (shouldAutoTrade) {
+    try {
+      logger.info('🤖 Executing enhanced auto-trade...', {
+        symbol,
+        urgency: decision.urgency,
+        confidence: decision.confidence
+      });
+
+      // Entries get the symbol's broker-side exits (trading.protection)
+      const protectionPlan = decision.action === 'BUY' ?
+        protectiveOrders.plan(instrument, symbolStrategy, yahooData.price) :
+        null;
+
+      // Order type comes from trading.orders.entry / .exit; urgent exits always go at market
+      const side = decision.action.toLowerCase();
+      const urgent = decision.urgency === 'CRITICAL' || decision.urgency === 'IMMEDIATE';
+      const orderSpec = urgent ? null : instrument.trading.orders?.[side === 'buy' ? 'entry' : 'exit'];
+      const check = validateOrder({
+        symbol,
+        side,
+        qty: decision.quantity || 0.02,
+        tif: instrument.defaultTimeInForce,
+        ...strategyOrderParams(orderSpec, { side, quote: yahooData.price, instrument })
+      }, { instrument, quote: yahooData.price });
+      if (!check.valid) {
+        throw new Error(`Order rejected: ${check.errors.join('; ')}`);
+      }
+
+      const orderParams = protectiveOrders.entryOrder({
+        ...check.order,
+        // One order per symbol and decision per cron window, however often the run is retried
+        client_order_id: idempotency.clientOrderId({ symbol, action: decision.action }),
+        // Auto-confirm for critical urgency or if confirm header is set
+        confirm: urgent ||
+                req.headers.confirm === 'true' || 
+                req.query?.confirm === 'true'
+      }, protectionPlan);
+
+      // An overlapping run may have taken the symbol over if this one ran past its lease
+      if (lease) await symbolLocks.verify(lease);
+
+      // Resting exits hold the quantity at the broker - release it before selling
+      if (decision.action === 'SELL' && orderParams.confirm) {
+        await protectiveOrders.cancel(symbol, { reason: 'strategy exit', lease });
+      }
+
+      orderResult = await idempotency.placeOrder(orderParams);
+
+      // Enhanced trade logging with reasoning
+      // Track the order until the broker reports the fill, then log the real fill price
+      if (orderResult && orderResult.status !== 'simulated') {
+        logger.info('📝 Tracking enhanced trade until filled...');
+        orderResult.fill = await orderTracker.track(orderResult, {
+          action: decision.action,
+          reasoning: decision.reasoning,
+          confidence: decision.confidence,
+          urgency: decision.urgency,
+          referencePrice: yahooData.price,
+          source: 'strategy',
+          tradeIdPrefix: 'enhanced'
+        }, lease);
+        
+        // Trigger immediate monitoring for the updated position
+        if (decision.action === 'BUY') {
+          logger.info('🔍 Initiating position monitoring for new buy order');
+          orderResult.protection = await protectiveOrders.attach(orderResult, protectionPlan, lease);
+        }
+        
+        logger.info(`✅ Enhanced trade ${orderResult.fill?.status || 'PENDING'}`);
+      }
+
+    } catch (tradeError) {
+      logger.error('❌ Enhanced auto-trade execution failed', tradeError);
+      
+      // Log the failure for manual review
+      if (decision.urgency === 'CRITICAL' || decision.urgency === 'IMMEDIATE') {
+        logger.error('🚨 CRITICAL TRADE FAILED - MANUAL INTERVENTION REQUIRED', {
+          symbol,
+          decision,
+          error: tradeError.message
+        });
+      }
+    }
+  }
+
+  return {
+    symbol,
+    status: 'ANALYZED',
+    assetClass: instrument.assetClass,
+    market: {
+      yahoo: yahooData,
+      timeframe: instrument.timeframe,
+      indicatorState,
+      technicals,
+      signals,
+      // Latest confirmation-timeframe values; the verdicts are in decision.confirmation
+      confirmations: Object.fromEntries(Object.entries(timeframes).map(([interval, timeframe]) => [
+        interval,
+        timeframe.error ? { error: timeframe.error } :
+          { source: timeframe.source, bars: timeframe.bars.length, latest: latestValues(timeframe.series) }
+      ]))
+    },
+    positions,
+    decision: {
+      ...decision,
+      professionalAnalysis: generateProfessionalAnalysis(decision, activePosition, yahooData.price)
+    },
+    trading: {
+      autoTrade: shouldAutoTrade ? 
+        (orderResult ? 'executed' : 'failed') : 
+        (stateCheck && !stateCheck.allowed ? 'blocked' : (autoTrade ? 'no_signal' : 'disabled')),
+      ...(stateCheck && !stateCheck.allowed && { blockedReason: stateCheck.reason }),
+      inCooldown,
+      confidence: decision.confidence,
+      urgency: decision.urgency || 'NORMAL',
+      minConfidenceRequired: 0.6,
+      maxPositionSize: instrument.trading.maxPositionSize
+    },
+    order: orderResult
+  };
+}
+
+// Cap entries at the symbol's configured maximum position size
+function applyPositionLimits(decision, instrument) {
+  const maxSize = instrument.trading.maxPositionSize;
+  if (decision.action !== 'BUY' || !maxSize || !(decision.quantity > maxSize)) {
+    return decision;
+  }
+
+  return {
+    ...decision,
+    quantity: maxSize,
+    reasoning: [
+      ...(Array.isArray(decision.reasoning) ? decision.reasoning : [decision.reasoning]),
+      `Position size capped at ${maxSize} for ${instrument.symbol} (strategy wanted ${decision.quantity})`
+    ]
+  };
+}
+
 // Enhanced manual trading handler
-async function handleManualTrade(req, res, yahooData, requestId, startTime) {
-  const { side = 'buy', qty = 0.02, type = 'market', tif = 'gtc' } = req.body;
+async function handleManualTrade(req, res, instrument, yahooData, requestId, startTime, lease) {
+  const {
+    side = 'buy',
+    qty = 0.02,
+    type = 'market',
+    tif = instrument.defaultTimeInForce,
+    limit_price,
+    stop_price,
+    trail_percent,
+    trail_price,
+    protection = instrument.trading.protection
+  } = req.body;
+  const symbol = instrument.symbol;
   
-  if (!['buy', 'sell'].includes(side.toLowerCase())) {
+  if (!['buy', 'sell'].includes(String(side).toLowerCase())) {
     return res.status(400).json({
       success: false,
       requestId,
@@ -327,34 +567,68 @@ async function handleManualTrade(req, res, yahooData, requestId, startTime) {
     });
   }
 
-  const orderParams = {
-    symbol: alpacaTicker,
-    side: side.toLowerCase(),
-    qty: parseFloat(qty),
-    type: type.toLowerCase(),
-    tif: tif.toLowerCase(),
+  // Type, prices and time in force are checked here rather than left to the broker
+  const check = validateOrder(
+    { symbol, side, qty, type, tif, limit_price, stop_price, trail_percent, trail_price },
+    { instrument, quote: yahooData.price }
+  );
+  if (!check.valid) {
+    return res.status(400).json({
+      success: false,
+      requestId,
+      error: 'Invalid order',
+      errors: check.errors
+    });
+  }
+
+  // Manual buys get broker-side exits too; send protection: 'none' to skip them
+  let protectionPlan = null;
+  if (side.toLowerCase() === 'buy') {
+    try {
+      protectionPlan = protectiveOrders.plan(instrument, strategyFor(instrument), yahooData.price, protection);
+    } catch (error) {
+      return res.status(400).json({ success: false, requestId, error: error.message });
+    }
+  }
+
+  const stateCheck = await tradingState.checkOrder(side);
+  if (!stateCheck.allowed) {
+    return res.status(423).json({
+      success: false,
+      requestId,
+      error: stateCheck.reason,
+      tradingState: stateCheck.state
+    });
+  }
+
+  const idempotencyKey = req.headers[IDEMPOTENCY_HEADER];
+  const orderParams = protectiveOrders.entryOrder({
+    ...check.order,
+    ...(idempotencyKey && { client_order_id: keyClientOrderId(idempotencyKey) }),
     confirm: req.headers.confirm === 'true'
-  };
+  }, protectionPlan);
+
+  await symbolLocks.verify(lease);
+
+  // Closing by hand replaces the broker-side exits
+  if (orderParams.side === 'sell' && orderParams.confirm) {
+    await protectiveOrders.cancel(symbol, { reason: 'manual sell', lease });
+  }
 
   logger.info('📋 Placing enhanced manual order', orderParams);
-  const manualOrderResult = await placeAlpacaOrder(orderParams);
+  const manualOrderResult = await idempotency.placeOrder(orderParams);
 
   // Enhanced manual trade logging
   if (manualOrderResult && manualOrderResult.status !== 'simulated') {
-    const tradeData = {
-      id: `manual_enhanced_${Date.now()}`,
-      symbol: alpacaTicker,
+    manualOrderResult.fill = await orderTracker.track(manualOrderResult, {
       action: side.toUpperCase(),
-      quantity: parseFloat(qty),
-      price: yahooData.price,
-      orderId: manualOrderResult.orderId,
-      timestamp: new Date().toISOString(),
       reasoning: ['Manual trade executed by user'],
-      type: 'MANUAL'
-    };
-
-    await storage.updatePosition(alpacaTicker, tradeData);
-    logger.info('✅ Enhanced manual trade logged');
+      referencePrice: yahooData.price,
+      source: 'manual',
+      tradeIdPrefix: 'manual_enhanced'
+    }, lease);
+    manualOrderResult.protection = await protectiveOrders.attach(manualOrderResult, protectionPlan, lease);
+    logger.info(`✅ Enhanced manual trade ${manualOrderResult.fill?.status || 'PENDING'}`);
   }
 
   return res.json({
@@ -363,7 +637,8 @@ async function handleManualTrade(req, res, yahooData, requestId, startTime) {
     durationMs: Date.now() - startTime,
     data: {
       market: { yahoo: yahooData },
-      position: await storage.getCurrentPosition(alpacaTicker),
+      symbol,
+      position: await storage.getCurrentPosition(symbol),
       order: manualOrderResult,
       portfolio: await getPortfolioSummary(),
       storage: { status: 'updated', enhanced: true }
@@ -371,11 +646,11 @@ async function handleManualTrade(req, res, yahooData, requestId, startTime) {
   });
 }
 
-// Enhanced monitoring mode handler
-async function handleMonitoringMode(req, res, position, requestId) {
-  logger.info('🔍 Enhanced monitoring mode activated');
+// Enhanced monitoring snapshot for one position
+async function getMonitoringSnapshot(instrument, position) {
+  logger.info(`🔍 Enhanced monitoring mode activated for ${instrument.symbol}`);
   
-  const yahooData = await getYahooPrice(yahooTicker);
+  const yahooData = await marketData.getQuote(instrument.yahoo);
   const currentPrice = yahooData.price;
   
   const pnlAmount = (currentPrice - position.averagePrice) * position.quantity;
@@ -400,21 +675,16 @@ async function handleMonitoringMode(req, res, position, requestId) {
     });
   }
 
-  return res.json({
-    success: true,
-    requestId,
-    monitoring: true,
-    data: {
-      position,
-      currentPrice,
-      pnl: {
-        amount: pnlAmount,
-        percentage: pnlPercentage
-      },
-      alerts: criticalAlerts,
-      timestamp: new Date().toISOString()
-    }
-  });
+  return {
+    position,
+    currentPrice,
+    pnl: {
+      amount: pnlAmount,
+      percentage: pnlPercentage
+    },
+    alerts: criticalAlerts,
+    timestamp: new Date().toISOString()
+  };
 }
 
 // Enhanced portfolio summary
@@ -422,9 +692,9 @@ async function getPortfolioSummary() {
   try {
     const positions = await storage.getAllPositions();
     const trades = await storage.getTradeHistory(20);
+    const realized = await storage.getRealizedSummary();
     
     let totalValue = 0;
-    let totalPnL = 0;
     let activePositions = 0;
     
     for (const position of Object.values(positions)) {
@@ -435,14 +705,16 @@ async function getPortfolioSummary() {
     }
     
     const recentTrades = trades.slice(0, 10);
-    const winningTrades = recentTrades.filter(t => t.pnl && t.pnl > 0).length;
-    const winRate = recentTrades.length > 0 ? (winningTrades / recentTrades.length) * 100 : 0;
     
+    // Win rate counts closing trades only, using realized P&L from the lot ledger
     return {
       activePositions,
       totalValue: totalValue.toFixed(2),
       recentTradesCount: recentTrades.length,
-      winRate: winRate.toFixed(1) + '%',
+      realizedPnL: realized.realizedPnL.toFixed(2),
+      closedTrades: realized.closedTrades,
+      winRate: realized.winRate.toFixed(1) + '%',
+      profitFactor: realized.profitFactor,
       lastTradeTime: recentTrades[0]?.timestamp || null
     };
     
@@ -452,8 +724,34 @@ async function getPortfolioSummary() {
   }
 }
 
+// Scope a request needs: anything that can place orders needs 'trade'
+function getRequiredScope(req, params) {
+  if (params.action === 'trade' && req.method === 'POST') return 'trade';
+  if (parseFlag(params.monitorOnly, false)) return 'read';
+  return parseFlag(params.autoTrade, true) ? 'trade' : 'analyze';
+}
+
+// Store whatever the handler sends for this Idempotency-Key before sending it
+function recordResponse(res, key) {
+  const send = res.json.bind(res);
+  res.json = async body => {
+    try {
+      await idempotency.complete(key, res.statusCode || 200, body);
+    } catch (error) {
+      logger.error(`Failed to store the response for Idempotency-Key ${key}`, error);
+    }
+    return send(body);
+  };
+}
+
+// Query strings arrive as 'true'/'false'
+function parseFlag(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return value === true || value === 'true' || value === '1';
+}
+
 // Risk assessment
-function assessPortfolioRisk(positions, currentPrice) {
+function assessPortfolioRisk(positions, controls = null) {
   const positionCount = Object.keys(positions).length;
   
   let riskLevel = 'LOW';
@@ -464,17 +762,54 @@ function assessPortfolioRisk(positions, currentPrice) {
     riskFactors.push('High number of open positions');
   }
   
-  // Additional risk assessment logic would go here
+  // Strategy risk controls (loss streak, daily trade cap, drawdown halt)
+  if (controls && controls.riskLevel !== 'LOW') {
+    riskLevel = controls.riskLevel;
+    riskFactors.push(...controls.pauseReasons);
+  }
   
   return {
     level: riskLevel,
     factors: riskFactors,
     recommendation: riskLevel === 'LOW' ? 
       'Portfolio risk is well managed' : 
-      'Consider reducing position sizes or implementing tighter stops'
+      'Consider reducing position sizes or implementing tighter stops',
+    ...(controls && {
+      entriesPaused: controls.shouldPause,
+      halted: controls.shouldHalt,
+      pauseReasons: controls.pauseReasons,
+      consecutiveLosses: controls.consecutiveLosses,
+      tradesToday: controls.tradesToday,
+      drawdownPct: controls.drawdownPct,
+      positionSizeMultiplier: controls.positionSizeMultiplier
+    })
+  };
+}
+
+// Snapshot account equity once per run and add it to the drawdown history
+async function loadAccountEquity() {
+  try {
+    const account = await broker.getAccount();
+    await storage.recordEquity(account.equity ?? account.portfolio_value);
+    return account;
+  } catch (error) {
+    logger.warn(`⚠️ Could not load ${broker.name} account equity - drawdown check uses stored history`, error.message);
+    return null;
+  }
+}
+
+async function loadRiskHistory() {
+  return {
+    trades: await storage.getTradeHistory(200),
+    equity: await storage.getEquityHistory()
   };
 }
 
+// Account-wide view of the strategy's risk controls for the response
+async function getRiskControls(account) {
+  return strategy.assessRisk(null, account, null, await loadRiskHistory());
+}
+
 // Professional analysis generator
 function generateProfessionalAnalysis(decision, position, currentPrice) {
   const hasPosition = position && position.quantity > 0;
@@ -525,6 +860,25 @@ function generateTradingRecommendations(decision, position, riskAssessment) {
   return recommendations;
 }
 
+// Latest values only, for the analysis response
+function summarizeTechnicals(technicals) {
+  const latest = series => series?.[series.length - 1] || null;
+  return {
+    rsi: latest(technicals.rsi)?.value || null,
+    sma20: latest(technicals.sma)?.value || null,
+    sma50: latest(technicals.sma50)?.value || null,
+    sma200: latest(technicals.sma200)?.value || null,
+    bollinger: latest(technicals.bollinger),
+    atr: latest(technicals.atr)?.value || null,
+    stochastic: latest(technicals.stochastic),
+    adx: latest(technicals.adx),
+    vwap: latest(technicals.vwap)?.value || null,
+    obv: latest(technicals.obv)?.value ?? null,
+    donchian: latest(technicals.donchian),
+    trend: determineTrendFromTechnicals(technicals)
+  };
+}
+
 // Trend determination helper
 function determineTrendFromTechnicals(technicals) {
   try {
@@ -543,13 +897,11 @@ function determineTrendFromTechnicals(technicals) {
 }
 
 function validateEnvironment() {
+  // Alpaca keys are only needed when BROKER_BACKEND=alpaca,
+  // Google credentials only when STORAGE_BACKEND=sheets
   const required = [
-    'ALPACA_API_KEY_ID',
-    'ALPACA_SECRET_KEY',
-    'ALPACA_PAPER',
-    'GOOGLE_SERVICE_ACCOUNT_EMAIL',
-    'GOOGLE_PRIVATE_KEY',
-    'GOOGLE_SPREADSHEET_ID'
+    ...getBrokerRequiredEnv(),
+    ...getStorageRequiredEnv()
   ];
   
   const missing = required.filter(key => !process.env[key]);
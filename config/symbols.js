@@ -1,12 +1,13 @@
 // config/symbols.js - Enhanced configuration with lenient settings
 export default {
+  // Primary instrument (kept for code that only needs one symbol)
   // Symbol for Yahoo Finance APIs (e.g., Yahoo's ETH ticker)
   yahoo: 'ETH-USD',
 
   // Symbol for Alpaca APIs (no hyphen)
   alpaca: 'ETHUSD',
 
-  // Trading configuration - More lenient settings
+  // Trading configuration - More lenient settings (defaults for every watchlist entry)
   trading: {
     maxPositionSize: 0.05,        // Maximum ETH per trade (increased from 0.02)
     profitTargetPercent: 4,       // Take profit at 4%
@@ -15,6 +16,71 @@ export default {
     minConfidence: 60,            // Minimum confidence to execute (decreased from 70)
     rsiOversold: 40,             // RSI oversold threshold (increased from 35)
     rsiOverbought: 60,           // RSI overbought threshold (decreased from 65)
-    buyConditionsRequired: 3      // Conditions needed for buy (decreased from 5)
-  }
+    buyConditionsRequired: 3,     // Conditions needed for buy (decreased from 5)
+    interval: '1d',               // Bar size indicators run on: 1m, 5m, 15m, 30m, 1h, 4h, 1d, 1wk
+    lookback: null,               // History per run (5d, 6mo, 2y...) - null uses the interval's default
+    // Rules on other timeframes that must all agree before a new entry (lib/multiTimeframe.js), e.g.
+    // [{ interval: '4h', rule: 'trend', direction: 'up' },
+    //  { interval: '1h', rule: 'rsiPullback', below: 45 },
+    //  { interval: '15m', rule: 'macdCross', within: 3 }]
+    confirmations: [],
+    // Rule-based strategy from config/strategies/<name>.json (lib/ruleStrategy.js); its params
+    // are filled from these trading values. null trades with the built-in strategy (lib/strategy.js)
+    strategy: null,
+    // Parameter file from the walk-forward optimizer (scripts/optimize.js --export), e.g.
+    // 'config/optimized/ethusd.json' - overrides the thresholds of the strategy above
+    strategyParams: null,
+    // Broker-side exits for new entries (lib/protectiveOrders.js): 'bracket', 'oco', 'trailing' or null.
+    // Priced from the strategy's stop-loss/take-profit/trailing percentages; the monitor keeps
+    // raising the stop as the trailing stop moves. Alpaca only offers these for equities.
+    protection: null,
+    // Order types for strategy entries and exits (lib/orderValidation.js): market, limit, stop,
+    // stop_limit or trailing_stop, priced off the quote, e.g. { type: 'limit', offsetPercent: 0.1 }.
+    // IMMEDIATE/CRITICAL exits always go at market
+    orders: {
+      entry: { type: 'market' },
+      exit: { type: 'market' }
+    },
+    priceBandPercent: 10,         // Reject limit/stop prices further than this from the quote
+    tickSize: null,               // Price increment - null uses $0.01, sub-penny below $1
+    // When storage disagrees with the broker (lib/reconciliation.js): 'heal' rewrites storage to
+    // match, 'alert' leaves it for manual review. null uses RECONCILE_POLICY
+    reconcile: null,
+    // Oldest live quote accepted, in seconds - null uses MARKET_DATA_MAX_QUOTE_AGE_SECONDS while
+    // the symbol's market is open and MARKET_DATA_MAX_CLOSED_QUOTE_AGE_SECONDS while it's closed
+    maxQuoteAgeSeconds: null
+  },
+
+  // Instruments evaluated on every /api/trading run.
+  // Each entry may override any `trading` parameter; disabled entries are only
+  // traded when requested explicitly (?symbols=BTCUSD).
+  watchlist: [
+    {
+      yahoo: 'ETH-USD',
+      broker: 'ETHUSD',
+      assetClass: 'crypto',
+      enabled: true,
+      trading: {}
+    },
+    {
+      yahoo: 'BTC-USD',
+      broker: 'BTCUSD',
+      assetClass: 'crypto',
+      enabled: false,
+      trading: {
+        maxPositionSize: 0.002      // ~$100-200 per trade
+      }
+    },
+    {
+      yahoo: 'SPY',
+      broker: 'SPY',
+      assetClass: 'us_equity',
+      enabled: false,
+      trading: {
+        maxPositionSize: 1,         // Shares per trade
+        profitTargetPercent: 2,
+        stopLossPercent: 1.5
+      }
+    }
+  ]
 };
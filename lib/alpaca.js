@@ -1,13 +1,25 @@
 import Alpaca from '@alpacahq/alpaca-trade-api';
+import Broker from './broker/baseBroker.js';
 
-class AlpacaService {
+export const ALPACA_REQUIRED_ENV = ['ALPACA_API_KEY_ID', 'ALPACA_SECRET_KEY', 'ALPACA_PAPER'];
+
+class AlpacaService extends Broker {
   constructor() {
-    this.alpaca = new Alpaca({
-      keyId: process.env.ALPACA_API_KEY_ID,
-      secretKey: process.env.ALPACA_SECRET_KEY,
-      paper: process.env.ALPACA_PAPER === 'true',
-      usePolygon: false
-    });
+    super('alpaca');
+    this.client = null;
+  }
+
+  // Build the client on first use so importing this module never needs credentials
+  get alpaca() {
+    if (!this.client) {
+      this.client = new Alpaca({
+        keyId: process.env.ALPACA_API_KEY_ID,
+        secretKey: process.env.ALPACA_SECRET_KEY,
+        paper: process.env.ALPACA_PAPER === 'true',
+        usePolygon: false
+      });
+    }
+    return this.client;
   }
 
   async getAccount() {
@@ -28,7 +40,10 @@ class AlpacaService {
     }
   }
 
-  async placeOrder({ symbol, side, qty, type, tif, confirm = false }) {
+  async placeOrder({
+    symbol, side, qty, type, tif, limit_price, stop_price, trail_percent, trail_price,
+    order_class, take_profit, stop_loss, client_order_id, confirm = false
+  }) {
     try {
       const account = await this.getAccount();
       if (account.trading_blocked) {
@@ -55,21 +70,27 @@ class AlpacaService {
         qty: parseFloat(qty),
         side: side.toLowerCase(),
         type: type.toLowerCase(),
-        time_in_force: tif.toLowerCase()
+        time_in_force: tif.toLowerCase(),
+        ...(limit_price && { limit_price: parseFloat(limit_price) }),
+        ...(stop_price && { stop_price: parseFloat(stop_price) }),
+        ...(trail_price && { trail_price: parseFloat(trail_price) }),
+        ...(order_class && order_class !== 'simple' && { order_class }),
+        ...(take_profit && { take_profit }),
+        ...(stop_loss && { stop_loss }),
+        ...(trail_percent && { trail_percent: parseFloat(trail_percent) }),
+        ...(client_order_id && { client_order_id })
       };
 
       console.log('Placing Alpaca order:', orderData);
       const order = await this.alpaca.createOrder(orderData);
 
       return {
-        orderId: order.id,
+        ...orderSummary(order),
         symbol,
         side,
         qty,
         type,
-        status: order.status,
-        timestamp: order.created_at,
-        filled_price: order.filled_avg_price || null
+        ...(order_class && order_class !== 'simple' && { legs: orderLegs(order) })
       };
     } catch (error) {
       console.error('Error placing order:', error);
@@ -77,12 +98,13 @@ class AlpacaService {
     }
   }
 
+  // Throws rather than returning [] - a failed call must not look like a flat account
   async getPositions() {
     try {
       return await this.alpaca.getPositions();
     } catch (error) {
       console.error('Error getting positions:', error);
-      return [];
+      throw error;
     }
   }
 
@@ -95,33 +117,108 @@ class AlpacaService {
     }
   }
 
-  // New method to sync Alpaca positions with local storage
-  async syncPosition(symbol, localStorage) {
+  async cancelOrder(orderId) {
     try {
-      const alpacaPosition = await this.getPosition(symbol);
-      const localPosition = await localStorage.getCurrentPosition(symbol);
-      
-      if (alpacaPosition) {
-        // Update local storage with real Alpaca position
-        const realPosition = {
-          quantity: parseFloat(alpacaPosition.qty),
-          averagePrice: parseFloat(alpacaPosition.avg_entry_price),
-          lastUpdate: new Date().toISOString(),
-          source: 'alpaca_sync'
-        };
-        
-        console.log('Syncing position from Alpaca:', realPosition);
-        return realPosition;
-      }
-      
-      return localPosition;
+      await this.alpaca.cancelOrder(orderId);
+      return { orderId, status: 'canceled' };
+    } catch (error) {
+      console.error(`Error cancelling order ${orderId}:`, error);
+      throw error;
+    }
+  }
+
+  // Alpaca replaces in place under a new order id; the old one ends up 'replaced'
+  async replaceOrder(orderId, { qty, limit_price, stop_price, trail_percent } = {}) {
+    try {
+      const order = await this.alpaca.replaceOrder(orderId, {
+        ...(qty !== undefined && { qty: parseFloat(qty) }),
+        ...(limit_price !== undefined && { limit_price: parseFloat(limit_price) }),
+        ...(stop_price !== undefined && { stop_price: parseFloat(stop_price) }),
+        ...(trail_percent !== undefined && { trail: parseFloat(trail_percent) })
+      });
+      return {
+        orderId: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        qty: order.qty,
+        type: order.type,
+        status: order.status,
+        timestamp: order.created_at,
+        replaces: orderId
+      };
+    } catch (error) {
+      console.error(`Error replacing order ${orderId}:`, error);
+      throw error;
+    }
+  }
+
+  // Alpaca crypto only takes market, limit and stop-limit orders
+  supportsProtectiveOrders(assetClass) {
+    return assetClass !== 'crypto';
+  }
+
+  async getOrder(orderId) {
+    try {
+      return await this.alpaca.getOrder(orderId);
+    } catch (error) {
+      console.error(`Error getting order ${orderId}:`, error);
+      throw error;
+    }
+  }
+
+  // Bracket and OCO legs are listed as orders of their own
+  async getOrders({ status = 'open' } = {}) {
+    try {
+      return await this.alpaca.getOrders({ status, limit: 500, nested: false });
+    } catch (error) {
+      console.error(`Error getting ${status} orders:`, error);
+      throw error;
+    }
+  }
+
+  async getOrderByClientId(clientOrderId) {
+    try {
+      const order = await this.alpaca.getOrderByClientId(clientOrderId);
+      return {
+        ...orderSummary(order),
+        ...(order.order_class && order.order_class !== 'simple' && { legs: orderLegs(order) })
+      };
     } catch (error) {
-      console.error('Position sync error:', error);
-      return localStorage.getCurrentPosition(symbol);
+      if (error.response?.status === 404) return null;
+      console.error(`Error getting order by client id ${clientOrderId}:`, error);
+      throw error;
     }
   }
 }
 
+// placeOrder's result shape for an Alpaca order
+function orderSummary(order) {
+  return {
+    orderId: order.id,
+    clientOrderId: order.client_order_id,
+    symbol: order.symbol,
+    side: order.side,
+    qty: order.qty,
+    type: order.type,
+    status: order.status,
+    timestamp: order.created_at,
+    filled_price: order.filled_avg_price || null
+  };
+}
+
+// Exit orders of a bracket or OCO order; an OCO parent is its own take-profit leg
+function orderLegs(order) {
+  const legs = order.order_class === 'oco' ? [order, ...(order.legs || [])] : (order.legs || []);
+  return legs.map(leg => ({
+    orderId: leg.id,
+    role: leg.type === 'limit' ? 'take_profit' : 'stop_loss',
+    type: leg.type,
+    status: leg.status,
+    limit_price: leg.limit_price ? parseFloat(leg.limit_price) : null,
+    stop_price: leg.stop_price ? parseFloat(leg.stop_price) : null
+  }));
+}
+
 // Create instance
 const alpacaService = new AlpacaService();
 
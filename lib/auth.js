@@ -0,0 +1,173 @@
+// lib/auth.js - Request authentication: HMAC-signed webhooks and scoped API tokens
+import { createHmac, createHash, timingSafeEqual } from 'crypto';
+import logger from './logger.js';
+
+// Each scope includes the ones before it
+export const SCOPES = ['read', 'analyze', 'trade'];
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Signatures already accepted, kept until their timestamp leaves the tolerance window.
+// Per instance only - the timestamp window is what bounds replays across instances.
+const seenSignatures = new Map();
+
+export function hasScope(granted, required) {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+// API_TOKENS=name:scope:token,name:scope:token
+// e.g. API_TOKENS=dashboard:read:3f9c...,ops:trade:8a1d...
+export function parseApiTokens(value = process.env.API_TOKENS || '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, scope, ...rest] = entry.split(':');
+      const token = rest.join(':');
+      if (!name || !token || !SCOPES.includes(scope)) {
+        logger.warn(`⚠️ Ignoring malformed API_TOKENS entry "${name || entry.slice(0, 8)}" - expected name:scope:token with scope ${SCOPES.join('|')}`);
+        return null;
+      }
+      return { name, scope, token };
+    })
+    .filter(Boolean);
+}
+
+// What the caller signs: `${timestamp}.${METHOD}.${url}.${body}`
+// `url` is the path plus query string exactly as requested; GET requests sign an empty body
+// and JSON bodies are signed in their compact JSON.stringify form.
+export function signRequest({ secret, timestamp, method, url, body = '' }) {
+  const payload = `${timestamp}.${String(method).toUpperCase()}.${url}.${serializeBody(body)}`;
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Returns { ok: true, principal } or { ok: false, status, error }
+export function authenticate(req, {
+  webhookSecret = process.env.WEBHOOK_SECRET,
+  apiTokens = parseApiTokens(),
+  webhookScope = process.env.WEBHOOK_SCOPE || 'trade',
+  toleranceSeconds = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) {
+  const headers = req.headers || {};
+
+  if (headers[SIGNATURE_HEADER]) {
+    return verifyWebhook(req, { webhookSecret, webhookScope, toleranceSeconds, now });
+  }
+
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return verifyToken(authorization.slice(7).trim(), apiTokens);
+  }
+
+  return {
+    ok: false,
+    status: 401,
+    error: `Authentication required: send "Authorization: Bearer <token>" or a signed webhook (${SIGNATURE_HEADER}, ${TIMESTAMP_HEADER})`
+  };
+}
+
+// Authenticate and check scope; on failure writes the 401/403 response and returns null
+export function requireAuth(req, res, requiredScope, requestId = null) {
+  if (process.env.AUTH_DISABLED === 'true') {
+    return { type: 'disabled', name: 'auth-disabled', scope: 'trade' };
+  }
+
+  const result = authenticate(req);
+
+  if (!result.ok) {
+    logger.warn('🔒 Rejected unauthenticated request', { requestId, reason: result.error });
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(result.status).json({
+      success: false,
+      requestId,
+      error: 'Unauthorized',
+      details: result.error
+    });
+    return null;
+  }
+
+  const { principal } = result;
+  if (!hasScope(principal.scope, requiredScope)) {
+    logger.warn('🔒 Rejected under-scoped request', { requestId, client: principal.name, scope: principal.scope, requiredScope });
+    res.status(403).json({
+      success: false,
+      requestId,
+      error: 'Forbidden',
+      details: `${principal.type === 'webhook' ? 'Webhook' : `Token "${principal.name}"`} has scope "${principal.scope}" but this request needs "${requiredScope}"`,
+      requiredScope
+    });
+    return null;
+  }
+
+  logger.info('🔑 Request authenticated', { requestId, client: principal.name, type: principal.type, scope: principal.scope });
+  return principal;
+}
+
+function verifyWebhook(req, { webhookSecret, webhookScope, toleranceSeconds, now }) {
+  if (!webhookSecret) {
+    return { ok: false, status: 401, error: 'Signed webhooks are not enabled (WEBHOOK_SECRET is not set)' };
+  }
+
+  const signature = String(req.headers[SIGNATURE_HEADER]).replace(/^sha256=/, '');
+  const timestamp = parseInt(req.headers[TIMESTAMP_HEADER]);
+
+  if (!timestamp) {
+    return { ok: false, status: 401, error: `Missing ${TIMESTAMP_HEADER} header (unix seconds)` };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { ok: false, status: 401, error: `Webhook timestamp outside the ${toleranceSeconds}s tolerance window` };
+  }
+
+  const expected = signRequest({
+    secret: webhookSecret,
+    timestamp,
+    method: req.method,
+    url: req.url,
+    body: req.method === 'GET' ? '' : req.body
+  });
+
+  if (!safeEqual(signature, expected)) {
+    return { ok: false, status: 401, error: 'Invalid webhook signature' };
+  }
+
+  pruneSeenSignatures(now, toleranceSeconds);
+  if (seenSignatures.has(signature)) {
+    return { ok: false, status: 401, error: 'Webhook signature already used (replay)' };
+  }
+  seenSignatures.set(signature, timestamp);
+
+  return { ok: true, principal: { type: 'webhook', name: 'webhook', scope: webhookScope } };
+}
+
+function verifyToken(token, apiTokens) {
+  const match = apiTokens.find(entry => safeEqual(token, entry.token));
+  if (!match) {
+    return { ok: false, status: 401, error: 'Invalid API token' };
+  }
+  return { ok: true, principal: { type: 'token', name: match.name, scope: match.scope } };
+}
+
+// Constant-time comparison that also hides length differences
+function safeEqual(a, b) {
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+function serializeBody(body) {
+  if (body === undefined || body === null || body === '') return '';
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+function pruneSeenSignatures(now, toleranceSeconds) {
+  for (const [signature, timestamp] of seenSignatures) {
+    if (now / 1000 - timestamp > toleranceSeconds) seenSignatures.delete(signature);
+  }
+}
+
+export default { authenticate, requireAuth, signRequest, parseApiTokens, hasScope, SCOPES };
@@ -0,0 +1,356 @@
+// lib/backtest.js - Event-driven backtester that replays bars through the live strategy
+import { promises as fs } from 'fs';
+import path from 'path';
+import TechnicalIndicators from './indicators.js';
+import defaultStrategy from './strategy.js';
+import marketData from './marketData.js';
+import { applyTradeToPosition } from './positions.js';
+import logger from './logger.js';
+
+const DEFAULT_OPTIONS = {
+  symbol: 'ETHUSD',
+  initialCash: 10000,
+  lookback: 30,             // Bars handed to the indicators (live fetches a year of daily bars; smaCross needs 200)
+  warmup: 20,               // Bars to skip before the first decision
+  fillOn: 'next_open',      // 'next_open' avoids look-ahead, 'close' fills on the signal bar
+  slippagePct: 0.05,        // Adverse slippage applied to every fill
+  feePct: 0.25,             // Broker fee as % of notional
+  feeFixed: 0,              // Flat fee per fill
+  minConfidence: 0.6,       // Same auto-trade gate as api/trading.js
+  cooldownMinutes: 0,       // Minimum time between fills (bar timestamps)
+  periodsPerYear: 365,      // Crypto trades every day
+  verbose: false            // Keep the strategy's debug logging
+};
+
+export class Backtester {
+  constructor(options = {}) {
+    const provided = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    this.options = { ...DEFAULT_OPTIONS, ...provided };
+    this.strategy = options.strategy || defaultStrategy;
+    this.indicators = options.indicators || new TechnicalIndicators();
+  }
+
+  run(bars) {
+    if (!Array.isArray(bars) || bars.length === 0) {
+      throw new Error('Backtest requires a non-empty array of bars');
+    }
+
+    const opts = this.options;
+    const data = normalizeBars(bars);
+    const state = {
+      cash: opts.initialCash,
+      position: null,
+      lastTrade: null,
+      pendingOrder: null,
+      trades: [],
+      equityCurve: [],
+      peakEquity: opts.initialCash
+    };
+
+    for (let i = 0; i < data.length; i++) {
+      const bar = data[i];
+
+      // Orders decided on the previous bar fill at this bar's open
+      if (state.pendingOrder) {
+        this._fill(state, state.pendingOrder, bar.open, bar.date);
+        state.pendingOrder = null;
+      }
+
+      // Track high water mark the way api/monitor.js does
+      if (state.position) {
+        state.position.highWaterMark = Math.max(state.position.highWaterMark || 0, bar.high || bar.close);
+      }
+
+      if (i >= opts.warmup) {
+        const decision = this._decide(data, i, state);
+        const order = this._toOrder(decision, state, bar);
+
+        if (order) {
+          if (opts.fillOn === 'close' || i === data.length - 1) {
+            this._fill(state, order, bar.close, bar.date);
+          } else {
+            state.pendingOrder = order;
+          }
+        }
+      }
+
+      this._markToMarket(state, bar);
+    }
+
+    const stats = calculateBacktestStats(state.trades, state.equityCurve, {
+      initialCash: opts.initialCash,
+      periodsPerYear: opts.periodsPerYear
+    });
+
+    return {
+      symbol: opts.symbol,
+      period: {
+        start: data[0].date,
+        end: data[data.length - 1].date,
+        bars: data.length
+      },
+      options: { ...opts, strategy: undefined, indicators: undefined },
+      trades: state.trades,
+      equityCurve: state.equityCurve,
+      openPosition: state.position,
+      stats
+    };
+  }
+
+  _decide(data, index, state) {
+    const bar = data[index];
+    const window = data.slice(Math.max(0, index + 1 - this.options.lookback), index + 1);
+
+    return this._quietly(() => {
+      const technicals = this.indicators.calculate(window, this.strategy.indicators);
+      const signals = this.indicators.generateSignals(technicals, bar.close);
+
+      // Same shape api/trading.js hands to strategy.analyze()
+      const enhancedTechnicalData = {
+        ...technicals,
+        currentPrice: bar.close,
+        volume: bar.volume,
+        signals: Object.values(signals).map(signal => ({ type: signal })),
+        historical: window
+      };
+
+      return this.strategy.analyze(enhancedTechnicalData, state.position, state.lastTrade, this._account(state, bar), this._riskHistory(state, bar));
+    });
+  }
+
+  // The account and risk history as api/trading.js loads them, so the strategy's risk
+  // controls (loss streak, daily trade cap, drawdown) apply to the replay too
+  _account(state, bar) {
+    const equity = state.cash + (state.position ? state.position.quantity * bar.close : 0);
+    return { equity, cash: state.cash };
+  }
+
+  _riskHistory(state, bar) {
+    return {
+      // Newest first, like storage.getTradeHistory()
+      trades: state.trades.slice(-200).reverse(),
+      equity: [{ timestamp: bar.date, equity: state.peakEquity }],
+      now: new Date(bar.date).getTime()
+    };
+  }
+
+  _toOrder(decision, state, bar) {
+    if (!decision || (decision.action !== 'BUY' && decision.action !== 'SELL')) return null;
+    if (!(decision.confidence > this.options.minConfidence || decision.urgency === 'CRITICAL')) return null;
+    if (this._inCooldown(state, bar.date)) return null;
+
+    if (decision.action === 'SELL') {
+      if (!state.position) return null;
+      return {
+        action: 'SELL',
+        quantity: Math.min(decision.quantity || state.position.quantity, state.position.quantity),
+        decision
+      };
+    }
+
+    return {
+      action: 'BUY',
+      quantity: decision.quantity || 0.02,
+      decision
+    };
+  }
+
+  _inCooldown(state, date) {
+    if (!this.options.cooldownMinutes || !state.lastTrade) return false;
+    const elapsed = new Date(date).getTime() - new Date(state.lastTrade.timestamp).getTime();
+    return elapsed < this.options.cooldownMinutes * 60000;
+  }
+
+  _fill(state, order, basePrice, date) {
+    const { slippagePct, feePct, feeFixed } = this.options;
+    const direction = order.action === 'BUY' ? 1 : -1;
+    const price = basePrice * (1 + direction * slippagePct / 100);
+    let quantity = order.quantity;
+
+    if (order.action === 'BUY') {
+      // Never spend more cash than we have
+      const maxAffordable = (state.cash - feeFixed) / (price * (1 + feePct / 100));
+      quantity = Math.min(quantity, Math.max(0, maxAffordable));
+    } else {
+      quantity = Math.min(quantity, state.position ? state.position.quantity : 0);
+    }
+
+    quantity = parseFloat(quantity.toFixed(8));
+    if (quantity <= 0) return null;
+
+    const notional = quantity * price;
+    const fees = notional * feePct / 100 + feeFixed;
+    let pnl = null;
+
+    if (order.action === 'BUY') {
+      state.cash -= notional + fees;
+    } else {
+      pnl = (price - state.position.averagePrice) * quantity - fees;
+      state.cash += notional - fees;
+    }
+
+    const trade = {
+      id: `backtest_${state.trades.length + 1}`,
+      timestamp: date,
+      symbol: this.options.symbol,
+      action: order.action,
+      quantity,
+      price: parseFloat(price.toFixed(4)),
+      fees: parseFloat(fees.toFixed(4)),
+      pnl: pnl === null ? null : parseFloat(pnl.toFixed(4)),
+      confidence: order.decision.confidence,
+      urgency: order.decision.urgency,
+      reasoning: order.decision.reasoning
+    };
+
+    // Track the position the same way storage.updatePosition does
+    state.position = applyTradeToPosition(state.position, { ...trade, price });
+    state.lastTrade = trade;
+    state.trades.push(trade);
+    return trade;
+  }
+
+  _markToMarket(state, bar) {
+    const positionValue = state.position ? state.position.quantity * bar.close : 0;
+    const equity = state.cash + positionValue;
+    state.peakEquity = Math.max(state.peakEquity, equity);
+
+    state.equityCurve.push({
+      date: bar.date,
+      cash: parseFloat(state.cash.toFixed(2)),
+      positionValue: parseFloat(positionValue.toFixed(2)),
+      equity: parseFloat(equity.toFixed(2)),
+      drawdownPct: parseFloat(((state.peakEquity - equity) / state.peakEquity * 100).toFixed(4))
+    });
+  }
+
+  // The strategy logs every step at debug level; raise the logger to warn for long replays.
+  // fn is synchronous, so nothing else logs before the level is put back.
+  _quietly(fn) {
+    if (this.options.verbose || !logger.isEnabled('info')) return fn();
+
+    const previous = logger.setLevel('warn');
+    try {
+      return fn();
+    } finally {
+      logger.setLevel(previous);
+    }
+  }
+}
+
+// Summary statistics from a trade list and an equity curve
+export function calculateBacktestStats(trades, equityCurve, { initialCash = 10000, periodsPerYear = 365 } = {}) {
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : initialCash;
+  const totalReturnPct = (finalEquity / initialCash - 1) * 100;
+
+  // CAGR from the calendar span of the curve
+  let cagrPct = 0;
+  if (equityCurve.length > 1) {
+    const years = (new Date(equityCurve[equityCurve.length - 1].date) - new Date(equityCurve[0].date)) /
+      (365.25 * 24 * 60 * 60 * 1000);
+    if (years > 0 && finalEquity > 0) {
+      cagrPct = (Math.pow(finalEquity / initialCash, 1 / years) - 1) * 100;
+    }
+  }
+
+  // Max drawdown from running peak
+  let peak = initialCash;
+  let maxDrawdownPct = 0;
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    maxDrawdownPct = Math.max(maxDrawdownPct, (peak - point.equity) / peak * 100);
+  }
+
+  // Annualized Sharpe ratio from per-bar returns (risk-free rate of 0)
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    const prev = equityCurve[i - 1].equity;
+    if (prev > 0) returns.push(equityCurve[i].equity / prev - 1);
+  }
+  let sharpeRatio = 0;
+  if (returns.length > 1) {
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+    if (stdDev > 0) sharpeRatio = (mean / stdDev) * Math.sqrt(periodsPerYear);
+  }
+
+  // Trade quality from closing trades
+  const closed = trades.filter(t => t.pnl !== null && t.pnl !== undefined);
+  const wins = closed.filter(t => t.pnl > 0);
+  const losses = closed.filter(t => t.pnl <= 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+
+  return {
+    initialCash,
+    finalEquity: parseFloat(finalEquity.toFixed(2)),
+    totalReturnPct: parseFloat(totalReturnPct.toFixed(2)),
+    cagrPct: parseFloat(cagrPct.toFixed(2)),
+    maxDrawdownPct: parseFloat(maxDrawdownPct.toFixed(2)),
+    sharpeRatio: parseFloat(sharpeRatio.toFixed(3)),
+    tradeCount: trades.length,
+    closedTrades: closed.length,
+    winRate: closed.length > 0 ? parseFloat((wins.length / closed.length * 100).toFixed(1)) : 0,
+    profitFactor: grossLoss > 0 ? parseFloat((grossProfit / grossLoss).toFixed(3)) : (grossProfit > 0 ? Infinity : 0),
+    averageWin: wins.length > 0 ? parseFloat((grossProfit / wins.length).toFixed(2)) : 0,
+    averageLoss: losses.length > 0 ? parseFloat((-grossLoss / losses.length).toFixed(2)) : 0,
+    totalFees: parseFloat(trades.reduce((sum, t) => sum + (t.fees || 0), 0).toFixed(2))
+  };
+}
+
+// Load OHLCV bars from a local CSV or JSON file
+export async function loadBarsFromFile(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.json') {
+    const parsed = JSON.parse(raw);
+    return normalizeBars(Array.isArray(parsed) ? parsed : parsed.bars || []);
+  }
+
+  if (ext === '.csv') {
+    const lines = raw.split(/\r?\n/).filter(line => line.trim().length > 0);
+    const headers = lines.shift().split(',').map(h => h.trim().toLowerCase());
+    return normalizeBars(lines.map(line => {
+      const cells = line.split(',');
+      return Object.fromEntries(headers.map((h, i) => [h, cells[i]?.trim()]));
+    }));
+  }
+
+  throw new Error(`Unsupported bar file format: ${ext} (use .json or .csv)`);
+}
+
+// Load bars either from a local file or from the market data providers
+export async function loadBars({ file, ticker = 'ETH-USD', period, interval = '1d', start, end } = {}) {
+  if (file) return loadBarsFromFile(file);
+  return normalizeBars(await marketData.getBars(ticker, { interval, lookback: period, start, end }));
+}
+
+// Convenience wrapper: backtest({ file: 'bars.json', initialCash: 5000 })
+export async function runBacktest({ bars, file, ticker, period, interval, start, end, ...options } = {}) {
+  const data = bars || await loadBars({ file, ticker, period, interval, start, end });
+  return new Backtester(options).run(data);
+}
+
+function normalizeBars(bars) {
+  return bars
+    .map(bar => ({
+      date: new Date(bar.date || bar.timestamp).toISOString(),
+      open: parseFloat(bar.open) || parseFloat(bar.close) || 0,
+      high: parseFloat(bar.high) || parseFloat(bar.close) || 0,
+      low: parseFloat(bar.low) || parseFloat(bar.close) || 0,
+      close: parseFloat(bar.close) || 0,
+      volume: parseFloat(bar.volume) || 0
+    }))
+    .filter(bar => bar.close > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+export default {
+  Backtester,
+  runBacktest,
+  loadBars,
+  loadBarsFromFile,
+  calculateBacktestStats
+};
@@ -0,0 +1,28 @@
+// lib/broker.js - Broker selection (BROKER_BACKEND=alpaca|simulated)
+import alpacaService, { AlpacaService, ALPACA_REQUIRED_ENV } from './alpaca.js';
+import SimulatedBroker from './broker/simulatedBroker.js';
+
+export const BROKER_BACKENDS = {
+  alpaca: () => alpacaService,
+  simulated: options => new SimulatedBroker(options)
+};
+
+export function getBrokerBackend() {
+  return (process.env.BROKER_BACKEND || 'alpaca').toLowerCase();
+}
+
+// Environment variables the selected broker cannot run without
+export function getBrokerRequiredEnv(backend = getBrokerBackend()) {
+  return backend === 'alpaca' ? [...ALPACA_REQUIRED_ENV] : [];
+}
+
+export function createBroker(backend = getBrokerBackend(), options = {}) {
+  const factory = BROKER_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown BROKER_BACKEND "${backend}" - use one of: ${Object.keys(BROKER_BACKENDS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+export { AlpacaService, SimulatedBroker };
+export default createBroker();
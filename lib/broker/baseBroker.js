@@ -0,0 +1,96 @@
+// lib/broker/baseBroker.js - Common broker interface shared by every implementation
+
+// Every broker exposes the same interface:
+//   getAccount, getPositions, getPosition, placeOrder, cancelOrder, replaceOrder, getOrder,
+//   getOrders, getOrderByClientId, syncPosition
+//
+// placeOrder({ symbol, side, qty, type, tif, client_order_id, confirm }) resolves to
+//   { orderId, clientOrderId, symbol, side, qty, type, status, timestamp, filled_price }
+// A client_order_id may only be used once; the broker rejects a second order with the same one.
+//
+// Protective exits ride on the same call (lib/protectiveOrders.js):
+//   type: 'trailing_stop' with trail_percent
+//   order_class: 'bracket' - an entry with take_profit: { limit_price } and stop_loss: { stop_price }
+//                'oco'     - a take-profit limit and a stop; one filling cancels the other
+// and the result lists the exit orders as legs: [{ orderId, role: 'take_profit' | 'stop_loss', status, ... }]
+// Positions and orders use Alpaca's field names (qty, avg_entry_price, filled_avg_price, ...)
+// so callers don't need to know which broker they are talking to.
+class Broker {
+  constructor(name = 'base') {
+    this.name = name;
+  }
+
+  async getAccount() {
+    throw new Error(`${this.name} broker does not implement getAccount`);
+  }
+
+  async getPositions() {
+    throw new Error(`${this.name} broker does not implement getPositions`);
+  }
+
+  async getPosition(symbol) {
+    const positions = await this.getPositions();
+    return positions.find(p => p.symbol === symbol) || null;
+  }
+
+  async placeOrder(orderParams) {
+    throw new Error(`${this.name} broker does not implement placeOrder`);
+  }
+
+  async cancelOrder(orderId) {
+    throw new Error(`${this.name} broker does not implement cancelOrder`);
+  }
+
+  // Change a working order's qty / limit_price / stop_price / trail_percent; resolves to the new order
+  async replaceOrder(orderId, changes) {
+    throw new Error(`${this.name} broker does not implement replaceOrder`);
+  }
+
+  async getOrder(orderId) {
+    throw new Error(`${this.name} broker does not implement getOrder`);
+  }
+
+  // Orders in Alpaca's shape ({ id, client_order_id, symbol, side, qty, filled_qty, status, ... });
+  // status is 'open' (still working at the broker) or 'all'
+  async getOrders({ status = 'open' } = {}) {
+    throw new Error(`${this.name} broker does not implement getOrders`);
+  }
+
+  // The order submitted under a client_order_id, in placeOrder's result shape, or null
+  async getOrderByClientId(clientOrderId) {
+    throw new Error(`${this.name} broker does not implement getOrderByClientId`);
+  }
+
+  // Whether bracket, OCO and trailing-stop orders can be placed for an asset class
+  supportsProtectiveOrders(assetClass) {
+    return false;
+  }
+
+  // Prefer the broker's quantity over local storage for one symbol
+  async syncPosition(symbol, localStorage) {
+    try {
+      const brokerPosition = await this.getPosition(symbol);
+      const localPosition = await localStorage.getCurrentPosition(symbol);
+
+      if (brokerPosition) {
+        const realPosition = {
+          quantity: parseFloat(brokerPosition.qty),
+          averagePrice: parseFloat(brokerPosition.avg_entry_price),
+          lastUpdate: new Date().toISOString(),
+          source: `${this.name}_sync`
+        };
+
+        console.log(`Syncing position from ${this.name}:`, realPosition);
+        return realPosition;
+      }
+
+      return localPosition;
+    } catch (error) {
+      console.error('Position sync error:', error);
+      return localStorage.getCurrentPosition(symbol);
+    }
+  }
+}
+
+export { Broker };
+export default Broker;
@@ -0,0 +1,486 @@
+// lib/broker/simulatedBroker.js - Local paper-trading broker filled against market data quotes
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import Broker from './baseBroker.js';
+import marketData from '../marketData.js';
+import { toYahooTicker } from '../watchlist.js';
+
+const OPEN_STATUSES = ['new', 'accepted', 'partially_filled'];
+// Bracket exits wait as 'held' until their entry fills
+const WORKING_STATUSES = [...OPEN_STATUSES, 'held'];
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit', 'trailing_stop'];
+
+class SimulatedBroker extends Broker {
+  constructor({
+    initialCash = parseFloat(process.env.SIM_BROKER_CASH) || 100000,
+    slippagePct = parseFloat(process.env.SIM_BROKER_SLIPPAGE_PCT) || 0.05,
+    feePct = parseFloat(process.env.SIM_BROKER_FEE_PCT) || 0.25,
+    feeFixed = 0,
+    statePath = process.env.SIM_BROKER_STATE_PATH || null,
+    getPrice = null
+  } = {}) {
+    super('simulated');
+    this.initialCash = initialCash;
+    this.slippagePct = slippagePct;
+    this.feePct = feePct;
+    this.feeFixed = feeFixed;
+    this.statePath = statePath ? path.resolve(statePath) : null;
+    // (symbol) => Promise<number>; defaults to the latest market data quote
+    this.getPrice = getPrice || (async symbol => (await marketData.getQuote(toYahooTicker(symbol))).price);
+    this.state = null;
+  }
+
+  // ---- State ----
+
+  _emptyState() {
+    return { cash: this.initialCash, positions: {}, orders: [] };
+  }
+
+  async _load() {
+    if (this.state) return this.state;
+
+    if (this.statePath) {
+      try {
+        this.state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+        return this.state;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    this.state = this._emptyState();
+    return this.state;
+  }
+
+  async _save() {
+    if (!this.statePath) return;
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    const tmpPath = `${this.statePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.state, null, 2));
+    await fs.rename(tmpPath, this.statePath);
+  }
+
+  // Re-read persisted state on the next call (other processes may have traded)
+  async reload() {
+    this.state = null;
+    return this._load();
+  }
+
+  async reset() {
+    this.state = this._emptyState();
+    await this._save();
+  }
+
+  // ---- Broker interface ----
+
+  async getAccount() {
+    const state = await this._load();
+    await this._processOpenOrders();
+
+    let positionsValue = 0;
+    for (const position of Object.values(state.positions)) {
+      const price = await this._safePrice(position.symbol, position.avg_entry_price);
+      positionsValue += position.qty * price;
+    }
+
+    return {
+      id: 'simulated-account',
+      status: 'ACTIVE',
+      currency: 'USD',
+      cash: round(state.cash, 2),
+      buying_power: round(state.cash, 2),
+      portfolio_value: round(state.cash + positionsValue, 2),
+      equity: round(state.cash + positionsValue, 2),
+      trading_blocked: false
+    };
+  }
+
+  async getPositions() {
+    const state = await this._load();
+    await this._processOpenOrders();
+
+    const positions = [];
+    for (const position of Object.values(state.positions)) {
+      const price = await this._safePrice(position.symbol, position.avg_entry_price);
+      positions.push({
+        symbol: position.symbol,
+        side: 'long',
+        qty: position.qty,
+        avg_entry_price: position.avg_entry_price,
+        current_price: price,
+        market_value: round(position.qty * price, 2),
+        cost_basis: round(position.qty * position.avg_entry_price, 2),
+        unrealized_pl: round((price - position.avg_entry_price) * position.qty, 2)
+      });
+    }
+    return positions;
+  }
+
+  async placeOrder({
+    symbol, side, qty, type = 'market', tif = 'gtc', limit_price = null, stop_price = null,
+    trail_percent = null, trail_price = null, order_class = 'simple', take_profit = null, stop_loss = null,
+    client_order_id = null
+  }) {
+    const state = await this._load();
+    if (client_order_id && state.orders.some(o => o.client_order_id === client_order_id)) {
+      throw new Error(`client_order_id ${client_order_id} is already in use`);
+    }
+    const orderClass = (order_class || 'simple').toLowerCase();
+    if (!['simple', 'bracket', 'oco'].includes(orderClass)) {
+      throw new Error(`Unsupported order class for simulated broker: ${order_class}`);
+    }
+    if (orderClass !== 'simple' && !(take_profit?.limit_price > 0 && stop_loss?.stop_price > 0)) {
+      throw new Error(`${orderClass} orders require take_profit.limit_price and stop_loss.stop_price`);
+    }
+
+    const exitSide = side.toLowerCase() === 'buy' ? 'sell' : 'buy';
+    let order;
+    let legs = [];
+
+    if (orderClass === 'oco') {
+      // Like Alpaca, the take-profit limit is the parent and the stop its leg
+      order = this._newOrder({ symbol, side, qty, type: 'limit', tif, limit_price: take_profit.limit_price, client_order_id }, 'take_profit');
+      legs = [order, this._newOrder({ symbol, side, qty, type: 'stop', tif, stop_price: stop_loss.stop_price }, 'stop_loss')];
+    } else {
+      order = this._newOrder({ symbol, side, qty, type, tif, limit_price, stop_price, trail_percent, trail_price, client_order_id });
+      if (orderClass === 'bracket') {
+        legs = [
+          this._newOrder({ symbol, side: exitSide, qty, type: 'limit', tif, limit_price: take_profit.limit_price }, 'take_profit', 'held'),
+          this._newOrder({ symbol, side: exitSide, qty, type: 'stop', tif, stop_price: stop_loss.stop_price }, 'stop_loss', 'held')
+        ];
+      }
+    }
+
+    // Exits cancel each other: whichever fills first closes the rest
+    const exits = orderClass === 'oco' ? legs : legs.filter(leg => leg !== order);
+    for (const leg of exits) {
+      leg.order_class = orderClass;
+      leg.linked = exits.filter(other => other !== leg).map(other => other.id);
+    }
+    if (orderClass === 'bracket') {
+      order.order_class = 'bracket';
+      order.legs = exits.map(leg => leg.id);
+      exits.forEach(leg => { leg.parent_id = order.id; });
+    }
+
+    const others = legs.filter(leg => leg !== order);
+    state.orders.push(order, ...others);
+    await this._tryFill(order);
+    for (const leg of others) {
+      if (order.status === 'rejected') leg.status = 'canceled';
+      else await this._tryFill(leg);
+    }
+    await this._save();
+
+    console.log('Simulated order:', { id: order.id, symbol, side: order.side, type: order.type, orderClass, status: order.status });
+
+    if (order.status === 'rejected') {
+      throw new Error(order.reject_reason);
+    }
+
+    return {
+      ...this._summary(order),
+      side,
+      ...(orderClass !== 'simple' && { legs: legs.map(leg => this._legSummary(leg)) })
+    };
+  }
+
+  async cancelOrder(orderId) {
+    const state = await this._load();
+    const order = state.orders.find(o => o.id === orderId);
+    if (!order) throw new Error(`Order not found: ${orderId}`);
+
+    if (!WORKING_STATUSES.includes(order.status)) {
+      throw new Error(`Order ${orderId} is ${order.status} and cannot be cancelled`);
+    }
+
+    // Cancelling a bracket entry or any exit leg takes the linked orders with it, as at Alpaca
+    for (const id of [orderId, ...(order.legs || []), ...(order.linked || [])]) {
+      const target = state.orders.find(o => o.id === id);
+      if (target && WORKING_STATUSES.includes(target.status)) {
+        target.status = 'canceled';
+        target.canceled_at = new Date().toISOString();
+      }
+    }
+    await this._save();
+    return { orderId, status: 'canceled' };
+  }
+
+  // The old order becomes 'replaced' and a copy with the changes takes its place
+  async replaceOrder(orderId, { qty, limit_price, stop_price, trail_percent } = {}) {
+    const state = await this._load();
+    const old = state.orders.find(o => o.id === orderId);
+    if (!old) throw new Error(`Order not found: ${orderId}`);
+    if (!WORKING_STATUSES.includes(old.status)) {
+      throw new Error(`Order ${orderId} is ${old.status} and cannot be replaced`);
+    }
+
+    const order = {
+      ...old,
+      id: `SIM_${randomUUID()}`,
+      client_order_id: randomUUID(),
+      qty: qty !== undefined ? parseFloat(qty) : old.qty,
+      limit_price: limit_price !== undefined ? parseFloat(limit_price) : old.limit_price,
+      stop_price: stop_price !== undefined ? parseFloat(stop_price) : old.stop_price,
+      trail_percent: trail_percent !== undefined ? parseFloat(trail_percent) : old.trail_percent,
+      replaces: old.id,
+      created_at: new Date().toISOString()
+    };
+    if (trail_percent !== undefined) order.stop_price = null;
+    old.status = 'replaced';
+    old.replaced_by = order.id;
+
+    // Point the parent and sibling legs at the new id
+    for (const other of state.orders) {
+      if (other.legs) other.legs = other.legs.map(id => id === old.id ? order.id : id);
+      if (other.linked) other.linked = other.linked.map(id => id === old.id ? order.id : id);
+    }
+
+    state.orders.push(order);
+    if (order.status !== 'held') await this._tryFill(order);
+    await this._save();
+    return { ...this._summary(order), replaces: old.id };
+  }
+
+  async getOrder(orderId) {
+    const state = await this._load();
+    await this._processOpenOrders();
+    const order = state.orders.find(o => o.id === orderId);
+    if (!order) throw new Error(`Order not found: ${orderId}`);
+    return { ...order };
+  }
+
+  async getOrderByClientId(clientOrderId) {
+    const state = await this._load();
+    await this._processOpenOrders();
+    const order = state.orders.find(o => o.client_order_id === clientOrderId);
+    if (!order) return null;
+    const legs = (order.order_class === 'oco' ? [order.id, ...order.linked] : order.legs || [])
+      .map(id => state.orders.find(o => o.id === id))
+      .filter(Boolean);
+    return {
+      ...this._summary(order),
+      ...(order.order_class && order.order_class !== 'simple' && { legs: legs.map(leg => this._legSummary(leg)) })
+    };
+  }
+
+  // 'open' includes held bracket exits, as Alpaca's does
+  async getOrders({ status = 'all' } = {}) {
+    const state = await this._load();
+    await this._processOpenOrders();
+    return state.orders
+      .filter(o => status === 'all' || (status === 'open' ? WORKING_STATUSES.includes(o.status) : o.status === status))
+      .map(o => ({ ...o }));
+  }
+
+  _newOrder({
+    symbol, side, qty, type = 'market', tif = 'gtc', limit_price = null, stop_price = null, trail_percent = null, trail_price = null,
+    client_order_id = null
+  }, role = null, status = 'new') {
+    const orderType = type.toLowerCase();
+    const quantity = parseFloat(qty);
+
+    if (!ORDER_TYPES.includes(orderType)) {
+      throw new Error(`Unsupported order type for simulated broker: ${type}`);
+    }
+    if (!(quantity > 0)) {
+      throw new Error(`Invalid order quantity: ${qty}`);
+    }
+    if ((orderType === 'limit' || orderType === 'stop_limit') && !limit_price) {
+      throw new Error(`${orderType} orders require limit_price`);
+    }
+    if ((orderType === 'stop' || orderType === 'stop_limit') && !stop_price) {
+      throw new Error(`${orderType} orders require stop_price`);
+    }
+    if (orderType === 'trailing_stop' && !(trail_percent > 0) && !(trail_price > 0)) {
+      throw new Error('trailing_stop orders require trail_percent or trail_price');
+    }
+
+    return {
+      id: `SIM_${randomUUID()}`,
+      // Like Alpaca, orders submitted without one get a random client order id
+      client_order_id: client_order_id || randomUUID(),
+      symbol,
+      side: side.toLowerCase(),
+      type: orderType,
+      time_in_force: tif.toLowerCase(),
+      qty: quantity,
+      limit_price: limit_price ? parseFloat(limit_price) : null,
+      stop_price: stop_price ? parseFloat(stop_price) : null,
+      trail_percent: trail_percent ? parseFloat(trail_percent) : null,
+      trail_price: trail_price ? parseFloat(trail_price) : null,
+      hwm: null,
+      ...(role && { role }),
+      status,
+      filled_qty: 0,
+      filled_avg_price: null,
+      fees: 0,
+      stop_triggered: false,
+      created_at: new Date().toISOString(),
+      filled_at: null,
+      canceled_at: null
+    };
+  }
+
+  _summary(order) {
+    return {
+      orderId: order.id,
+      clientOrderId: order.client_order_id,
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      type: order.type,
+      status: order.status,
+      timestamp: order.created_at,
+      filled_price: order.filled_avg_price,
+      fees: order.fees
+    };
+  }
+
+  _legSummary(leg) {
+    return {
+      orderId: leg.id,
+      role: leg.role,
+      type: leg.type,
+      status: leg.status,
+      limit_price: leg.limit_price,
+      stop_price: leg.stop_price
+    };
+  }
+
+  supportsProtectiveOrders() {
+    return true;
+  }
+
+  // ---- Fill engine ----
+
+  // Re-check resting limit/stop orders against fresh quotes
+  async _processOpenOrders() {
+    const state = await this._load();
+    const open = state.orders.filter(o => OPEN_STATUSES.includes(o.status));
+    if (open.length === 0) return;
+
+    for (const order of open) {
+      await this._tryFill(order);
+    }
+    await this._save();
+  }
+
+  async _tryFill(order) {
+    // Held exits wait for their entry; a sibling fill may have cancelled this one
+    if (!OPEN_STATUSES.includes(order.status)) return;
+
+    let price;
+    try {
+      price = await this.getPrice(order.symbol);
+    } catch (error) {
+      // No quote - leave the order resting
+      console.error(`Simulated broker could not price ${order.symbol}:`, error.message);
+      return;
+    }
+
+    const isBuy = order.side === 'buy';
+
+    // Trailing stops follow the best price since they were placed
+    if (order.type === 'trailing_stop') {
+      order.hwm = order.hwm === null ? price : (isBuy ? Math.min(order.hwm, price) : Math.max(order.hwm, price));
+      const trail = order.trail_percent ? order.hwm * order.trail_percent / 100 : order.trail_price;
+      order.stop_price = round(order.hwm + (isBuy ? 1 : -1) * trail, 6);
+      const triggered = isBuy ? price >= order.stop_price : price <= order.stop_price;
+      if (!triggered) return;
+      order.stop_triggered = true;
+    }
+
+    // Stops convert to market (or limit) orders once triggered
+    if ((order.type === 'stop' || order.type === 'stop_limit') && !order.stop_triggered) {
+      const triggered = isBuy ? price >= order.stop_price : price <= order.stop_price;
+      if (!triggered) return;
+      order.stop_triggered = true;
+    }
+
+    const slipped = price * (1 + (isBuy ? 1 : -1) * this.slippagePct / 100);
+    let fillPrice = slipped;
+
+    if (order.type === 'limit' || order.type === 'stop_limit') {
+      const marketable = isBuy ? price <= order.limit_price : price >= order.limit_price;
+      if (!marketable) return;
+      // Never fill worse than the limit
+      fillPrice = isBuy ? Math.min(slipped, order.limit_price) : Math.max(slipped, order.limit_price);
+    }
+
+    this._fill(order, fillPrice);
+  }
+
+  _fill(order, fillPrice) {
+    const state = this.state;
+    const quantity = order.qty;
+    const notional = quantity * fillPrice;
+    const fees = notional * this.feePct / 100 + this.feeFixed;
+    const position = state.positions[order.symbol];
+
+    if (order.side === 'buy') {
+      if (notional + fees > state.cash) {
+        order.status = 'rejected';
+        order.reject_reason = `insufficient balance for ${order.symbol} (need $${(notional + fees).toFixed(2)}, have $${state.cash.toFixed(2)})`;
+        return;
+      }
+
+      state.cash -= notional + fees;
+      const prevQty = position ? position.qty : 0;
+      const prevAvg = position ? position.avg_entry_price : 0;
+      const newQty = prevQty + quantity;
+      state.positions[order.symbol] = {
+        symbol: order.symbol,
+        qty: round(newQty, 8),
+        avg_entry_price: round(((prevQty * prevAvg) + notional) / newQty, 6)
+      };
+    } else {
+      const held = position ? position.qty : 0;
+      if (quantity > held + 1e-9) {
+        order.status = 'rejected';
+        order.reject_reason = `insufficient balance for ${order.symbol} (requested: ${quantity}, available: ${held})`;
+        return;
+      }
+
+      state.cash += notional - fees;
+      const remaining = round(held - quantity, 8);
+      if (remaining > 0) {
+        position.qty = remaining;
+      } else {
+        delete state.positions[order.symbol];
+      }
+    }
+
+    order.status = 'filled';
+    order.filled_qty = quantity;
+    order.filled_avg_price = round(fillPrice, 6);
+    order.fees = round(fees, 6);
+    order.filled_at = new Date().toISOString();
+
+    // A filled bracket entry releases its exits; a filled exit cancels its siblings
+    for (const other of state.orders) {
+      if (order.legs?.includes(other.id) && other.status === 'held') {
+        other.status = 'new';
+      } else if (order.linked?.includes(other.id) && WORKING_STATUSES.includes(other.status)) {
+        other.status = 'canceled';
+        other.canceled_at = order.filled_at;
+      }
+    }
+  }
+
+  async _safePrice(symbol, fallback) {
+    try {
+      return await this.getPrice(symbol);
+    } catch {
+      return fallback;
+    }
+  }
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+export { SimulatedBroker };
+export default SimulatedBroker;
@@ -0,0 +1,187 @@
+// lib/idempotency.js - Deterministic client order ids and Idempotency-Key replay for retried requests
+import { createHash, randomUUID } from 'crypto';
+import defaultBroker from './broker.js';
+import defaultStorage from './storage.js';
+import defaultOrderTracker from './orderTracker.js';
+import logger from './logger.js';
+
+const REQUESTS_COLLECTION = 'idempotentRequests';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// Client order id for a strategy order: the same symbol, decision and cron window always
+// give the same id, e.g. strategy-ETHUSD-BUY-202610191430. A retried run inside the window
+// finds the order the first attempt submitted instead of placing another one.
+export function clientOrderId({ symbol, action, source = 'strategy', windowMinutes, at = Date.now() }) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const windowStart = new Date(Math.floor(at / windowMs) * windowMs);
+  const stamp = windowStart.toISOString().replace(/[-:T]/g, '').slice(0, 12);
+  return `${source}-${symbol}-${String(action).toUpperCase()}-${stamp}`;
+}
+
+// Client order id for a request carrying an Idempotency-Key
+export function keyClientOrderId(key, source = 'manual') {
+  return `${source}-${hash(key).slice(0, 32)}`;
+}
+
+// What a stored response is matched against: a key reused for a different request is an error
+export function requestFingerprint(req, params) {
+  return hash(`${String(req.method).toUpperCase()} ${JSON.stringify(params ?? {})}`);
+}
+
+// Lifecycle of an Idempotency-Key:
+//   IN_PROGRESS -> COMPLETED (the response is replayed until the key expires)
+//               -> released (server errors free the key so the retry runs again)
+// A key stuck IN_PROGRESS by a crashed request frees itself after lockMinutes; its
+// orders carry client order ids from the key, so running it again can't double-submit.
+//
+// Storage has no compare-and-set, so begin() writes its claim, waits settleMs and reads
+// it back (as SymbolLockManager.acquire does) - of two retries arriving together only the
+// one whose claim is still there runs. Each new claim also deletes expired keys.
+class IdempotencyService {
+  constructor({
+    broker = defaultBroker,
+    storage = defaultStorage,
+    orderTracker = defaultOrderTracker,
+    // Cron interval - retries inside one window reuse the first attempt's client order ids
+    windowMinutes = parseInt(process.env.ORDER_WINDOW_MINUTES) || 15,
+    ttlHours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    lockMinutes = parseInt(process.env.IDEMPOTENCY_LOCK_MINUTES) || 5,
+    settleMs = parseInt(process.env.IDEMPOTENCY_SETTLE_MS) || 200,
+    now = () => Date.now()
+  } = {}) {
+    this.broker = broker;
+    this.storage = storage;
+    this.orderTracker = orderTracker;
+    this.windowMinutes = windowMinutes;
+    this.ttlHours = ttlHours;
+    this.lockMinutes = lockMinutes;
+    this.settleMs = settleMs;
+    this.now = now;
+  }
+
+  clientOrderId({ symbol, action, source }) {
+    return clientOrderId({ symbol, action, source, windowMinutes: this.windowMinutes, at: this.now() });
+  }
+
+  // The order already submitted under a client order id - our order records first, then the broker
+  async findOrder(clientOrderId) {
+    const record = await this.orderTracker.findByClientOrderId(clientOrderId);
+    if (record) {
+      return {
+        orderId: record.orderId,
+        clientOrderId,
+        symbol: record.symbol,
+        side: record.side,
+        qty: record.requestedQty,
+        status: record.brokerStatus,
+        timestamp: record.submittedAt,
+        filled_price: record.filledAvgPrice
+      };
+    }
+    return this.broker.getOrderByClientId(clientOrderId);
+  }
+
+  // Submit unless an order with the same client order id exists; that order comes back
+  // marked duplicate. Simulations (confirm=false) never reach the broker and aren't checked.
+  async placeOrder(orderParams) {
+    if (!orderParams.confirm || !orderParams.client_order_id) {
+      return this.broker.placeOrder(orderParams);
+    }
+
+    const existing = await this.findOrder(orderParams.client_order_id);
+    if (existing) {
+      logger.warn(`♻️ Order ${orderParams.client_order_id} was already submitted - not placing it again`, {
+        orderId: existing.orderId,
+        status: existing.status
+      });
+      return { ...existing, duplicate: true };
+    }
+
+    return this.broker.placeOrder(orderParams);
+  }
+
+  // Claim an Idempotency-Key. Resolves to one of
+  //   { state: 'new' }                       - run the request, then complete() or release()
+  //   { state: 'replay', statusCode, body }  - send the stored response
+  //   { state: 'in_progress' }               - the first request is still running
+  //   { state: 'mismatch' }                  - the key was used for a different request
+  async begin(key, fingerprint) {
+    const existing = await this.storage.getRecord(REQUESTS_COLLECTION, key);
+    const now = this.now();
+
+    if (existing && Date.parse(existing.expiresAt) > now) {
+      if (existing.fingerprint !== fingerprint) return { state: 'mismatch' };
+      if (existing.status === 'COMPLETED') {
+        return { state: 'replay', statusCode: existing.statusCode, body: existing.body };
+      }
+      if (now - Date.parse(existing.startedAt) < this.lockMinutes * 60 * 1000) return { state: 'in_progress' };
+      logger.warn(`⏳ Idempotency-Key ${key} was left in progress - running the request again`);
+    }
+
+    const claim = randomUUID();
+    await this.storage.putRecord(REQUESTS_COLLECTION, key, {
+      key,
+      fingerprint,
+      claim,
+      status: 'IN_PROGRESS',
+      startedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlHours * 60 * 60 * 1000).toISOString()
+    });
+
+    if (this.settleMs > 0) await sleep(this.settleMs);
+    const settled = await this.storage.getRecord(REQUESTS_COLLECTION, key);
+    if (settled?.claim !== claim) {
+      logger.warn(`⏳ Idempotency-Key ${key} was claimed by a concurrent request`);
+      return settled?.fingerprint === fingerprint ? { state: 'in_progress' } : { state: 'mismatch' };
+    }
+
+    await this._deleteExpired(key);
+    return { state: 'new' };
+  }
+
+  // Store the response for replay. Server errors release the key instead so the retry runs again.
+  async complete(key, statusCode, body) {
+    if (statusCode >= 500) return this.release(key);
+
+    const record = await this.storage.getRecord(REQUESTS_COLLECTION, key);
+    if (!record) return null;
+    return this.storage.putRecord(REQUESTS_COLLECTION, key, {
+      ...record,
+      status: 'COMPLETED',
+      statusCode,
+      body,
+      completedAt: new Date(this.now()).toISOString()
+    });
+  }
+
+  async release(key) {
+    await this.storage.deleteRecord(REQUESTS_COLLECTION, key);
+    return null;
+  }
+
+  // Best effort - a key left behind is deleted by the next claim
+  async _deleteExpired(claimedKey) {
+    try {
+      const now = this.now();
+      for (const record of await this.storage.listRecords(REQUESTS_COLLECTION)) {
+        if (record.key !== claimedKey && Date.parse(record.expiresAt) <= now) {
+          await this.storage.deleteRecord(REQUESTS_COLLECTION, record.key);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to delete expired Idempotency-Keys: ${error.message}`);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function hash(value) {
+  return createHash('sha256').update(String(value)).digest('hex');
+}
+
+export { IdempotencyService };
+export default new IdempotencyService();
@@ -0,0 +1,140 @@
+// lib/indicatorRegistry.js - Named indicators with parameter schemas
+//
+// Every indicator is registered once with a parameter schema and a compute function:
+//
+//   registerIndicator('roc', {
+//     description: 'Rate of change over `period` bars (%)',
+//     params: { period: { type: 'integer', min: 1, default: 10 } },
+//     compute: (bars, { period }) => [{ date, value }, ...]
+//   });
+//
+// An optional `stream: { init(params), update(state, bar, params) }` lets the
+// indicator resume from saved JSON state instead of recomputing the whole
+// window (see lib/indicatorStream.js).
+//
+// Strategies then declare what they need, keyed by the name they want back.
+// Keys are registered names, or any name plus `indicator` to pick the implementation:
+//
+//   computeIndicators(bars, { rsi: { period: 14 }, bb: { period: 20, k: 2 }, slow: { indicator: 'sma', period: 200 } })
+//   -> { rsi: [...], bb: [...], slow: [...] }
+//
+// The built-in indicators are registered by lib/indicators.js, which re-exports
+// registerIndicator/computeIndicators - import them from there so the built-ins
+// are always present. Custom indicators can be registered from any module.
+
+const PARAM_TYPES = {
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  string: value => typeof value === 'string'
+};
+
+class IndicatorRegistry {
+  constructor() {
+    this.indicators = new Map();
+  }
+
+  register(name, { description = '', params = {}, compute, stream = null } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Indicator name must be a non-empty string');
+    }
+    if (typeof compute !== 'function') {
+      throw new Error(`Indicator "${name}" needs a compute(bars, params) function`);
+    }
+    for (const [param, schema] of Object.entries(params)) {
+      if (!PARAM_TYPES[schema.type]) {
+        throw new Error(`Indicator "${name}" parameter "${param}" has unknown type "${schema.type}"`);
+      }
+    }
+    if (stream && (typeof stream.init !== 'function' || typeof stream.update !== 'function')) {
+      throw new Error(`Indicator "${name}" stream needs init(params) and update(state, bar, params) functions`);
+    }
+
+    this.indicators.set(name, { name, description, params, compute, stream });
+    return this;
+  }
+
+  has(name) {
+    return this.indicators.has(name);
+  }
+
+  get(name) {
+    const indicator = this.indicators.get(name);
+    if (!indicator) {
+      throw new Error(`Unknown indicator "${name}" - registered: ${[...this.indicators.keys()].join(', ')}`);
+    }
+    return indicator;
+  }
+
+  // Name, description and parameter schema of every registered indicator
+  list() {
+    return [...this.indicators.values()].map(({ name, description, params, stream }) =>
+      ({ name, description, params, streaming: Boolean(stream) }));
+  }
+
+  // Fill defaults and validate against the schema; unknown parameters are an error
+  resolveParams(name, params = {}) {
+    const { params: schema } = this.get(name);
+    const resolved = {};
+
+    for (const key of Object.keys(params)) {
+      if (!schema[key]) {
+        throw new Error(`Indicator "${name}" has no parameter "${key}" (expected ${Object.keys(schema).join(', ') || 'none'})`);
+      }
+    }
+
+    for (const [key, rules] of Object.entries(schema)) {
+      const value = params[key] ?? rules.default;
+      if (value === undefined || value === null) {
+        if (rules.required) throw new Error(`Indicator "${name}" requires parameter "${key}"`);
+        resolved[key] = value ?? null;
+        continue;
+      }
+      if (!PARAM_TYPES[rules.type](value)) {
+        throw new Error(`Indicator "${name}" parameter "${key}" must be ${rules.type}, got ${JSON.stringify(value)}`);
+      }
+      if (rules.min !== undefined && value < rules.min) {
+        throw new Error(`Indicator "${name}" parameter "${key}" must be >= ${rules.min}`);
+      }
+      if (rules.max !== undefined && value > rules.max) {
+        throw new Error(`Indicator "${name}" parameter "${key}" must be <= ${rules.max}`);
+      }
+      if (rules.enum && !rules.enum.includes(value)) {
+        throw new Error(`Indicator "${name}" parameter "${key}" must be one of ${rules.enum.join(', ')}`);
+      }
+      resolved[key] = value;
+    }
+
+    return resolved;
+  }
+
+  // Validate a whole declaration up front so a typo fails before any bars are crunched
+  resolveSpec(spec = {}) {
+    return Object.fromEntries(Object.entries(spec).map(([key, declaration]) => {
+      const { indicator = key, ...params } = declaration || {};
+      return [key, { indicator, params: this.resolveParams(indicator, params) }];
+    }));
+  }
+
+  compute(bars, spec = {}) {
+    const resolved = this.resolveSpec(spec);
+    return Object.fromEntries(Object.entries(resolved).map(([key, { indicator, params }]) =>
+      [key, this.get(indicator).compute(bars, params)]
+    ));
+  }
+}
+
+// Latest point of every series: { rsi: { date, value }, bb: { date, value, upper, lower } }
+export function latestValues(series) {
+  return Object.fromEntries(Object.entries(series).map(([key, points]) =>
+    [key, Array.isArray(points) && points.length > 0 ? points[points.length - 1] : null]
+  ));
+}
+
+const registry = new IndicatorRegistry();
+
+export const registerIndicator = (name, definition) => registry.register(name, definition);
+export const computeIndicators = (bars, spec) => registry.compute(bars, spec);
+
+export { IndicatorRegistry };
+export default registry;
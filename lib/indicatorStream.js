@@ -0,0 +1,292 @@
+// lib/indicatorStream.js - Incremental indicator state that survives between runs
+//
+// Instead of replaying a month of bars through fresh trading-signals instances on
+// every request, streamable indicators keep their running state (price windows,
+// running averages) as plain JSON. A run loads the saved state, applies only the
+// bars it has not seen yet and saves the state again.
+//
+// Only closed bars are committed to the state. The newest bar is usually still
+// forming, so it is applied to a throwaway copy to produce the latest point.
+//
+// The saved state keeps the last few committed bars. If they no longer match what
+// the provider returns (a revised bar), if the saved position cannot be found in the
+// new bars (a gap), or if the declaration changed, the state is rebuilt from scratch.
+//
+// The saved state has to fit in one storage record - a Sheets cell holds 50,000
+// characters - so fit() drops the oldest points until it does.
+//
+// The math mirrors trading-signals (Big.js, same seeding and rounding) so a
+// resumed series is identical to one calculated in a single pass. One difference:
+// running averages are kept to STATE_DP decimal places. trading-signals keeps every
+// digit, so each bar lengthens them - a year of daily bars took an RSI's state past
+// 14,000 characters - while the reported values only use 2-4 decimals.
+import tradingSignals from 'trading-signals';
+import registry from './indicatorRegistry.js';
+
+// Big is re-exported through a getter that Node's CommonJS named-export detection misses
+const { Big } = tradingSignals;
+
+const STATE_VERSION = 1;
+const STATE_DP = 30;
+
+// ---- Streaming implementations: init(params) -> state, update(state, bar, params) -> point | null ----
+
+function smaInit(period) {
+  return { period, prices: [] };
+}
+
+// Returns the average once the window is full
+function smaUpdate(state, price) {
+  state.prices.push(new Big(price).toString());
+  if (state.prices.length > state.period) state.prices.shift();
+  if (state.prices.length < state.period) return null;
+  return state.prices.reduce((sum, p) => sum.plus(p), new Big(0)).div(state.prices.length);
+}
+
+function emaInit(period) {
+  return { period, count: 0, result: null };
+}
+
+// Returns the EMA once `period` prices have been seen
+function emaUpdate(state, price) {
+  const weight = 2 / (state.period + 1);
+  const value = new Big(price);
+  const previous = state.result === null ? value : new Big(state.result);
+  state.count++;
+  state.result = value.times(weight).add(previous.times(1 - weight)).round(STATE_DP).toString();
+  return state.count >= state.period ? new Big(state.result) : null;
+}
+
+// Wilder smoothing seeded with the SMA of the first `period` values
+function wsmaUpdate(state, value) {
+  const sma = smaUpdate(state.sma, value);
+  if (state.result !== null) {
+    const previous = new Big(state.result);
+    state.result = new Big(value).minus(previous).mul(new Big(1).div(state.period)).plus(previous).round(STATE_DP).toString();
+  } else if (sma) {
+    state.result = sma.toString();
+  }
+  return state.result === null ? null : new Big(state.result);
+}
+
+export const STREAMS = {
+  sma: {
+    init: ({ period }) => smaInit(period),
+    update: (state, bar) => {
+      const value = smaUpdate(state, bar.close);
+      return value ? { date: bar.date, value: parseFloat(value.toFixed(4)) } : null;
+    }
+  },
+
+  ema: {
+    init: ({ period }) => emaInit(period),
+    update: (state, bar) => {
+      const value = emaUpdate(state, bar.close);
+      return value ? { date: bar.date, value: parseFloat(value.toFixed(4)) } : null;
+    }
+  },
+
+  rsi: {
+    init: ({ period }) => ({
+      previous: null,
+      gain: { period, sma: smaInit(period), result: null },
+      loss: { period, sma: smaInit(period), result: null }
+    }),
+    update: (state, bar) => {
+      if (!state.previous) {
+        state.previous = bar.close;
+        return null;
+      }
+      const current = new Big(bar.close);
+      const previous = new Big(state.previous);
+      const up = current.gt(previous);
+      wsmaUpdate(state.loss, up ? 0 : previous.minus(current).toString());
+      const gain = wsmaUpdate(state.gain, up ? current.minus(previous).toString() : 0);
+      state.previous = bar.close;
+      if (gain === null) return null;
+
+      const loss = new Big(state.loss.result);
+      const rsi = loss.eq(0) ? new Big(100) : new Big(100).minus(new Big(100).div(gain.div(loss).add(1)));
+      return { date: bar.date, value: parseFloat(rsi.toFixed(2)) };
+    }
+  },
+
+  macd: {
+    init: ({ fast, slow, signal }) => ({ fast: emaInit(fast), slow: emaInit(slow), signal: emaInit(signal) }),
+    update: (state, bar) => {
+      const fast = emaUpdate(state.fast, bar.close);
+      const slow = emaUpdate(state.slow, bar.close);
+      if (!fast || !slow) return null;
+
+      const macdLine = parseFloat(fast.minus(slow).toFixed(4));
+      const signal = emaUpdate(state.signal, macdLine);
+      if (!signal) return null;
+
+      const signalLine = parseFloat(signal.toFixed(4));
+      return {
+        date: bar.date,
+        macd: macdLine,
+        signal: signalLine,
+        histogram: parseFloat((macdLine - signalLine).toFixed(4))
+      };
+    }
+  }
+};
+
+// ---- Stream over a declaration ----
+
+class IndicatorStream {
+  // `spec` is a registry declaration; every entry must have a streaming implementation
+  constructor(spec = {}, {
+    maxPoints = parseInt(process.env.INDICATOR_STATE_MAX_POINTS) || 100,
+    maxChars = parseInt(process.env.INDICATOR_STATE_MAX_CHARS) || 45000,
+    checkBars = 5
+  } = {}) {
+    this.spec = registry.resolveSpec(spec);
+    for (const [key, { indicator }] of Object.entries(this.spec)) {
+      if (!registry.get(indicator).stream) {
+        throw new Error(`Indicator "${indicator}" (${key}) has no streaming implementation`);
+      }
+    }
+    this.specKey = JSON.stringify(this.spec);
+    this.maxPoints = maxPoints;
+    this.maxChars = maxChars;
+    this.checkBars = checkBars;
+    this.state = null;
+  }
+
+  // Resume from a saved toJSON(); anything unusable just means a rebuild on the next update
+  load(saved) {
+    this.state = saved && saved.version === STATE_VERSION && saved.specKey === this.specKey ? structuredClone(saved) : null;
+    return this;
+  }
+
+  toJSON() {
+    return this.state;
+  }
+
+  // The state trimmed to at most maxChars of JSON, halving the kept points until it
+  // fits. Throws if the running windows alone are too big - declare fewer or shorter series.
+  fit(maxChars = this.maxChars) {
+    let size = JSON.stringify(this.state).length;
+    let keep = this.maxPoints;
+    while (size > maxChars && keep > 0) {
+      keep = Math.floor(keep / 2);
+      for (const entry of Object.values(this.state.indicators)) {
+        if (entry.points.length > keep) entry.points.splice(0, entry.points.length - keep);
+      }
+      size = JSON.stringify(this.state).length;
+    }
+    if (size > maxChars) {
+      throw new Error(`Indicator state is ${size} characters without any points, over the ${maxChars} limit`);
+    }
+    return this.state;
+  }
+
+  // Bring the state up to date with `bars` (oldest first, the last one may still be
+  // forming) and return every series plus how the update went
+  update(bars) {
+    if (!Array.isArray(bars) || bars.length === 0) {
+      throw new Error('Bars are required to update indicator state');
+    }
+
+    const committed = bars.slice(0, -1);
+    const forming = bars[bars.length - 1];
+    const check = this._check(committed);
+
+    let applied;
+    if (check.rebuild) {
+      this.state = this._emptyState();
+      applied = this._commit(committed);
+    } else {
+      applied = this._commit(committed.slice(check.resumeAt));
+    }
+
+    return {
+      series: this._withFormingBar(forming),
+      rebuilt: check.rebuild,
+      reason: check.reason,
+      applied
+    };
+  }
+
+  _emptyState() {
+    return {
+      version: STATE_VERSION,
+      specKey: this.specKey,
+      lastDate: null,
+      tail: [],
+      indicators: Object.fromEntries(Object.entries(this.spec).map(([key, { indicator, params }]) =>
+        [key, { state: registry.get(indicator).stream.init(params), points: [] }]
+      ))
+    };
+  }
+
+  // Decide whether the saved state can be resumed, and from which committed bar
+  _check(committed) {
+    if (!this.state) return { rebuild: true, reason: 'no saved state' };
+    if (!this.state.lastDate) return { rebuild: true, reason: 'empty saved state' };
+
+    const index = committed.findIndex(bar => sameDate(bar.date, this.state.lastDate));
+    if (index === -1) {
+      const first = committed[0];
+      const reason = first && new Date(first.date) > new Date(this.state.lastDate) ?
+        `gap: new bars start at ${first.date}, state ends at ${this.state.lastDate}` :
+        `saved bar ${this.state.lastDate} not in the new data`;
+      return { rebuild: true, reason };
+    }
+
+    for (const saved of this.state.tail) {
+      const current = committed.find(bar => sameDate(bar.date, saved.date));
+      if (current && !sameBar(current, saved)) {
+        return { rebuild: true, reason: `revised bar ${saved.date}` };
+      }
+    }
+
+    return { rebuild: false, reason: null, resumeAt: index + 1 };
+  }
+
+  _commit(bars) {
+    for (const bar of bars) {
+      this._apply(this.state, bar);
+      this.state.lastDate = bar.date;
+      this.state.tail.push(toTailBar(bar));
+      if (this.state.tail.length > this.checkBars) this.state.tail.shift();
+    }
+
+    for (const entry of Object.values(this.state.indicators)) {
+      if (entry.points.length > this.maxPoints) entry.points.splice(0, entry.points.length - this.maxPoints);
+    }
+    return bars.length;
+  }
+
+  _apply(state, bar) {
+    for (const [key, { indicator, params }] of Object.entries(this.spec)) {
+      const entry = state.indicators[key];
+      const point = registry.get(indicator).stream.update(entry.state, bar, params);
+      if (point) entry.points.push(point);
+    }
+  }
+
+  // The forming bar goes through a copy so it never reaches the saved state
+  _withFormingBar(bar) {
+    const scratch = structuredClone(this.state);
+    this._apply(scratch, bar);
+    return Object.fromEntries(Object.entries(scratch.indicators).map(([key, entry]) => [key, entry.points]));
+  }
+}
+
+function sameDate(a, b) {
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+function toTailBar(bar) {
+  return { date: bar.date, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+}
+
+function sameBar(a, b) {
+  return ['open', 'high', 'low', 'close', 'volume'].every(field => Number(a[field]) === Number(b[field]));
+}
+
+export { IndicatorStream };
+export default IndicatorStream;
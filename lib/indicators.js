@@ -1,36 +1,126 @@
-import { SMA, EMA, MACD, RSI } from 'trading-signals';
+import {
+  SMA,
+  EMA,
+  RSI,
+  FasterBollingerBands,
+  FasterATR,
+  FasterStochasticOscillator,
+  FasterADX,
+  FasterOBV
+} from 'trading-signals';
+import registry, { registerIndicator, computeIndicators, latestValues } from './indicatorRegistry.js';
+import IndicatorStream, { STREAMS } from './indicatorStream.js';
+
+const STATE_COLLECTION = 'indicatorState';
+
+// Parameters for every indicator; pass overrides to the constructor, e.g.
+// new TechnicalIndicators({ rsi: { period: 10 }, bollinger: { stdDev: 2.5 } })
+export const DEFAULT_INDICATOR_SETTINGS = {
+  sma: { period: 20 },
+  ema: { period: 12 },
+  rsi: { period: 14, overbought: 70, oversold: 30 },
+  macd: { fast: 12, slow: 26, signal: 9 },
+  sma50: { period: 50 },
+  sma200: { period: 200 },
+  bollinger: { period: 20, stdDev: 2 },
+  atr: { period: 14, multiplier: 1 },         // Vote: close beyond EMA +/- multiplier x ATR
+  stochastic: { period: 14, smoothK: 3, smoothD: 3, overbought: 80, oversold: 20 },
+  adx: { period: 14, trendThreshold: 25 },
+  vwap: { resetDaily: null },                 // null = reset each UTC day only for intraday bars
+  obv: { trendPeriod: 10 },                   // Vote: OBV now vs trendPeriod bars ago
+  donchian: { period: 20 }
+};
 
 export class TechnicalIndicators {
-  constructor() {
-    this.sma = new SMA(20);
-    this.ema = new EMA(12);
-    this.rsi = new RSI(14);
-    this.macd = null; // Initialize separately due to complex constructor
+  constructor(settings = {}) {
+    this.settings = Object.fromEntries(
+      Object.entries(DEFAULT_INDICATOR_SETTINGS).map(([name, defaults]) => [name, { ...defaults, ...settings[name] }])
+    );
   }
 
-  calculate(historicalData) {
+  // Every default series plus whatever `spec` declares (registry format, see
+  // lib/indicatorRegistry.js); a declared key replaces the default of that name
+  calculate(historicalData, spec = {}) {
     try {
       if (!Array.isArray(historicalData) || historicalData.length === 0) {
         throw new Error('Historical data is required and must be an array');
       }
 
-      const results = {
-        sma: this.calculateSMA(historicalData),
-        ema: this.calculateEMA(historicalData),
-        rsi: this.calculateRSI(historicalData),
-        macd: this.calculateMACD(historicalData)
-      };
-
-      return results;
+      return computeIndicators(historicalData, { ...this.defaultSpec(), ...spec });
     } catch (error) {
       console.error('Technical indicators calculation error:', error);
       throw error;
     }
   }
 
-  calculateSMA(data) {
+  // Same result as calculate(), but every streamable series (declared or default: sma,
+  // ema, rsi, macd) resumes from the state saved under `key` in storage and only
+  // processes bars it has not seen. The rest is recomputed as usual. fit() keeps the
+  // saved state inside one record by dropping old points. A state that can't be saved
+  // is reported (state.saved) and logged as an error - the next run would silently
+  // rebuild otherwise.
+  async calculateIncremental(historicalData, spec = {}, { storage, key }) {
+    if (!Array.isArray(historicalData) || historicalData.length === 0) {
+      throw new Error('Historical data is required and must be an array');
+    }
+
+    const declared = { ...this.defaultSpec(), ...spec };
+    const resolved = registry.resolveSpec(declared);
+    const streamed = {};
+    const batch = {};
+    for (const [name, declaration] of Object.entries(declared)) {
+      (registry.get(resolved[name].indicator).stream ? streamed : batch)[name] = declaration;
+    }
+
+    const stream = new IndicatorStream(streamed);
+    try {
+      stream.load(await storage.getRecord(STATE_COLLECTION, key));
+    } catch (error) {
+      console.warn(`Indicator state read failed for ${key}:`, error.message);
+    }
+
+    const { series, rebuilt, reason, applied } = stream.update(historicalData);
+    if (rebuilt) console.log(`Rebuilt indicator state for ${key}: ${reason}`);
+
+    let saved = true;
     try {
-      const sma = new SMA(20);
+      await storage.putRecord(STATE_COLLECTION, key, stream.fit());
+    } catch (error) {
+      saved = false;
+      console.error(`Indicator state for ${key} was not saved - every run will rebuild it:`, error.message);
+    }
+
+    const all = { ...series, ...computeIndicators(historicalData, batch) };
+    return {
+      // Same key order as calculate()
+      series: Object.fromEntries(Object.keys(declared).map(name => [name, all[name]])),
+      state: { key, rebuilt, reason, applied, saved }
+    };
+  }
+
+  // The settings as a registry declaration - signal thresholds stay out of it
+  defaultSpec() {
+    const { sma, ema, rsi, macd, sma50, sma200, bollinger, atr, stochastic, adx, vwap, donchian } = this.settings;
+    return {
+      sma: { period: sma.period },
+      ema: { period: ema.period },
+      rsi: { period: rsi.period },
+      macd: { fast: macd.fast, slow: macd.slow, signal: macd.signal },
+      sma50: { indicator: 'sma', period: sma50.period },
+      sma200: { indicator: 'sma', period: sma200.period },
+      bollinger: { indicator: 'bb', period: bollinger.period, k: bollinger.stdDev },
+      atr: { period: atr.period },
+      stochastic: { indicator: 'stoch', period: stochastic.period, smoothK: stochastic.smoothK, smoothD: stochastic.smoothD },
+      adx: { period: adx.period },
+      vwap: { resetDaily: vwap.resetDaily },
+      obv: {},
+      donchian: { period: donchian.period }
+    };
+  }
+
+  calculateSMA(data, period = this.settings.sma.period) {
+    try {
+      const sma = new SMA(period);
       const results = [];
       
       data.forEach((candle, index) => {
@@ -50,9 +140,9 @@ export class TechnicalIndicators {
     }
   }
 
-  calculateEMA(data) {
+  calculateEMA(data, period = this.settings.ema.period) {
     try {
-      const ema = new EMA(12);
+      const ema = new EMA(period);
       const results = [];
       
       data.forEach((candle, index) => {
@@ -72,9 +162,9 @@ export class TechnicalIndicators {
     }
   }
 
-  calculateRSI(data) {
+  calculateRSI(data, period = this.settings.rsi.period) {
     try {
-      const rsi = new RSI(14);
+      const rsi = new RSI(period);
       const results = [];
       
       data.forEach((candle, index) => {
@@ -94,12 +184,12 @@ export class TechnicalIndicators {
     }
   }
 
-  calculateMACD(data) {
+  calculateMACD(data, { fast, slow, signal } = this.settings.macd) {
     try {
       // Fix: Proper MACD constructor with indicator instances
-      const fastEMA = new EMA(12);
-      const slowEMA = new EMA(26);
-      const signalEMA = new EMA(9);
+      const fastEMA = new EMA(fast);
+      const slowEMA = new EMA(slow);
+      const signalEMA = new EMA(signal);
       
       const results = [];
       let macdValues = [];
@@ -139,15 +229,185 @@ export class TechnicalIndicators {
     }
   }
 
+  // Middle band as `value`, plus upper/lower bands and bandwidth (% of middle)
+  calculateBollingerBands(data, { period, stdDev } = this.settings.bollinger) {
+    try {
+      const bands = new FasterBollingerBands(period, stdDev);
+      const results = [];
+
+      data.forEach(candle => {
+        bands.update(candle.close);
+        if (bands.isStable) {
+          const { upper, middle, lower } = bands.getResult();
+          results.push({
+            date: candle.date,
+            value: round(middle),
+            upper: round(upper),
+            lower: round(lower),
+            bandwidth: middle ? round((upper - lower) / middle * 100) : 0
+          });
+        }
+      });
+
+      return results;
+    } catch (error) {
+      console.error('Bollinger Bands calculation error:', error);
+      return [];
+    }
+  }
+
+  calculateATR(data, { period } = this.settings.atr) {
+    try {
+      const atr = new FasterATR(period);
+      const results = [];
+
+      data.forEach(candle => {
+        atr.update(toCandle(candle));
+        if (atr.isStable) {
+          results.push({ date: candle.date, value: round(atr.getResult()) });
+        }
+      });
+
+      return results;
+    } catch (error) {
+      console.error('ATR calculation error:', error);
+      return [];
+    }
+  }
+
+  // Slow %K as `value` and %D as `d`
+  calculateStochastic(data, { period, smoothK, smoothD } = this.settings.stochastic) {
+    try {
+      const stochastic = new FasterStochasticOscillator(period, smoothK, smoothD);
+      const results = [];
+
+      data.forEach(candle => {
+        const result = stochastic.update(toCandle(candle));
+        if (result) {
+          results.push({
+            date: candle.date,
+            value: round(result.stochK, 2),
+            d: round(result.stochD, 2)
+          });
+        }
+      });
+
+      return results;
+    } catch (error) {
+      console.error('Stochastic calculation error:', error);
+      return [];
+    }
+  }
+
+  // ADX as `value` with the directional indicators +DI/-DI (0-100)
+  calculateADX(data, { period } = this.settings.adx) {
+    try {
+      const adx = new FasterADX(period);
+      const results = [];
+
+      data.forEach(candle => {
+        adx.update(toCandle(candle));
+        if (adx.isStable) {
+          results.push({
+            date: candle.date,
+            value: round(adx.getResult(), 2),
+            plusDI: round((adx.pdi || 0) * 100, 2),
+            minusDI: round((adx.mdi || 0) * 100, 2)
+          });
+        }
+      });
+
+      return results;
+    } catch (error) {
+      console.error('ADX calculation error:', error);
+      return [];
+    }
+  }
+
+  // Volume-weighted typical price. Intraday bars restart at each UTC day;
+  // daily and longer bars accumulate over the whole window.
+  calculateVWAP(data, { resetDaily } = this.settings.vwap) {
+    try {
+      const daily = resetDaily ?? isIntraday(data);
+      const results = [];
+      let session = null;
+      let priceVolume = 0;
+      let totalVolume = 0;
+
+      data.forEach(candle => {
+        const day = String(candle.date).slice(0, 10);
+        if (daily && day !== session) {
+          session = day;
+          priceVolume = 0;
+          totalVolume = 0;
+        }
+
+        const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+        priceVolume += typicalPrice * (candle.volume || 0);
+        totalVolume += candle.volume || 0;
+
+        results.push({
+          date: candle.date,
+          value: round(totalVolume > 0 ? priceVolume / totalVolume : typicalPrice)
+        });
+      });
+
+      return results;
+    } catch (error) {
+      console.error('VWAP calculation error:', error);
+      return [];
+    }
+  }
+
+  calculateOBV(data) {
+    try {
+      const obv = new FasterOBV();
+      const results = [];
+
+      data.forEach(candle => {
+        const value = obv.update(toCandle(candle));
+        if (value !== undefined) {
+          results.push({ date: candle.date, value: round(value, 2) });
+        }
+      });
+
+      return results;
+    } catch (error) {
+      console.error('OBV calculation error:', error);
+      return [];
+    }
+  }
+
+  // Highest high / lowest low of the last `period` bars; midpoint as `value`
+  calculateDonchian(data, { period } = this.settings.donchian) {
+    try {
+      const results = [];
+
+      data.forEach((candle, index) => {
+        if (index + 1 < period) return;
+        const window = data.slice(index + 1 - period, index + 1);
+        const upper = Math.max(...window.map(c => c.high));
+        const lower = Math.min(...window.map(c => c.low));
+        results.push({
+          date: candle.date,
+          value: round((upper + lower) / 2),
+          upper: round(upper),
+          lower: round(lower)
+        });
+      });
+
+      return results;
+    } catch (error) {
+      console.error('Donchian calculation error:', error);
+      return [];
+    }
+  }
+
   // Simple trading signals based on indicators
   generateSignals(indicators, currentPrice) {
     try {
-      const signals = {
-        sma: 'HOLD',
-        rsi: 'HOLD',
-        macd: 'HOLD',
-        overall: 'HOLD'
-      };
+      const signals = holdSignals();
+      const latest = series => (Array.isArray(series) && series.length > 0 ? series[series.length - 1] : null);
 
       // SMA signal
       if (indicators.sma && indicators.sma.length > 0) {
@@ -158,8 +418,8 @@ export class TechnicalIndicators {
       // RSI signal
       if (indicators.rsi && indicators.rsi.length > 0) {
         const latestRSI = indicators.rsi[indicators.rsi.length - 1].value;
-        if (latestRSI > 70) signals.rsi = 'SELL';
-        else if (latestRSI < 30) signals.rsi = 'BUY';
+        if (latestRSI > this.settings.rsi.overbought) signals.rsi = 'SELL';
+        else if (latestRSI < this.settings.rsi.oversold) signals.rsi = 'BUY';
       }
 
       // MACD signal
@@ -175,6 +435,65 @@ export class TechnicalIndicators {
         }
       }
 
+      // Long-term trend: SMA50 above/below SMA200
+      const sma50 = latest(indicators.sma50);
+      const sma200 = latest(indicators.sma200);
+      if (sma50 && sma200) {
+        signals.smaCross = sma50.value > sma200.value ? 'BUY' : 'SELL';
+      }
+
+      // Bollinger: mean reversion outside the bands
+      const bands = latest(indicators.bollinger);
+      if (bands) {
+        if (currentPrice < bands.lower) signals.bollinger = 'BUY';
+        else if (currentPrice > bands.upper) signals.bollinger = 'SELL';
+      }
+
+      // ATR: volatility breakout away from the EMA
+      const atr = latest(indicators.atr);
+      const ema = latest(indicators.ema);
+      if (atr && ema) {
+        const band = atr.value * this.settings.atr.multiplier;
+        if (currentPrice > ema.value + band) signals.atr = 'BUY';
+        else if (currentPrice < ema.value - band) signals.atr = 'SELL';
+      }
+
+      // Stochastic: %K crossing %D inside the extreme zones
+      const stochastic = latest(indicators.stochastic);
+      if (stochastic) {
+        const { overbought, oversold } = this.settings.stochastic;
+        if (stochastic.value < oversold && stochastic.value > stochastic.d) signals.stochastic = 'BUY';
+        else if (stochastic.value > overbought && stochastic.value < stochastic.d) signals.stochastic = 'SELL';
+      }
+
+      // ADX: follow +DI/-DI only when the trend is strong
+      const adx = latest(indicators.adx);
+      if (adx && adx.value >= this.settings.adx.trendThreshold) {
+        signals.adx = adx.plusDI > adx.minusDI ? 'BUY' : 'SELL';
+      }
+
+      // VWAP: price above/below the volume-weighted average
+      const vwap = latest(indicators.vwap);
+      if (vwap) {
+        signals.vwap = currentPrice > vwap.value ? 'BUY' : 'SELL';
+      }
+
+      // OBV: is volume flowing in or out over the trend period
+      const trendPeriod = this.settings.obv.trendPeriod;
+      if (indicators.obv && indicators.obv.length > trendPeriod) {
+        const now = indicators.obv[indicators.obv.length - 1].value;
+        const before = indicators.obv[indicators.obv.length - 1 - trendPeriod].value;
+        if (now > before) signals.obv = 'BUY';
+        else if (now < before) signals.obv = 'SELL';
+      }
+
+      // Donchian: breakout beyond the previous bar's channel
+      if (indicators.donchian && indicators.donchian.length > 1) {
+        const previous = indicators.donchian[indicators.donchian.length - 2];
+        if (currentPrice > previous.upper) signals.donchian = 'BUY';
+        else if (currentPrice < previous.lower) signals.donchian = 'SELL';
+      }
+
       // Overall signal (simple majority)
       const buyCount = Object.values(signals).filter(s => s === 'BUY').length;
       const sellCount = Object.values(signals).filter(s => s === 'SELL').length;
@@ -185,9 +504,124 @@ export class TechnicalIndicators {
       return signals;
     } catch (error) {
       console.error('Signal generation error:', error);
-      return { sma: 'HOLD', rsi: 'HOLD', macd: 'HOLD', overall: 'HOLD' };
+      return holdSignals();
     }
   }
 }
 
+// ---- Built-in indicators ----
+
+const builtins = new TechnicalIndicators();
+const period = fallback => ({ type: 'integer', min: 1, default: fallback });
+
+registerIndicator('sma', {
+  description: 'Simple moving average of closes',
+  params: { period: period(20) },
+  compute: (bars, params) => builtins.calculateSMA(bars, params.period),
+  stream: STREAMS.sma
+});
+
+registerIndicator('ema', {
+  description: 'Exponential moving average of closes',
+  params: { period: period(12) },
+  compute: (bars, params) => builtins.calculateEMA(bars, params.period),
+  stream: STREAMS.ema
+});
+
+registerIndicator('rsi', {
+  description: 'Relative strength index (0-100)',
+  params: { period: period(14) },
+  compute: (bars, params) => builtins.calculateRSI(bars, params.period),
+  stream: STREAMS.rsi
+});
+
+registerIndicator('macd', {
+  description: 'MACD line, signal line and histogram ({ date, macd, signal, histogram })',
+  params: { fast: period(12), slow: period(26), signal: period(9) },
+  compute: (bars, params) => builtins.calculateMACD(bars, params),
+  stream: STREAMS.macd
+});
+
+registerIndicator('bb', {
+  description: 'Bollinger Bands: middle as value, upper, lower, bandwidth',
+  params: { period: period(20), k: { type: 'number', min: 0, default: 2 } },
+  compute: (bars, params) => builtins.calculateBollingerBands(bars, { period: params.period, stdDev: params.k })
+});
+
+registerIndicator('atr', {
+  description: 'Average true range',
+  params: { period: period(14) },
+  compute: (bars, params) => builtins.calculateATR(bars, params)
+});
+
+registerIndicator('stoch', {
+  description: 'Stochastic oscillator: slow %K as value, %D as d',
+  params: { period: period(14), smoothK: period(3), smoothD: period(3) },
+  compute: (bars, params) => builtins.calculateStochastic(bars, params)
+});
+
+registerIndicator('adx', {
+  description: 'Average directional index with +DI/-DI',
+  params: { period: period(14) },
+  compute: (bars, params) => builtins.calculateADX(bars, params)
+});
+
+registerIndicator('vwap', {
+  description: 'Volume-weighted average price (resetDaily null = auto)',
+  params: { resetDaily: { type: 'boolean', default: null } },
+  compute: (bars, params) => builtins.calculateVWAP(bars, params)
+});
+
+registerIndicator('obv', {
+  description: 'On-balance volume',
+  params: {},
+  compute: bars => builtins.calculateOBV(bars)
+});
+
+registerIndicator('donchian', {
+  description: 'Donchian channel: midpoint as value, upper, lower',
+  params: { period: period(20) },
+  compute: (bars, params) => builtins.calculateDonchian(bars, params)
+});
+
+// One vote per indicator, plus the majority in `overall`
+function holdSignals() {
+  return {
+    sma: 'HOLD',
+    rsi: 'HOLD',
+    macd: 'HOLD',
+    smaCross: 'HOLD',
+    bollinger: 'HOLD',
+    atr: 'HOLD',
+    stochastic: 'HOLD',
+    adx: 'HOLD',
+    vwap: 'HOLD',
+    obv: 'HOLD',
+    donchian: 'HOLD',
+    overall: 'HOLD'
+  };
+}
+
+function toCandle(candle) {
+  return {
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume || 0
+  };
+}
+
+function round(value, decimals = 4) {
+  return parseFloat(Number(value).toFixed(decimals));
+}
+
+// Bars closer together than a day
+function isIntraday(data) {
+  if (data.length < 2) return false;
+  const spacing = new Date(data[1].date) - new Date(data[0].date);
+  return spacing > 0 && spacing < 24 * 60 * 60 * 1000;
+}
+
+export { registry, registerIndicator, computeIndicators, latestValues };
 export default TechnicalIndicators;
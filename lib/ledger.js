@@ -0,0 +1,241 @@
+// lib/ledger.js - Tax-lot ledger with realized P&L per closing trade
+import logger from './logger.js';
+
+const LOTS_COLLECTION = 'lots';
+const REALIZED_COLLECTION = 'realized';
+
+export const LOT_METHODS = ['FIFO', 'LIFO', 'AVERAGE'];
+
+// Close `quantity` out of `lots` (oldest first) using FIFO, LIFO or average cost.
+// Returns { closed: [{ lotId, quantity, entryPrice, fees, openedAt }], remaining: lots }
+export function closeLots(lots, quantity, method = 'FIFO') {
+  const open = lots.filter(lot => lot.remaining > 1e-12).map(lot => ({ ...lot }));
+  const available = open.reduce((sum, lot) => sum + lot.remaining, 0);
+  let toClose = Math.min(quantity, available);
+  const closed = [];
+
+  if (method === 'AVERAGE') {
+    // Every lot gives up the same share, so the basis is the average entry price
+    const fraction = available > 0 ? toClose / available : 0;
+    for (const lot of open) {
+      const qty = lot.remaining * fraction;
+      if (qty <= 1e-12) continue;
+      closed.push(takeFromLot(lot, qty));
+    }
+  } else {
+    const ordered = method === 'LIFO' ? [...open].reverse() : open;
+    for (const lot of ordered) {
+      if (toClose <= 1e-12) break;
+      const qty = Math.min(lot.remaining, toClose);
+      closed.push(takeFromLot(lot, qty));
+      toClose -= qty;
+    }
+  }
+
+  return { closed, remaining: open.filter(lot => lot.remaining > 1e-12) };
+}
+
+function takeFromLot(lot, qty) {
+  // Buy fees follow the quantity they paid for
+  const fees = lot.quantity > 0 ? (lot.fees || 0) * (qty / lot.quantity) : 0;
+  lot.remaining = round(lot.remaining - qty, 12);
+  return {
+    lotId: lot.id,
+    quantity: qty,
+    entryPrice: lot.price,
+    fees,
+    openedAt: lot.openedAt
+  };
+}
+
+// Apply a BUY/SELL trade (with `symbol`) to a lot book without touching storage.
+// Returns { lots, realized } - realized is set for SELLs - or null for empty trades.
+// `fallbackBasis` is the entry price for any part of a SELL no lot covers.
+export function applyTradeToLots(lots, trade, { method = 'FIFO', fallbackBasis = null } = {}) {
+  const quantity = parseFloat(trade.quantity) || 0;
+  const price = parseFloat(trade.price) || 0;
+  const fees = parseFloat(trade.fees) || 0;
+  const timestamp = trade.timestamp || new Date().toISOString();
+
+  if (quantity <= 0 || price <= 0) return null;
+
+  if (trade.action === 'BUY') {
+    return {
+      lots: [...lots, {
+        id: `${trade.id || trade.orderId || 'lot'}_${lots.length + 1}`,
+        openedAt: timestamp,
+        quantity,
+        remaining: quantity,
+        price,
+        fees,
+        orderId: trade.orderId || null
+      }],
+      realized: null
+    };
+  }
+
+  if (trade.action !== 'SELL') return null;
+
+  const { closed, remaining } = closeLots(lots, quantity, method);
+  const closedQty = closed.reduce((sum, c) => sum + c.quantity, 0);
+
+  // Part of the sale has no lot behind it - fall back to the position's average price
+  const unmatchedQty = quantity - closedQty;
+  if (unmatchedQty > 1e-9) {
+    closed.push({
+      lotId: null,
+      quantity: unmatchedQty,
+      entryPrice: fallbackBasis || price,
+      fees: 0,
+      openedAt: null
+    });
+    logger.warn(`⚠️ ${trade.symbol} SELL of ${unmatchedQty} has no open lots - using ${fallbackBasis ? 'position average price' : 'sale price'} as basis`);
+  }
+
+  const exitTime = new Date(timestamp).getTime();
+  const lotResults = closed.map(c => {
+    const sellFees = fees * (c.quantity / quantity);
+    const pnl = (price - c.entryPrice) * c.quantity - c.fees - sellFees;
+    return {
+      lotId: c.lotId,
+      quantity: round(c.quantity, 8),
+      entryPrice: c.entryPrice,
+      exitPrice: price,
+      openedAt: c.openedAt,
+      holdingPeriodHours: c.openedAt ? round((exitTime - new Date(c.openedAt).getTime()) / 3600000, 2) : null,
+      fees: round(c.fees + sellFees, 6),
+      pnl: round(pnl, 6)
+    };
+  });
+
+  const realizedPnL = lotResults.reduce((sum, r) => sum + r.pnl, 0);
+  const costBasis = lotResults.reduce((sum, r) => sum + r.entryPrice * r.quantity, 0);
+  const timed = lotResults.filter(r => r.holdingPeriodHours !== null);
+  const timedQty = timed.reduce((sum, r) => sum + r.quantity, 0);
+
+  return {
+    lots: remaining,
+    realized: {
+      tradeId: trade.id || null,
+      orderId: trade.orderId || null,
+      symbol: trade.symbol,
+      method,
+      closedAt: timestamp,
+      quantity,
+      exitPrice: price,
+      averageEntryPrice: quantity > 0 ? round(costBasis / quantity, 6) : 0,
+      fees: round(lotResults.reduce((sum, r) => sum + r.fees, 0), 6),
+      pnl: round(realizedPnL, 6),
+      pnlPercent: costBasis > 0 ? round(realizedPnL / costBasis * 100, 4) : 0,
+      // Quantity-weighted holding period across the closed lots
+      holdingPeriodHours: timedQty > 0 ? round(timed.reduce((sum, r) => sum + r.holdingPeriodHours * r.quantity, 0) / timedQty, 2) : null,
+      lots: lotResults
+    }
+  };
+}
+
+// The lot book after a position adjustment: one lot holding the adjusted quantity
+export function adjustmentLots({ id, quantity, averagePrice, timestamp }) {
+  if (!(quantity > 0)) return [];
+  return [{ id: `${id}_1`, openedAt: timestamp, quantity, remaining: quantity, price: averagePrice, fees: 0, orderId: null }];
+}
+
+function realizedKey(realized) {
+  return realized.tradeId || `${realized.symbol}_${new Date(realized.closedAt).getTime()}`;
+}
+
+class LotLedger {
+  constructor(storage, { method = process.env.LOT_METHOD || 'FIFO' } = {}) {
+    this.storage = storage;
+    this.method = LOT_METHODS.includes(method.toUpperCase()) ? method.toUpperCase() : 'FIFO';
+  }
+
+  async getOpenLots(symbol) {
+    const book = await this.storage.getRecord(LOTS_COLLECTION, symbol);
+    return book ? book.lots : [];
+  }
+
+  // Open lots for every symbol: { [symbol]: lots }
+  async getAllOpenLots() {
+    const books = await this.storage.listRecords(LOTS_COLLECTION);
+    return Object.fromEntries(books.filter(b => b.lots.length > 0).map(b => [b.symbol, b.lots]));
+  }
+
+  // Apply a trade to the lot book. BUY opens a lot; SELL closes lots and returns
+  // the realized result. `fallbackBasis()` supplies an entry price when there are
+  // no lots on record (positions opened before the ledger existed).
+  async applyTrade(symbol, trade, fallbackBasis = null) {
+    const lots = await this.getOpenLots(symbol);
+    const quantity = parseFloat(trade.quantity) || 0;
+    const available = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const needsBasis = trade.action === 'SELL' && quantity - available > 1e-9;
+    const basis = needsBasis && fallbackBasis ? await fallbackBasis() : null;
+
+    const result = applyTradeToLots(lots, { ...trade, symbol }, { method: this.method, fallbackBasis: basis });
+    if (!result) return null;
+
+    await this.storage.putRecord(LOTS_COLLECTION, symbol, { symbol, lots: result.lots });
+    if (!result.realized) return null;
+
+    const { realized } = result;
+    await this.storage.putRecord(REALIZED_COLLECTION, realizedKey(realized), realized);
+
+    logger.info(`💰 Realized P&L for ${symbol}: $${realized.pnl.toFixed(2)} (${this.method})`, {
+      quantity,
+      averageEntryPrice: realized.averageEntryPrice,
+      exitPrice: realized.exitPrice,
+      holdingPeriodHours: realized.holdingPeriodHours
+    });
+
+    return realized;
+  }
+
+  // Replace a symbol's lot book (position adjustments, projection rebuilds)
+  async replaceLots(symbol, lots) {
+    await this.storage.putRecord(LOTS_COLLECTION, symbol, { symbol, lots });
+  }
+
+  // Replace every realized result (projection rebuilds)
+  async replaceRealized(realized) {
+    for (const existing of await this.storage.listRecords(REALIZED_COLLECTION)) {
+      await this.storage.deleteRecord(REALIZED_COLLECTION, realizedKey(existing));
+    }
+    for (const result of realized) {
+      await this.storage.putRecord(REALIZED_COLLECTION, realizedKey(result), result);
+    }
+  }
+
+  async getRealizedTrades(symbol = null) {
+    const realized = await this.storage.listRecords(REALIZED_COLLECTION);
+    return symbol ? realized.filter(r => r.symbol === symbol) : realized;
+  }
+
+  // Win rate, profit factor and totals over closing trades
+  async getRealizedSummary(symbol = null) {
+    return summarizeRealized(await this.getRealizedTrades(symbol));
+  }
+}
+
+export function summarizeRealized(realized) {
+  const wins = realized.filter(r => r.pnl > 0);
+  const losses = realized.filter(r => r.pnl <= 0);
+  const grossProfit = wins.reduce((sum, r) => sum + r.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, r) => sum + r.pnl, 0));
+
+  return {
+    closedTrades: realized.length,
+    realizedPnL: round(grossProfit - grossLoss, 2),
+    winRate: realized.length > 0 ? round(wins.length / realized.length * 100, 1) : 0,
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 3) : (grossProfit > 0 ? null : 0),
+    averageWin: wins.length > 0 ? round(grossProfit / wins.length, 2) : 0,
+    averageLoss: losses.length > 0 ? round(-grossLoss / losses.length, 2) : 0,
+    totalFees: round(realized.reduce((sum, r) => sum + (r.fees || 0), 0), 2)
+  };
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+export { LotLedger };
+export default LotLedger;
@@ -1,7 +1,27 @@
 // lib/logger.js - Enhanced logger with Google Sheets integration status
+
+// Lowest to highest; a level shows its own messages and everything above.
+// LOG_LEVEL picks one, else production logs from info and development from debug.
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
 class Logger {
   constructor() {
-    this.logLevel = process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+    this.logLevel = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL :
+      process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+  }
+
+  // Returns the previous level so callers can put it back
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level} (expected ${LOG_LEVELS.join(', ')})`);
+    }
+    const previous = this.logLevel;
+    this.logLevel = level;
+    return previous;
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.logLevel);
   }
 
   formatMessage(level, message, data = null) {
@@ -16,20 +36,25 @@ class Logger {
   }
 
   debug(message, data = null) {
-    if (this.logLevel === 'debug') {
+    if (this.isEnabled('debug')) {
       console.log(this.formatMessage('debug', message, data));
     }
   }
 
   info(message, data = null) {
-    console.log(this.formatMessage('info', message, data));
+    if (this.isEnabled('info')) {
+      console.log(this.formatMessage('info', message, data));
+    }
   }
 
   warn(message, data = null) {
-    console.warn(this.formatMessage('warn', message, data));
+    if (this.isEnabled('warn')) {
+      console.warn(this.formatMessage('warn', message, data));
+    }
   }
 
   error(message, error = null) {
+    if (!this.isEnabled('error')) return;
     const errorData = error ? {
       message: error.message,
       stack: error.stack,
@@ -103,7 +128,7 @@ class Logger {
     const emoji = healthStatus.status === 'healthy' ? '💚' : '❤️';
     const level = healthStatus.status === 'healthy' ? 'info' : 'error';
     
-    this[level](`${emoji} Google Sheets Storage Health Check`, healthStatus);
+    this[level](`${emoji} Storage Health Check (${healthStatus.backend || 'sheets'})`, healthStatus);
   }
 
   // Environment validation logging
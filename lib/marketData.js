@@ -0,0 +1,130 @@
+// lib/marketData.js - Market data provider selection with ordered failover and caching
+// (MARKET_DATA_PROVIDERS=yahoo,alpaca|replay)
+import MarketDataProvider from './marketData/baseProvider.js';
+import YahooProvider from './marketData/yahooProvider.js';
+import AlpacaProvider from './marketData/alpacaProvider.js';
+import ReplayProvider from './marketData/replayProvider.js';
+import { findInstrument } from './watchlist.js';
+import { isMarketOpen } from './marketHours.js';
+import logger from './logger.js';
+import CachedMarketData from './marketData/cachedProvider.js';
+import defaultStorage from './storage.js';
+
+export const MARKET_DATA_PROVIDERS = {
+  yahoo: options => new YahooProvider(options),
+  alpaca: options => new AlpacaProvider(options),
+  replay: options => new ReplayProvider(options)
+};
+
+// Alpaca data is only a fallback when its keys are configured
+export function getMarketDataProviderNames() {
+  const configured = process.env.MARKET_DATA_PROVIDERS;
+  if (configured) {
+    return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  }
+  return process.env.ALPACA_API_KEY_ID ? ['yahoo', 'alpaca'] : ['yahoo'];
+}
+
+export function createMarketDataProvider(name, options = {}) {
+  const factory = MARKET_DATA_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown market data provider "${name}" - use one of: ${Object.keys(MARKET_DATA_PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+// Asks each provider in turn until one answers. Quotes from live providers older
+// than the symbol's limit count as a failure so the next provider is tried:
+//   trading.maxQuoteAgeSeconds  - the instrument's own limit, if set
+//   maxQuoteAgeSeconds          - while its market is open (always, for crypto)
+//   maxClosedQuoteAgeSeconds    - while it's closed, when the last quote is the last close;
+//                                 the default covers a long weekend
+class FailoverMarketData extends MarketDataProvider {
+  constructor({
+    providers = getMarketDataProviderNames().map(name => createMarketDataProvider(name)),
+    maxQuoteAgeSeconds = parseFloat(process.env.MARKET_DATA_MAX_QUOTE_AGE_SECONDS) || 900,
+    maxClosedQuoteAgeSeconds = parseFloat(process.env.MARKET_DATA_MAX_CLOSED_QUOTE_AGE_SECONDS) || 4 * 24 * 3600,
+    now = () => Date.now()
+  } = {}) {
+    super('failover');
+    if (providers.length === 0) {
+      throw new Error('At least one market data provider is required');
+    }
+    this.providers = providers;
+    this.maxQuoteAgeMs = maxQuoteAgeSeconds * 1000;
+    this.maxClosedQuoteAgeMs = maxClosedQuoteAgeSeconds * 1000;
+    this.now = now;
+  }
+
+  async getQuote(symbol) {
+    return this._tryEach('quote', symbol, async provider => {
+      const quote = await provider.getQuote(symbol);
+      if (!(quote?.price > 0)) {
+        throw new Error('quote has no price');
+      }
+      if (provider.live) this._checkFresh(quote, this.maxQuoteAgeFor(symbol));
+      return quote;
+    });
+  }
+
+  async getBars(symbol, options = {}) {
+    return this._tryEach('bars', symbol, async provider => {
+      const bars = await provider.getBars(symbol, options);
+      if (!Array.isArray(bars) || bars.length === 0) {
+        throw new Error('no bars returned');
+      }
+      return bars;
+    });
+  }
+
+  // Symbols off the watchlist get the open-market limit
+  maxQuoteAgeFor(symbol) {
+    const instrument = findInstrument(symbol);
+    if (instrument?.trading.maxQuoteAgeSeconds) return instrument.trading.maxQuoteAgeSeconds * 1000;
+    if (instrument && !isMarketOpen(instrument.assetClass, this.now())) return this.maxClosedQuoteAgeMs;
+    return this.maxQuoteAgeMs;
+  }
+
+  _checkFresh(quote, maxAgeMs) {
+    const marketTime = new Date(quote.marketTime || quote.timestamp).getTime();
+    if (isNaN(marketTime)) {
+      throw new Error('quote has no market timestamp');
+    }
+    const ageSeconds = Math.round((this.now() - marketTime) / 1000);
+    if (ageSeconds * 1000 > maxAgeMs) {
+      throw new Error(`stale quote (${ageSeconds}s old, max ${maxAgeMs / 1000}s)`);
+    }
+  }
+
+  async _tryEach(kind, symbol, fetch) {
+    const failures = [];
+
+    for (const provider of this.providers) {
+      try {
+        const result = await fetch(provider);
+        if (failures.length > 0) {
+          logger.warn(`Market data ${kind} for ${symbol} served by ${provider.name} after failover`, { failures });
+        }
+        return result;
+      } catch (error) {
+        failures.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    throw new Error(`All market data providers failed for ${symbol} ${kind}: ` +
+      failures.map(f => `${f.provider}: ${f.error}`).join('; '));
+  }
+}
+
+// Failover chain behind the shared cache; MARKET_DATA_CACHE_PERSIST=true also
+// keeps cache entries in the storage backend between invocations
+export function createMarketData({ storage, ...options } = {}) {
+  const persist = process.env.MARKET_DATA_CACHE_PERSIST === 'true';
+  return new CachedMarketData({
+    source: new FailoverMarketData(options),
+    storage: storage !== undefined ? storage : (persist ? defaultStorage : null)
+  });
+}
+
+export { MarketDataProvider, FailoverMarketData, CachedMarketData, YahooProvider, AlpacaProvider, ReplayProvider };
+export default createMarketData();
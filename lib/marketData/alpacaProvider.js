@@ -0,0 +1,104 @@
+// lib/marketData/alpacaProvider.js - Alpaca market data API (stocks v2, crypto v1beta3)
+import MarketDataProvider from './baseProvider.js';
+import alpacaService from '../alpaca.js';
+import { findInstrument } from '../watchlist.js';
+import { resolveHistoryRange } from '../yahooFinance.js';
+
+// Our interval names -> Alpaca timeframes
+const TIMEFRAMES = {
+  '1m': '1Min',
+  '5m': '5Min',
+  '15m': '15Min',
+  '30m': '30Min',
+  '1h': '1Hour',
+  '4h': '4Hour',
+  '1d': '1Day',
+  '1wk': '1Week'
+};
+
+class AlpacaProvider extends MarketDataProvider {
+  constructor({ service = alpacaService } = {}) {
+    super('alpaca');
+    this.service = service;
+  }
+
+  async getQuote(symbol) {
+    const { dataSymbol, crypto, ticker } = this._resolve(symbol);
+
+    let trade;
+    if (crypto) {
+      const trades = await this.service.alpaca.getLatestCryptoTrades([dataSymbol]);
+      trade = trades.get(dataSymbol);
+    } else {
+      trade = await this.service.alpaca.getLatestTrade(dataSymbol);
+    }
+
+    const price = trade?.Price;
+    if (!price) {
+      throw new Error(`No Alpaca trade data for ${dataSymbol}`);
+    }
+
+    return {
+      ticker,
+      price,
+      currency: 'USD',
+      timestamp: new Date().toISOString(),
+      marketTime: new Date(trade.Timestamp).toISOString(),
+      change: 0,
+      changePercent: 0,
+      volume: 0,
+      source: this.name
+    };
+  }
+
+  async getBars(symbol, options = {}) {
+    const { dataSymbol, crypto } = this._resolve(symbol);
+    // Alpaca's own limits depend on the data plan - let the API reject what it can't serve
+    const { interval, start, end } = resolveHistoryRange(options, new Date(), { enforceLimits: false });
+    const params = { start: start.toISOString(), end: end.toISOString(), timeframe: TIMEFRAMES[interval] };
+
+    const bars = [];
+    if (crypto) {
+      const result = await this.service.alpaca.getCryptoBars([dataSymbol], params);
+      for (const bar of result.get(dataSymbol) || []) {
+        bars.push(toBar(bar.Timestamp, bar.Open, bar.High, bar.Low, bar.Close, bar.Volume));
+      }
+    } else {
+      for await (const bar of this.service.alpaca.getBarsV2(dataSymbol, params)) {
+        bars.push(toBar(bar.Timestamp, bar.OpenPrice, bar.HighPrice, bar.LowPrice, bar.ClosePrice, bar.Volume));
+      }
+    }
+
+    if (bars.length === 0) {
+      throw new Error(`No Alpaca bars for ${dataSymbol}`);
+    }
+    return bars;
+  }
+
+  // Alpaca wants BTC/USD for crypto data and the plain ticker for stocks
+  _resolve(symbol) {
+    const instrument = findInstrument(symbol);
+    const brokerSymbol = instrument?.symbol || String(symbol).replace('-', '').replace('/', '');
+    const crypto = instrument ? instrument.assetClass === 'crypto' : /^[A-Z]{2,6}USD$/.test(brokerSymbol);
+
+    return {
+      ticker: instrument?.yahoo || symbol,
+      crypto,
+      dataSymbol: crypto ? `${brokerSymbol.slice(0, -3)}/USD` : brokerSymbol
+    };
+  }
+}
+
+function toBar(timestamp, open, high, low, close, volume) {
+  return {
+    date: new Date(timestamp).toISOString(),
+    open: open || 0,
+    high: high || 0,
+    low: low || 0,
+    close: close || 0,
+    volume: volume || 0
+  };
+}
+
+export { AlpacaProvider };
+export default AlpacaProvider;
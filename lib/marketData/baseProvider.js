@@ -0,0 +1,27 @@
+// lib/marketData/baseProvider.js - Common market data interface shared by every provider
+
+// Every provider exposes the same interface:
+//   getQuote(symbol) resolves to
+//     { ticker, price, currency, timestamp, marketTime, change, changePercent, volume, source }
+//   getBars(symbol, options) resolves to [{ date, open, high, low, close, volume }], oldest first
+//
+// `symbol` may be a broker symbol (ETHUSD) or a Yahoo ticker (ETH-USD); `options` is a
+// lookback string or { interval, lookback, start, end } as accepted by getHistoricalData.
+// `live` providers return real-time quotes and are subject to the stale-quote check.
+class MarketDataProvider {
+  constructor(name = 'base', { live = true } = {}) {
+    this.name = name;
+    this.live = live;
+  }
+
+  async getQuote(symbol) {
+    throw new Error(`${this.name} market data provider does not implement getQuote`);
+  }
+
+  async getBars(symbol, options = {}) {
+    throw new Error(`${this.name} market data provider does not implement getBars`);
+  }
+}
+
+export { MarketDataProvider };
+export default MarketDataProvider;
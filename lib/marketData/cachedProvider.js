@@ -0,0 +1,190 @@
+// lib/marketData/cachedProvider.js - TTL cache in front of another market data provider
+import MarketDataProvider from './baseProvider.js';
+import { toYahooTicker } from '../watchlist.js';
+import logger from '../logger.js';
+
+const CACHE_COLLECTION = 'marketDataCache';
+
+// How long bars stay fresh per interval - roughly how long until the forming
+// candle has moved enough to matter to the indicators
+export const BAR_TTL_SECONDS = {
+  '1m': 30,
+  '5m': 60,
+  '15m': 120,
+  '30m': 300,
+  '1h': 600,
+  '4h': 1800,
+  '1d': 3600,
+  '1wk': 21600
+};
+
+// Identical requests inside the TTL are answered from memory; concurrent
+// identical requests share one upstream call. With a `storage` backend the
+// entries are also written through storage.putRecord so separate invocations
+// (monitor and trading runs on different instances) reuse each other's fetches.
+// Writes also sweep the persisted collection (at most every sweepIntervalSeconds):
+// expired entries are deleted and the rest capped at maxPersistedEntries, so new
+// keys don't grow it forever.
+class CachedMarketData extends MarketDataProvider {
+  constructor({
+    source,
+    storage = null,
+    quoteTtlSeconds = parseFloat(process.env.MARKET_DATA_QUOTE_TTL_SECONDS) || 30,
+    barTtlSeconds = BAR_TTL_SECONDS,
+    maxPersistedEntries = parseInt(process.env.MARKET_DATA_CACHE_MAX_ENTRIES) || 200,
+    sweepIntervalSeconds = parseFloat(process.env.MARKET_DATA_CACHE_SWEEP_SECONDS) || 300,
+    now = () => Date.now()
+  } = {}) {
+    super(`cached(${source.name})`, { live: source.live });
+    this.source = source;
+    this.storage = storage;
+    this.quoteTtlMs = quoteTtlSeconds * 1000;
+    this.barTtlSeconds = barTtlSeconds;
+    this.maxPersistedEntries = maxPersistedEntries;
+    this.sweepIntervalMs = sweepIntervalSeconds * 1000;
+    this.lastSweepAt = null;
+    this.now = now;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.stats = { hits: 0, persistentHits: 0, misses: 0, coalesced: 0, errors: 0 };
+  }
+
+  // Providers behind the cache, for responses and logs
+  get providers() {
+    return this.source.providers || [this.source];
+  }
+
+  async getQuote(symbol) {
+    const ticker = toYahooTicker(symbol);
+    return this._cached(`quote:${ticker}`, this.quoteTtlMs, () => this.source.getQuote(ticker));
+  }
+
+  async getBars(symbol, options = {}) {
+    const ticker = toYahooTicker(symbol);
+    const opts = typeof options === 'string' ? { lookback: options } : (options || {});
+    const interval = opts.interval || '1d';
+    const key = ['bars', ticker, interval, opts.lookback || opts.period || '', opts.start || '', opts.end || ''].join(':');
+    const ttlMs = (this.barTtlSeconds[interval] ?? 60) * 1000;
+
+    return this._cached(key, ttlMs, () => this.source.getBars(ticker, options));
+  }
+
+  getStats() {
+    return withHitRate({ ...this.stats, entries: this.entries.size });
+  }
+
+  // Counters accumulated since an earlier getStats() - one request's share on a warm instance
+  statsSince(snapshot = {}) {
+    const delta = { entries: this.entries.size };
+    for (const [name, count] of Object.entries(this.stats)) {
+      delta[name] = count - (snapshot[name] || 0);
+    }
+    return withHitRate(delta);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  async _cached(key, ttlMs, fetch) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > this.now()) {
+      this.stats.hits++;
+      return structuredClone(entry.value);
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return structuredClone(await this.inFlight.get(key));
+    }
+
+    const pending = this._load(key, ttlMs, fetch);
+    this.inFlight.set(key, pending);
+    try {
+      return structuredClone(await pending);
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async _load(key, ttlMs, fetch) {
+    const persisted = await this._readPersisted(key);
+    if (persisted) {
+      this.stats.persistentHits++;
+      this.entries.set(key, persisted);
+      return persisted.value;
+    }
+
+    this.stats.misses++;
+    let value;
+    try {
+      value = await fetch();
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    }
+
+    const entry = { key, value, expiresAt: this.now() + ttlMs };
+    this.entries.set(key, entry);
+    await this._writePersisted(key, entry);
+    return value;
+  }
+
+  // The persistent cache is best effort - a storage failure only costs a refetch
+  async _readPersisted(key) {
+    if (!this.storage) return null;
+    try {
+      const entry = await this.storage.getRecord(CACHE_COLLECTION, key);
+      if (entry && entry.expiresAt <= this.now()) {
+        await this.storage.deleteRecord(CACHE_COLLECTION, key);
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      logger.warn(`Market data cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async _writePersisted(key, entry) {
+    if (!this.storage) return;
+    try {
+      await this.storage.putRecord(CACHE_COLLECTION, key, entry);
+      await this._sweep();
+    } catch (error) {
+      logger.warn(`Market data cache write failed for ${key}: ${error.message}`);
+    }
+  }
+
+  // Delete expired entries, then the soonest to expire beyond maxPersistedEntries
+  async _sweep() {
+    const now = this.now();
+    if (this.lastSweepAt !== null && now - this.lastSweepAt < this.sweepIntervalMs) return;
+    this.lastSweepAt = now;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+
+    const persisted = (await this.storage.listRecords(CACHE_COLLECTION)).filter(entry => entry?.key);
+    const live = persisted.filter(entry => entry.expiresAt > now).sort((a, b) => b.expiresAt - a.expiresAt);
+    const evicted = [
+      ...persisted.filter(entry => entry.expiresAt <= now),
+      ...live.slice(this.maxPersistedEntries)
+    ];
+    for (const entry of evicted) {
+      await this.storage.deleteRecord(CACHE_COLLECTION, entry.key);
+    }
+  }
+}
+
+function withHitRate(stats) {
+  const lookups = stats.hits + stats.persistentHits + stats.misses + stats.coalesced;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? parseFloat(((lookups - stats.misses) / lookups * 100).toFixed(1)) : 0
+  };
+}
+
+export { CachedMarketData };
+export default CachedMarketData;
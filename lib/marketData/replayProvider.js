@@ -0,0 +1,141 @@
+// lib/marketData/replayProvider.js - Serves recorded quotes and bars from a JSON file
+import { promises as fs } from 'fs';
+import path from 'path';
+import MarketDataProvider from './baseProvider.js';
+import { toYahooTicker } from '../watchlist.js';
+import { resolveHistoryRange } from '../yahooFinance.js';
+
+// Recording format (keys are Yahoo tickers):
+//   {
+//     "quotes": { "ETH-USD": { "price": 3500, "marketTime": "...", ... } },
+//     "bars": { "ETH-USD": { "1d": [{ "date", "open", "high", "low", "close", "volume" }] } }
+//   }
+// A symbol without a recorded quote is quoted at the close of its latest bar.
+// Lookbacks count back from the last recorded bar, not the wall clock, so a
+// recording always replays the same window.
+class ReplayProvider extends MarketDataProvider {
+  constructor({
+    data = null,
+    // An in-memory recording never falls back to (or overwrites) the configured file
+    filePath = data ? null : (process.env.MARKET_DATA_REPLAY_PATH || null)
+  } = {}) {
+    super('replay', { live: false });
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.data = data ? normalizeRecording(data) : null;
+  }
+
+  async _load() {
+    if (this.data) return this.data;
+    if (!this.filePath) {
+      throw new Error('Replay provider needs MARKET_DATA_REPLAY_PATH (or a recording passed in)');
+    }
+    this.data = normalizeRecording(JSON.parse(await fs.readFile(this.filePath, 'utf8')));
+    return this.data;
+  }
+
+  async getQuote(symbol) {
+    const data = await this._load();
+    const ticker = toYahooTicker(symbol);
+    const recorded = data.quotes[ticker];
+
+    if (recorded) {
+      return {
+        ticker,
+        currency: 'USD',
+        change: 0,
+        changePercent: 0,
+        volume: 0,
+        ...recorded,
+        timestamp: recorded.timestamp || recorded.marketTime,
+        source: this.name
+      };
+    }
+
+    const latest = Object.values(data.bars[ticker] || {})
+      .map(bars => bars[bars.length - 1])
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+
+    if (!latest) {
+      throw new Error(`No recorded quote or bars for ${ticker}`);
+    }
+
+    return {
+      ticker,
+      price: latest.close,
+      currency: 'USD',
+      timestamp: latest.date,
+      marketTime: latest.date,
+      change: 0,
+      changePercent: 0,
+      volume: latest.volume,
+      source: this.name
+    };
+  }
+
+  async getBars(symbol, options = {}) {
+    const data = await this._load();
+    const ticker = toYahooTicker(symbol);
+    const interval = (typeof options === 'object' && options?.interval) || '1d';
+    const recorded = data.bars[ticker]?.[interval];
+
+    if (!recorded || recorded.length === 0) {
+      throw new Error(`No recorded ${interval} bars for ${ticker}`);
+    }
+
+    const lastBar = new Date(recorded[recorded.length - 1].date);
+    const { start, end } = resolveHistoryRange(options, lastBar, { enforceLimits: false });
+    const bars = recorded.filter(bar => {
+      const date = new Date(bar.date);
+      return date >= start && date <= end;
+    });
+
+    if (bars.length === 0) {
+      throw new Error(`No recorded ${interval} bars for ${ticker} between ${start.toISOString()} and ${end.toISOString()}`);
+    }
+    return bars;
+  }
+
+  // Store what another provider returns so it can be replayed later
+  async record(provider, symbol, options = {}) {
+    if (!this.data && this.filePath) {
+      try {
+        await this._load();
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    const data = this.data || normalizeRecording({});
+    const ticker = toYahooTicker(symbol);
+    const interval = (typeof options === 'object' && options?.interval) || '1d';
+
+    const quote = await provider.getQuote(symbol);
+    data.quotes[ticker] = { ...quote, source: undefined };
+    data.bars[ticker] = { ...data.bars[ticker], [interval]: await provider.getBars(symbol, options) };
+    this.data = data;
+
+    if (this.filePath) {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
+    }
+    return { ticker, interval, bars: data.bars[ticker][interval].length };
+  }
+}
+
+// A bare array of bars (like the backtest fixtures) is daily bars for the default symbol
+function normalizeRecording(raw) {
+  const recording = Array.isArray(raw) ? { bars: { [toYahooTicker('ETHUSD')]: { '1d': raw } } } : raw;
+  const bars = {};
+
+  for (const [ticker, intervals] of Object.entries(recording.bars || {})) {
+    bars[ticker] = {};
+    for (const [interval, series] of Object.entries(intervals)) {
+      bars[ticker][interval] = [...series].sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+  }
+
+  return { quotes: { ...recording.quotes }, bars };
+}
+
+export { ReplayProvider };
+export default ReplayProvider;
@@ -0,0 +1,22 @@
+// lib/marketData/yahooProvider.js - Yahoo Finance quotes and bars (yahoo-finance2)
+import MarketDataProvider from './baseProvider.js';
+import { getYahooPrice, getHistoricalData } from '../yahooFinance.js';
+import { toYahooTicker } from '../watchlist.js';
+
+class YahooProvider extends MarketDataProvider {
+  constructor() {
+    super('yahoo');
+  }
+
+  async getQuote(symbol) {
+    const quote = await getYahooPrice(toYahooTicker(symbol));
+    return { ...quote, source: this.name };
+  }
+
+  async getBars(symbol, options = {}) {
+    return getHistoricalData(toYahooTicker(symbol), options);
+  }
+}
+
+export { YahooProvider };
+export default YahooProvider;
@@ -0,0 +1,30 @@
+// lib/marketHours.js - When the US equity market is open, for session-aware checks
+//
+// Regular session only: Monday to Friday, 9:30 to 16:00 New York time. Exchange
+// holidays aren't modelled - on one the market counts as open and quotes as stale,
+// which fails safe. Crypto trades around the clock.
+
+const NEW_YORK = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+const OPEN_MINUTE = 9 * 60 + 30;
+const CLOSE_MINUTE = 16 * 60;
+
+export function isEquityMarketOpen(at = Date.now()) {
+  const parts = Object.fromEntries(NEW_YORK.formatToParts(new Date(at)).map(part => [part.type, part.value]));
+  if (parts.weekday === 'Sat' || parts.weekday === 'Sun') return false;
+  const minute = parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+  return minute >= OPEN_MINUTE && minute < CLOSE_MINUTE;
+}
+
+// Whether `assetClass` (a watchlist assetClass) is trading at `at`
+export function isMarketOpen(assetClass, at = Date.now()) {
+  return assetClass === 'crypto' || isEquityMarketOpen(at);
+}
+
+export default { isEquityMarketOpen, isMarketOpen };
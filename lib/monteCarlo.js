@@ -0,0 +1,213 @@
+// lib/monteCarlo.js - Monte Carlo robustness analysis of closed-trade sequences
+//
+// One backtest is one ordering of its trades. Here the closed trades are
+// replayed thousands of times in other orders:
+//   - reshuffle: the same trades in a random order (same final return, different path)
+//   - resample:  trades drawn with replacement (different mix of wins and losses)
+// Each run can also randomly skip trades and add extra adverse slippage.
+//
+// Each trade becomes a return on the equity it was opened with, so a run compounds
+// `1 + multiplier * return` per trade. Drawdowns are measured on closed-trade equity,
+// not bar by bar, so they understate the open-trade swings of a backtest curve.
+import defaultStrategy from './strategy.js';
+import { mulberry32 } from './random.js';
+
+const DEFAULT_OPTIONS = {
+  iterations: 5000,          // Runs per method
+  methods: ['reshuffle', 'resample'],
+  skipProbability: 0,        // Chance each trade is not taken (missed fills, downtime)
+  slippageShockPct: 0,       // Extra adverse slippage per trade, uniform in [0, this] % of notional
+  seed: 1,
+  initialCash: 10000,        // Equity before the first trade, to turn P&L into returns
+  maxDrawdownPct: null,      // Drawdown budget for the size recommendation; default the strategy's MAX_DRAWDOWN_PCT
+  maxMultiplier: 3           // Largest position-size multiplier the recommendation considers
+};
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Closed trades -> per-trade return and exposure as fractions of equity before the trade.
+// Accepts backtest trades (buys have pnl null) or any list of { pnl, quantity, price }.
+export function tradeReturns(trades, initialCash = DEFAULT_OPTIONS.initialCash) {
+  let equity = initialCash;
+  const returns = [];
+  for (const trade of trades) {
+    if (trade.pnl === null || trade.pnl === undefined) continue;
+    if (equity <= 0) break;
+    const notional = Math.abs((trade.quantity || 0) * (trade.price || 0));
+    returns.push({ return: trade.pnl / equity, exposure: notional / equity });
+    equity += trade.pnl;
+  }
+  return returns;
+}
+
+// Linear-interpolated percentiles of an unsorted list
+export function percentiles(values, bands = PERCENTILES) {
+  const sorted = Float64Array.from(values).sort();
+  const at = p => {
+    if (sorted.length === 0) return 0;
+    const rank = (p / 100) * (sorted.length - 1);
+    const low = Math.floor(rank);
+    const high = Math.min(low + 1, sorted.length - 1);
+    return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+  };
+  return Object.fromEntries(bands.map(p => [`p${p}`, round(at(p))]));
+}
+
+export class MonteCarloSimulator {
+  constructor(options = {}) {
+    const provided = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    this.options = { ...DEFAULT_OPTIONS, ...provided };
+    const opts = this.options;
+
+    for (const method of opts.methods) {
+      if (!['reshuffle', 'resample'].includes(method)) {
+        throw new Error(`Unknown Monte Carlo method "${method}" - use reshuffle or resample`);
+      }
+    }
+    if (!Number.isInteger(opts.iterations) || opts.iterations < 1) {
+      throw new Error(`iterations must be a positive integer, got ${opts.iterations}`);
+    }
+    if (!(opts.skipProbability >= 0 && opts.skipProbability < 1)) {
+      throw new Error(`skipProbability must be in [0, 1), got ${opts.skipProbability}`);
+    }
+    if (!(opts.slippageShockPct >= 0)) {
+      throw new Error(`slippageShockPct must be non-negative, got ${opts.slippageShockPct}`);
+    }
+    if (opts.maxDrawdownPct === null) opts.maxDrawdownPct = defaultStrategy.MAX_DRAWDOWN_PCT;
+  }
+
+  run(trades) {
+    const opts = this.options;
+    const returns = tradeReturns(trades, opts.initialCash);
+    if (returns.length === 0) {
+      throw new Error('Monte Carlo analysis needs at least one closed trade');
+    }
+
+    // Draw every run's trade sequence once; the size search below rescales the same runs
+    const random = mulberry32(opts.seed);
+    const runs = {};
+    for (const method of opts.methods) {
+      runs[method] = Array.from({ length: opts.iterations }, () => this.sequence(returns, method, random));
+    }
+    const allRuns = Object.values(runs).flat();
+
+    const byMethod = Object.fromEntries(Object.entries(runs).map(([method, sequences]) => [method, summarize(sequences, 1)]));
+
+    return {
+      trades: returns.length,
+      iterations: opts.iterations,
+      methods: opts.methods,
+      skipProbability: opts.skipProbability,
+      slippageShockPct: opts.slippageShockPct,
+      // The trades in their backtest order, for comparison with the bands
+      original: simulate(Float64Array.from(returns, r => r.return), 1),
+      distributions: summarize(allRuns, 1),
+      byMethod,
+      recommendation: recommendSize(allRuns, opts.maxDrawdownPct, opts.maxMultiplier)
+    };
+  }
+
+  // One run's per-trade returns after reordering, skips and slippage shocks
+  sequence(returns, method, random) {
+    const { skipProbability, slippageShockPct } = this.options;
+    let picked;
+    if (method === 'resample') {
+      picked = Array.from(returns, () => returns[Math.floor(random() * returns.length)]);
+    } else {
+      picked = [...returns];
+      for (let i = picked.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [picked[i], picked[j]] = [picked[j], picked[i]];
+      }
+    }
+
+    const sequence = [];
+    for (const trade of picked) {
+      if (skipProbability > 0 && random() < skipProbability) continue;
+      const shock = slippageShockPct > 0 ? random() * slippageShockPct / 100 : 0;
+      sequence.push(trade.return - trade.exposure * shock);
+    }
+    return Float64Array.from(sequence);
+  }
+}
+
+// Final return, max drawdown and longest losing streak of one run at a size multiplier
+function simulate(sequence, multiplier) {
+  let equity = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let streak = 0;
+  let longestStreak = 0;
+
+  for (const value of sequence) {
+    const change = multiplier * value;
+    equity = Math.max(0, equity * (1 + change));
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+    streak = change <= 0 ? streak + 1 : 0;
+    longestStreak = Math.max(longestStreak, streak);
+    if (equity === 0) break;
+  }
+
+  return {
+    finalReturnPct: round((equity - 1) * 100),
+    maxDrawdownPct: round(maxDrawdown * 100),
+    longestLosingStreak: longestStreak
+  };
+}
+
+function summarize(sequences, multiplier) {
+  const results = sequences.map(sequence => simulate(sequence, multiplier));
+  const distribution = key => {
+    const values = results.map(result => result[key]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return { mean: round(mean), min: round(Math.min(...values)), ...percentiles(values), max: round(Math.max(...values)) };
+  };
+  return {
+    finalReturnPct: distribution('finalReturnPct'),
+    maxDrawdownPct: distribution('maxDrawdownPct'),
+    longestLosingStreak: distribution('longestLosingStreak'),
+    probabilityOfLossPct: round(results.filter(result => result.finalReturnPct < 0).length / results.length * 100)
+  };
+}
+
+function p95Drawdown(sequences, multiplier) {
+  return percentiles(sequences.map(sequence => simulate(sequence, multiplier).maxDrawdownPct), [95]).p95;
+}
+
+// Largest multiplier (to 0.01) whose 95th-percentile drawdown stays within the budget.
+// Drawdowns only grow with size, so a bisection over [0, maxMultiplier] finds it.
+function recommendSize(sequences, maxDrawdownPct, maxMultiplier) {
+  const current = p95Drawdown(sequences, 1);
+  let low = 0;
+  let high = maxMultiplier;
+  if (p95Drawdown(sequences, high) <= maxDrawdownPct) {
+    low = high;
+  } else {
+    while (high - low > 0.005) {
+      const mid = (low + high) / 2;
+      if (p95Drawdown(sequences, mid) <= maxDrawdownPct) low = mid;
+      else high = mid;
+    }
+  }
+  const multiplier = Math.floor(low * 100) / 100;
+
+  return {
+    maxDrawdownPct,
+    p95DrawdownPct: current,
+    multiplier,
+    p95DrawdownAtMultiplierPct: p95Drawdown(sequences, multiplier),
+    withinLimit: current <= maxDrawdownPct
+  };
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// runMonteCarlo({ trades: result.trades, iterations: 2000, skipProbability: 0.1 })
+export function runMonteCarlo({ trades, ...options } = {}) {
+  return new MonteCarloSimulator(options).run(trades || []);
+}
+
+export default MonteCarloSimulator;
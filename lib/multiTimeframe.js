@@ -0,0 +1,164 @@
+// lib/multiTimeframe.js - Entry confirmation across several bar intervals
+//
+// A symbol's `trading.confirmations` lists rules that must all pass before the
+// strategy opens a position, each on its own timeframe:
+//
+//   confirmations: [
+//     { interval: '4h', rule: 'trend', direction: 'up' },          // 4h uptrend
+//     { interval: '1h', rule: 'rsiPullback', below: 45 },          // 1h RSI pullback
+//     { interval: '15m', rule: 'macdCross', within: 3 }            // fresh 15m MACD cross
+//   ]
+//
+// Bars are fetched once per interval through the market data layer, or resampled
+// from a finer interval with `from` ({ interval: '1d', from: '1h', ... }).
+// Exits never wait for confirmation.
+import { computeIndicators } from './indicators.js';
+import { INTERVALS, aggregateBars } from './yahooFinance.js';
+
+// Each rule declares the indicators it reads and judges the latest bars
+export const CONFIRMATION_RULES = {
+  // Close on the right side of a rising (falling) SMA
+  trend: {
+    defaults: { period: 20, direction: 'up' },
+    indicators: ({ period }) => ({ [`sma${period}`]: { indicator: 'sma', period } }),
+    evaluate(series, bars, { period, direction }) {
+      const sma = series[`sma${period}`];
+      if (sma.length < 3) return fail(`not enough bars for SMA${period}`);
+
+      const [older, previous, latest] = sma.slice(-3).map(point => point.value);
+      const close = bars[bars.length - 1].close;
+      const rising = latest > previous && previous > older;
+      const falling = latest < previous && previous < older;
+      const detail = `close ${round(close)} vs SMA${period} ${round(latest)}, SMA ${rising ? 'rising' : falling ? 'falling' : 'flat'}`;
+      const passed = direction === 'up' ? rising && close > latest : falling && close < latest;
+      return { passed, detail };
+    }
+  },
+
+  // RSI dipped to `below` or lower (and not under `floor`)
+  rsiPullback: {
+    defaults: { period: 14, below: 45, floor: 0 },
+    indicators: ({ period }) => ({ [`rsi${period}`]: { indicator: 'rsi', period } }),
+    evaluate(series, bars, { period, below, floor }) {
+      const rsi = series[`rsi${period}`];
+      if (rsi.length === 0) return fail(`not enough bars for RSI${period}`);
+
+      const value = rsi[rsi.length - 1].value;
+      return {
+        passed: value <= below && value >= floor,
+        detail: `RSI${period} ${value} (pullback zone ${floor}-${below})`
+      };
+    }
+  },
+
+  // MACD histogram changed sign in the last `within` bars
+  macdCross: {
+    defaults: { fast: 12, slow: 26, signal: 9, within: 3, direction: 'up' },
+    indicators: ({ fast, slow, signal }) => ({ [`macd${fast}_${slow}_${signal}`]: { indicator: 'macd', fast, slow, signal } }),
+    evaluate(series, bars, { fast, slow, signal, within, direction }) {
+      const macd = series[`macd${fast}_${slow}_${signal}`];
+      if (macd.length < 2) return fail('not enough bars for MACD');
+
+      const recent = macd.slice(-(within + 1));
+      const crossedAt = recent.findIndex((point, i) => i > 0 && (direction === 'up' ?
+        recent[i - 1].histogram <= 0 && point.histogram > 0 :
+        recent[i - 1].histogram >= 0 && point.histogram < 0));
+      const stillOn = direction === 'up' ? recent[recent.length - 1].histogram > 0 : recent[recent.length - 1].histogram < 0;
+      const latest = recent[recent.length - 1];
+      const detail = crossedAt === -1 ?
+        `no ${direction === 'up' ? 'bullish' : 'bearish'} MACD cross in the last ${within} bars (histogram ${latest.histogram})` :
+        `${direction === 'up' ? 'bullish' : 'bearish'} MACD cross ${recent.length - 1 - crossedAt} bar(s) ago (histogram ${latest.histogram})`;
+      return { passed: crossedAt !== -1 && stillOn, detail };
+    }
+  }
+};
+
+// Fill rule defaults and reject anything the evaluator would not understand
+export function resolveConfirmations(rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new Error('trading.confirmations must be an array of rules');
+  }
+
+  return rules.map((rule, index) => {
+    const { interval, rule: name, lookback = null, from = null, ...params } = rule || {};
+    const definition = CONFIRMATION_RULES[name];
+    if (!definition) {
+      throw new Error(`Confirmation ${index + 1}: unknown rule "${name}" (expected ${Object.keys(CONFIRMATION_RULES).join(', ')})`);
+    }
+    if (!INTERVALS[interval]) {
+      throw new Error(`Confirmation ${index + 1}: unsupported interval "${interval}"`);
+    }
+    if (from && (!INTERVALS[from] || INTERVALS[interval].minutes % INTERVALS[from].minutes !== 0 || from === interval)) {
+      throw new Error(`Confirmation ${index + 1}: ${interval} bars cannot be built from ${from} bars`);
+    }
+    for (const key of Object.keys(params)) {
+      if (!(key in definition.defaults)) {
+        throw new Error(`Confirmation ${index + 1}: rule "${name}" has no parameter "${key}"`);
+      }
+    }
+    return { interval, rule: name, lookback, from, params: { ...definition.defaults, ...params } };
+  });
+}
+
+// Bars and the indicators the rules need, keyed by interval:
+// { '4h': { bars, series, source } } or { '4h': { error } } when the fetch failed
+export async function loadTimeframes(marketData, ticker, rules) {
+  const resolved = resolveConfirmations(rules);
+  const byInterval = new Map();
+  for (const rule of resolved) {
+    const entry = byInterval.get(rule.interval) || { from: rule.from, lookback: rule.lookback, spec: {} };
+    Object.assign(entry.spec, CONFIRMATION_RULES[rule.rule].indicators(rule.params));
+    byInterval.set(rule.interval, entry);
+  }
+
+  const timeframes = {};
+  for (const [interval, { from, lookback, spec }] of byInterval) {
+    try {
+      const bars = from ?
+        aggregateBars(await marketData.getBars(ticker, { interval: from, lookback }), INTERVALS[interval].minutes) :
+        await marketData.getBars(ticker, { interval, lookback });
+      if (!Array.isArray(bars) || bars.length === 0) throw new Error(`no ${interval} bars`);
+      timeframes[interval] = { bars, series: computeIndicators(bars, spec), source: from ? `${from} resampled` : interval };
+    } catch (error) {
+      timeframes[interval] = { error: error.message };
+    }
+  }
+  return timeframes;
+}
+
+// Every rule must pass; a timeframe without data vetoes the entry
+export function evaluateConfirmations(rules, timeframes = {}) {
+  const results = resolveConfirmations(rules).map(({ interval, rule, params }) => {
+    const timeframe = timeframes[interval];
+    const outcome = !timeframe ? fail(`no ${interval} data loaded`) :
+      timeframe.error ? fail(`${interval} data unavailable: ${timeframe.error}`) :
+      CONFIRMATION_RULES[rule].evaluate(timeframe.series, timeframe.bars, params);
+    return { interval, rule, ...outcome };
+  });
+
+  return {
+    passed: results.every(result => result.passed),
+    results,
+    vetoes: results.filter(result => !result.passed)
+  };
+}
+
+// One reasoning line per rule: "✓ 4h trend: ..." / "✗ 15m macdCross: ..."
+export function describeConfirmations({ results }) {
+  return results.map(({ interval, rule, passed, detail }) => `${passed ? '✓' : '✗'} ${interval} ${rule}: ${detail}`);
+}
+
+function fail(detail) {
+  return { passed: false, detail };
+}
+
+function round(value) {
+  return parseFloat(Number(value).toFixed(4));
+}
+
+export default {
+  resolveConfirmations,
+  loadTimeframes,
+  evaluateConfirmations,
+  describeConfirmations
+};
@@ -0,0 +1,274 @@
+// lib/optimizer.js - Walk-forward parameter search over the backtester
+//
+// The data is cut into rolling windows: parameters are picked on an in-sample
+// stretch and then scored, unchanged, on the out-of-sample stretch that follows.
+// Only the out-of-sample results say anything about how the parameters would have
+// done live; the in-sample numbers are reported next to them to show the overfit.
+//
+//   |---- in-sample 1 ----|-- oos 1 --|
+//              |---- in-sample 2 ----|-- oos 2 --|
+//                         |---- in-sample 3 ----|-- oos 3 --|
+//
+// The recommended parameters are the best on the most recent in-sample window,
+// and exportParams() writes them where strategyFor() can load them
+// (`trading.strategyParams` in config/symbols.js).
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Backtester, loadBars, calculateBacktestStats } from './backtest.js';
+import TechnicalIndicators from './indicators.js';
+import { ProfessionalTradingStrategy } from './strategy.js';
+import RuleStrategy, { loadStrategyDefinition } from './ruleStrategy.js';
+import { mulberry32 } from './random.js';
+
+// The hand-tuned constants of the built-in strategy
+export const DEFAULT_PARAMETER_SPACE = {
+  RSI_OVERSOLD: [25, 30, 35, 40],
+  STOP_LOSS_PCT: { min: 1.5, max: 3, step: 0.5 },
+  PROFIT_TARGET_PCT: { min: 2, max: 5, step: 1 },
+  TRAILING_STOP_PCT: [0.5, 1, 1.5]
+};
+
+const DEFAULT_OPTIONS = {
+  strategy: 'builtin',          // 'builtin' or a config/strategies definition name/path
+  space: DEFAULT_PARAMETER_SPACE,
+  inSampleBars: 120,
+  outOfSampleBars: 30,
+  stepBars: null,               // Defaults to outOfSampleBars (non-overlapping out-of-sample windows)
+  search: 'grid',               // 'grid' or 'random'
+  samples: 50,                  // Parameter sets tried per window by random search
+  seed: 1,
+  objective: 'sharpeRatio',     // Any numeric backtest stat, higher is better
+  minTrades: 1,                 // In-sample runs with fewer trades can't win the window
+  backtest: {}                  // Passed to the Backtester (fees, slippage, lookback...)
+};
+
+// Every value a parameter can take: [a, b, c] or { min, max, step }
+export function expandSpace(space) {
+  return Object.fromEntries(Object.entries(space).map(([name, range]) => {
+    if (Array.isArray(range)) {
+      if (range.length === 0) throw new Error(`Parameter "${name}" has no values`);
+      return [name, range];
+    }
+    const { min, max, step } = range || {};
+    if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+      throw new Error(`Parameter "${name}" needs a list or { min, max, step } with step > 0`);
+    }
+    const values = [];
+    for (let i = 0; min + i * step <= max + 1e-9; i++) {
+      values.push(parseFloat((min + i * step).toFixed(10)));
+    }
+    return [name, values];
+  }));
+}
+
+// Cartesian product of the expanded space
+export function gridCandidates(space) {
+  return Object.entries(expandSpace(space)).reduce(
+    (sets, [name, values]) => sets.flatMap(set => values.map(value => ({ ...set, [name]: value }))),
+    [{}]
+  );
+}
+
+// `samples` distinct sets drawn from the grid with a seeded generator, so runs repeat
+export function randomCandidates(space, samples, seed = 1) {
+  const grid = gridCandidates(space);
+  const random = mulberry32(seed);
+  for (let i = grid.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [grid[i], grid[j]] = [grid[j], grid[i]];
+  }
+  return grid.slice(0, Math.min(samples, grid.length));
+}
+
+// In-sample and out-of-sample bar ranges ([start, end) indexes)
+export function walkForwardWindows(barCount, { inSampleBars, outOfSampleBars, stepBars = null }) {
+  const step = stepBars || outOfSampleBars;
+  const windows = [];
+  for (let start = 0; start + inSampleBars + outOfSampleBars <= barCount; start += step) {
+    windows.push({
+      inSample: [start, start + inSampleBars],
+      outOfSample: [start + inSampleBars, start + inSampleBars + outOfSampleBars]
+    });
+  }
+  return windows;
+}
+
+export class WalkForwardOptimizer {
+  constructor(options = {}) {
+    const provided = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    this.options = { ...DEFAULT_OPTIONS, ...provided };
+    const objectives = Object.keys(calculateBacktestStats([], []));
+    if (!objectives.includes(this.options.objective)) {
+      throw new Error(`Unknown objective "${this.options.objective}" - use one of ${objectives.join(', ')}`);
+    }
+    this.definition = this.options.strategy === 'builtin' ? null : loadStrategyDefinition(this.options.strategy);
+    for (const name of this.definition ? Object.keys(this.options.space) : []) {
+      if (!(name in (this.definition.params || {}))) {
+        throw new Error(`Strategy "${this.definition.name}" has no param "${name}" to optimize`);
+      }
+    }
+    // Indicators don't depend on the parameters being searched, so every
+    // candidate replaying the same bars shares one calculation
+    this.indicators = new MemoizedIndicators();
+  }
+
+  // Strategy instance for one parameter set
+  createStrategy(params) {
+    return this.definition ? new RuleStrategy(this.definition, params) : new ProfessionalTradingStrategy(params);
+  }
+
+  // `bars` oldest first, as loadBars() returns them
+  run(bars) {
+    const opts = this.options;
+    const windows = walkForwardWindows(bars.length, opts);
+    if (windows.length === 0) {
+      throw new Error(`Need at least ${opts.inSampleBars + opts.outOfSampleBars} bars for one walk-forward window, got ${bars.length}`);
+    }
+
+    const candidates = this.candidates();
+    // Validate every set up front (unknown names, non-numbers) before hours of replays
+    candidates.forEach(params => this.createStrategy(params));
+
+    const results = windows.map((window, index) => {
+      const inSampleBars = bars.slice(...window.inSample);
+      const best = this.bestOn(inSampleBars, candidates);
+      const outOfSample = this.evaluate(bars, window.outOfSample, best.params);
+
+      return {
+        window: index + 1,
+        inSample: period(bars, window.inSample),
+        outOfSample: period(bars, window.outOfSample),
+        params: best.params,
+        inSampleStats: best.stats,
+        outOfSampleStats: outOfSample
+      };
+    });
+
+    // Final pick: best on the latest in-sample stretch, for trading from here on
+    const recent = this.bestOn(bars.slice(-opts.inSampleBars), candidates);
+
+    return {
+      strategy: opts.strategy,
+      objective: opts.objective,
+      search: opts.search,
+      candidates: candidates.length,
+      data: { start: bars[0].date, end: bars[bars.length - 1].date, bars: bars.length },
+      windows: results,
+      aggregate: aggregate(results, opts.objective),
+      recommended: { params: recent.params, inSampleStats: recent.stats }
+    };
+  }
+
+  candidates() {
+    const { space, search, samples, seed } = this.options;
+    if (search === 'grid') return gridCandidates(space);
+    if (search === 'random') return randomCandidates(space, samples, seed);
+    throw new Error(`Unknown search "${search}" - use grid or random`);
+  }
+
+  // Highest objective on `bars`; runs with too few trades rank last
+  bestOn(bars, candidates) {
+    const { objective, minTrades } = this.options;
+    let best = null;
+    for (const params of candidates) {
+      const stats = this.backtest(bars, params, this.options.backtest.warmup);
+      const eligible = stats.tradeCount >= minTrades;
+      const score = eligible && Number.isFinite(stats[objective]) ? stats[objective] : -Infinity;
+      if (!best || score > best.score) best = { params, stats, score };
+    }
+    return best;
+  }
+
+  // Out-of-sample run: the preceding bars only warm up the indicators
+  evaluate(bars, [start, end], params) {
+    const { lookback } = new Backtester(this.options.backtest).options;
+    const from = Math.max(0, start - lookback);
+    return this.backtest(bars.slice(from, end), params, start - from);
+  }
+
+  backtest(bars, params, warmup) {
+    const backtester = new Backtester({
+      ...this.options.backtest,
+      warmup,
+      strategy: this.createStrategy(params),
+      indicators: this.indicators
+    });
+    return backtester.run(bars).stats;
+  }
+}
+
+// Out-of-sample performance across windows, compounded as if traded back to back
+function aggregate(results, objective) {
+  const oos = results.map(result => result.outOfSampleStats);
+  const ins = results.map(result => result.inSampleStats);
+  const mean = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  const objectiveOf = stats => Number.isFinite(stats[objective]) ? stats[objective] : 0;
+
+  const compounded = oos.reduce((equity, stats) => equity * (1 + stats.totalReturnPct / 100), 1);
+  const inSampleMean = mean(ins.map(objectiveOf));
+  const outOfSampleMean = mean(oos.map(objectiveOf));
+
+  // How often each value won a window - a parameter that jumps around is likely noise
+  const stability = {};
+  for (const { params } of results) {
+    for (const [name, value] of Object.entries(params)) {
+      stability[name] = stability[name] || {};
+      stability[name][value] = (stability[name][value] || 0) + 1;
+    }
+  }
+
+  return {
+    windows: results.length,
+    outOfSampleReturnPct: parseFloat(((compounded - 1) * 100).toFixed(2)),
+    outOfSampleMaxDrawdownPct: Math.max(0, ...oos.map(stats => stats.maxDrawdownPct)),
+    outOfSampleTrades: oos.reduce((sum, stats) => sum + stats.tradeCount, 0),
+    profitableWindowsPct: parseFloat((oos.filter(stats => stats.totalReturnPct > 0).length / oos.length * 100).toFixed(1)),
+    inSampleObjective: parseFloat(inSampleMean.toFixed(3)),
+    outOfSampleObjective: parseFloat(outOfSampleMean.toFixed(3)),
+    // Out-of-sample / in-sample objective; far below 1 means the in-sample fit didn't carry over
+    efficiency: inSampleMean !== 0 ? parseFloat((outOfSampleMean / inSampleMean).toFixed(3)) : null,
+    parameterStability: stability
+  };
+}
+
+// Optimizer result -> the file `trading.strategyParams` points at
+export async function exportParams(result, filePath) {
+  const exported = {
+    strategy: result.strategy,
+    params: result.recommended.params,
+    objective: result.objective,
+    generatedAt: new Date().toISOString(),
+    data: result.data,
+    walkForward: result.aggregate
+  };
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(exported, null, 2) + '\n');
+  return exported;
+}
+
+// TechnicalIndicators with results cached per window of bars
+class MemoizedIndicators extends TechnicalIndicators {
+  constructor() {
+    super();
+    this.cache = new Map();
+  }
+
+  calculate(historicalData, spec = {}) {
+    const first = historicalData[0];
+    const last = historicalData[historicalData.length - 1];
+    const key = `${historicalData.length}|${first?.date}|${last?.date}|${last?.close}|${JSON.stringify(spec)}`;
+    if (!this.cache.has(key)) this.cache.set(key, super.calculate(historicalData, spec));
+    return this.cache.get(key);
+  }
+}
+
+function period(bars, [start, end]) {
+  return { start: bars[start].date, end: bars[end - 1].date, bars: end - start };
+}
+
+export async function runWalkForward({ bars, file, ticker, period, interval, start, end, ...options } = {}) {
+  const data = bars || await loadBars({ file, ticker, period, interval, start, end });
+  return new WalkForwardOptimizer(options).run(data);
+}
+
+export default WalkForwardOptimizer;
@@ -0,0 +1,282 @@
+// lib/orderTracker.js - Order lifecycle tracking so trades are logged at real fill prices
+import defaultBroker from './broker.js';
+import defaultStorage from './storage.js';
+import logger from './logger.js';
+import { SymbolLockManager } from './symbolLock.js';
+
+const ORDERS_COLLECTION = 'orders';
+// Trades checked for an already-recorded fill when the event log doesn't have it
+const RECENT_TRADES = 200;
+
+// Broker statuses after which an order can no longer fill
+export const TERMINAL_STATUSES = ['filled', 'canceled', 'expired', 'rejected', 'replaced'];
+
+// Lifecycle of a tracked order:
+//   PENDING -> PARTIALLY_FILLED -> FILLED
+//                               -> CANCELLED / REJECTED (any filled part is still recorded)
+//
+// Every fill (including each partial fill) is written to the trade log and the
+// position through storage.updatePosition with the broker's quantity, average
+// price and fees. Orders still working when a run ends stay PENDING in storage
+// and are picked up by reconcilePending() on the next run. Submissions and
+// cancels go to the trade event log too (fills get there through updatePosition).
+//
+// Fills write positions and lots, so they are recorded under the symbol's lock: callers
+// holding a lease pass it in and it is verified right before each write, and
+// reconcilePending() locks each symbol itself, leaving ones another run holds for later.
+class OrderTracker {
+  constructor({
+    broker = defaultBroker,
+    storage = defaultStorage,
+    pollIntervalMs = parseInt(process.env.ORDER_POLL_INTERVAL_MS) || 1000,
+    timeoutMs = parseInt(process.env.ORDER_FILL_TIMEOUT_MS) || 5000,
+    symbolLocks = new SymbolLockManager({ storage })
+  } = {}) {
+    this.broker = broker;
+    this.storage = storage;
+    this.symbolLocks = symbolLocks;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // Record a freshly submitted order and wait (up to timeoutMs) for it to settle.
+  // `context` carries what the trade log needs: { action, reasoning, confidence, urgency, referencePrice, source }
+  async track(orderResult, context = {}, lease = null) {
+    const record = await this.watch(orderResult, context);
+    return this.waitForFill(record.orderId, this.timeoutMs, lease);
+  }
+
+  // Record an order without waiting for it. Resting orders (protective stops,
+  // take-profits) are settled by reconcilePending() on the runs after they fill.
+  // An order that is already tracked (a retried run found it) keeps its record and fills.
+  async watch(orderResult, context = {}) {
+    const existing = await this.storage.getRecord(ORDERS_COLLECTION, orderResult.orderId);
+    if (existing) return existing;
+
+    const record = {
+      orderId: orderResult.orderId,
+      clientOrderId: orderResult.clientOrderId || null,
+      symbol: orderResult.symbol,
+      side: String(orderResult.side).toLowerCase(),
+      action: context.action || String(orderResult.side).toUpperCase(),
+      requestedQty: parseFloat(orderResult.qty) || 0,
+      status: 'PENDING',
+      brokerStatus: orderResult.status,
+      filledQty: 0,
+      filledAvgPrice: null,
+      fees: 0,
+      submittedAt: orderResult.timestamp || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      context: {
+        reasoning: context.reasoning || [],
+        confidence: context.confidence ?? null,
+        urgency: context.urgency ?? null,
+        referencePrice: context.referencePrice ?? null,
+        source: context.source || 'strategy',
+        tradeIdPrefix: context.tradeIdPrefix || 'trade'
+      }
+    };
+
+    await this.storage.putRecord(ORDERS_COLLECTION, record.orderId, record);
+    await this.storage.appendTradeEvent({
+      type: 'ORDER_SUBMITTED',
+      symbol: record.symbol,
+      orderId: record.orderId,
+      clientOrderId: record.clientOrderId,
+      side: record.side,
+      qty: record.requestedQty,
+      source: record.context.source
+    });
+    logger.info('📨 Order submitted - tracking until filled', {
+      orderId: record.orderId,
+      symbol: record.symbol,
+      side: record.side,
+      qty: record.requestedQty
+    });
+
+    return record;
+  }
+
+  // Poll the broker until the order is terminal or the time budget runs out
+  async waitForFill(orderId, timeoutMs = this.timeoutMs, lease = null) {
+    const deadline = Date.now() + timeoutMs;
+    let record = await this.refresh(orderId, lease);
+
+    while (record && !this.isSettled(record) && Date.now() < deadline) {
+      await sleep(Math.min(this.pollIntervalMs, Math.max(0, deadline - Date.now())));
+      record = await this.refresh(orderId, lease);
+    }
+
+    if (record && !this.isSettled(record)) {
+      logger.warn(`⏳ Order ${orderId} still ${record.brokerStatus} - will reconcile on the next run`);
+    }
+    return record;
+  }
+
+  // Fetch the latest broker state for one order and apply it
+  async refresh(orderId, lease = null) {
+    try {
+      const brokerOrder = await this.broker.getOrder(orderId);
+      return await this.applyUpdate(brokerOrder, lease);
+    } catch (error) {
+      logger.error(`Error refreshing order ${orderId}`, error);
+      return this.storage.getRecord(ORDERS_COLLECTION, orderId);
+    }
+  }
+
+  // Apply a broker order update (from polling or a pushed trade update).
+  // Accepts Alpaca's order shape: { id, status, filled_qty, filled_avg_price, ... }
+  // Throws, recording nothing, if `lease` was lost before the fill could be written.
+  async applyUpdate(brokerOrder, lease = null) {
+    const orderId = brokerOrder.id || brokerOrder.orderId;
+    const record = await this.storage.getRecord(ORDERS_COLLECTION, orderId);
+    if (!record) {
+      logger.warn(`Ignoring update for untracked order ${orderId}`);
+      return null;
+    }
+    if (this.isSettled(record)) return record;
+
+    const brokerStatus = String(brokerOrder.status || '').toLowerCase();
+    const totalFilledQty = parseFloat(brokerOrder.filled_qty) || 0;
+    const totalAvgPrice = parseFloat(brokerOrder.filled_avg_price) || 0;
+    const totalFees = parseFloat(brokerOrder.fees) || 0;
+
+    // Record only the part that filled since the last update
+    const newQty = totalFilledQty - record.filledQty;
+    if (newQty > 1e-9 && totalAvgPrice > 0) {
+      const prevNotional = record.filledQty * (record.filledAvgPrice || 0);
+      const newPrice = (totalFilledQty * totalAvgPrice - prevNotional) / newQty;
+      const newFees = Math.max(0, totalFees - record.fees);
+
+      if (lease) await this.symbolLocks.verify(lease);
+      await this._recordFill(record, newQty, newPrice, newFees, brokerOrder.filled_at, totalFilledQty);
+
+      record.filledQty = totalFilledQty;
+      record.filledAvgPrice = totalAvgPrice;
+      record.fees = totalFees;
+    }
+
+    record.brokerStatus = brokerStatus;
+    record.status = this._toLifecycleStatus(brokerStatus, record.filledQty);
+    record.updatedAt = new Date().toISOString();
+
+    await this.storage.putRecord(ORDERS_COLLECTION, orderId, record);
+    if (record.status === 'CANCELLED' || record.status === 'REJECTED') {
+      await this.storage.appendTradeEvent({
+        type: 'ORDER_CANCELLED',
+        symbol: record.symbol,
+        orderId,
+        status: record.status,
+        brokerStatus,
+        filledQty: record.filledQty
+      });
+    }
+
+    if (this.isSettled(record)) {
+      logger.info(`✅ Order ${orderId} settled: ${record.status}`, {
+        filledQty: record.filledQty,
+        filledAvgPrice: record.filledAvgPrice,
+        fees: record.fees
+      });
+    }
+    return record;
+  }
+
+  // Resolve orders left pending by earlier runs, one symbol at a time under its lock.
+  // `leases` are locks the caller already holds; symbols another run holds stay pending.
+  async reconcilePending({ owner = 'orders', leases = [] } = {}) {
+    const pending = await this.getPendingOrders();
+    const bySymbol = new Map();
+    for (const record of pending) {
+      bySymbol.set(record.symbol, [...(bySymbol.get(record.symbol) || []), record]);
+    }
+
+    const results = [];
+    for (const [symbol, records] of bySymbol) {
+      const locked = await this.symbolLocks.withLock(symbol, owner, async lease => {
+        for (const record of records) results.push(await this.refresh(record.orderId, lease));
+      }, leases);
+      if (!locked.acquired) {
+        logger.warn(`🔒 ${symbol} is locked by ${locked.heldBy} - its ${records.length} pending order(s) wait for the next run`);
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.info(`🔄 Reconciled ${results.length} of ${pending.length} pending order(s)`, {
+        settled: results.filter(r => r && this.isSettled(r)).length
+      });
+    }
+    return results.filter(Boolean);
+  }
+
+  async getPendingOrders() {
+    const records = await this.storage.listRecords(ORDERS_COLLECTION);
+    return records.filter(record => !this.isSettled(record));
+  }
+
+  async getOrder(orderId) {
+    return this.storage.getRecord(ORDERS_COLLECTION, orderId);
+  }
+
+  async findByClientOrderId(clientOrderId) {
+    const records = await this.storage.listRecords(ORDERS_COLLECTION);
+    return records.find(record => record.clientOrderId === clientOrderId) || null;
+  }
+
+  isSettled(record) {
+    return ['FILLED', 'CANCELLED', 'REJECTED'].includes(record.status);
+  }
+
+  _toLifecycleStatus(brokerStatus, filledQty) {
+    if (brokerStatus === 'filled') return 'FILLED';
+    if (brokerStatus === 'rejected') return 'REJECTED';
+    if (TERMINAL_STATUSES.includes(brokerStatus)) return 'CANCELLED';
+    return filledQty > 0 ? 'PARTIALLY_FILLED' : 'PENDING';
+  }
+
+  // The trade id is the order id plus its cumulative filled quantity, so a fill seen twice
+  // (overlapping runs, or a crash before the order record was saved) is only recorded once
+  async _recordFill(record, quantity, price, fees, filledAt, totalFilledQty) {
+    const id = `${record.context.tradeIdPrefix}_${record.orderId}_${parseFloat(totalFilledQty.toFixed(8))}`;
+    if (await this._isRecorded(record.symbol, id)) {
+      logger.warn(`⏭️ Fill ${id} is already recorded - not applying it again`);
+      return;
+    }
+
+    const tradeData = {
+      id,
+      symbol: record.symbol,
+      action: record.action,
+      quantity: parseFloat(quantity.toFixed(8)),
+      price: parseFloat(price.toFixed(6)),
+      fees: parseFloat(fees.toFixed(6)),
+      orderId: record.orderId,
+      timestamp: filledAt ? new Date(filledAt).toISOString() : new Date().toISOString(),
+      reasoning: record.context.reasoning,
+      confidence: record.context.confidence,
+      urgency: record.context.urgency
+    };
+
+    logger.info('📝 Logging fill at broker price', {
+      orderId: record.orderId,
+      quantity: tradeData.quantity,
+      fillPrice: tradeData.price,
+      quotePrice: record.context.referencePrice
+    });
+    await this.storage.updatePosition(record.symbol, tradeData);
+  }
+
+  async _isRecorded(symbol, tradeId) {
+    const events = await this.storage.getTradeEvents(symbol);
+    if (events.some(event => event.type === 'FILL' && event.tradeId === tradeId)) return true;
+    // Installs whose event log started later still have the trade history
+    return (await this.storage.getTradeHistory(RECENT_TRADES)).some(trade => trade.id === tradeId);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export { OrderTracker };
+export default new OrderTracker();
@@ -0,0 +1,182 @@
+// lib/orderValidation.js - Order type, price and time-in-force checks before an order reaches the broker
+
+// What Alpaca accepts per asset class (the simulated broker accepts the same and more)
+export const ORDER_RULES = {
+  crypto: {
+    types: ['market', 'limit', 'stop_limit'],
+    timeInForce: ['gtc', 'ioc']
+  },
+  us_equity: {
+    types: ['market', 'limit', 'stop', 'stop_limit', 'trailing_stop'],
+    timeInForce: ['day', 'gtc', 'opg', 'cls', 'ioc', 'fok']
+  }
+};
+
+// Price fields each order type needs
+const PRICE_FIELDS = {
+  market: [],
+  limit: ['limit_price'],
+  stop: ['stop_price'],
+  stop_limit: ['stop_price', 'limit_price'],
+  trailing_stop: []
+};
+
+const DEFAULT_PRICE_BAND_PCT = 10;
+
+// trading.tickSize, or the usual increments: a cent from $1 up, sub-penny below
+export function tickSizeFor(instrument, price) {
+  if (instrument.trading?.tickSize) return instrument.trading.tickSize;
+  if (price >= 1) return 0.01;
+  return instrument.assetClass === 'crypto' ? 0.000001 : 0.0001;
+}
+
+export function roundToTick(price, tick) {
+  return parseFloat((Math.round(price / tick) * tick).toFixed(decimalsOf(tick)));
+}
+
+// Check an order against the instrument's rules and the current quote.
+// Returns { valid, errors, order } with the order's fields normalized (lowercase, numbers).
+export function validateOrder(order, { instrument, quote }) {
+  const errors = [];
+  const assetClass = instrument.assetClass;
+  const rules = ORDER_RULES[assetClass] || ORDER_RULES.us_equity;
+  const band = instrument.trading?.priceBandPercent ?? DEFAULT_PRICE_BAND_PCT;
+
+  const normalized = {
+    ...order,
+    side: String(order.side || '').toLowerCase(),
+    type: String(order.type || 'market').toLowerCase(),
+    tif: String(order.tif || instrument.defaultTimeInForce).toLowerCase(),
+    qty: parseFloat(order.qty)
+  };
+  const { side, type, tif, qty } = normalized;
+
+  if (!['buy', 'sell'].includes(side)) errors.push('side must be buy or sell');
+  if (!(qty > 0)) errors.push(`qty must be a positive number, got ${order.qty}`);
+  if (!rules.types.includes(type)) {
+    errors.push(`${type} orders are not available for ${assetClass} - use one of ${rules.types.join(', ')}`);
+  }
+  if (!rules.timeInForce.includes(tif)) {
+    errors.push(`time in force "${tif}" is not available for ${assetClass} - use one of ${rules.timeInForce.join(', ')}`);
+  }
+  // Fractional share orders are day orders and can't trail
+  if (assetClass === 'us_equity' && qty > 0 && !Number.isInteger(qty)) {
+    if (tif !== 'day') errors.push('fractional share orders must use time in force "day"');
+    if (type === 'trailing_stop') errors.push('fractional share orders cannot be trailing stops');
+  }
+
+  const wanted = PRICE_FIELDS[type] || [];
+  for (const field of ['limit_price', 'stop_price']) {
+    const supplied = order[field] !== undefined && order[field] !== null && order[field] !== '';
+    if (!wanted.includes(field)) {
+      if (supplied) errors.push(`${field} is not used by ${type} orders`);
+      continue;
+    }
+
+    const price = parseFloat(order[field]);
+    if (!(price > 0)) {
+      errors.push(`${field} is required for ${type} orders`);
+      continue;
+    }
+    normalized[field] = price;
+    errors.push(...checkPrice(field, price, { instrument, quote, band }));
+  }
+
+  // A stop on the wrong side of the market would trigger the moment it's placed
+  if (normalized.stop_price > 0 && quote > 0) {
+    if (side === 'buy' && normalized.stop_price <= quote) {
+      errors.push(`buy stop_price $${normalized.stop_price} must be above the current price $${quote}`);
+    }
+    if (side === 'sell' && normalized.stop_price >= quote) {
+      errors.push(`sell stop_price $${normalized.stop_price} must be below the current price $${quote}`);
+    }
+  }
+
+  if (type === 'trailing_stop') {
+    const hasPercent = order.trail_percent !== undefined && order.trail_percent !== null;
+    const hasPrice = order.trail_price !== undefined && order.trail_price !== null;
+    if (hasPercent === hasPrice) {
+      errors.push('trailing_stop orders need exactly one of trail_percent or trail_price');
+    } else if (hasPercent) {
+      normalized.trail_percent = parseFloat(order.trail_percent);
+      if (!(normalized.trail_percent > 0 && normalized.trail_percent < 100)) {
+        errors.push(`trail_percent must be between 0 and 100, got ${order.trail_percent}`);
+      }
+    } else {
+      normalized.trail_price = parseFloat(order.trail_price);
+      if (!(normalized.trail_price > 0) || (quote > 0 && normalized.trail_price >= quote)) {
+        errors.push(`trail_price must be above 0 and below the current price, got ${order.trail_price}`);
+      } else {
+        const tick = tickSizeFor(instrument, normalized.trail_price);
+        if (!onTick(normalized.trail_price, tick)) errors.push(`trail_price ${normalized.trail_price} is not a multiple of the $${tick} tick`);
+      }
+    }
+  } else {
+    for (const field of ['trail_percent', 'trail_price']) {
+      if (order[field] !== undefined && order[field] !== null) errors.push(`${field} is only used by trailing_stop orders`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, order: normalized };
+}
+
+// Type and prices for a strategy order from trading.orders.entry / .exit, e.g.
+//   { type: 'limit', offsetPercent: 0.1 }   buy up to 0.1% above (sell down to 0.1% below) the quote
+//   { type: 'stop', offsetPercent: 0.5 }    buy 0.5% above (sell 0.5% below) the quote
+//   { type: 'stop_limit', offsetPercent: 0.5, limitOffsetPercent: 0.2 }
+//   { type: 'trailing_stop', trailPercent: 1 }
+export function strategyOrderParams(spec, { side, quote, instrument }) {
+  const type = (spec?.type || 'market').toLowerCase();
+  if (type === 'market') return { type };
+  if (type === 'trailing_stop') return { type, trail_percent: spec.trailPercent };
+
+  // Positive offsets move the price against us: pay more to buy, accept less to sell
+  const direction = side === 'buy' ? 1 : -1;
+  const at = (base, offsetPercent = 0) => {
+    const price = base * (1 + direction * offsetPercent / 100);
+    return roundToTick(price, tickSizeFor(instrument, price));
+  };
+
+  if (type === 'limit') return { type, limit_price: at(quote, spec.offsetPercent) };
+  const stopPrice = at(quote, spec.offsetPercent);
+  if (type === 'stop') return { type, stop_price: stopPrice };
+  if (type === 'stop_limit') return { type, stop_price: stopPrice, limit_price: at(stopPrice, spec.limitOffsetPercent) };
+  throw new Error(`Unknown strategy order type "${spec.type}"`);
+}
+
+function checkPrice(field, price, { instrument, quote, band }) {
+  const errors = [];
+  const tick = tickSizeFor(instrument, price);
+  if (!onTick(price, tick)) {
+    errors.push(`${field} ${price} is not a multiple of the $${tick} tick (nearest ${roundToTick(price, tick)})`);
+  }
+
+  // Fat-finger guard: nothing further than the band from the quote
+  if (!(quote > 0)) {
+    errors.push(`no current price to check ${field} against`);
+  } else {
+    const distancePct = Math.abs(price - quote) / quote * 100;
+    if (distancePct > band) {
+      errors.push(`${field} $${price} is ${distancePct.toFixed(1)}% from the current price $${quote} (allowed ±${band}%)`);
+    }
+  }
+  return errors;
+}
+
+function onTick(price, tick) {
+  const steps = price / tick;
+  return Math.abs(steps - Math.round(steps)) < 1e-6;
+}
+
+function decimalsOf(tick) {
+  let decimals = 0;
+  while (decimals < 12 && Math.abs(Math.round(tick * 10 ** decimals) - tick * 10 ** decimals) > 1e-9) decimals++;
+  return decimals;
+}
+
+export default {
+  validateOrder,
+  strategyOrderParams,
+  tickSizeFor,
+  roundToTick
+};
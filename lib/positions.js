@@ -0,0 +1,87 @@
+// lib/positions.js - Shared position math used by storage and the backtester
+
+// Minimum position thresholds (same values the Positions sheet enforces)
+export const MIN_POSITION_VALUE = 10; // $10 minimum
+export const MIN_POSITION_QUANTITY = 0.001; // Minimum 0.001 ETH
+
+export function meetsMinimums(quantity, price, {
+  minQuantity = MIN_POSITION_QUANTITY,
+  minValue = MIN_POSITION_VALUE
+} = {}) {
+  return quantity >= minQuantity && (quantity * price) >= minValue;
+}
+
+// Apply a BUY/SELL trade to a position and return the new position.
+// Returns null when the position is closed or falls below the minimum
+// thresholds, mirroring how the Positions sheet drops those rows.
+export function applyTradeToPosition(position, trade, thresholds = {}) {
+  const prevQty = position ? parseFloat(position.quantity) || 0 : 0;
+  const prevAvg = position ? parseFloat(position.averagePrice) || 0 : 0;
+  const prevHighWater = position ? parseFloat(position.highWaterMark) || 0 : 0;
+  const quantity = parseFloat(trade.quantity) || 0;
+  const price = parseFloat(trade.price) || 0;
+  const timestamp = trade.timestamp || new Date().toISOString();
+
+  if (trade.action === 'BUY') {
+    const newQty = prevQty + quantity;
+    const newAvg = newQty > 0 ? ((prevQty * prevAvg) + (quantity * price)) / newQty : 0;
+    const newHighWater = Math.max(prevHighWater, price);
+
+    if (!meetsMinimums(newQty, newAvg, thresholds)) return null;
+
+    return {
+      symbol: trade.symbol || position?.symbol,
+      quantity: newQty,
+      averagePrice: newAvg,
+      highWaterMark: newHighWater,
+      lastUpdated: timestamp,
+      alertLevel: 'MONITORING',
+      positionValue: newQty * newAvg
+    };
+  }
+
+  if (trade.action === 'SELL') {
+    if (!position) return null;
+
+    const remaining = Math.max(0, prevQty - quantity);
+    if (!meetsMinimums(remaining, prevAvg, thresholds)) return null;
+
+    return {
+      ...position,
+      quantity: remaining,
+      averagePrice: prevAvg,
+      highWaterMark: prevHighWater || prevAvg,
+      lastUpdated: timestamp,
+      alertLevel: 'MONITORING',
+      positionValue: remaining * prevAvg
+    };
+  }
+
+  return position || null;
+}
+
+// Set a position to an adjusted quantity and average price (manual fixes, broker sync
+// corrections). Returns null when the adjusted position is empty or below the minimums.
+export function applyAdjustmentToPosition(position, adjustment, thresholds = {}) {
+  const quantity = parseFloat(adjustment.quantity) || 0;
+  const averagePrice = parseFloat(adjustment.averagePrice) || 0;
+  if (!meetsMinimums(quantity, averagePrice, thresholds)) return null;
+
+  return {
+    symbol: adjustment.symbol || position?.symbol,
+    quantity,
+    averagePrice,
+    highWaterMark: Math.max(parseFloat(position?.highWaterMark) || 0, averagePrice),
+    lastUpdated: adjustment.timestamp || new Date().toISOString(),
+    alertLevel: 'MONITORING',
+    positionValue: quantity * averagePrice
+  };
+}
+
+export default {
+  MIN_POSITION_VALUE,
+  MIN_POSITION_QUANTITY,
+  meetsMinimums,
+  applyTradeToPosition,
+  applyAdjustmentToPosition
+};
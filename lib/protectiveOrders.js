@@ -0,0 +1,290 @@
+// lib/protectiveOrders.js - Broker-side stop-loss, take-profit and trailing-stop exits
+import defaultBroker from './broker.js';
+import defaultStorage from './storage.js';
+import defaultOrderTracker from './orderTracker.js';
+import logger from './logger.js';
+import { SymbolLockManager } from './symbolLock.js';
+
+const PROTECTION_COLLECTION = 'protectiveOrders';
+
+// trading.protection in config/symbols.js:
+//   bracket  - the entry carries its take-profit and stop-loss legs
+//   oco      - a take-profit/stop-loss pair placed once the entry has filled
+//   trailing - a native trailing stop placed once the entry has filled
+export const PROTECTION_MODES = ['bracket', 'oco', 'trailing'];
+
+// Lifecycle of a protection record:
+//   PENDING_ENTRY -> ACTIVE -> TRIGGERED (an exit filled)
+//                           -> CANCELLED (position closed another way, or the legs died at the broker)
+//
+// The exit legs are watched by the order tracker, so a stop filling between cron
+// runs is logged at its fill price by the next run's reconcilePending().
+// Methods that place or change exits take the caller's symbol lease and verify it first.
+class ProtectiveOrderManager {
+  constructor({
+    broker = defaultBroker,
+    storage = defaultStorage,
+    orderTracker = defaultOrderTracker,
+    symbolLocks = new SymbolLockManager({ storage })
+  } = {}) {
+    this.broker = broker;
+    this.storage = storage;
+    this.orderTracker = orderTracker;
+    this.symbolLocks = symbolLocks;
+  }
+
+  // Exit prices for a new entry, or null when the symbol doesn't use broker-side exits
+  plan(instrument, strategy, referencePrice, mode = instrument.trading.protection) {
+    if (!mode || mode === 'none') return null;
+    if (!PROTECTION_MODES.includes(mode)) {
+      throw new Error(`Unknown protection "${mode}" for ${instrument.symbol} - use one of ${PROTECTION_MODES.join(', ')}`);
+    }
+    if (!this.broker.supportsProtectiveOrders(instrument.assetClass)) {
+      logger.warn(`⚠️ ${this.broker.name} has no ${mode} orders for ${instrument.assetClass} - ${instrument.symbol} exits stay with the monitor`);
+      return null;
+    }
+
+    const { stopLossPercent, takeProfitPercent, trailingStopPercent } = strategy.stops();
+    if (mode === 'trailing' ? trailingStopPercent === undefined : (stopLossPercent === undefined || takeProfitPercent === undefined)) {
+      logger.warn(`⚠️ ${instrument.symbol} strategy has no exit levels for ${mode} protection`);
+      return null;
+    }
+
+    return {
+      mode,
+      tif: instrument.defaultTimeInForce,
+      ...(mode === 'trailing' ? { trailPercent: trailingStopPercent } : {
+        stopPrice: roundPrice(referencePrice * (1 - stopLossPercent / 100)),
+        takeProfitPrice: roundPrice(referencePrice * (1 + takeProfitPercent / 100))
+      })
+    };
+  }
+
+  // Entry order params with bracket legs attached when the plan asks for them
+  entryOrder(orderParams, plan) {
+    if (plan?.mode !== 'bracket') return orderParams;
+    return {
+      ...orderParams,
+      order_class: 'bracket',
+      take_profit: { limit_price: plan.takeProfitPrice },
+      stop_loss: { stop_price: plan.stopPrice }
+    };
+  }
+
+  // Start protecting a submitted entry. Bracket legs came back with the entry;
+  // OCO and trailing exits go in as soon as the entry has filled.
+  async attach(entryResult, plan, lease = null) {
+    if (!plan || !entryResult || entryResult.status === 'simulated') return null;
+
+    // A retried run resubmitting the same entry keeps the protection it already has
+    const existing = await this.storage.getRecord(PROTECTION_COLLECTION, `${entryResult.symbol}:${entryResult.orderId}`);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const record = {
+      id: `${entryResult.symbol}:${entryResult.orderId}`,
+      symbol: entryResult.symbol,
+      mode: plan.mode,
+      status: 'PENDING_ENTRY',
+      entryOrderId: entryResult.orderId,
+      qty: parseFloat(entryResult.qty),
+      tif: plan.tif,
+      stopPrice: plan.stopPrice ?? null,
+      takeProfitPrice: plan.takeProfitPrice ?? null,
+      trailPercent: plan.trailPercent ?? null,
+      legs: [],
+      reason: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (plan.mode === 'bracket') {
+      record.legs = (entryResult.legs || []).map(leg => ({ orderId: leg.orderId, role: leg.role, status: 'PENDING' }));
+      record.status = 'ACTIVE';
+      for (const leg of record.legs) await this._watchLeg(record, leg);
+    }
+
+    await this._save(record);
+    logger.info(`🛡️ ${plan.mode} protection for ${record.symbol}`, {
+      entryOrderId: record.entryOrderId,
+      stopPrice: record.stopPrice,
+      takeProfitPrice: record.takeProfitPrice,
+      trailPercent: record.trailPercent
+    });
+
+    return plan.mode === 'bracket' ? record : this._sync(record, lease);
+  }
+
+  // Bring every open protection up to date with the broker (run after reconcilePending).
+  // Each symbol is synced under its lock - the caller's from `leases`, or one taken here;
+  // symbols another run holds are synced on a later run.
+  async syncAll({ owner = 'protection', leases = [] } = {}) {
+    const bySymbol = new Map();
+    for (const record of await this._open()) {
+      bySymbol.set(record.symbol, [...(bySymbol.get(record.symbol) || []), record]);
+    }
+
+    const results = [];
+    for (const [symbol, records] of bySymbol) {
+      const locked = await this.symbolLocks.withLock(symbol, owner, async lease => {
+        for (const record of records) {
+          try {
+            results.push(await this._sync(record, lease));
+          } catch (error) {
+            logger.error(`Error syncing protection ${record.id}`, error);
+          }
+        }
+      }, leases);
+      if (!locked.acquired) logger.warn(`🔒 ${symbol} is locked by ${locked.heldBy} - its protection syncs next run`);
+    }
+    return results;
+  }
+
+  // Raise the broker stop to where the strategy now wants it. Stops only ever move up.
+  async moveStop(symbol, stopPrice, lease = null) {
+    const moved = [];
+    if (!(stopPrice > 0)) return moved;
+    const target = roundPrice(stopPrice);
+
+    for (const record of await this._open(symbol)) {
+      const leg = record.legs.find(l => l.role === 'stop_loss' && l.status === 'PENDING');
+      if (record.status !== 'ACTIVE' || !leg || !(target > record.stopPrice)) continue;
+
+      try {
+        if (lease) await this.symbolLocks.verify(lease);
+        const replaced = await this.broker.replaceOrder(leg.orderId, { stop_price: target });
+        logger.info(`🛡️ ${symbol} stop moved $${record.stopPrice} -> $${target}`, { from: leg.orderId, to: replaced.orderId });
+        moved.push({ symbol, from: record.stopPrice, to: target, orderId: replaced.orderId });
+
+        await this.orderTracker.refresh(leg.orderId, lease);
+        leg.orderId = replaced.orderId;
+        record.stopPrice = target;
+        await this._watchLeg(record, leg);
+        await this._save(record);
+      } catch (error) {
+        logger.error(`❌ Could not move the ${symbol} stop`, error);
+      }
+    }
+    return moved;
+  }
+
+  // Cancel the exits before the position is closed some other way (manual or
+  // strategy sell, urgent monitor exit, liquidation) so the broker frees the quantity
+  async cancel(symbol, { reason = 'position closed', lease = null } = {}) {
+    const cancelled = [];
+    for (const record of await this._open(symbol)) {
+      for (const leg of record.legs.filter(l => l.status === 'PENDING')) {
+        try {
+          await this.broker.cancelOrder(leg.orderId);
+        } catch (error) {
+          // Linked legs go with their sibling; anything else is settled by the refresh
+          logger.debug(`Cancel ${leg.orderId}: ${error.message}`);
+        }
+        leg.status = (await this.orderTracker.refresh(leg.orderId, lease))?.status || 'CANCELLED';
+        cancelled.push({ symbol, orderId: leg.orderId, role: leg.role, status: leg.status });
+      }
+
+      // An exit that filled before the cancel still counts as the trigger
+      const filled = record.legs.some(l => l.status === 'FILLED' || l.status === 'PARTIALLY_FILLED');
+      record.status = filled ? 'TRIGGERED' : 'CANCELLED';
+      record.reason = reason;
+      await this._save(record);
+      logger.info(`🛡️ ${symbol} protection ${record.status.toLowerCase()}: ${reason}`);
+    }
+    return cancelled;
+  }
+
+  // Open protections, optionally for one symbol
+  async getActive(symbol = null) {
+    return this._open(symbol);
+  }
+
+  async _open(symbol = null) {
+    const records = await this.storage.listRecords(PROTECTION_COLLECTION);
+    return records.filter(record =>
+      (record.status === 'ACTIVE' || record.status === 'PENDING_ENTRY') && (!symbol || record.symbol === symbol));
+  }
+
+  async _sync(record, lease = null) {
+    if (record.status === 'PENDING_ENTRY') {
+      const entry = await this.orderTracker.getOrder(record.entryOrderId);
+      if (!entry || !this.orderTracker.isSettled(entry)) return record;
+
+      if (!(entry.filledQty > 0)) {
+        record.status = 'CANCELLED';
+        record.reason = `entry ${entry.status.toLowerCase()}`;
+      } else {
+        await this._placeExits(record, entry.filledQty, lease);
+      }
+      await this._save(record);
+      return record;
+    }
+
+    // Leg fills are recorded by the order tracker; only read their state here
+    for (const leg of record.legs.filter(l => l.status === 'PENDING' || l.status === 'PARTIALLY_FILLED')) {
+      leg.status = (await this.orderTracker.getOrder(leg.orderId))?.status || leg.status;
+    }
+    if (record.legs.some(l => l.status === 'FILLED')) {
+      record.status = 'TRIGGERED';
+      record.reason = `${record.legs.find(l => l.status === 'FILLED').role} filled`;
+    } else if (record.legs.length > 0 && record.legs.every(l => l.status === 'CANCELLED' || l.status === 'REJECTED')) {
+      record.status = 'CANCELLED';
+      record.reason = 'exit orders cancelled at the broker';
+    }
+    await this._save(record);
+    return record;
+  }
+
+  async _placeExits(record, qty, lease = null) {
+    const orderParams = {
+      symbol: record.symbol,
+      side: 'sell',
+      qty,
+      tif: record.tif,
+      confirm: true,
+      ...(record.mode === 'trailing' ? { type: 'trailing_stop', trail_percent: record.trailPercent } : {
+        type: 'limit',
+        order_class: 'oco',
+        take_profit: { limit_price: record.takeProfitPrice },
+        stop_loss: { stop_price: record.stopPrice }
+      })
+    };
+
+    // A lost lease leaves the record pending for the lock's new holder
+    if (lease) await this.symbolLocks.verify(lease);
+    try {
+      const result = await this.broker.placeOrder(orderParams);
+      record.qty = qty;
+      record.legs = (result.legs || [{ orderId: result.orderId, role: 'trailing_stop' }])
+        .map(leg => ({ orderId: leg.orderId, role: leg.role, status: 'PENDING' }));
+      record.status = 'ACTIVE';
+      for (const leg of record.legs) await this._watchLeg(record, leg);
+    } catch (error) {
+      logger.error(`❌ Could not place ${record.mode} exits for ${record.symbol} - the monitor still checks its stops`, error);
+      record.status = 'CANCELLED';
+      record.reason = `exit orders failed: ${error.message}`;
+    }
+  }
+
+  async _watchLeg(record, leg) {
+    await this.orderTracker.watch({ orderId: leg.orderId, symbol: record.symbol, side: 'sell', qty: record.qty, status: 'new' }, {
+      action: 'SELL',
+      reasoning: [`PROTECTIVE ${leg.role.toUpperCase().replace('_', ' ')} (${record.mode})`],
+      urgency: 'IMMEDIATE',
+      source: 'protective',
+      tradeIdPrefix: 'protective'
+    });
+  }
+
+  async _save(record) {
+    record.updatedAt = new Date().toISOString();
+    await this.storage.putRecord(PROTECTION_COLLECTION, record.id, record);
+  }
+}
+
+function roundPrice(price) {
+  return parseFloat(price.toFixed(price >= 1 ? 2 : 6));
+}
+
+export { ProtectiveOrderManager };
+export default new ProtectiveOrderManager();
@@ -0,0 +1,15 @@
+// lib/random.js - Seeded random numbers so optimizer searches and simulations repeat
+
+// Small seeded PRNG (mulberry32), returns floats in [0, 1)
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default mulberry32;
@@ -0,0 +1,375 @@
+// lib/reconciliation.js - Broker positions and open orders compared with storage, healed or alerted
+import defaultBroker from './broker.js';
+import defaultStorage from './storage.js';
+import defaultOrderTracker from './orderTracker.js';
+import { SymbolLockManager } from './symbolLock.js';
+import logger from './logger.js';
+import { findInstrument } from './watchlist.js';
+
+const ALERTS_COLLECTION = 'reconciliationAlerts';
+
+// How storage can disagree with the broker (for positions and open orders alike):
+//   MISSING_LOCALLY        - the broker has it, storage doesn't
+//   GHOST_LOCALLY          - storage has it, the broker doesn't
+//   QUANTITY_MISMATCH      - both have it with different quantities (filled quantities for orders)
+//   AVERAGE_PRICE_MISMATCH - same position size at a different average price
+export const DIFFERENCE_TYPES = ['MISSING_LOCALLY', 'GHOST_LOCALLY', 'QUANTITY_MISMATCH', 'AVERAGE_PRICE_MISMATCH'];
+
+// What happens to a difference (RECONCILE_POLICY, or trading.reconcile per symbol):
+//   heal  - storage is rewritten to match the broker and the change audited
+//   alert - storage is left alone and an alert raised for manual review
+export const RECONCILE_POLICIES = ['alert', 'heal'];
+
+// The broker is the source of truth: storage only ever moves towards it.
+// Position heals go through storage.adjustPosition as SYNC_CORRECTION events, so the
+// trade event log still rebuilds the result; order heals start tracking an untracked
+// order or settle a stale one from the broker's state. A heal that can't be made
+// (over maxHealValue, or the order can't be settled) is alerted instead.
+class ReconciliationService {
+  constructor({
+    broker = defaultBroker,
+    storage = defaultStorage,
+    orderTracker = defaultOrderTracker,
+    symbolLocks = new SymbolLockManager({ storage }),
+    policy = process.env.RECONCILE_POLICY || 'alert',
+    quantityTolerance = parseFloat(process.env.RECONCILE_QTY_TOLERANCE) || 1e-6,
+    priceTolerancePercent = parseFloat(process.env.RECONCILE_PRICE_TOLERANCE_PERCENT) || 0.5,
+    // Position heals worth more than this are alerted instead; 0 heals any size
+    maxHealValue = parseFloat(process.env.RECONCILE_MAX_HEAL_VALUE) || 0
+  } = {}) {
+    this.broker = broker;
+    this.storage = storage;
+    this.orderTracker = orderTracker;
+    this.symbolLocks = symbolLocks;
+    this.policy = checkPolicy(policy);
+    this.quantityTolerance = quantityTolerance;
+    this.priceTolerancePercent = priceTolerancePercent;
+    this.maxHealValue = maxHealValue;
+  }
+
+  // Compare everything (or `symbols` only) and resolve each difference.
+  // `policy` overrides the configured one for this run; `leases` are symbol locks the
+  // caller already holds, used instead of taking them again.
+  async run({ policy = null, actor = 'reconciliation', symbols = null, leases = [] } = {}) {
+    const override = policy ? checkPolicy(policy) : null;
+    const wanted = symbols ? new Set(symbols.map(symbol => String(symbol).toUpperCase())) : null;
+    const inScope = symbol => !wanted || wanted.has(String(symbol).toUpperCase());
+    const context = { override, actor, leases };
+
+    // Orders first: settling them records fills that change the positions compared next
+    const orders = await this.compareOrders();
+    const differences = [];
+    for (const difference of orders.differences.filter(d => inScope(d.symbol))) {
+      differences.push(await this._resolve(difference, context));
+    }
+
+    // A position that turns out in sync once its lock is held resolves to null
+    const positions = await this.comparePositions();
+    for (const difference of positions.differences.filter(d => inScope(d.symbol))) {
+      const resolved = await this._resolve(difference, context);
+      if (resolved) differences.push(resolved);
+    }
+
+    await this._clearResolvedAlerts(differences, inScope);
+
+    const report = {
+      checkedAt: new Date().toISOString(),
+      actor,
+      policy: override || this.policy,
+      ...(wanted && { symbols: [...wanted] }),
+      inSync: differences.length === 0,
+      positions: positions.counts,
+      orders: orders.counts,
+      differences,
+      healed: differences.filter(d => d.resolution === 'HEALED').length,
+      alerts: differences.filter(d => d.resolution === 'ALERTED').length,
+      skipped: differences.filter(d => d.resolution === 'SKIPPED').length
+    };
+
+    if (!report.inSync) {
+      logger.warn(`⚖️ Reconciliation found ${differences.length} difference(s)`, {
+        healed: report.healed,
+        alerts: report.alerts,
+        skipped: report.skipped
+      });
+    }
+    return report;
+  }
+
+  async comparePositions() {
+    const brokerPositions = {};
+    for (const position of await this.broker.getPositions()) {
+      const summary = this._brokerSummary(position);
+      if (summary) brokerPositions[position.symbol] = summary;
+    }
+    const stored = await this.storage.getAllPositions();
+
+    const differences = [];
+    const symbols = [...new Set([...Object.keys(brokerPositions), ...Object.keys(stored)])].sort();
+    for (const symbol of symbols) {
+      const difference = this._comparePosition(symbol, brokerPositions[symbol] || null, stored[symbol] ? summarize(stored[symbol]) : null);
+      if (difference) differences.push(difference);
+    }
+
+    return {
+      counts: { broker: Object.keys(brokerPositions).length, stored: Object.keys(stored).length },
+      differences
+    };
+  }
+
+  async compareOrders() {
+    const brokerOrders = await this.broker.getOrders({ status: 'open' });
+    const tracked = await this.orderTracker.getPendingOrders();
+    const trackedById = new Map(tracked.map(record => [record.orderId, record]));
+    const openIds = new Set(brokerOrders.map(order => order.id));
+
+    const differences = [];
+    for (const order of brokerOrders) {
+      const record = trackedById.get(order.id);
+      const atBroker = { status: order.status, qty: parseFloat(order.qty) || 0, filledQty: parseFloat(order.filled_qty) || 0 };
+
+      if (!record) {
+        // Never tracked, or tracked as settled while the broker is still working it
+        const settled = await this.orderTracker.getOrder(order.id);
+        differences.push(orderDifference('MISSING_LOCALLY', order.symbol, order.id, atBroker, settled, order));
+      } else if (Math.abs(atBroker.filledQty - record.filledQty) > this.quantityTolerance) {
+        differences.push(orderDifference('QUANTITY_MISMATCH', record.symbol, order.id, atBroker, record));
+      }
+    }
+    for (const record of tracked) {
+      if (!openIds.has(record.orderId)) {
+        differences.push(orderDifference('GHOST_LOCALLY', record.symbol, record.orderId, null, record));
+      }
+    }
+
+    return { counts: { broker: brokerOrders.length, tracked: tracked.length }, differences };
+  }
+
+  // Alerts raised and not yet resolved, for manual review
+  async getOpenAlerts() {
+    return this.storage.listRecords(ALERTS_COLLECTION);
+  }
+
+  policyFor(symbol, override = null) {
+    return override || findInstrument(symbol)?.trading.reconcile || this.policy;
+  }
+
+  async _resolve(difference, { override, actor, leases }) {
+    const policy = this.policyFor(difference.symbol, override);
+    if (policy !== 'heal') {
+      return this._alert(difference, actor, 'Policy is alert - needs manual review');
+    }
+    if (difference.kind === 'position' && this.maxHealValue > 0 && difference.value > this.maxHealValue) {
+      return this._alert(difference, actor, `$${difference.value} difference is over the $${this.maxHealValue} auto-heal limit`);
+    }
+    if (difference.kind === 'order' && difference.type === 'MISSING_LOCALLY' && difference.stored) {
+      return this._alert(difference, actor, `Tracked as ${difference.stored.status} but still working at the broker`);
+    }
+
+    const held = leases.find(lease => lease.symbol === difference.symbol);
+    const lease = held || await this.symbolLocks.acquire(difference.symbol, `reconciliation:${actor}`);
+    if (!lease.acquired) {
+      logger.warn(`🔒 ${difference.symbol} is locked by ${lease.heldBy} - reconciling it next run`);
+      return { ...difference, resolution: 'SKIPPED', lockedBy: lease.heldBy };
+    }
+
+    try {
+      await this.symbolLocks.verify(lease);
+      if (difference.kind === 'position') {
+        // Another run may have traded the symbol since the comparison - heal what's there now
+        const current = await this._recheckPosition(difference.symbol);
+        if (!current) {
+          logger.info(`⚖️ ${difference.symbol} is in sync now that it's locked - nothing to heal`);
+          return null;
+        }
+        if (this.maxHealValue > 0 && current.value > this.maxHealValue) {
+          return this._alert(current, actor, `$${current.value} difference is over the $${this.maxHealValue} auto-heal limit`);
+        }
+        difference = current;
+      }
+      const healed = difference.kind === 'order'
+        ? await this._healOrder(difference, actor, lease)
+        : await this._healPosition(difference, actor);
+      if (healed.resolution === 'HEALED') await this.storage.deleteRecord(ALERTS_COLLECTION, alertKey(difference));
+      return healed;
+    } catch (error) {
+      logger.error(`❌ Failed to heal ${difference.symbol} ${difference.type}`, error);
+      return this._alert(difference, actor, `Heal failed: ${error.message}`);
+    } finally {
+      if (!held) await this.symbolLocks.releaseAll([lease]);
+    }
+  }
+
+  async _healPosition(difference, actor) {
+    const target = difference.broker || { quantity: 0, averagePrice: 0 };
+    await this.storage.adjustPosition(difference.symbol, target, {
+      type: 'SYNC_CORRECTION',
+      actor,
+      reason: `${difference.type}: broker ${describe(difference.broker)}, stored ${describe(difference.stored)}`
+    });
+    logger.warn(`⚖️ ${difference.symbol} ${difference.type} healed to ${describe(difference.broker)}`);
+    return { ...difference, resolution: 'HEALED' };
+  }
+
+  async _healOrder(difference, actor, lease) {
+    const { symbol, orderId, type } = difference;
+    if (type === 'MISSING_LOCALLY') {
+      const order = difference.brokerOrder;
+      await this.orderTracker.watch({
+        orderId,
+        clientOrderId: order.client_order_id || null,
+        symbol,
+        side: order.side,
+        qty: order.qty,
+        status: order.status,
+        timestamp: order.submitted_at || order.created_at
+      }, { reasoning: ['Found working at the broker by reconciliation'], source: 'reconciliation' });
+    }
+    const record = await this.orderTracker.refresh(orderId, lease);
+
+    // A ghost has to settle and a mismatch has to catch up, or the broker gave us nothing to go on
+    const resolved = record && (type === 'GHOST_LOCALLY' ? this.orderTracker.isSettled(record)
+      : type === 'QUANTITY_MISMATCH' ? Math.abs(record.filledQty - difference.broker.filledQty) <= this.quantityTolerance
+        : true);
+    if (!resolved) {
+      return this._alert(difference, actor, `The broker's state for order ${orderId} didn't resolve it`);
+    }
+
+    await this.storage.appendAuditEvent({
+      type: 'ORDER_RECONCILED',
+      actor,
+      reason: type,
+      symbol,
+      orderId,
+      status: record.status,
+      filledQty: record.filledQty
+    });
+    logger.warn(`⚖️ Order ${orderId} (${symbol}) ${type} healed: now ${record.status}`);
+    return { ...difference, resolution: 'HEALED' };
+  }
+
+  // Alerts are audited once; the same difference seen again on later runs only logs
+  async _alert(difference, actor, message) {
+    const key = alertKey(difference);
+    const signature = JSON.stringify([difference.type, difference.broker, difference.stored]);
+    const existing = await this.storage.getRecord(ALERTS_COLLECTION, key);
+    const raisedAt = existing?.signature === signature ? existing.raisedAt : new Date().toISOString();
+
+    if (existing?.signature !== signature) {
+      const { brokerOrder, ...details } = difference;
+      await this.storage.putRecord(ALERTS_COLLECTION, key, { key, signature, raisedAt, message, ...details });
+      await this.storage.appendAuditEvent({
+        type: 'RECONCILIATION_ALERT',
+        actor,
+        reason: message,
+        difference: details
+      });
+      logger.error(`🚨 ${difference.symbol} ${difference.kind} ${difference.type} needs review: ${message}`);
+      logger.warn('🚨 Reconciliation alert details', details);
+    } else {
+      logger.warn(`🚨 ${difference.symbol} ${difference.kind} ${difference.type} still unresolved since ${raisedAt}`);
+    }
+
+    return { ...difference, resolution: 'ALERTED', message, raisedAt };
+  }
+
+  // Alerts whose difference is gone (fixed by hand or healed) are closed
+  async _clearResolvedAlerts(differences, inScope) {
+    const open = new Set(differences.map(alertKey));
+    for (const alert of await this.getOpenAlerts()) {
+      if (inScope(alert.symbol) && !open.has(alert.key)) {
+        await this.storage.deleteRecord(ALERTS_COLLECTION, alert.key);
+      }
+    }
+  }
+
+  // The symbol's position compared afresh from the broker and storage, or null if they agree
+  async _recheckPosition(symbol) {
+    const position = await this.broker.getPosition(symbol);
+    const stored = await this.storage.getCurrentPosition(symbol);
+    return this._comparePosition(symbol, position ? this._brokerSummary(position) : null, stored ? summarize(stored) : null);
+  }
+
+  _comparePosition(symbol, atBroker, local) {
+    const type = this._positionDifference(atBroker, local);
+    if (!type) return null;
+
+    const quantityDelta = (atBroker?.quantity || 0) - (local?.quantity || 0);
+    const averagePriceDelta = atBroker && local ? atBroker.averagePrice - local.averagePrice : null;
+    return {
+      kind: 'position',
+      symbol,
+      type,
+      broker: atBroker,
+      stored: local,
+      quantityDelta: round(quantityDelta, 8),
+      averagePriceDelta: averagePriceDelta === null ? null : round(averagePriceDelta, 6),
+      // What storage is off by, in dollars
+      value: round(type === 'AVERAGE_PRICE_MISMATCH'
+        ? Math.abs(averagePriceDelta) * atBroker.quantity
+        : Math.abs(quantityDelta) * (atBroker?.averagePrice || local.averagePrice), 2)
+    };
+  }
+
+  // Dust below the storage minimums counts as no position, as it does in storage
+  _brokerSummary(position) {
+    const summary = { quantity: parseFloat(position.qty) || 0, averagePrice: parseFloat(position.avg_entry_price) || 0 };
+    return this._meetsMinimums(summary) ? summary : null;
+  }
+
+  _positionDifference(atBroker, local) {
+    if (!atBroker && !local) return null;
+    if (!local) return 'MISSING_LOCALLY';
+    if (!atBroker) return 'GHOST_LOCALLY';
+    if (Math.abs(atBroker.quantity - local.quantity) > this.quantityTolerance) return 'QUANTITY_MISMATCH';
+    const priceGap = Math.abs(atBroker.averagePrice - local.averagePrice) / atBroker.averagePrice * 100;
+    return priceGap > this.priceTolerancePercent ? 'AVERAGE_PRICE_MISMATCH' : null;
+  }
+
+  // Shorts are kept so they show up - storage can't hold them, so healing one fails into an alert
+  _meetsMinimums({ quantity, averagePrice }) {
+    const size = Math.abs(quantity);
+    return size >= this.storage.MIN_POSITION_QUANTITY && size * averagePrice >= this.storage.MIN_POSITION_VALUE;
+  }
+}
+
+function checkPolicy(policy) {
+  const value = String(policy).toLowerCase();
+  if (!RECONCILE_POLICIES.includes(value)) {
+    throw new Error(`Unknown reconcile policy: ${policy} (expected ${RECONCILE_POLICIES.join(', ')})`);
+  }
+  return value;
+}
+
+// The broker's raw order rides along (not in reports) so a heal can start tracking it
+function orderDifference(type, symbol, orderId, atBroker, record, brokerOrder = null) {
+  const difference = {
+    kind: 'order',
+    symbol,
+    orderId,
+    type,
+    broker: atBroker,
+    stored: record ? { status: record.status, qty: record.requestedQty, filledQty: record.filledQty } : null
+  };
+  if (brokerOrder) Object.defineProperty(difference, 'brokerOrder', { value: brokerOrder, enumerable: false });
+  return difference;
+}
+
+function alertKey(difference) {
+  return difference.kind === 'order' ? `order:${difference.orderId}` : `position:${difference.symbol}`;
+}
+
+function describe(position) {
+  return position ? `${position.quantity} @ $${position.averagePrice}` : 'flat';
+}
+
+function summarize(position) {
+  return { quantity: parseFloat(position.quantity) || 0, averagePrice: parseFloat(position.averagePrice) || 0 };
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+export { ReconciliationService };
+export default new ReconciliationService();
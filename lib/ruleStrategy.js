@@ -0,0 +1,454 @@
+// lib/ruleStrategy.js - Strategies defined as data instead of code
+//
+// A definition (JSON, see config/strategies/) names the indicators it reads, the
+// entry and exit conditions with their weights, position sizing and stops:
+//
+//   {
+//     "name": "rsi-trend",
+//     "params": { "rsiOversold": 40, "buyConditionsRequired": 3 },
+//     "indicators": { "rsi": { "period": 14 }, "sma": { "period": 20 } },
+//     "entry": {
+//       "minScore": "$buyConditionsRequired",
+//       "conditions": [
+//         { "name": "RSI oversold", "weight": 2, "when": { "left": "rsi", "op": "<", "right": "$rsiOversold" } },
+//         { "name": "SMA rising", "when": { "left": "sma", "op": "rising", "bars": 2 } }
+//       ]
+//     },
+//     "exit": { "minScore": 2, "conditions": [...] },
+//     "sizing": { "type": "fixed", "quantity": 0.05 },
+//     "stops": { "stopLossPercent": 2.5, "takeProfitPercent": 4, "trailingStopPercent": 1 }
+//   }
+//
+// Operands are numbers, "$param" references, "price", "volume", position values
+// ("pnlPercent", "entryPrice") or indicator series: "rsi", "macd.histogram",
+// "bb.upper", "sma[1]" (one bar back). Expressions combine with { all }, { any }, { not }.
+// A symbol's `trading` values override params of the same name, so config/symbols.js
+// thresholds (rsiOversold, buyConditionsRequired, minConfidence...) reach the rules.
+import { readFileSync } from 'fs';
+import registry from './indicatorRegistry.js';
+import defaultStrategy, { ProfessionalTradingStrategy } from './strategy.js';
+import { evaluateConfirmations, describeConfirmations } from './multiTimeframe.js';
+
+const STRATEGY_DIR = new URL('../config/strategies/', import.meta.url);
+
+const COMPARISONS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+const CROSSES = ['crossesAbove', 'crossesBelow'];
+const TRENDS = ['rising', 'falling'];
+const SIZING_TYPES = ['fixed', 'percentEquity', 'risk'];
+const BUILTIN_REFS = ['price', 'volume', 'pnlPercent', 'entryPrice'];
+const REF_PATTERN = /^([A-Za-z_]\w*)(?:\.(\w+))?(?:\[(\d+)\])?$/;
+
+// ---- Validation ----
+
+// Every problem in a definition, so one pass over a config file finds all of them
+export function validateStrategyDefinition(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, errors: ['Strategy definition must be an object'] };
+  }
+
+  const { name, params = {}, indicators = {}, entry, exit, sizing, stops = {} } = definition;
+  if (!name || typeof name !== 'string') errors.push('name must be a non-empty string');
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!['number', 'boolean', 'string'].includes(typeof value)) {
+      errors.push(`params.${key} must be a number, boolean or string`);
+    }
+  }
+
+  try {
+    registry.resolveSpec(indicators);
+  } catch (error) {
+    errors.push(`indicators: ${error.message}`);
+  }
+
+  const context = { params, indicators, errors };
+  if (!entry) errors.push('entry is required');
+  else checkRuleSet('entry', entry, context);
+  if (exit) checkRuleSet('exit', exit, context);
+
+  if (!sizing || !SIZING_TYPES.includes(sizing.type)) {
+    errors.push(`sizing.type must be one of ${SIZING_TYPES.join(', ')}`);
+  } else {
+    const required = { fixed: ['quantity'], percentEquity: ['percent'], risk: ['riskPercent'] }[sizing.type];
+    for (const field of required) checkNumber(`sizing.${field}`, sizing[field], context, { required: true, positive: true });
+    checkNumber('sizing.maxQuantity', sizing.maxQuantity, context, { positive: true });
+    if (sizing.type === 'risk' && stops.stopLossPercent === undefined) {
+      errors.push('sizing.type "risk" needs stops.stopLossPercent');
+    }
+  }
+
+  for (const field of ['stopLossPercent', 'takeProfitPercent', 'trailingStopPercent']) {
+    checkNumber(`stops.${field}`, stops[field], context, { positive: true });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+export function parseStrategyDefinition(definition) {
+  const { valid, errors } = validateStrategyDefinition(definition);
+  if (!valid) {
+    throw new Error(`Invalid strategy "${definition?.name || 'unnamed'}": ${errors.join('; ')}`);
+  }
+  return definition;
+}
+
+function checkRuleSet(section, rules, context) {
+  if (!Array.isArray(rules.conditions) || rules.conditions.length === 0) {
+    context.errors.push(`${section}.conditions must be a non-empty array`);
+    return;
+  }
+  checkNumber(`${section}.minScore`, rules.minScore, context, { required: true });
+  checkNumber(`${section}.minConfidence`, rules.minConfidence, context);
+
+  rules.conditions.forEach((condition, index) => {
+    const path = `${section}.conditions[${index}]`;
+    if (!condition?.name) context.errors.push(`${path}.name is required`);
+    checkNumber(`${path}.weight`, condition?.weight, context, { positive: true });
+    if (!condition?.when) context.errors.push(`${path}.when is required`);
+    else checkExpression(`${path}.when`, condition.when, context);
+  });
+}
+
+function checkExpression(path, expression, context) {
+  for (const group of ['all', 'any']) {
+    if (expression[group]) {
+      if (!Array.isArray(expression[group]) || expression[group].length === 0) {
+        context.errors.push(`${path}.${group} must be a non-empty array`);
+      } else {
+        expression[group].forEach((child, i) => checkExpression(`${path}.${group}[${i}]`, child, context));
+      }
+      return;
+    }
+  }
+  if (expression.not) {
+    checkExpression(`${path}.not`, expression.not, context);
+    return;
+  }
+
+  const { left, op, right } = expression;
+  if (!COMPARISONS[op] && !CROSSES.includes(op) && !TRENDS.includes(op)) {
+    context.errors.push(`${path}.op "${op}" is not one of ${[...Object.keys(COMPARISONS), ...CROSSES, ...TRENDS].join(', ')}`);
+    return;
+  }
+  checkOperand(`${path}.left`, left, context);
+  if (TRENDS.includes(op)) {
+    if (expression.bars !== undefined && !(Number.isInteger(expression.bars) && expression.bars > 0)) {
+      context.errors.push(`${path}.bars must be a positive integer`);
+    }
+  } else {
+    checkOperand(`${path}.right`, right, context);
+  }
+}
+
+function checkOperand(path, operand, context) {
+  if (typeof operand === 'number') return;
+  if (typeof operand !== 'string') {
+    context.errors.push(`${path} must be a number or a reference`);
+    return;
+  }
+  if (operand.startsWith('$')) {
+    if (!(operand.slice(1) in context.params)) context.errors.push(`${path} references unknown param "${operand}"`);
+    return;
+  }
+  const match = REF_PATTERN.exec(operand);
+  if (!match) {
+    context.errors.push(`${path} "${operand}" is not a valid reference`);
+  } else if (!BUILTIN_REFS.includes(match[1]) && !(match[1] in context.indicators)) {
+    context.errors.push(`${path} reads "${match[1]}", which is not in indicators`);
+  }
+}
+
+function checkNumber(path, value, context, { required = false, positive = false } = {}) {
+  if (value === undefined) {
+    if (required) context.errors.push(`${path} is required`);
+    return;
+  }
+  if (typeof value === 'string' && value.startsWith('$')) {
+    if (!(value.slice(1) in context.params)) context.errors.push(`${path} references unknown param "${value}"`);
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || (positive && value < 0)) {
+    context.errors.push(`${path} must be a ${positive ? 'non-negative ' : ''}number`);
+  }
+}
+
+// ---- Engine ----
+
+// Same analyze() contract as the built-in strategy; the risk controls
+// (losing streaks, daily trade limit, drawdown halt) are inherited from it
+class RuleStrategy extends ProfessionalTradingStrategy {
+  constructor(definition, overrides = {}) {
+    super();
+    this.definition = parseStrategyDefinition(definition);
+    this.name = definition.name;
+    this.params = { ...(definition.params || {}) };
+    for (const key of Object.keys(this.params)) {
+      if (overrides[key] !== undefined && overrides[key] !== null) this.params[key] = overrides[key];
+    }
+    this.indicators = definition.indicators || {};
+  }
+
+  analyze(technicalData, currentPosition, lastTrade = null, accountInfo = null, history = {}) {
+    const currentPrice = technicalData.currentPrice || 0;
+    const riskMetrics = this.assessRisk(currentPosition, accountInfo, lastTrade, history);
+    const hasValidPosition = this.validatePosition(currentPosition, currentPrice);
+
+    const rules = technicalData.confirmations || [];
+    const confirmation = rules.length > 0 ? evaluateConfirmations(rules, technicalData.timeframes) : null;
+
+    const decision = hasValidPosition ?
+      this.evaluateExit(technicalData, currentPosition, currentPrice) :
+      this.evaluateEntry(technicalData, currentPrice, accountInfo, riskMetrics, confirmation);
+
+    return { ...decision, strategy: this.name, riskMetrics, ...(confirmation && { confirmation }) };
+  }
+
+  evaluateEntry(technicalData, currentPrice, accountInfo, riskMetrics, confirmation) {
+    if (riskMetrics.shouldPause) {
+      return hold(0, riskMetrics.pauseReasons);
+    }
+
+    const { entry } = this.definition;
+    const score = this.score(entry, technicalData);
+    const lines = [
+      `${this.name} entry score ${score.score}/${score.maxScore} (need ${score.minScore}+, confidence ${score.minConfidence}%+)`,
+      ...score.lines
+    ];
+
+    if (!score.passed) {
+      return hold(0.3, [`WAITING FOR ENTRY: ${score.reason}`, ...lines, ...(confirmation ? describeConfirmations(confirmation) : [])]);
+    }
+    if (confirmation && !confirmation.passed) {
+      const vetoes = [...new Set(confirmation.vetoes.map(({ interval }) => interval))];
+      return hold(0.3, [`ENTRY VETOED BY ${vetoes.join(', ')}`, ...lines, ...describeConfirmations(confirmation)]);
+    }
+
+    const quantity = this.positionSize(currentPrice, accountInfo, riskMetrics);
+    if (!(quantity > 0)) {
+      return hold(0, [`Entry signal but position sizing returned ${quantity}`, ...lines]);
+    }
+
+    const { stopLossPercent, takeProfitPercent } = this.stops();
+    return {
+      action: 'BUY',
+      quantity,
+      confidence: score.confidence,
+      urgency: score.confidence >= 0.9 ? 'HIGH' : 'MEDIUM',
+      reasoning: [
+        `BUY SIGNAL (${this.name}): score ${score.score}/${score.maxScore}`,
+        `Entry price: $${currentPrice.toFixed(4)}, size ${quantity}`,
+        ...lines,
+        ...(stopLossPercent !== undefined ? [`Stop loss at ${stopLossPercent}% ($${(currentPrice * (1 - stopLossPercent / 100)).toFixed(4)})`] : []),
+        ...(takeProfitPercent !== undefined ? [`Profit target at ${takeProfitPercent}% ($${(currentPrice * (1 + takeProfitPercent / 100)).toFixed(4)})`] : []),
+        ...(confirmation ? describeConfirmations(confirmation) : [])
+      ]
+    };
+  }
+
+  // Stops first, then the exit conditions
+  evaluateExit(technicalData, position, currentPrice) {
+    const pnlPercent = (currentPrice - position.averagePrice) / position.averagePrice * 100;
+    const { stopLossPercent, takeProfitPercent, trailingStopPercent } = this.stops();
+    const sell = (confidence, urgency, reasoning) => ({ action: 'SELL', quantity: position.quantity, confidence, urgency, reasoning });
+
+    if (stopLossPercent !== undefined && pnlPercent <= -stopLossPercent) {
+      return sell(0.98, 'IMMEDIATE', [`STOP LOSS TRIGGERED: ${pnlPercent.toFixed(2)}% (limit -${stopLossPercent}%)`]);
+    }
+    if (takeProfitPercent !== undefined && pnlPercent >= takeProfitPercent) {
+      return sell(0.95, 'HIGH', [`PROFIT TARGET REACHED: ${pnlPercent.toFixed(2)}% (target ${takeProfitPercent}%)`]);
+    }
+    if (trailingStopPercent !== undefined && position.highWaterMark > position.averagePrice) {
+      const trailingStopPrice = position.highWaterMark * (1 - trailingStopPercent / 100);
+      if (currentPrice <= trailingStopPrice && trailingStopPrice > position.averagePrice) {
+        return sell(0.90, 'HIGH', [
+          `TRAILING STOP ACTIVATED: $${currentPrice.toFixed(4)} <= $${trailingStopPrice.toFixed(4)}`,
+          `High water mark: $${position.highWaterMark.toFixed(4)}`
+        ]);
+      }
+    }
+
+    const { exit } = this.definition;
+    if (exit) {
+      const score = this.score(exit, technicalData, position);
+      if (score.passed) {
+        return sell(score.confidence, 'MEDIUM', [
+          `EXIT SIGNAL (${this.name}): score ${score.score}/${score.maxScore}`,
+          `Current P&L: ${pnlPercent.toFixed(2)}%`,
+          ...score.lines
+        ]);
+      }
+      return hold(0.6, [`HOLDING POSITION: P&L ${pnlPercent.toFixed(2)}%, exit score ${score.score}/${score.maxScore}`, ...score.lines]);
+    }
+
+    return hold(0.6, [`HOLDING POSITION: P&L ${pnlPercent.toFixed(2)}%`]);
+  }
+
+  // Weighted score of a rule set; `required` conditions must pass regardless of score
+  score(rules, technicalData, position = null) {
+    const minScore = this.value(rules.minScore);
+    const minConfidence = this.value(rules.minConfidence ?? this.params.minConfidence ?? 0);
+    let score = 0;
+    let maxScore = 0;
+    const missed = [];
+    const lines = rules.conditions.map(condition => {
+      const weight = this.value(condition.weight ?? 1);
+      const passed = this.evaluate(condition.when, technicalData, position);
+      maxScore += weight;
+      if (passed) score += weight;
+      else if (condition.required) missed.push(condition.name);
+      return `${passed ? '✓' : '✗'} ${condition.name}${weight !== 1 ? ` (${weight})` : ''}`;
+    });
+
+    const confidence = maxScore > 0 ? parseFloat((score / maxScore).toFixed(4)) : 0;
+    const reason = missed.length > 0 ? `required ${missed.join(', ')} not met` :
+      score < minScore ? `score ${score} below ${minScore}` :
+      confidence * 100 < minConfidence ? `confidence ${(confidence * 100).toFixed(0)}% below ${minConfidence}%` : null;
+
+    return { passed: reason === null, reason, score, maxScore, minScore, minConfidence, confidence, lines };
+  }
+
+  evaluate(expression, technicalData, position) {
+    if (expression.all) return expression.all.every(child => this.evaluate(child, technicalData, position));
+    if (expression.any) return expression.any.some(child => this.evaluate(child, technicalData, position));
+    if (expression.not) return !this.evaluate(expression.not, technicalData, position);
+
+    const { left, op, right } = expression;
+    const read = (operand, offset = 0) => this.operand(operand, technicalData, position, offset);
+
+    if (TRENDS.includes(op)) {
+      const bars = expression.bars || 2;
+      const values = Array.from({ length: bars + 1 }, (_, i) => read(left, bars - i));
+      if (values.some(value => value === null)) return false;
+      return values.every((value, i) => i === 0 || (op === 'rising' ? value > values[i - 1] : value < values[i - 1]));
+    }
+
+    if (CROSSES.includes(op)) {
+      const [now, then] = [[read(left), read(right)], [read(left, 1), read(right, 1)]];
+      if ([...now, ...then].some(value => value === null)) return false;
+      return op === 'crossesAbove' ? then[0] <= then[1] && now[0] > now[1] : then[0] >= then[1] && now[0] < now[1];
+    }
+
+    const [a, b] = [read(left), read(right)];
+    return a !== null && b !== null && COMPARISONS[op](a, b);
+  }
+
+  // Numeric value of an operand `offset` bars back, or null when the data is not there
+  operand(operand, technicalData, position, offset = 0) {
+    if (typeof operand === 'number') return operand;
+    if (operand.startsWith('$')) return this.params[operand.slice(1)];
+
+    const [, name, field = 'value', back = '0'] = REF_PATTERN.exec(operand);
+    const shift = offset + parseInt(back);
+
+    if (name === 'price' || name === 'volume') {
+      if (shift === 0) return (name === 'price' ? technicalData.currentPrice : technicalData.volume) ?? null;
+      const bars = technicalData.historical || [];
+      const bar = bars[bars.length - 1 - shift];
+      return bar ? bar[name === 'price' ? 'close' : 'volume'] : null;
+    }
+    if (name === 'pnlPercent' || name === 'entryPrice') {
+      if (!position) return null;
+      return name === 'entryPrice' ? position.averagePrice :
+        (technicalData.currentPrice - position.averagePrice) / position.averagePrice * 100;
+    }
+
+    const series = technicalData[name];
+    const point = Array.isArray(series) ? series[series.length - 1 - shift] : null;
+    const value = point?.[field];
+    return Number.isFinite(value) ? value : null;
+  }
+
+  positionSize(currentPrice, accountInfo, riskMetrics) {
+    const { sizing } = this.definition;
+    const equity = parseFloat(accountInfo?.equity ?? accountInfo?.portfolio_value) || 0;
+    let quantity;
+
+    if (sizing.type === 'fixed') {
+      quantity = this.value(sizing.quantity);
+    } else if (sizing.type === 'percentEquity') {
+      quantity = equity * this.value(sizing.percent) / 100 / currentPrice;
+    } else {
+      const stopDistance = currentPrice * this.stops().stopLossPercent / 100;
+      quantity = stopDistance > 0 ? equity * this.value(sizing.riskPercent) / 100 / stopDistance : 0;
+    }
+
+    quantity *= riskMetrics.positionSizeMultiplier;
+    if (sizing.maxQuantity !== undefined) quantity = Math.min(quantity, this.value(sizing.maxQuantity));
+    return parseFloat(quantity.toFixed(6));
+  }
+
+  stops() {
+    const stops = this.definition.stops || {};
+    return Object.fromEntries(Object.entries(stops).map(([key, value]) => [key, this.value(value)]));
+  }
+
+  value(number) {
+    return typeof number === 'string' && number.startsWith('$') ? this.params[number.slice(1)] : number;
+  }
+}
+
+function hold(confidence, reasoning) {
+  return { action: 'HOLD', quantity: 0, confidence, urgency: 'LOW', reasoning };
+}
+
+// ---- Loading ----
+
+// A name from config/strategies/ or a path to a JSON file
+export function loadStrategyDefinition(nameOrPath) {
+  const file = /[/\\]|\.json$/.test(nameOrPath) ? nameOrPath : new URL(`${nameOrPath}.json`, STRATEGY_DIR);
+  let definition;
+  try {
+    definition = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load strategy "${nameOrPath}": ${error.message}`);
+  }
+  return parseStrategyDefinition(definition);
+}
+
+// Parameters exported by the optimizer (scripts/optimize.js --export) for `strategy`
+// ('builtin' or a definition name); a file tuned for another strategy is refused
+export function loadStrategyParams(filePath, strategy = 'builtin') {
+  let exported;
+  try {
+    exported = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load strategy params "${filePath}": ${error.message}`);
+  }
+  if (!exported || typeof exported.params !== 'object') {
+    throw new Error(`Strategy params "${filePath}" have no params object`);
+  }
+  if ((exported.strategy || 'builtin') !== strategy) {
+    throw new Error(`Strategy params "${filePath}" were optimized for ${exported.strategy}, not ${strategy}`);
+  }
+  return exported.params;
+}
+
+const strategies = new Map();
+
+// The strategy an instrument trades with: its `trading.strategy` definition with the
+// symbol's trading values as params, or the built-in strategy when none is set.
+// `trading.strategyParams` (an optimizer export) overrides the parameters of either.
+export function strategyFor(instrument) {
+  const { strategy: name = null, strategyParams = null } = instrument?.trading || {};
+  if (!name && !strategyParams) return defaultStrategy;
+
+  const key = `${name}:${JSON.stringify(instrument.trading)}`;
+  if (!strategies.has(key)) {
+    const tuned = strategyParams ? loadStrategyParams(strategyParams, name || 'builtin') : {};
+    strategies.set(key, name ?
+      new RuleStrategy(loadStrategyDefinition(name), { ...instrument.trading, ...tuned }) :
+      new ProfessionalTradingStrategy(tuned));
+  }
+  return strategies.get(key);
+}
+
+export { RuleStrategy };
+export default RuleStrategy;
@@ -0,0 +1,105 @@
+// lib/storage/jsonFileStorage.js - Single JSON file storage for offline runs
+import { promises as fs } from 'fs';
+import path from 'path';
+import BaseStorage from './baseStorage.js';
+
+const EMPTY_STATE = { positions: {}, trades: [], performance: [], records: {} };
+
+class JsonFileStorage extends BaseStorage {
+  constructor({ filePath = process.env.STORAGE_JSON_PATH || 'data/storage.json' } = {}) {
+    super('json');
+    this.filePath = path.resolve(filePath);
+    // Serialize writes so concurrent updates within one process don't clobber each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  async _performInitialization() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      await fs.access(this.filePath);
+    } catch {
+      await this._save(structuredClone(EMPTY_STATE));
+    }
+  }
+
+  async _load() {
+    const raw = await fs.readFile(this.filePath, 'utf8');
+    return { ...structuredClone(EMPTY_STATE), ...JSON.parse(raw || '{}') };
+  }
+
+  async _save(state) {
+    // Write to a temp file and rename so a crash never leaves half a file behind
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  _mutate(fn) {
+    const run = this.writeQueue.then(async () => {
+      const state = await this._load();
+      await fn(state);
+      await this._save(state);
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _readPositions() {
+    return (await this._load()).positions;
+  }
+
+  async _writePositions(positions) {
+    return this._mutate(state => {
+      state.positions = positions;
+    });
+  }
+
+  async _readTrades() {
+    return (await this._load()).trades;
+  }
+
+  async _appendTrade(trade) {
+    return this._mutate(state => {
+      state.trades.push(trade);
+    });
+  }
+
+  async _appendPerformance(row) {
+    return this._mutate(state => {
+      state.performance.push(row);
+    });
+  }
+
+  async _getRecord(collection, key) {
+    const state = await this._load();
+    return state.records[collection]?.[key]?.value ?? null;
+  }
+
+  async _putRecord(collection, key, value) {
+    return this._mutate(state => {
+      const records = state.records[collection] || {};
+      // Re-insert so iteration order follows the last update
+      delete records[key];
+      records[key] = { key, value, updatedAt: new Date().toISOString() };
+      state.records[collection] = records;
+    });
+  }
+
+  async _deleteRecord(collection, key) {
+    return this._mutate(state => {
+      if (state.records[collection]) delete state.records[collection][key];
+    });
+  }
+
+  async _listRecords(collection) {
+    const state = await this._load();
+    return Object.values(state.records[collection] || {});
+  }
+
+  async _describe() {
+    return { filePath: this.filePath };
+  }
+}
+
+export { JsonFileStorage };
+export default JsonFileStorage;
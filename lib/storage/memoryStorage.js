@@ -0,0 +1,73 @@
+// lib/storage/memoryStorage.js - In-memory storage for tests and local runs
+import BaseStorage from './baseStorage.js';
+
+class MemoryStorage extends BaseStorage {
+  constructor({ positions = {}, trades = [] } = {}) {
+    super('memory');
+    this.positions = structuredClone(positions);
+    this.trades = structuredClone(trades);
+    this.performance = [];
+    this.records = new Map();
+  }
+
+  async _readPositions() {
+    return structuredClone(this.positions);
+  }
+
+  async _writePositions(positions) {
+    this.positions = structuredClone(positions);
+  }
+
+  async _readTrades() {
+    return structuredClone(this.trades);
+  }
+
+  async _appendTrade(trade) {
+    this.trades.push(structuredClone(trade));
+  }
+
+  async _appendPerformance(row) {
+    this.performance.push(row);
+  }
+
+  _collection(name) {
+    if (!this.records.has(name)) this.records.set(name, new Map());
+    return this.records.get(name);
+  }
+
+  async _getRecord(collection, key) {
+    const record = this._collection(collection).get(key);
+    return record ? structuredClone(record.value) : null;
+  }
+
+  async _putRecord(collection, key, value) {
+    const records = this._collection(collection);
+    // Re-insert so iteration order follows the last update
+    records.delete(key);
+    records.set(key, { key, value: structuredClone(value), updatedAt: new Date().toISOString() });
+  }
+
+  async _deleteRecord(collection, key) {
+    this._collection(collection).delete(key);
+  }
+
+  async _listRecords(collection) {
+    return [...this._collection(collection).values()].map(record => structuredClone(record));
+  }
+
+  async _describe() {
+    return { tradeCount: this.trades.length };
+  }
+
+  // Drop all state (handy between tests)
+  reset() {
+    this.positions = {};
+    this.trades = [];
+    this.performance = [];
+    this.records.clear();
+    this.positionCache.clear();
+  }
+}
+
+export { MemoryStorage };
+export default MemoryStorage;
@@ -0,0 +1,171 @@
+// lib/storage/sqliteStorage.js - SQLite storage (better-sqlite3, loaded on demand)
+import { promises as fs } from 'fs';
+import path from 'path';
+import BaseStorage from './baseStorage.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS positions (
+    symbol TEXT PRIMARY KEY,
+    quantity REAL NOT NULL,
+    average_price REAL NOT NULL,
+    high_water_mark REAL,
+    last_updated TEXT,
+    alert_level TEXT,
+    position_value REAL
+  );
+  CREATE TABLE IF NOT EXISTS trades (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    quantity REAL NOT NULL,
+    price REAL NOT NULL,
+    pnl REAL,
+    order_id TEXT,
+    reasoning TEXT,
+    fees REAL DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS performance (
+    date TEXT NOT NULL,
+    total_pnl REAL,
+    trade_count INTEGER,
+    win_rate REAL,
+    max_drawdown REAL,
+    sharpe_ratio REAL
+  );
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    PRIMARY KEY (collection, key)
+  );
+`;
+
+class SqliteStorage extends BaseStorage {
+  constructor({ filePath = process.env.STORAGE_SQLITE_PATH || 'data/storage.db' } = {}) {
+    super('sqlite');
+    this.filePath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+    this.db = null;
+  }
+
+  async _performInitialization() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error(`SQLite storage requires the better-sqlite3 package: ${error.message}`);
+    }
+
+    if (this.filePath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    // Databases created before trade fees were tracked
+    const tradeColumns = this.db.prepare('PRAGMA table_info(trades)').all().map(c => c.name);
+    if (!tradeColumns.includes('fees')) {
+      this.db.exec('ALTER TABLE trades ADD COLUMN fees REAL DEFAULT 0');
+    }
+  }
+
+  async _readPositions() {
+    const rows = this.db.prepare('SELECT * FROM positions').all();
+    return Object.fromEntries(rows.map(row => [row.symbol, {
+      symbol: row.symbol,
+      quantity: row.quantity,
+      averagePrice: row.average_price,
+      highWaterMark: row.high_water_mark || row.average_price,
+      lastUpdated: row.last_updated,
+      alertLevel: row.alert_level || 'NORMAL',
+      positionValue: row.position_value
+    }]));
+  }
+
+  async _writePositions(positions) {
+    const insert = this.db.prepare(`
+      INSERT INTO positions (symbol, quantity, average_price, high_water_mark, last_updated, alert_level, position_value)
+      VALUES (@symbol, @quantity, @averagePrice, @highWaterMark, @lastUpdated, @alertLevel, @positionValue)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM positions').run();
+      for (const [symbol, position] of Object.entries(positions)) {
+        insert.run({
+          symbol,
+          quantity: position.quantity,
+          averagePrice: position.averagePrice,
+          highWaterMark: position.highWaterMark ?? position.averagePrice,
+          lastUpdated: position.lastUpdated || new Date().toISOString(),
+          alertLevel: position.alertLevel || 'NORMAL',
+          positionValue: position.positionValue ?? position.quantity * position.averagePrice
+        });
+      }
+    })();
+  }
+
+  async _readTrades() {
+    return this.db.prepare('SELECT * FROM trades ORDER BY seq ASC').all().map(row => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      symbol: row.symbol,
+      action: row.action,
+      quantity: row.quantity,
+      price: row.price,
+      pnl: row.pnl,
+      orderId: row.order_id,
+      reasoning: row.reasoning || '',
+      fees: row.fees || 0
+    }));
+  }
+
+  async _appendTrade(trade) {
+    this.db.prepare(`
+      INSERT INTO trades (id, timestamp, symbol, action, quantity, price, pnl, order_id, reasoning, fees)
+      VALUES (@id, @timestamp, @symbol, @action, @quantity, @price, @pnl, @orderId, @reasoning, @fees)
+    `).run(trade);
+  }
+
+  async _appendPerformance(row) {
+    this.db.prepare(`
+      INSERT INTO performance (date, total_pnl, trade_count, win_rate, max_drawdown, sharpe_ratio)
+      VALUES (@date, @totalPnL, @tradeCount, @winRate, @maxDrawdown, @sharpeRatio)
+    `).run(row);
+  }
+
+  async _getRecord(collection, key) {
+    const row = this.db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?').get(collection, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async _putRecord(collection, key, value) {
+    this.db.prepare(`
+      INSERT INTO records (collection, key, value, updated_at, seq)
+      VALUES (@collection, @key, @value, @updatedAt, (SELECT COALESCE(MAX(seq), 0) + 1 FROM records))
+      ON CONFLICT (collection, key) DO UPDATE SET
+        value = excluded.value, updated_at = excluded.updated_at, seq = excluded.seq
+    `).run({ collection, key, value: JSON.stringify(value), updatedAt: new Date().toISOString() });
+  }
+
+  async _deleteRecord(collection, key) {
+    this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?').run(collection, key);
+  }
+
+  async _listRecords(collection) {
+    return this.db.prepare('SELECT key, value, updated_at FROM records WHERE collection = ? ORDER BY seq ASC')
+      .all(collection)
+      .map(row => ({ key: row.key, value: JSON.parse(row.value), updatedAt: row.updated_at }));
+  }
+
+  async _describe() {
+    return { filePath: this.filePath };
+  }
+}
+
+export { SqliteStorage };
+export default SqliteStorage;
@@ -1,6 +1,19 @@
 // lib/strategy.js - Fixed Professional Trading Strategy with Position Validation
+import { latestValues } from './indicatorRegistry.js';
+import logger from './logger.js';
+import { evaluateConfirmations, describeConfirmations } from './multiTimeframe.js';
+
 class ProfessionalTradingStrategy {
-  constructor() {
+  // `overrides` replaces the numeric constants below, e.g. { RSI_OVERSOLD: 35 } from an
+  // optimizer export (scripts/optimize.js)
+  constructor(overrides = {}) {
+    // Indicator series analyze() reads, in the registry's declaration format
+    // (lib/indicatorRegistry.js). Callers pass this to TechnicalIndicators.calculate().
+    this.indicators = {
+      rsi: { period: 14 },
+      sma: { period: 20 }
+    };
+
     // More reasonable risk management parameters
     this.MAX_POSITION_SIZE = 0.03;
     this.PROFIT_TARGET_PCT = 3; // 3% profit target
@@ -14,6 +27,7 @@ class ProfessionalTradingStrategy {
     this.MAX_DAILY_TRADES = 10;
     this.MAX_CONSECUTIVE_LOSSES = 3;
     this.POSITION_SIZE_REDUCTION_ON_LOSS = 0.8;
+    this.LOSS_PAUSE_HOURS = 24; // How long a losing streak pauses new entries
     
     // Market Conditions
     this.MIN_VOLUME_THRESHOLD = 1000;
@@ -25,10 +39,21 @@ class ProfessionalTradingStrategy {
     
     // Minimum position value to consider (prevents tiny ghost positions)
     this.MIN_POSITION_VALUE = 10; // $10 minimum position value
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (typeof this[key] !== 'number') {
+        throw new Error(`Unknown strategy parameter "${key}"`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Strategy parameter "${key}" must be a number, got ${JSON.stringify(value)}`);
+      }
+      this[key] = value;
+    }
   }
 
-  analyze(technicalData, currentPosition, lastTrade = null, accountInfo = null) {
-    console.log('=== PROFESSIONAL STRATEGY ANALYSIS START ===');
+  // `history` feeds the risk controls: { trades (newest first), equity: [{ timestamp, equity }] }
+  analyze(technicalData, currentPosition, lastTrade = null, accountInfo = null, history = {}) {
+    logger.debug('=== PROFESSIONAL STRATEGY ANALYSIS START ===');
     
     const currentPrice = technicalData.currentPrice || 0;
     const signals = technicalData.signals || [];
@@ -41,30 +66,31 @@ class ProfessionalTradingStrategy {
     const trend = this.determineTrend(technicalData);
     
     // Risk assessment
-    const riskMetrics = this.assessRisk(currentPosition, accountInfo, lastTrade);
+    const riskMetrics = this.assessRisk(currentPosition, accountInfo, lastTrade, history);
     
-    console.log('Risk Assessment:', riskMetrics);
+    logger.debug('Risk Assessment', riskMetrics);
     
     // Enhanced position validation
     const hasValidPosition = this.validatePosition(currentPosition, currentPrice);
     
-    console.log('Position Validation:', {
+    logger.debug('Position Validation', {
       hasPosition: !!currentPosition,
       quantity: currentPosition?.quantity || 0,
       positionValue: hasValidPosition ? (currentPosition.quantity * currentPrice).toFixed(2) : 0,
       isValid: hasValidPosition
     });
     
-    if (hasValidPosition) {
-      return this.manageExistingPosition(
-        currentPosition, currentPrice, rsi, sma20, trend, signals, riskMetrics
-      );
-    } else {
-      // No valid position - evaluate new entry
-      return this.evaluateNewPosition(
-        currentPrice, rsi, sma20, trend, signals, volatility, volume, riskMetrics
-      );
-    }
+    // Higher/lower timeframe agreement for entries: technicalData.confirmations holds the
+    // symbol's rules, technicalData.timeframes the bars loaded for them (lib/multiTimeframe.js)
+    const rules = technicalData.confirmations || [];
+    const confirmation = rules.length > 0 ? evaluateConfirmations(rules, technicalData.timeframes) : null;
+
+    // Exits always run so a paused or halted account can still reduce risk
+    const decision = hasValidPosition ?
+      this.manageExistingPosition(currentPosition, currentPrice, rsi, sma20, trend, signals, riskMetrics) :
+      this.evaluateNewPosition(currentPrice, rsi, sma20, trend, signals, volatility, volume, riskMetrics, confirmation);
+
+    return { ...decision, riskMetrics, ...(confirmation && { confirmation }) };
   }
 
   // Enhanced position validation
@@ -78,7 +104,7 @@ class ProfessionalTradingStrategy {
     const hasValidQuantity = quantity > 0.001; // At least 0.001 ETH
     const hasValidValue = positionValue >= this.MIN_POSITION_VALUE; // At least $10
     
-    console.log('Position Validation Details:', {
+    logger.debug('Position Validation Details', {
       quantity,
       currentPrice,
       positionValue: positionValue.toFixed(2),
@@ -91,13 +117,13 @@ class ProfessionalTradingStrategy {
   }
 
   manageExistingPosition(position, currentPrice, rsi, sma20, trend, signals, riskMetrics) {
-    console.log('=== MANAGING EXISTING POSITION ===');
+    logger.debug('=== MANAGING EXISTING POSITION ===');
     
     const pnlPercentage = ((currentPrice - position.averagePrice) / position.averagePrice) * 100;
     const unrealizedPnL = (currentPrice - position.averagePrice) * position.quantity;
     const positionValue = position.quantity * currentPrice;
     
-    console.log(`Position Analysis:`, {
+    logger.debug('Position Analysis', {
       quantity: position.quantity,
       averagePrice: position.averagePrice.toFixed(4),
       currentPrice: currentPrice.toFixed(4),
@@ -108,7 +134,7 @@ class ProfessionalTradingStrategy {
 
     // 1. STOP LOSS - More conservative threshold
     if (pnlPercentage <= -this.STOP_LOSS_PCT) {
-      console.log('🚨 STOP LOSS TRIGGERED');
+      logger.debug('🚨 STOP LOSS TRIGGERED');
       return {
         action: 'SELL',
         quantity: position.quantity,
@@ -126,7 +152,7 @@ class ProfessionalTradingStrategy {
     
     // 2. TAKE PROFIT
     if (pnlPercentage >= this.PROFIT_TARGET_PCT) {
-      console.log('🎯 PROFIT TARGET REACHED');
+      logger.debug('🎯 PROFIT TARGET REACHED');
       return {
         action: 'SELL',
         quantity: position.quantity,
@@ -149,7 +175,7 @@ class ProfessionalTradingStrategy {
       
       // Only trigger trailing stop if we're still in profit territory
       if (currentPrice <= trailingStopPrice && trailingStopLoss > 0) {
-        console.log('📉 TRAILING STOP TRIGGERED');
+        logger.debug('📉 TRAILING STOP TRIGGERED');
         return {
           action: 'SELL',
           quantity: position.quantity,
@@ -172,7 +198,7 @@ class ProfessionalTradingStrategy {
     
     // Only sell on very strong technical signals and if we're not in a small loss
     if (technicalSellScore >= 8 && pnlPercentage > -1.0) { // Increased threshold and loss protection
-      console.log('📈 STRONG TECHNICAL SELL SIGNAL');
+      logger.debug('📈 STRONG TECHNICAL SELL SIGNAL');
       return {
         action: 'SELL',
         quantity: position.quantity,
@@ -191,11 +217,11 @@ class ProfessionalTradingStrategy {
     
     // 5. WARNING ZONE - Monitor closely but don't sell yet
     if (pnlPercentage <= -1.5 && pnlPercentage > -this.STOP_LOSS_PCT) {
-      console.log('⚠️ POSITION IN WARNING ZONE - MONITORING');
+      logger.debug('⚠️ POSITION IN WARNING ZONE - MONITORING');
     }
     
     // 6. HOLD POSITION
-    console.log('✋ HOLDING POSITION');
+    logger.debug('✋ HOLDING POSITION');
     return {
       action: 'HOLD',
       quantity: 0,
@@ -213,8 +239,8 @@ class ProfessionalTradingStrategy {
     };
   }
 
-  evaluateNewPosition(currentPrice, rsi, sma20, trend, signals, volatility, volume, riskMetrics) {
-    console.log('=== EVALUATING NEW POSITION ENTRY ===');
+  evaluateNewPosition(currentPrice, rsi, sma20, trend, signals, volatility, volume, riskMetrics, confirmation = null) {
+    logger.debug('=== EVALUATING NEW POSITION ENTRY ===');
     
     // Pre-flight checks
     if (riskMetrics.shouldPause) {
@@ -242,8 +268,22 @@ class ProfessionalTradingStrategy {
     const bullishSignals = this.getBullishSignals(signals);
     const buyScore = this.calculateBuyScore(rsi, sma20, currentPrice, trend, bullishSignals, volume);
     
-    console.log(`Buy Score Assessment: ${buyScore}/10 (need 7+ for entry)`);
+    logger.debug(`Buy Score Assessment: ${buyScore}/10 (need 7+ for entry)`);
     
+    if (buyScore >= 7 && confirmation && !confirmation.passed) {
+      const vetoes = confirmation.vetoes.map(({ interval }) => interval);
+      return {
+        action: 'HOLD',
+        quantity: 0,
+        confidence: 0.3,
+        urgency: 'LOW',
+        reasoning: [
+          `ENTRY VETOED BY ${[...new Set(vetoes)].join(', ')}: Buy score ${buyScore}/10 but timeframes disagree`,
+          ...describeConfirmations(confirmation)
+        ]
+      };
+    }
+
     if (buyScore >= 7) {
       const baseSize = this.calculatePositionSize(currentPrice, volatility, riskMetrics);
       
@@ -262,7 +302,8 @@ class ProfessionalTradingStrategy {
           `Bullish signals: ${bullishSignals.length}`,
           `Volume: ${volume.toLocaleString()}`,
           `Stop loss will be set at ${this.STOP_LOSS_PCT}% ($${(currentPrice * (1 - this.STOP_LOSS_PCT/100)).toFixed(4)})`,
-          `Profit target at ${this.PROFIT_TARGET_PCT}% ($${(currentPrice * (1 + this.PROFIT_TARGET_PCT/100)).toFixed(4)})`
+          `Profit target at ${this.PROFIT_TARGET_PCT}% ($${(currentPrice * (1 + this.PROFIT_TARGET_PCT/100)).toFixed(4)})`,
+          ...(confirmation ? describeConfirmations(confirmation) : [])
         ]
       };
     }
@@ -281,27 +322,86 @@ class ProfessionalTradingStrategy {
         `Trend: ${trend}`,
         `Volume: ${volume.toLocaleString()}`,
         `Bullish signals: ${bullishSignals.length}`,
-        `Waiting for higher probability setup`
+        `Waiting for higher probability setup`,
+        ...(confirmation ? describeConfirmations(confirmation) : [])
       ]
     };
   }
 
+  // Exit levels in percent, in the rule strategies' `stops` shape; broker-side
+  // protective orders (lib/protectiveOrders.js) are priced from these
+  stops() {
+    return {
+      stopLossPercent: this.STOP_LOSS_PCT,
+      takeProfitPercent: this.PROFIT_TARGET_PCT,
+      trailingStopPercent: this.TRAILING_STOP_PCT
+    };
+  }
+
+  // Where the stop for a position sits now: the fixed stop below entry, raised to
+  // the trailing stop once that locks in a gain (as manageExistingPosition checks it)
+  stopPrice(position) {
+    const { stopLossPercent, trailingStopPercent } = this.stops();
+    if (!position || !(position.averagePrice > 0) || stopLossPercent === undefined) return null;
+
+    let stop = position.averagePrice * (1 - stopLossPercent / 100);
+    if (trailingStopPercent !== undefined && position.highWaterMark > position.averagePrice) {
+      const trailing = position.highWaterMark * (1 - trailingStopPercent / 100);
+      if (trailing > position.averagePrice) stop = Math.max(stop, trailing);
+    }
+    return stop;
+  }
+
   // Professional risk assessment
-  assessRisk(currentPosition, accountInfo, lastTrade) {
+  //   - losing streak of MAX_CONSECUTIVE_LOSSES pauses new entries for LOSS_PAUSE_HOURS
+  //   - every loss in the current streak shrinks position size by POSITION_SIZE_REDUCTION_ON_LOSS
+  //   - MAX_DAILY_TRADES orders in a UTC day pauses new entries until tomorrow
+  //   - equity MAX_DRAWDOWN_PCT below its high water mark blocks new entries and sets
+  //     shouldHalt - trading runs then pause entries in the trading state until an
+  //     operator resumes (pauseOnRisk); exits keep running
+  assessRisk(currentPosition, accountInfo, lastTrade, history = {}) {
+    const trades = history.trades || [];
+    const now = history.now || Date.now();
+
     const risks = {
       shouldPause: false,
+      shouldHalt: false,
+      haltReason: null,
       pauseReasons: [],
       positionSizeMultiplier: 1.0,
-      riskLevel: 'LOW'
+      riskLevel: 'LOW',
+      consecutiveLosses: this.countConsecutiveLosses(trades),
+      tradesToday: this.countTradesToday(trades, now),
+      drawdownPct: this.calculateDrawdown(accountInfo, history.equity || [])
     };
     
+    // Shrink size after each loss in the current streak
+    if (risks.consecutiveLosses > 0) {
+      risks.positionSizeMultiplier = Math.pow(this.POSITION_SIZE_REDUCTION_ON_LOSS, risks.consecutiveLosses);
+      risks.riskLevel = 'MEDIUM';
+    }
+    
     // Check for consecutive losses
-    if (this.hasConsecutiveLosses(lastTrade, this.MAX_CONSECUTIVE_LOSSES)) {
+    if (this.hasConsecutiveLosses(trades, this.MAX_CONSECUTIVE_LOSSES, now)) {
       risks.shouldPause = true;
-      risks.pauseReasons.push(`${this.MAX_CONSECUTIVE_LOSSES} consecutive losses - pausing to reassess`);
+      risks.pauseReasons.push(`${risks.consecutiveLosses} consecutive losses - pausing new entries for ${this.LOSS_PAUSE_HOURS}h to reassess`);
       risks.riskLevel = 'HIGH';
     }
     
+    if (this.exceedsDailyTradeLimit(trades, now)) {
+      risks.shouldPause = true;
+      risks.pauseReasons.push(`Daily trade limit reached: ${risks.tradesToday}/${this.MAX_DAILY_TRADES} trades today`);
+      risks.riskLevel = 'HIGH';
+    }
+    
+    if (risks.drawdownPct >= this.MAX_DRAWDOWN_PCT) {
+      risks.shouldPause = true;
+      risks.shouldHalt = true;
+      risks.haltReason = `Equity drawdown ${risks.drawdownPct.toFixed(2)}% exceeds ${this.MAX_DRAWDOWN_PCT}% limit - new entries halted`;
+      risks.pauseReasons.push(risks.haltReason);
+      risks.riskLevel = 'CRITICAL';
+    }
+    
     return risks;
   }
 
@@ -397,27 +497,11 @@ class ProfessionalTradingStrategy {
 
   // Helper methods
   getLatestRSI(technicalData) {
-    try {
-      if (technicalData.rsi && Array.isArray(technicalData.rsi) && technicalData.rsi.length > 0) {
-        return technicalData.rsi[technicalData.rsi.length - 1].value || 50;
-      }
-      return 50;
-    } catch (error) {
-      console.log('Error getting RSI:', error);
-      return 50;
-    }
+    return latestValues({ rsi: technicalData.rsi }).rsi?.value || 50;
   }
 
   getLatestSMA(technicalData) {
-    try {
-      if (technicalData.sma && Array.isArray(technicalData.sma) && technicalData.sma.length > 0) {
-        return technicalData.sma[technicalData.sma.length - 1].value || technicalData.currentPrice;
-      }
-      return technicalData.currentPrice || 0;
-    } catch (error) {
-      console.log('Error getting SMA:', error);
-      return technicalData.currentPrice || 0;
-    }
+    return latestValues({ sma: technicalData.sma }).sma?.value || technicalData.currentPrice || 0;
   }
 
   determineTrend(technicalData) {
@@ -432,7 +516,7 @@ class ProfessionalTradingStrategy {
       }
       return 'NEUTRAL';
     } catch (error) {
-      console.log('Error determining trend:', error);
+      logger.warn(`Error determining trend: ${error.message}`);
       return 'NEUTRAL';
     }
   }
@@ -458,17 +542,60 @@ class ProfessionalTradingStrategy {
   }
 
   // Helper methods for risk management
-  hasConsecutiveLosses(lastTrade, maxLosses) {
-    return false; // Implement based on trade history
+
+  // Losing closes in a row, newest first. BUY fills carry no pnl and are skipped;
+  // partial fills of one order count as a single trade.
+  countConsecutiveLosses(trades) {
+    let streak = 0;
+    let lastOrder = null;
+    
+    for (const trade of this.getClosingTrades(trades)) {
+      const orderKey = trade.orderId || trade.id;
+      if (orderKey && orderKey === lastOrder) continue;
+      if (parseFloat(trade.pnl) >= 0) break;
+      streak++;
+      lastOrder = orderKey;
+    }
+    return streak;
+  }
+
+  hasConsecutiveLosses(trades, maxLosses, now = Date.now()) {
+    if (this.countConsecutiveLosses(trades) < maxLosses) return false;
+    
+    // The pause wears off LOSS_PAUSE_HOURS after the latest loss
+    const lastLoss = this.getClosingTrades(trades)[0];
+    return now - new Date(lastLoss.timestamp).getTime() < this.LOSS_PAUSE_HOURS * 3600000;
+  }
+
+  // Orders (not individual fills) placed since midnight UTC
+  countTradesToday(trades, now = Date.now()) {
+    const today = new Date(now).toISOString().split('T')[0];
+    const orders = new Set(
+      trades
+        .filter(trade => trade.timestamp && new Date(trade.timestamp).toISOString().startsWith(today))
+        .map(trade => trade.orderId || trade.id)
+    );
+    return orders.size;
+  }
+
+  exceedsDailyTradeLimit(trades = [], now = Date.now()) {
+    return this.countTradesToday(trades, now) >= this.MAX_DAILY_TRADES;
   }
 
-  exceedsDailyTradeLimit() {
-    return false; // Implement based on daily trade count
+  // Percent below the highest equity seen in `equityHistory` (and the current account equity)
+  calculateDrawdown(accountInfo, equityHistory = []) {
+    const values = equityHistory.map(point => parseFloat(point.equity)).filter(value => value > 0);
+    const current = parseFloat(accountInfo?.equity ?? accountInfo?.portfolio_value) || values[values.length - 1];
+    if (!current) return 0;
+    
+    const peak = Math.max(current, ...values);
+    return parseFloat(((peak - current) / peak * 100).toFixed(2));
   }
 
-  calculateDrawdown(accountInfo) {
-    return 0; // Implement based on account high water mark
+  getClosingTrades(trades) {
+    return trades.filter(trade => trade.pnl !== null && trade.pnl !== undefined && trade.pnl !== '');
   }
 }
 
+export { ProfessionalTradingStrategy };
 export default new ProfessionalTradingStrategy();
\ No newline at end of file
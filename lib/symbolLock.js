@@ -0,0 +1,123 @@
+// lib/symbolLock.js - Per-symbol leases so overlapping trading and monitor runs never trade one symbol at once
+import defaultStorage from './storage.js';
+import logger from './logger.js';
+
+const LOCKS_COLLECTION = 'locks';
+
+// One lock record per symbol: { symbol, owner, token, acquiredAt, expiresAt, releasedAt }
+//
+// A lease expires on its own after ttlMs, so a run that dies mid-way never blocks the symbol
+// for long. Every acquisition takes the next token (a fencing token, kept when the lock is
+// released): a run whose lease expired and was taken over fails verify() before placing orders.
+//
+// Storage has no compare-and-set, so acquire() writes its claim, waits settleMs and reads it
+// back - of two runs racing for a free lock only the one whose claim is still there proceeds.
+class SymbolLockManager {
+  constructor({
+    storage = defaultStorage,
+    ttlMs = (parseInt(process.env.SYMBOL_LOCK_TTL_SECONDS) || 60) * 1000,
+    settleMs = parseInt(process.env.SYMBOL_LOCK_SETTLE_MS) || 200,
+    now = () => Date.now()
+  } = {}) {
+    this.storage = storage;
+    this.ttlMs = ttlMs;
+    this.settleMs = settleMs;
+    this.now = now;
+  }
+
+  // Resolves to { acquired: true, symbol, owner, token, expiresAt }
+  // or { acquired: false, symbol, heldBy, expiresAt } while another run holds the lock
+  async acquire(symbol, owner) {
+    const current = await this.storage.getRecord(LOCKS_COLLECTION, symbol);
+    if (this._isHeld(current) && current.owner !== owner) {
+      return this._refused(symbol, current);
+    }
+
+    const now = this.now();
+    const claim = {
+      symbol,
+      owner,
+      token: (current?.token || 0) + 1,
+      acquiredAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      releasedAt: null
+    };
+    await this.storage.putRecord(LOCKS_COLLECTION, symbol, claim);
+
+    if (this.settleMs > 0) await sleep(this.settleMs);
+    const settled = await this.storage.getRecord(LOCKS_COLLECTION, symbol);
+    if (settled?.owner !== owner || settled.token !== claim.token) {
+      logger.warn(`🔒 Lost the race for ${symbol} to ${settled?.owner}`);
+      return this._refused(symbol, settled);
+    }
+
+    logger.info(`🔒 Locked ${symbol}`, { owner, token: claim.token, expiresAt: claim.expiresAt });
+    return { acquired: true, symbol, owner, token: claim.token, expiresAt: claim.expiresAt };
+  }
+
+  // Throw unless the lease is still ours - called right before an order goes out
+  async verify(lease) {
+    const current = await this.storage.getRecord(LOCKS_COLLECTION, lease.symbol);
+    if (!this._isHeld(current) || current.owner !== lease.owner || current.token !== lease.token) {
+      throw new Error(`Lock on ${lease.symbol} lost (token ${lease.token}${current ? `, now ${current.token} held by ${current.owner}` : ''}) - not placing orders`);
+    }
+    return current;
+  }
+
+  // Release only our own lease; the token stays so the next holder gets a higher one
+  async release(lease) {
+    if (!lease?.acquired) return false;
+    const current = await this.storage.getRecord(LOCKS_COLLECTION, lease.symbol);
+    if (!current || current.owner !== lease.owner || current.token !== lease.token) return false;
+
+    const now = new Date(this.now()).toISOString();
+    await this.storage.putRecord(LOCKS_COLLECTION, lease.symbol, { ...current, expiresAt: now, releasedAt: now });
+    logger.info(`🔓 Released ${lease.symbol}`, { owner: lease.owner, token: lease.token });
+    return true;
+  }
+
+  // Run fn(lease) holding the symbol's lock - the caller's own lease from `held` if it has
+  // one, else a new lease released afterwards. Resolves to { acquired: true, result }, or to
+  // acquire()'s refusal without running fn while another run holds the symbol.
+  async withLock(symbol, owner, fn, held = []) {
+    const existing = held.find(lease => lease?.acquired && lease.symbol === symbol);
+    const lease = existing || await this.acquire(symbol, owner);
+    if (!lease.acquired) return lease;
+
+    try {
+      return { acquired: true, result: await fn(lease) };
+    } finally {
+      if (!existing) await this.releaseAll([lease]);
+    }
+  }
+
+  async releaseAll(leases) {
+    for (const lease of leases) {
+      try {
+        await this.release(lease);
+      } catch (error) {
+        logger.error(`Failed to release the lock on ${lease.symbol} - it expires at ${lease.expiresAt}`, error);
+      }
+    }
+  }
+
+  async getLock(symbol) {
+    const current = await this.storage.getRecord(LOCKS_COLLECTION, symbol);
+    return this._isHeld(current) ? current : null;
+  }
+
+  _isHeld(record) {
+    return !!record && !record.releasedAt && Date.parse(record.expiresAt) > this.now();
+  }
+
+  _refused(symbol, holder) {
+    return { acquired: false, symbol, heldBy: holder?.owner || null, expiresAt: holder?.expiresAt || null };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export { SymbolLockManager };
+export default new SymbolLockManager();
@@ -0,0 +1,217 @@
+// lib/tradeEvents.js - Positions, lots and realized P&L rebuilt from the append-only trade event log
+import defaultStorage from './storage.js';
+import logger from './logger.js';
+import { applyTradeToPosition, applyAdjustmentToPosition, MIN_POSITION_QUANTITY, MIN_POSITION_VALUE } from './positions.js';
+import { applyTradeToLots, adjustmentLots, summarizeRealized, LOT_METHODS } from './ledger.js';
+
+// What the log holds (storage.appendTradeEvent):
+//   ORDER_SUBMITTED   - an order reached the broker (lib/orderTracker.js)
+//   FILL              - a fill, partial or full (storage.updatePosition)
+//   ORDER_CANCELLED   - an order ended cancelled, expired or rejected
+//   MANUAL_ADJUSTMENT - an operator set a position (storage.adjustPosition)
+//   SYNC_CORRECTION   - a position set to match the broker
+export const EVENT_TYPES = ['ORDER_SUBMITTED', 'FILL', 'ORDER_CANCELLED', 'MANUAL_ADJUSTMENT', 'SYNC_CORRECTION'];
+
+// Stored values are rounded (the Positions sheet keeps 4 decimals), so small differences aren't drift
+const DEFAULT_TOLERANCE = { quantity: 1e-8, price: 1e-4 };
+
+// Replay events in order into { positions, lots, realized, orders }. The same events and
+// lot method always give the same result - the projections hold nothing the log doesn't.
+export function projectEvents(events, {
+  method = 'FIFO',
+  thresholds = { minQuantity: MIN_POSITION_QUANTITY, minValue: MIN_POSITION_VALUE }
+} = {}) {
+  const positions = {};
+  const lots = {};
+  const realized = [];
+  const orders = {};
+
+  for (const event of events) {
+    const { symbol } = event;
+
+    if (event.type === 'ORDER_SUBMITTED') {
+      orders[event.orderId] = { orderId: event.orderId, symbol, side: event.side, qty: event.qty, status: 'PENDING', filledQty: 0 };
+    } else if (event.type === 'ORDER_CANCELLED') {
+      if (orders[event.orderId]) orders[event.orderId].status = event.status;
+    } else if (event.type === 'FILL') {
+      const trade = {
+        id: event.tradeId,
+        orderId: event.orderId,
+        symbol,
+        action: event.action,
+        quantity: event.quantity,
+        price: event.price,
+        fees: event.fees,
+        timestamp: event.timestamp
+      };
+
+      const result = applyTradeToLots(lots[symbol] || [], trade, {
+        method,
+        fallbackBasis: positions[symbol] ? parseFloat(positions[symbol].averagePrice) : null
+      });
+      if (result) {
+        lots[symbol] = result.lots;
+        if (result.realized) realized.push(result.realized);
+      }
+      setPosition(positions, symbol, applyTradeToPosition(positions[symbol] || null, trade, thresholds));
+
+      const order = orders[event.orderId];
+      if (order) {
+        order.filledQty += event.quantity;
+        if (order.filledQty >= order.qty - 1e-9) order.status = 'FILLED';
+      }
+    } else if (event.type === 'MANUAL_ADJUSTMENT' || event.type === 'SYNC_CORRECTION') {
+      const adjustment = { ...event, timestamp: event.recordedAt };
+      setPosition(positions, symbol, applyAdjustmentToPosition(positions[symbol] || null, adjustment, thresholds));
+      lots[symbol] = adjustmentLots(adjustment);
+    }
+  }
+
+  return {
+    positions,
+    lots: Object.fromEntries(Object.entries(lots).filter(([, book]) => book.length > 0)),
+    realized,
+    orders
+  };
+}
+
+// Per-symbol differences between stored and rebuilt positions:
+//   MISSING  - rebuilt from the log but not stored
+//   EXTRA    - stored with nothing in the log behind it
+//   MISMATCH - quantity or average price differ
+export function diffPositions(stored, rebuilt, tolerance = DEFAULT_TOLERANCE) {
+  const differences = [];
+  const symbols = [...new Set([...Object.keys(stored), ...Object.keys(rebuilt)])].sort();
+
+  for (const symbol of symbols) {
+    const have = stored[symbol] ? summarize(stored[symbol]) : null;
+    const want = rebuilt[symbol] ? summarize(rebuilt[symbol]) : null;
+
+    if (!have) {
+      differences.push({ symbol, status: 'MISSING', stored: null, rebuilt: want });
+    } else if (!want) {
+      differences.push({ symbol, status: 'EXTRA', stored: have, rebuilt: null });
+    } else if (Math.abs(have.quantity - want.quantity) > tolerance.quantity ||
+      Math.abs(have.averagePrice - want.averagePrice) > tolerance.price) {
+      differences.push({
+        symbol,
+        status: 'MISMATCH',
+        stored: have,
+        rebuilt: want,
+        quantityDelta: round(want.quantity - have.quantity, 8),
+        averagePriceDelta: round(want.averagePrice - have.averagePrice, 6)
+      });
+    }
+  }
+
+  return differences;
+}
+
+class TradeEventLog {
+  constructor({ storage = defaultStorage, method = process.env.LOT_METHOD || 'FIFO' } = {}) {
+    this.storage = storage;
+    this.method = LOT_METHODS.includes(method.toUpperCase()) ? method.toUpperCase() : 'FIFO';
+  }
+
+  async getEvents(symbol = null) {
+    return this.storage.getTradeEvents(symbol);
+  }
+
+  async rebuild() {
+    const events = await this.getEvents();
+    return {
+      events: events.length,
+      ...projectEvents(events, {
+        method: this.method,
+        thresholds: { minQuantity: this.storage.MIN_POSITION_QUANTITY, minValue: this.storage.MIN_POSITION_VALUE }
+      })
+    };
+  }
+
+  // Rebuild from scratch and compare with what storage holds now
+  async diff() {
+    const projection = await this.rebuild();
+    const stored = await this.storage.getAllPositions();
+    const differences = diffPositions(stored, projection.positions);
+
+    return {
+      events: projection.events,
+      method: this.method,
+      positions: { stored: Object.keys(stored).length, rebuilt: Object.keys(projection.positions).length },
+      realized: {
+        stored: await this.storage.getRealizedSummary(),
+        rebuilt: summarizeRealized(projection.realized)
+      },
+      differences,
+      inSync: differences.length === 0,
+      projection
+    };
+  }
+
+  // Overwrite the stored positions, lots and realized P&L with the rebuilt projections
+  async apply({ actor = 'unknown', reason = '' } = {}) {
+    const report = await this.diff();
+    const { positions, lots, realized } = report.projection;
+
+    await this.storage.replacePositions(positions);
+    const symbols = new Set([...Object.keys(lots), ...Object.keys(await this.storage.ledger.getAllOpenLots())]);
+    for (const symbol of symbols) {
+      await this.storage.ledger.replaceLots(symbol, lots[symbol] || []);
+    }
+    await this.storage.ledger.replaceRealized(realized);
+
+    await this.storage.appendAuditEvent({
+      type: 'PROJECTIONS_REBUILT',
+      actor,
+      reason,
+      events: report.events,
+      differences: report.differences
+    });
+    logger.warn(`🧮 Rebuilt projections from ${report.events} events`, { differences: report.differences.length });
+    return report;
+  }
+
+  // Start the log from the trade history of an install that predates it.
+  // Only runs while the log has no fills, so it can't double-count.
+  async seedFromTrades() {
+    const events = await this.getEvents();
+    if (events.some(event => event.type === 'FILL')) {
+      throw new Error('The event log already has fills - seeding would count them twice');
+    }
+
+    const trades = (await this.storage.getTradeHistory(Number.MAX_SAFE_INTEGER)).reverse();
+    for (const trade of trades) {
+      await this.storage.appendTradeEvent({
+        type: 'FILL',
+        symbol: trade.symbol,
+        tradeId: trade.id,
+        orderId: trade.orderId || null,
+        action: trade.action,
+        quantity: parseFloat(trade.quantity) || 0,
+        price: parseFloat(trade.price) || 0,
+        fees: parseFloat(trade.fees) || 0,
+        timestamp: trade.timestamp,
+        seeded: true
+      });
+    }
+
+    logger.info(`🌱 Seeded the event log with ${trades.length} trade(s)`);
+    return trades.length;
+  }
+}
+
+function setPosition(positions, symbol, position) {
+  if (position) positions[symbol] = position;
+  else delete positions[symbol];
+}
+
+function summarize(position) {
+  return { quantity: parseFloat(position.quantity) || 0, averagePrice: parseFloat(position.averagePrice) || 0 };
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+export { TradeEventLog };
+export default new TradeEventLog();
@@ -0,0 +1,160 @@
+// lib/tradingState.js - Persisted kill switch checked before every order
+import defaultBroker from './broker.js';
+import defaultStorage from './storage.js';
+import defaultOrderTracker from './orderTracker.js';
+import { ProtectiveOrderManager } from './protectiveOrders.js';
+import { SymbolLockManager } from './symbolLock.js';
+import logger from './logger.js';
+import { findInstrument } from './watchlist.js';
+
+const STATE_COLLECTION = 'tradingState';
+const STATE_KEY = 'current';
+
+// ACTIVE          - normal trading
+// ENTRIES_PAUSED  - exits only (stops, targets, manual sells)
+// HALTED          - no orders at all
+// LIQUIDATE       - no entries; every run sells whatever is still open
+export const TRADING_STATES = ['ACTIVE', 'ENTRIES_PAUSED', 'HALTED', 'LIQUIDATE'];
+
+class TradingStateService {
+  constructor({
+    storage = defaultStorage,
+    broker = defaultBroker,
+    orderTracker = defaultOrderTracker,
+    // Symbols another run is trading are left to the next liquidation pass
+    symbolLocks = new SymbolLockManager({ storage }),
+    // Broker-side exits are cancelled before liquidating
+    protectiveOrders = new ProtectiveOrderManager({ storage, broker, orderTracker, symbolLocks })
+  } = {}) {
+    this.storage = storage;
+    this.broker = broker;
+    this.orderTracker = orderTracker;
+    this.protectiveOrders = protectiveOrders;
+    this.symbolLocks = symbolLocks;
+  }
+
+  async getState() {
+    const current = await this.storage.getRecord(STATE_COLLECTION, STATE_KEY);
+    return current || { state: 'ACTIVE', reason: null, updatedAt: null, updatedBy: null };
+  }
+
+  async setState(state, { actor = 'unknown', reason = '' } = {}) {
+    const next = String(state).toUpperCase();
+    if (!TRADING_STATES.includes(next)) {
+      throw new Error(`Unknown trading state: ${state} (expected ${TRADING_STATES.join(', ')})`);
+    }
+
+    const previous = await this.getState();
+    const current = {
+      state: next,
+      reason,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor
+    };
+
+    await this.storage.putRecord(STATE_COLLECTION, STATE_KEY, current);
+    await this.storage.appendAuditEvent({
+      type: 'TRADING_STATE_CHANGED',
+      actor,
+      reason,
+      from: previous.state,
+      to: next
+    });
+
+    logger.warn(`🚦 Trading state ${previous.state} -> ${next}`, { actor, reason });
+    return current;
+  }
+
+  // Whether an order for `action` (BUY/SELL) may be placed right now.
+  // Reads the stored state every time so a change applies to in-flight runs.
+  async checkOrder(action) {
+    const current = await this.getState();
+    const isExit = String(action).toUpperCase() === 'SELL';
+
+    const allowed = current.state === 'ACTIVE' ||
+      (isExit && (current.state === 'ENTRIES_PAUSED' || current.state === 'LIQUIDATE'));
+
+    return {
+      allowed,
+      state: current.state,
+      reason: allowed ? null : `Trading state is ${current.state}${current.reason ? ` (${current.reason})` : ''} - ${String(action).toUpperCase()} orders are blocked`
+    };
+  }
+
+  // Stop new entries when the strategy's risk controls say so (the drawdown limit).
+  // ACTIVE moves to ENTRIES_PAUSED and stays there until an operator resumes; exits keep
+  // running so stops still fire. HALTED is left for operators - the full stop.
+  async pauseOnRisk(controls, { actor = 'risk-controls' } = {}) {
+    if (!controls?.shouldHalt) return null;
+    const current = await this.getState();
+    if (current.state !== 'ACTIVE') return null;
+    return this.setState('ENTRIES_PAUSED', { actor, reason: controls.haltReason || controls.pauseReasons.join('; ') });
+  }
+
+  // Market-sell every broker position and track the fills
+  async flattenAll({ actor = 'unknown', reason = '' } = {}) {
+    const positions = (await this.broker.getPositions()).filter(position => Math.abs(parseFloat(position.qty)) > 0);
+    const results = [];
+    if (positions.length === 0) return results;
+
+    logger.warn(`🧯 Flattening ${positions.length} position(s)`, { actor, reason });
+
+    for (const position of positions) {
+      const signedQty = parseFloat(position.qty);
+      const qty = Math.abs(signedQty);
+      const lease = await this.symbolLocks.acquire(position.symbol, `liquidation:${actor}`);
+      if (!lease.acquired) {
+        logger.warn(`🔒 ${position.symbol} is locked by ${lease.heldBy} - left for the next liquidation pass`);
+        results.push({ symbol: position.symbol, qty, status: 'SKIPPED', lockedBy: lease.heldBy });
+        continue;
+      }
+
+      try {
+        await this.protectiveOrders.cancel(position.symbol, { reason: `liquidation: ${reason || 'flatten all positions'}`, lease });
+        await this.symbolLocks.verify(lease);
+        // Shorts are closed by buying them back
+        const side = signedQty < 0 ? 'buy' : 'sell';
+        const orderResult = await this.broker.placeOrder({
+          symbol: position.symbol,
+          side,
+          qty,
+          type: 'market',
+          tif: findInstrument(position.symbol)?.defaultTimeInForce || 'gtc',
+          confirm: true
+        });
+
+        // Storage only holds long positions, so a short's cover isn't logged as a trade
+        const fill = orderResult.status === 'simulated' || side === 'buy' ? null : await this.orderTracker.track(orderResult, {
+          action: 'SELL',
+          reasoning: [`LIQUIDATION: ${reason || 'flatten all positions'}`, `Requested by ${actor}`],
+          urgency: 'CRITICAL',
+          source: 'liquidation',
+          tradeIdPrefix: 'liquidation'
+        }, lease);
+
+        results.push({ symbol: position.symbol, side, qty, orderId: orderResult.orderId, status: fill?.status || orderResult.status });
+      } catch (error) {
+        logger.error(`❌ Failed to flatten ${position.symbol}`, error);
+        results.push({ symbol: position.symbol, qty, error: error.message });
+      } finally {
+        await this.symbolLocks.releaseAll([lease]);
+      }
+    }
+
+    await this.storage.appendAuditEvent({
+      type: 'POSITIONS_FLATTENED',
+      actor,
+      reason,
+      orders: results
+    });
+
+    return results;
+  }
+
+  async getAuditLog(limit = 50) {
+    return this.storage.getAuditLog(limit);
+  }
+}
+
+export { TradingStateService };
+export default new TradingStateService();
@@ -0,0 +1,82 @@
+// lib/watchlist.js - Resolve the configured watchlist into tradable instruments
+import symbols from '../config/symbols.js';
+
+// Watchlist entries merged with the global trading defaults
+export function getInstruments({ includeDisabled = false } = {}) {
+  const entries = Array.isArray(symbols.watchlist) && symbols.watchlist.length > 0
+    ? symbols.watchlist
+    : [{ yahoo: symbols.yahoo, broker: symbols.alpaca, assetClass: 'crypto', enabled: true }];
+
+  return entries
+    .map(toInstrument)
+    .filter(instrument => includeDisabled || instrument.enabled);
+}
+
+// Find an instrument by broker symbol or Yahoo ticker (case-insensitive)
+export function findInstrument(symbol) {
+  if (!symbol) return null;
+  const wanted = String(symbol).trim().toUpperCase().replace('/', '');
+  return getInstruments({ includeDisabled: true })
+    .find(i => i.symbol.toUpperCase() === wanted || i.yahoo.toUpperCase() === wanted) || null;
+}
+
+// Pick the instruments for one run. `selection` is a comma-separated string or
+// an array of symbols; empty means every enabled watchlist entry.
+export function resolveInstruments(selection) {
+  const requested = (Array.isArray(selection) ? selection : String(selection || '').split(','))
+    .map(s => String(s).trim())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return { instruments: getInstruments(), unknown: [] };
+  }
+
+  const instruments = [];
+  const unknown = [];
+  for (const symbol of requested) {
+    const instrument = findInstrument(symbol);
+    if (!instrument) unknown.push(symbol);
+    else if (!instruments.some(i => i.symbol === instrument.symbol)) instruments.push(instrument);
+  }
+  return { instruments, unknown };
+}
+
+// Map a broker symbol (ETHUSD, BTC/USD) to its Yahoo ticker (ETH-USD)
+export function toYahooTicker(symbol) {
+  const instrument = findInstrument(symbol);
+  if (instrument) return instrument.yahoo;
+
+  const plain = String(symbol).replace('/', '');
+  if (/^[A-Z]{2,6}USD$/.test(plain)) return `${plain.slice(0, -3)}-USD`;
+  return symbol;
+}
+
+function toInstrument(entry) {
+  const overrides = entry.trading || {};
+  const assetClass = entry.assetClass || 'crypto';
+
+  const trading = { ...symbols.trading, ...overrides };
+
+  return {
+    symbol: entry.broker || entry.alpaca,
+    yahoo: entry.yahoo,
+    assetClass,
+    enabled: entry.enabled !== false,
+    trading,
+    // Bars the symbol's indicators are calculated on
+    timeframe: { interval: trading.interval || '1d', lookback: trading.lookback || null },
+    // Entry rules on other timeframes, all of which must pass
+    confirmations: trading.confirmations || [],
+    // Only an explicit per-symbol override replaces the COOLDOWN_MINUTES default
+    cooldownMinutes: overrides.cooldownMinutes ?? null,
+    // Alpaca crypto orders are GTC; equity orders (incl. fractional) must be DAY
+    defaultTimeInForce: assetClass === 'crypto' ? 'gtc' : 'day'
+  };
+}
+
+export default {
+  getInstruments,
+  findInstrument,
+  resolveInstruments,
+  toYahooTicker
+};
@@ -37,34 +37,117 @@ export const getYahooPrice = async (ticker = 'BTC-USD') => {
   }
 };
 
-export const getHistoricalData = async (ticker = 'BTC-USD', period = '1mo') => {
+// Bar intervals the strategy can run on. Yahoo has no 4h candles, so those are
+// built from 1h bars. maxAgeDays is how far back Yahoo keeps data for the
+// interval, maxRangeDays how much it returns in one request. A year of daily bars
+// is enough for sma200 even on weekday-only equity sessions.
+export const INTERVALS = {
+  '1m': { yahoo: '1m', minutes: 1, maxAgeDays: 30, maxRangeDays: 7, defaultLookback: '1d' },
+  '5m': { yahoo: '5m', minutes: 5, maxAgeDays: 60, maxRangeDays: 60, defaultLookback: '5d' },
+  '15m': { yahoo: '15m', minutes: 15, maxAgeDays: 60, maxRangeDays: 60, defaultLookback: '5d' },
+  '30m': { yahoo: '30m', minutes: 30, maxAgeDays: 60, maxRangeDays: 60, defaultLookback: '1mo' },
+  '1h': { yahoo: '1h', minutes: 60, maxAgeDays: 730, maxRangeDays: 730, defaultLookback: '1mo' },
+  '4h': { yahoo: '1h', minutes: 240, maxAgeDays: 730, maxRangeDays: 730, defaultLookback: '3mo' },
+  '1d': { yahoo: '1d', minutes: 1440, maxAgeDays: null, maxRangeDays: null, defaultLookback: '1y' },
+  '1wk': { yahoo: '1wk', minutes: 10080, maxAgeDays: null, maxRangeDays: null, defaultLookback: '2y' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// getHistoricalData('ETH-USD', '6mo') or
+// getHistoricalData('ETH-USD', { interval: '15m', lookback: '5d' }) or
+// getHistoricalData('ETH-USD', { interval: '1h', start: '2024-01-01', end: '2024-02-01' })
+export const getHistoricalData = async (ticker = 'BTC-USD', options = {}) => {
   try {
     const validatedTicker = validateTicker(ticker);
+    const { interval, start, end } = resolveHistoryRange(options);
+    const spec = INTERVALS[interval];
     
     // Use chart instead of historical (deprecated)
     const result = await yahooFinance.chart(validatedTicker, {
-      period1: getDateFromPeriod(period),
-      interval: '1d'
+      period1: start,
+      period2: end,
+      interval: spec.yahoo
     });
     
     if (!result || !result.quotes || result.quotes.length === 0) {
       throw new Error(`No historical data found for ${validatedTicker}`);
     }
     
-    return result.quotes.map(quote => ({
-      date: quote.date?.toISOString() || new Date().toISOString(),
-      open: quote.open || 0,
-      high: quote.high || 0,
-      low: quote.low || 0,
-      close: quote.close || 0,
-      volume: quote.volume || 0
-    }));
+    // Intraday charts include placeholder rows for the still-forming candle
+    const bars = result.quotes
+      .filter(quote => quote.close !== null && quote.close !== undefined)
+      .map(quote => ({
+        date: quote.date?.toISOString() || new Date().toISOString(),
+        open: quote.open || 0,
+        high: quote.high || 0,
+        low: quote.low || 0,
+        close: quote.close || 0,
+        volume: quote.volume || 0
+      }));
+
+    return spec.yahoo === interval ? bars : aggregateBars(bars, spec.minutes);
   } catch (error) {
     console.error(`Historical data error for ${ticker}:`, error.message);
     throw new Error(`Failed to fetch historical data: ${error.message}`);
   }
 };
 
+// Turn a period string or { interval, lookback | period, start, end } into the
+// exact window to request, enforcing Yahoo's per-interval limits unless told not to
+export function resolveHistoryRange(options = {}, now = new Date(), { enforceLimits = true } = {}) {
+  const opts = typeof options === 'string' ? { lookback: options } : (options || {});
+  const interval = opts.interval || '1d';
+  const spec = INTERVALS[interval];
+  if (!spec) {
+    throw new Error(`Unsupported interval "${interval}" - use one of ${Object.keys(INTERVALS).join(', ')}`);
+  }
+
+  const end = opts.end ? toDate(opts.end, 'end') : new Date(now);
+  const start = opts.start ?
+    toDate(opts.start, 'start') :
+    getDateFromPeriod(opts.lookback || opts.period || spec.defaultLookback, end);
+
+  if (start >= end) {
+    throw new Error(`Start ${start.toISOString()} must be before end ${end.toISOString()}`);
+  }
+
+  if (!enforceLimits) {
+    return { interval, start, end };
+  }
+
+  if (spec.maxAgeDays && (now - start) > spec.maxAgeDays * DAY_MS) {
+    throw new Error(`${interval} bars are only available for the last ${spec.maxAgeDays} days`);
+  }
+
+  if (spec.maxRangeDays && (end - start) > spec.maxRangeDays * DAY_MS) {
+    throw new Error(`${interval} bars can be requested at most ${spec.maxRangeDays} days at a time`);
+  }
+
+  return { interval, start, end };
+}
+
+// Roll bars up into fixed UTC buckets (e.g. 1h -> 4h)
+export function aggregateBars(bars, minutes) {
+  const bucketMs = minutes * 60 * 1000;
+  const buckets = new Map();
+
+  for (const bar of bars) {
+    const key = Math.floor(new Date(bar.date).getTime() / bucketMs) * bucketMs;
+    const bucket = buckets.get(key);
+    if (!bucket) {
+      buckets.set(key, { ...bar, date: new Date(key).toISOString() });
+      continue;
+    }
+    bucket.high = Math.max(bucket.high, bar.high);
+    bucket.low = Math.min(bucket.low, bar.low);
+    bucket.close = bar.close;
+    bucket.volume += bar.volume;
+  }
+
+  return [...buckets.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
 // Helper function to validate ticker format
 function validateTicker(ticker) {
   if (!ticker || typeof ticker !== 'string') {
@@ -84,21 +167,45 @@ function validateTicker(ticker) {
   return ticker;
 }
 
-// Helper function to convert period to date
-function getDateFromPeriod(period) {
-  const now = new Date();
-  switch (period) {
-    case '1d':
-      return new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    case '1w':
-      return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    case '1mo':
-    default:
-      return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+// Helper function to convert a lookback (1d, 1w, 2wk, 6mo, 2y) to a start date
+function getDateFromPeriod(period, from = new Date()) {
+  const match = /^(\d+)(d|w|wk|mo|y)$/.exec(String(period).trim().toLowerCase());
+  if (!match) {
+    throw new Error(`Invalid lookback "${period}" - use e.g. 5d, 2wk, 6mo or 2y`);
+  }
+
+  const amount = parseInt(match[1], 10);
+  const date = new Date(from);
+  switch (match[2]) {
+    case 'd':
+      date.setUTCDate(date.getUTCDate() - amount);
+      break;
+    case 'w':
+    case 'wk':
+      date.setUTCDate(date.getUTCDate() - amount * 7);
+      break;
+    case 'mo':
+      date.setUTCMonth(date.getUTCMonth() - amount);
+      break;
+    case 'y':
+      date.setUTCFullYear(date.getUTCFullYear() - amount);
+      break;
+  }
+  return date;
+}
+
+function toDate(value, label) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label} date: ${value}`);
   }
+  return date;
 }
 
 export default {
   getYahooPrice,
-  getHistoricalData
+  getHistoricalData,
+  resolveHistoryRange,
+  aggregateBars,
+  INTERVALS
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+// scripts/backtest.js - Run the strategy backtester from the command line
+// Usage: node scripts/backtest.js --file test/fixtures/eth-usd-daily.json [--cash 10000] [--out result.json]
+//        node scripts/backtest.js --ticker ETH-USD --period 1mo
+//        node scripts/backtest.js --ticker ETH-USD --interval 1h --start 2024-01-01 --end 2024-03-01
+//        node scripts/backtest.js --file test/fixtures/eth-usd-daily.json --strategy rsi-trend
+import { promises as fs } from 'fs';
+import { runBacktest } from '../lib/backtest.js';
+import RuleStrategy, { loadStrategyDefinition } from '../lib/ruleStrategy.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const result = await runBacktest({
+    file: args.file,
+    ticker: args.ticker,
+    period: args.period,
+    interval: args.interval,
+    start: args.start,
+    end: args.end,
+    symbol: args.symbol || 'ETHUSD',
+    initialCash: args.cash ? parseFloat(args.cash) : undefined,
+    fillOn: args.fillOn,
+    slippagePct: args.slippage ? parseFloat(args.slippage) : undefined,
+    feePct: args.fee ? parseFloat(args.fee) : undefined,
+    verbose: args.verbose === true,
+    // A config/strategies name or a JSON path; default is the built-in strategy
+    strategy: args.strategy ? new RuleStrategy(loadStrategyDefinition(args.strategy)) : undefined
+  });
+
+  console.log(`📊 Backtest ${result.symbol}: ${result.period.start} → ${result.period.end} (${result.period.bars} bars)`);
+  console.table(result.stats);
+
+  if (args.out) {
+    await fs.writeFile(args.out, JSON.stringify(result, null, 2));
+    console.log(`✅ Full result written to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+});
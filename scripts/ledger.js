@@ -0,0 +1,92 @@
+// scripts/ledger.js - Rebuild positions, lots and P&L from the trade event log and diff them against storage
+// Usage: node scripts/ledger.js diff [--out report.json]        rebuild and compare (exits 1 on differences)
+//        node scripts/ledger.js rebuild [--actor ops] [--reason "..."]   overwrite the stored projections
+//        node scripts/ledger.js seed                            start the log from the existing trade history
+//        node scripts/ledger.js adjust --symbol ETHUSD --quantity 0.5 --price 2400 --reason "..." [--actor ops] [--sync]
+//        node scripts/ledger.js events [--symbol ETHUSD] [--limit 20]
+// Uses the configured STORAGE_BACKEND; --sync logs the adjustment as a broker sync correction.
+import { promises as fs } from 'fs';
+import storage from '../lib/storage.js';
+import tradeEvents from '../lib/tradeEvents.js';
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function printDifferences(report) {
+  console.log(`🧮 ${report.events} events (${report.method}) → ${report.positions.rebuilt} position(s); storage holds ${report.positions.stored}`);
+  console.log(`Realized P&L: stored $${report.realized.stored.realizedPnL} over ${report.realized.stored.closedTrades} trade(s), ` +
+    `rebuilt $${report.realized.rebuilt.realizedPnL} over ${report.realized.rebuilt.closedTrades}`);
+
+  if (report.inSync) {
+    console.log('✅ Stored positions match the event log');
+    return;
+  }
+  console.table(report.differences.map(d => ({
+    symbol: d.symbol,
+    status: d.status,
+    storedQty: d.stored?.quantity ?? null,
+    rebuiltQty: d.rebuilt?.quantity ?? null,
+    storedAvg: d.stored?.averagePrice ?? null,
+    rebuiltAvg: d.rebuilt?.averagePrice ?? null
+  })));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0] || 'diff';
+  const actor = args.actor || process.env.USER || 'cli';
+
+  if (command === 'diff') {
+    const report = await tradeEvents.diff();
+    printDifferences(report);
+    if (args.out) {
+      await fs.writeFile(args.out, JSON.stringify(report, null, 2));
+      console.log(`✅ Full report written to ${args.out}`);
+    }
+    if (!report.inSync) process.exitCode = 1;
+  } else if (command === 'rebuild') {
+    const report = await tradeEvents.apply({ actor, reason: args.reason || 'rebuild from event log' });
+    printDifferences(report);
+    console.log(`✅ Stored positions, lots and realized P&L rebuilt from ${report.events} events`);
+  } else if (command === 'seed') {
+    const count = await tradeEvents.seedFromTrades();
+    console.log(`✅ Seeded ${count} fill(s) from the trade history - run "diff" to check the result`);
+  } else if (command === 'adjust') {
+    if (!args.symbol || args.quantity === undefined || !args.reason) {
+      throw new Error('adjust needs --symbol, --quantity, --price (unless the quantity is 0) and --reason');
+    }
+    const position = await storage.adjustPosition(args.symbol, {
+      quantity: parseFloat(args.quantity),
+      averagePrice: parseFloat(args.price) || 0
+    }, {
+      type: args.sync ? 'SYNC_CORRECTION' : 'MANUAL_ADJUSTMENT',
+      actor,
+      reason: args.reason
+    });
+    console.log(position ? `✅ ${args.symbol} set to ${position.quantity} @ $${position.averagePrice}` : `✅ ${args.symbol} position closed`);
+  } else if (command === 'events') {
+    const events = await tradeEvents.getEvents(args.symbol || null);
+    const limit = args.limit ? parseInt(args.limit, 10) : 20;
+    console.table(events.slice(-limit).map(({ id, recordedAt, type, symbol, orderId, action, quantity, price, reason }) =>
+      ({ id, recordedAt, type, symbol, orderId, action, quantity, price, reason })));
+    console.log(`${events.length} event(s)${args.symbol ? ` for ${args.symbol}` : ''}`);
+  } else {
+    throw new Error(`Unknown command "${command}" - use diff, rebuild, seed, adjust or events`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Ledger command failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// scripts/monteCarlo.js - Monte Carlo robustness analysis of a backtest's closed trades
+// Usage: node scripts/monteCarlo.js --file test/fixtures/eth-usd-daily.json [--strategy rsi-trend]
+//        node scripts/monteCarlo.js --trades result.json   (a scripts/backtest.js --out file)
+//        ... [--iterations 5000] [--methods reshuffle,resample] [--skip 0.1] [--shock 0.2] [--seed 7]
+//        ... [--maxDrawdown 5] [--out monte-carlo.json]
+// --skip is the chance each trade is missed, --shock the largest extra slippage (% of notional).
+import { promises as fs } from 'fs';
+import { runBacktest } from '../lib/backtest.js';
+import { runMonteCarlo } from '../lib/monteCarlo.js';
+import defaultStrategy from '../lib/strategy.js';
+import RuleStrategy, { loadStrategyDefinition } from '../lib/ruleStrategy.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+const number = value => value === undefined ? undefined : parseFloat(value);
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const backtest = args.trades
+    ? JSON.parse(await fs.readFile(args.trades, 'utf8'))
+    : await runBacktest({
+      file: args.file,
+      ticker: args.ticker,
+      period: args.period,
+      interval: args.interval,
+      start: args.start,
+      end: args.end,
+      initialCash: number(args.cash),
+      strategy: args.strategy ? new RuleStrategy(loadStrategyDefinition(args.strategy)) : undefined
+    });
+
+  const result = runMonteCarlo({
+    trades: backtest.trades,
+    initialCash: backtest.options?.initialCash,
+    iterations: args.iterations ? parseInt(args.iterations, 10) : undefined,
+    methods: args.methods ? args.methods.split(',') : undefined,
+    skipProbability: number(args.skip),
+    slippageShockPct: number(args.shock),
+    seed: number(args.seed),
+    maxDrawdownPct: number(args.maxDrawdown)
+  });
+
+  console.log(`🎲 Monte Carlo: ${result.trades} closed trades × ${result.iterations} runs of ${result.methods.join(' + ')}` +
+    ` (skip ${result.skipProbability}, slippage shock up to ${result.slippageShockPct}%)`);
+  console.log('Backtest order:', result.original);
+  const { probabilityOfLossPct, ...distributions } = result.distributions;
+  console.table(distributions);
+  console.log(`Probability of a losing run: ${probabilityOfLossPct}%`);
+
+  const { recommendation } = result;
+  console.log(`95th-percentile drawdown ${recommendation.p95DrawdownPct}% vs ${recommendation.maxDrawdownPct}% limit ` +
+    `${recommendation.withinLimit ? '✅' : '⚠️'}`);
+  console.log(`Recommended position-size multiplier: ${recommendation.multiplier} ` +
+    `(p95 drawdown ${recommendation.p95DrawdownAtMultiplierPct}%` +
+    `${args.strategy || args.trades ? '' : `, MAX_POSITION_SIZE ${parseFloat((defaultStrategy.MAX_POSITION_SIZE * recommendation.multiplier).toFixed(6))}`})`);
+
+  if (args.out) {
+    await fs.writeFile(args.out, JSON.stringify(result, null, 2));
+    console.log(`✅ Full result written to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Monte Carlo analysis failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+// scripts/optimize.js - Walk-forward optimization of strategy parameters
+// Usage: node scripts/optimize.js --file test/fixtures/eth-usd-daily.json [--in 120] [--out 30] [--step 30]
+//        node scripts/optimize.js --ticker ETH-USD --period 2y --search random --samples 40 --seed 7
+//        node scripts/optimize.js --file bars.json --strategy rsi-trend --space space.json --objective totalReturnPct
+//        ... --export config/optimized/ethusd.json   (load it with trading.strategyParams)
+//        ... --report walk-forward.json              (every window's parameters and stats)
+// --space is a JSON file of { PARAM: [values] | { min, max, step } }; the default
+// searches the built-in strategy's RSI_OVERSOLD, STOP_LOSS_PCT, PROFIT_TARGET_PCT and TRAILING_STOP_PCT.
+import { promises as fs } from 'fs';
+import { runWalkForward, exportParams } from '../lib/optimizer.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+const number = value => value === undefined ? undefined : parseFloat(value);
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const result = await runWalkForward({
+    file: args.file,
+    ticker: args.ticker,
+    period: args.period,
+    interval: args.interval,
+    start: args.start,
+    end: args.end,
+    strategy: args.strategy,
+    space: args.space ? JSON.parse(await fs.readFile(args.space, 'utf8')) : undefined,
+    inSampleBars: number(args.in),
+    outOfSampleBars: number(args.out),
+    stepBars: number(args.step),
+    search: args.search,
+    samples: number(args.samples),
+    seed: number(args.seed),
+    objective: args.objective,
+    minTrades: number(args.minTrades),
+    backtest: {
+      initialCash: number(args.cash),
+      slippagePct: number(args.slippage),
+      feePct: number(args.fee)
+    }
+  });
+
+  console.log(`📊 Walk-forward ${result.strategy}: ${result.data.start} → ${result.data.end} (${result.data.bars} bars, ` +
+    `${result.candidates} parameter sets, objective ${result.objective})`);
+  console.table(result.windows.map(window => ({
+    window: window.window,
+    outOfSample: `${window.outOfSample.start.slice(0, 10)} → ${window.outOfSample.end.slice(0, 10)}`,
+    params: JSON.stringify(window.params),
+    [`in ${result.objective}`]: window.inSampleStats[result.objective],
+    [`out ${result.objective}`]: window.outOfSampleStats[result.objective],
+    outReturnPct: window.outOfSampleStats.totalReturnPct,
+    outTrades: window.outOfSampleStats.tradeCount
+  })));
+  const { parameterStability, ...aggregate } = result.aggregate;
+  console.table(aggregate);
+  console.log('Recommended parameters:', result.recommended.params);
+
+  if (args.report) {
+    await fs.writeFile(args.report, JSON.stringify(result, null, 2));
+    console.log(`✅ Full report written to ${args.report}`);
+  }
+  if (args.export) {
+    await exportParams(result, args.export);
+    console.log(`✅ Parameters written to ${args.export} - set trading.strategyParams to load them`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Optimization failed:', error.message);
+  process.exit(1);
+});
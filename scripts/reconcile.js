@@ -0,0 +1,70 @@
+// scripts/reconcile.js - Compare broker positions and open orders with storage
+// Usage: node scripts/reconcile.js [--policy alert|heal] [--symbols SPY,ETHUSD] [--actor ops] [--out report.json]
+//        node scripts/reconcile.js alerts       list alerts still waiting for review
+// Uses the configured BROKER_BACKEND and STORAGE_BACKEND; exits 1 while anything is left unresolved.
+import { promises as fs } from 'fs';
+import reconciliation from '../lib/reconciliation.js';
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0] || 'run';
+
+  if (command === 'alerts') {
+    const alerts = await reconciliation.getOpenAlerts();
+    console.table(alerts.map(({ raisedAt, kind, symbol, orderId, type, message }) => ({ raisedAt, kind, symbol, orderId, type, message })));
+    console.log(`${alerts.length} open alert(s)`);
+    if (alerts.length > 0) process.exitCode = 1;
+    return;
+  }
+  if (command !== 'run') {
+    throw new Error(`Unknown command "${command}" - use run or alerts`);
+  }
+
+  const report = await reconciliation.run({
+    policy: args.policy || null,
+    actor: args.actor || process.env.USER || 'cli',
+    symbols: args.symbols ? String(args.symbols).split(',').map(s => s.trim()).filter(Boolean) : null
+  });
+
+  console.log(`⚖️ Policy ${report.policy}: broker ${report.positions.broker} position(s) / ${report.orders.broker} open order(s), ` +
+    `storage ${report.positions.stored} / ${report.orders.tracked}`);
+  if (report.inSync) {
+    console.log('✅ Storage matches the broker');
+  } else {
+    console.table(report.differences.map(d => ({
+      kind: d.kind,
+      symbol: d.symbol,
+      orderId: d.orderId || '',
+      type: d.type,
+      brokerQty: d.kind === 'order' ? d.broker?.filledQty ?? null : d.broker?.quantity ?? null,
+      storedQty: d.kind === 'order' ? d.stored?.filledQty ?? null : d.stored?.quantity ?? null,
+      resolution: d.resolution
+    })));
+    console.log(`Healed ${report.healed}, alerted ${report.alerts}, skipped ${report.skipped} (locked)`);
+  }
+
+  if (args.out) {
+    await fs.writeFile(args.out, JSON.stringify(report, null, 2));
+    console.log(`✅ Full report written to ${args.out}`);
+  }
+  if (report.alerts > 0 || report.skipped > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+});
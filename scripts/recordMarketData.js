@@ -0,0 +1,47 @@
+// scripts/recordMarketData.js - Record live quotes and bars for the replay provider
+// Usage: node scripts/recordMarketData.js --out data/market-replay.json [--symbols ETHUSD,BTCUSD] [--interval 15m] [--period 5d]
+import { ReplayProvider, createMarketData } from '../lib/marketData.js';
+import { resolveInstruments } from '../lib/watchlist.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.out) {
+    throw new Error('--out <file.json> is required');
+  }
+
+  const { instruments, unknown } = resolveInstruments(args.symbols);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown symbols: ${unknown.join(', ')}`);
+  }
+
+  const source = createMarketData();
+  const recorder = new ReplayProvider({ filePath: args.out });
+
+  for (const instrument of instruments) {
+    const options = {
+      interval: args.interval || instrument.timeframe.interval,
+      lookback: args.period || instrument.timeframe.lookback
+    };
+    const recorded = await recorder.record(source, instrument.yahoo, options);
+    console.log(`✅ ${recorded.ticker}: quote + ${recorded.bars} ${recorded.interval} bars`);
+  }
+
+  console.log(`📼 Recording written to ${args.out}`);
+}
+
+main().catch(error => {
+  console.error('❌ Recording failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// scripts/validateStrategy.js - Check strategy definitions before deploying them
+// Usage: node scripts/validateStrategy.js                  (every file in config/strategies)
+//        node scripts/validateStrategy.js my-strategy.json [other.json]
+import { promises as fs } from 'fs';
+import path from 'path';
+import { validateStrategyDefinition } from '../lib/ruleStrategy.js';
+
+const STRATEGY_DIR = new URL('../config/strategies/', import.meta.url).pathname;
+
+async function main() {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    const names = await fs.readdir(STRATEGY_DIR);
+    files.push(...names.filter(name => name.endsWith('.json')).map(name => path.join(STRATEGY_DIR, name)));
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    let result;
+    try {
+      result = validateStrategyDefinition(JSON.parse(await fs.readFile(file, 'utf8')));
+    } catch (error) {
+      result = { valid: false, errors: [error.message] };
+    }
+
+    if (result.valid) {
+      console.log(`✅ ${file}`);
+    } else {
+      failed++;
+      console.error(`❌ ${file}`);
+      result.errors.forEach(error => console.error(`   - ${error}`));
+    }
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(error => {
+  console.error('❌ Validation failed:', error.message);
+  process.exit(1);
+});
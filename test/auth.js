@@ -0,0 +1,93 @@
+// Authentication tests - signed webhooks, replay protection and token scopes
+import { authenticate, requireAuth, signRequest, parseApiTokens, hasScope } from '../lib/auth.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const SECRET = 'test-secret';
+const NOW = 1718020800000;
+const TOKENS = parseApiTokens('dashboard:read:read-token,bot:analyze:analyze-token,ops:trade:trade:token');
+
+function signed(method, url, body, timestamp = NOW / 1000) {
+  return {
+    method,
+    url,
+    body,
+    headers: {
+      'x-webhook-timestamp': String(timestamp),
+      'x-webhook-signature': signRequest({ secret: SECRET, timestamp, method, url, body })
+    }
+  };
+}
+
+function check(req, options = {}) {
+  return authenticate(req, { webhookSecret: SECRET, apiTokens: TOKENS, webhookScope: 'trade', now: NOW, ...options });
+}
+
+function mockResponse() {
+  return {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function testAuth() {
+  console.log('🧪 Testing request authentication...');
+
+  try {
+    assert(TOKENS.length === 3 && TOKENS[2].token === 'trade:token', 'Tokens may contain colons');
+    assert(hasScope('trade', 'read') && !hasScope('analyze', 'trade'), 'Scopes should be ordered read < analyze < trade');
+
+    // Webhooks
+    let result = check(signed('GET', '/api/trading?symbols=ETHUSD'));
+    assert(result.ok && result.principal.scope === 'trade', 'A valid signature should authenticate');
+
+    result = check(signed('GET', '/api/trading?symbols=ETHUSD'));
+    assert(!result.ok && result.error.includes('replay'), 'The same signature must not be accepted twice');
+
+    const tampered = signed('GET', '/api/trading?autoTrade=false');
+    tampered.url = '/api/trading?autoTrade=true';
+    assert(!check(tampered).ok, 'Changing the query string should break the signature');
+
+    const stale = signed('GET', '/api/trading', undefined, NOW / 1000 - 301);
+    assert(check(stale).error.includes('tolerance'), 'Old timestamps should be rejected');
+
+    result = check(signed('POST', '/api/trading', { action: 'trade', side: 'buy' }));
+    assert(result.ok, 'POST bodies should be signed as compact JSON');
+
+    assert(!check(signed('GET', '/api/monitor'), { webhookSecret: '' }).ok, 'Webhooks need WEBHOOK_SECRET');
+    console.log('✅ Signed webhooks');
+
+    // Bearer tokens
+    result = check({ method: 'GET', url: '/', headers: { authorization: 'Bearer analyze-token' } });
+    assert(result.ok && result.principal.name === 'bot' && result.principal.scope === 'analyze', 'Known tokens should authenticate');
+    assert(check({ headers: { authorization: 'Bearer nope' } }).status === 401, 'Unknown tokens should get 401');
+    assert(check({ headers: {} }).status === 401, 'Anonymous requests should get 401');
+    console.log('✅ Bearer tokens');
+
+    // requireAuth writes the error responses
+    process.env.API_TOKENS = 'dashboard:read:read-token';
+    let res = mockResponse();
+    assert(requireAuth({ headers: {} }, res, 'read', 'r1') === null && res.statusCode === 401, 'Missing auth should be a 401');
+    assert(res.body.error === 'Unauthorized' && res.headers['WWW-Authenticate'] === 'Bearer', '401 should carry a clear body');
+
+    res = mockResponse();
+    assert(requireAuth({ headers: { authorization: 'Bearer read-token' } }, res, 'trade', 'r2') === null, 'Read tokens cannot trade');
+    assert(res.statusCode === 403 && res.body.requiredScope === 'trade', 'Under-scoped calls should be a 403');
+
+    res = mockResponse();
+    const principal = requireAuth({ headers: { authorization: 'Bearer read-token' } }, res, 'read', 'r3');
+    assert(principal && principal.name === 'dashboard' && !res.statusCode, 'Scoped calls should pass through');
+    console.log('✅ 401/403 responses');
+
+    console.log('\n🎉 All auth tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testAuth();
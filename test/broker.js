@@ -0,0 +1,71 @@
+// Simulated broker tests - fills against a scripted price feed
+import { SimulatedBroker } from '../lib/broker.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function testSimulatedBroker() {
+  console.log('🧪 Testing simulated broker...');
+
+  try {
+    let price = 2000;
+    const broker = new SimulatedBroker({
+      initialCash: 1000,
+      slippagePct: 0.1,
+      feePct: 0.5,
+      getPrice: async () => price
+    });
+
+    // Market buy fills immediately with slippage and fees
+    const buy = await broker.placeOrder({ symbol: 'ETHUSD', side: 'buy', qty: 0.1, type: 'market', tif: 'gtc' });
+    assert(buy.status === 'filled', `Market order should fill, got ${buy.status}`);
+    assert(buy.filled_price === 2002, `Expected fill at 2002, got ${buy.filled_price}`);
+    let account = await broker.getAccount();
+    assert(Math.abs(account.cash - (1000 - 200.2 - 1.001)) < 0.01, `Unexpected cash ${account.cash}`);
+    console.log('✅ Market order');
+
+    // Limit sell rests until the quote reaches it
+    const limit = await broker.placeOrder({ symbol: 'ETHUSD', side: 'sell', qty: 0.05, type: 'limit', tif: 'gtc', limit_price: 2100 });
+    assert(limit.status === 'new', 'Limit sell above market should rest');
+    price = 2150;
+    const filledLimit = await broker.getOrder(limit.orderId);
+    assert(filledLimit.status === 'filled' && filledLimit.filled_avg_price >= 2100, 'Limit sell should fill at or above its limit');
+    console.log('✅ Limit order');
+
+    // Stop sell triggers once price drops through it
+    const stop = await broker.placeOrder({ symbol: 'ETHUSD', side: 'sell', qty: 0.05, type: 'stop', tif: 'gtc', stop_price: 1900 });
+    assert(stop.status === 'new', 'Stop should rest above trigger');
+    price = 1880;
+    const positions = await broker.getPositions();
+    assert(positions.length === 0, 'Stop fill should flatten the position');
+    assert((await broker.getOrder(stop.orderId)).status === 'filled', 'Stop should be filled');
+    console.log('✅ Stop order');
+
+    // Cancel a resting order
+    const resting = await broker.placeOrder({ symbol: 'ETHUSD', side: 'buy', qty: 0.01, type: 'limit', tif: 'gtc', limit_price: 1000 });
+    await broker.cancelOrder(resting.orderId);
+    assert((await broker.getOrder(resting.orderId)).status === 'canceled', 'Order should be cancelled');
+    console.log('✅ Cancel order');
+
+    // Selling more than we hold is rejected like Alpaca does
+    let rejected = false;
+    try {
+      await broker.placeOrder({ symbol: 'ETHUSD', side: 'sell', qty: 1, type: 'market', tif: 'gtc' });
+    } catch (error) {
+      rejected = error.message.includes('insufficient balance');
+    }
+    assert(rejected, 'Oversized sell should be rejected with insufficient balance');
+    console.log('✅ Rejections');
+
+    account = await broker.getAccount();
+    assert(account.equity === account.cash, 'Flat account equity should equal cash');
+
+    console.log('\n🎉 All broker tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testSimulatedBroker();
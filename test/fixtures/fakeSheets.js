@@ -0,0 +1,93 @@
+// In-memory stand-in for the googleapis Sheets client used by lib/storage/sheetsStorage.js.
+// Every call yields to the event loop first, so concurrent callers interleave the way
+// separate requests to the real API do.
+import { GoogleSheetsStorage } from '../../lib/storage.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// 'Locks!A2:C' -> { sheet: 'Locks', from: 2, to: null }
+function parseRange(range) {
+  const [sheet, cells] = range.split('!');
+  const [start, end] = cells.split(':');
+  const row = cell => (cell && /\d/.test(cell) ? parseInt(cell.replace(/^[A-Z]+/, ''), 10) : null);
+  return { sheet, from: row(start) || 1, to: row(end) };
+}
+
+export function createFakeSheets() {
+  const sheets = new Map();
+  const rowsOf = name => {
+    if (!sheets.has(name)) throw new Error(`Unable to parse range: ${name}`);
+    return sheets.get(name);
+  };
+  const calls = [];
+
+  const client = {
+    calls,
+    sheets,
+    spreadsheets: {
+      async get() {
+        await tick();
+        return { data: { sheets: [...sheets.keys()].map(title => ({ properties: { title } })) } };
+      },
+      async batchUpdate({ requestBody }) {
+        await tick();
+        for (const request of requestBody.requests) {
+          if (request.addSheet) sheets.set(request.addSheet.properties.title, []);
+        }
+        return { data: {} };
+      },
+      values: {
+        async get({ range }) {
+          await tick();
+          calls.push(['get', range]);
+          const { sheet, from } = parseRange(range);
+          const values = rowsOf(sheet).slice(from - 1).map(row => (row ? [...row] : []));
+          while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+          return { data: { values } };
+        },
+        async update({ range, resource }) {
+          await tick();
+          calls.push(['update', range]);
+          const { sheet, from } = parseRange(range);
+          const rows = rowsOf(sheet);
+          resource.values.forEach((row, i) => { rows[from - 1 + i] = [...row]; });
+          return { data: {} };
+        },
+        // Like the real API: written to the first empty row after the header's table
+        async append({ range, resource }) {
+          await tick();
+          calls.push(['append', range]);
+          const rows = rowsOf(parseRange(range).sheet);
+          for (const row of resource.values) {
+            let index = 1;
+            while (rows[index] && rows[index].length > 0) index++;
+            rows[index] = [...row];
+          }
+          return { data: {} };
+        },
+        async clear({ range }) {
+          await tick();
+          calls.push(['clear', range]);
+          const { sheet, from, to } = parseRange(range);
+          const rows = rowsOf(sheet);
+          for (let i = from - 1; i < (to || rows.length); i++) rows[i] = [];
+          return { data: {} };
+        },
+        async batchClear({ resource }) {
+          for (const range of resource.ranges) await client.spreadsheets.values.clear({ range });
+          return { data: {} };
+        }
+      }
+    }
+  };
+  return client;
+}
+
+// Sheets storage wired to a fake client, skipping the credential setup
+export function createFakeSheetsStorage(client = createFakeSheets()) {
+  const storage = new GoogleSheetsStorage();
+  storage.sheets = client;
+  storage.spreadsheetId = 'fake-spreadsheet';
+  storage.isInitialized = true;
+  return storage;
+}
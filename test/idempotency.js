@@ -0,0 +1,129 @@
+// Idempotency tests - deterministic client order ids, duplicate detection and Idempotency-Key replay
+import { MemoryStorage } from '../lib/storage.js';
+import { SimulatedBroker } from '../lib/broker.js';
+import { OrderTracker } from '../lib/orderTracker.js';
+import { ProtectiveOrderManager } from '../lib/protectiveOrders.js';
+import { IdempotencyService, clientOrderId, keyClientOrderId, requestFingerprint } from '../lib/idempotency.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const AT = Date.parse('2026-10-19T14:37:00Z');
+
+function setup({ now = () => AT, broker } = {}) {
+  const storage = new MemoryStorage();
+  broker = broker || new SimulatedBroker({ initialCash: 100000, slippagePct: 0, feePct: 0, getPrice: async () => 100 });
+  const orderTracker = new OrderTracker({ broker, storage, pollIntervalMs: 1, timeoutMs: 20 });
+  const idempotency = new IdempotencyService({ broker, storage, orderTracker, windowMinutes: 15, settleMs: 0, now });
+  return { storage, broker, orderTracker, idempotency };
+}
+
+async function testIdempotency() {
+  console.log('🧪 Testing idempotent orders...');
+
+  try {
+    // Client order ids
+    const id = clientOrderId({ symbol: 'ETHUSD', action: 'buy', windowMinutes: 15, at: AT });
+    assert(id === 'strategy-ETHUSD-BUY-202610191430', `Unexpected client order id ${id}`);
+    assert(clientOrderId({ symbol: 'ETHUSD', action: 'BUY', windowMinutes: 15, at: AT + 7 * 60 * 1000 }) === id,
+      'Retries inside the window reuse the id');
+    assert(clientOrderId({ symbol: 'ETHUSD', action: 'BUY', windowMinutes: 15, at: AT + 9 * 60 * 1000 }) !== id, 'The next window gets a new id');
+    assert(clientOrderId({ symbol: 'ETHUSD', action: 'SELL', windowMinutes: 15, at: AT }) !== id, 'Each decision gets its own id');
+    assert(keyClientOrderId('abc') === keyClientOrderId('abc') && keyClientOrderId('abc') !== keyClientOrderId('abd'),
+      'Key-based ids are stable per key');
+    assert(requestFingerprint({ method: 'post' }, { side: 'buy' }) !== requestFingerprint({ method: 'POST' }, { side: 'sell' }),
+      'Different bodies give different fingerprints');
+    console.log('✅ Client order ids');
+
+    // The broker refuses a reused client order id and can look one up
+    let env = setup();
+    const first = await env.broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 5, type: 'market', tif: 'day', client_order_id: id });
+    assert(first.clientOrderId === id, 'The result carries the client order id');
+    let message = null;
+    try {
+      await env.broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 5, type: 'market', tif: 'day', client_order_id: id });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(/already in use/.test(message), `Reused client order ids should be rejected, got ${message}`);
+    assert((await env.broker.getOrderByClientId(id)).orderId === first.orderId, 'Lookup by client order id');
+    assert(await env.broker.getOrderByClientId('nope') === null, 'Unknown client order ids resolve to null');
+    console.log('✅ Broker client order ids');
+
+    // A retried run finds its order in storage and doesn't submit or log it twice
+    env = setup();
+    const order = { symbol: 'SPY', side: 'buy', qty: 5, type: 'market', tif: 'day', confirm: true, client_order_id: env.idempotency.clientOrderId({ symbol: 'SPY', action: 'BUY' }) };
+    const placed = await env.idempotency.placeOrder(order);
+    placed.fill = await env.orderTracker.track(placed, { action: 'BUY' });
+    const retried = await env.idempotency.placeOrder(order);
+    assert(retried.duplicate && retried.orderId === placed.orderId, 'The retry gets the original order back');
+    retried.fill = await env.orderTracker.track(retried, { action: 'BUY' });
+    assert(retried.fill.status === 'FILLED' && (await env.broker.getPositions())[0].qty === 5, 'Only one order reached the broker');
+    assert((await env.storage.getCurrentPosition('SPY')).quantity === 5 && (await env.storage.getTradeHistory(10)).length === 1,
+      'The fill is logged once');
+    console.log('✅ Retried run');
+
+    // An order the first attempt submitted but never recorded is found at the broker
+    const crashed = setup({ broker: env.broker });
+    const found = await crashed.idempotency.placeOrder(order);
+    assert(found.duplicate && found.orderId === placed.orderId, 'Broker lookup catches orders missing from storage');
+    console.log('✅ Broker lookup');
+
+    // Simulations never reach the broker, so they aren't deduplicated
+    env = setup();
+    const simulated = await env.idempotency.placeOrder({ ...order, confirm: false });
+    assert(!simulated.duplicate, 'Simulated orders are placed as usual');
+    console.log('✅ Simulations');
+
+    // Protection is attached once per entry
+    env = setup();
+    const manager = new ProtectiveOrderManager({ broker: env.broker, storage: env.storage, orderTracker: env.orderTracker });
+    const plan = { mode: 'bracket', tif: 'day', stopPrice: 95, takeProfitPrice: 110 };
+    const bracketOrder = manager.entryOrder(order, plan);
+    const entry = await env.idempotency.placeOrder(bracketOrder);
+    const protection = await manager.attach(entry, plan);
+    const again = await manager.attach(await env.idempotency.placeOrder(bracketOrder), plan);
+    assert(again.legs.length === 2 && again.id === protection.id, 'A duplicate entry keeps its protection');
+    console.log('✅ Protection');
+
+    // Idempotency-Key replay
+    let clock = AT;
+    env = setup({ now: () => clock });
+    const fingerprint = requestFingerprint({ method: 'POST' }, { action: 'trade', side: 'buy' });
+    assert((await env.idempotency.begin('key-1', fingerprint)).state === 'new', 'First use claims the key');
+    assert((await env.idempotency.begin('key-1', fingerprint)).state === 'in_progress', 'A concurrent retry waits');
+    assert((await env.idempotency.begin('key-1', 'other')).state === 'mismatch', 'The key is bound to its request');
+    await env.idempotency.complete('key-1', 200, { success: true, requestId: 'r1' });
+    const replay = await env.idempotency.begin('key-1', fingerprint);
+    assert(replay.state === 'replay' && replay.statusCode === 200 && replay.body.requestId === 'r1', 'Completed keys replay the response');
+    clock += 25 * 60 * 60 * 1000;
+    assert((await env.idempotency.begin('key-1', fingerprint)).state === 'new', 'Expired keys run again');
+
+    await env.idempotency.begin('key-2', fingerprint);
+    await env.idempotency.complete('key-2', 500, { success: false });
+    assert((await env.idempotency.begin('key-2', fingerprint)).state === 'new', 'Server errors release the key');
+    clock += 6 * 60 * 1000;
+    assert((await env.idempotency.begin('key-2', fingerprint)).state === 'new', 'A key left in progress by a crash frees itself');
+
+    // Retries arriving together: only one claim survives the read-back
+    const racing = new IdempotencyService({ broker: env.broker, storage: env.storage, orderTracker: env.orderTracker, settleMs: 5, now: () => clock });
+    const claims = await Promise.all([1, 2, 3].map(() => racing.begin('key-3', fingerprint)));
+    assert(claims.filter(claim => claim.state === 'new').length === 1 && claims.filter(claim => claim.state === 'in_progress').length === 2,
+      `Exactly one concurrent retry runs, got ${claims.map(claim => claim.state).join(',')}`);
+
+    // Expired keys are deleted when a new key is claimed
+    clock += 25 * 60 * 60 * 1000;
+    await env.idempotency.begin('key-4', fingerprint);
+    const keys = (await env.storage.listRecords('idempotentRequests')).map(record => record.key);
+    assert(keys.length === 1 && keys[0] === 'key-4', `Only the live key is left, got ${keys.join(', ')}`);
+    console.log('✅ Idempotency-Key');
+
+    console.log('\n🎉 All idempotency tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testIdempotency();
@@ -0,0 +1,145 @@
+// Incremental indicator tests - resumed state matches a full recalculation, rebuilds on gaps and revisions
+import { readFileSync } from 'fs';
+import TechnicalIndicators, { computeIndicators } from '../lib/indicators.js';
+import IndicatorStream from '../lib/indicatorStream.js';
+import MemoryStorage from '../lib/storage/memoryStorage.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const SPEC = {
+  sma: { period: 20 },
+  ema: { period: 12 },
+  rsi: { period: 14 },
+  macd: { fast: 12, slow: 26, signal: 9 },
+  slow: { indicator: 'sma', period: 50 }
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const tail = (series, n) => Object.fromEntries(Object.entries(series).map(([key, points]) => [key, points.slice(-n)]));
+
+async function testIndicatorStream() {
+  console.log('🧪 Testing incremental indicator state...');
+
+  try {
+    const fixture = JSON.parse(readFileSync(new URL('./fixtures/eth-usd-daily.json', import.meta.url)));
+    const batch = computeIndicators(fixture, SPEC);
+
+    // One pass over everything matches the batch calculation exactly
+    const full = new IndicatorStream(SPEC, { maxPoints: 10000 }).update(fixture);
+    assert(full.rebuilt && full.reason === 'no saved state', 'First run should build from scratch');
+    for (const key of Object.keys(SPEC)) {
+      assert(same(full.series[key], batch[key]), `${key} stream should match the batch series`);
+    }
+    console.log('✅ Streamed series match trading-signals');
+
+    // Resuming from serialized state in chunks only applies the new bars
+    let saved = null;
+    let result;
+    for (let end = 120; end <= fixture.length; end += 37) {
+      const stream = new IndicatorStream(SPEC, { maxPoints: 10000 }).load(JSON.parse(JSON.stringify(saved)));
+      result = stream.update(fixture.slice(saved ? end - 60 : 0, end));
+      if (saved) {
+        assert(!result.rebuilt && result.applied === 37, `Resume at ${end} should apply 37 bars, applied ${result.applied} (${result.reason})`);
+      }
+      saved = stream.toJSON();
+    }
+    const upTo = fixture.slice(0, fixture.length - ((fixture.length - 120) % 37));
+    const expected = computeIndicators(upTo, SPEC);
+    assert(same(tail(result.series, 50), tail(expected, 50)), 'Resumed series should equal a full recalculation');
+    console.log('✅ Resume with only the new bars');
+
+    // The forming bar is reported but never committed
+    const window = fixture.slice(-40);
+    const moved = [...window.slice(0, -1), { ...window[window.length - 1], close: window[window.length - 1].close * 1.05 }];
+    const resumed = new IndicatorStream(SPEC).load(saved);
+    const provisional = resumed.update(moved);
+    assert(!provisional.rebuilt, 'A moving forming bar should not force a rebuild');
+    assert(resumed.toJSON().lastDate === window[window.length - 2].date, 'Only closed bars should be committed');
+    const settled = new IndicatorStream(SPEC).load(resumed.toJSON()).update(window);
+    assert(!settled.rebuilt && settled.applied === 0, 'The final version of the forming bar should resume cleanly');
+    assert(same(settled.series.sma.slice(-1), computeIndicators(fixture, SPEC).sma.slice(-1)), 'The final close should replace the provisional one');
+    console.log('✅ Forming bar stays out of the saved state');
+
+    // A revised closed bar rebuilds from scratch
+    const recent = fixture.slice(-80);
+    const seed = new IndicatorStream(SPEC);
+    seed.update(recent.slice(0, -10));
+    const revised = recent.map((bar, i) => i === recent.length - 13 ? { ...bar, close: bar.close + 5 } : bar);
+    const afterRevision = new IndicatorStream(SPEC).load(seed.toJSON()).update(revised);
+    assert(afterRevision.rebuilt && /revised bar/.test(afterRevision.reason), `Expected a revision rebuild, got ${afterRevision.reason}`);
+    assert(same(afterRevision.series.rsi, computeIndicators(revised, SPEC).rsi.slice(-100)), 'Rebuild should use the revised data');
+
+    // So does a gap between the saved state and the new bars
+    const stale = new IndicatorStream(SPEC);
+    stale.update(fixture.slice(0, 100));
+    const afterGap = new IndicatorStream(SPEC).load(stale.toJSON()).update(fixture.slice(-30));
+    assert(afterGap.rebuilt && /^gap/.test(afterGap.reason), `Expected a gap rebuild, got ${afterGap.reason}`);
+
+    // And a different declaration
+    const otherSpec = new IndicatorStream({ ...SPEC, sma: { period: 10 } }).load(seed.toJSON()).update(recent);
+    assert(otherSpec.rebuilt && otherSpec.reason === 'no saved state', 'A changed declaration should not reuse the state');
+    console.log('✅ Rebuilds on revisions, gaps and declaration changes');
+
+    let threw = false;
+    try {
+      new IndicatorStream({ atr: { period: 14 } });
+    } catch (error) {
+      threw = /no streaming implementation/.test(error.message);
+    }
+    assert(threw, 'Indicators without a stream should be rejected');
+
+    // calculateIncremental keeps every streamable series' state in storage (declared or default)
+    // and returns the same keys as calculate()
+    const storage = new MemoryStorage();
+    const indicators = new TechnicalIndicators();
+    const declared = { rsi: { period: 14 }, sma: { period: 20 } };
+    const bars = fixture.slice(-120);
+    const cold = await indicators.calculateIncremental(bars.slice(0, -5), declared, { storage, key: 'ETHUSD:1d' });
+    assert(cold.state.rebuilt && cold.state.saved, 'First incremental run should rebuild and save');
+    const warm = await indicators.calculateIncremental(bars, declared, { storage, key: 'ETHUSD:1d' });
+    assert(!warm.state.rebuilt && warm.state.applied === 5, `Second run should apply 5 bars, got ${JSON.stringify(warm.state)}`);
+    const direct = indicators.calculate(bars);
+    assert(same(Object.keys(warm.series), Object.keys(direct)), 'Incremental result should have the calculate() keys');
+    for (const key of ['rsi', 'sma', 'sma50', 'ema', 'macd', 'bollinger', 'atr', 'obv']) {
+      assert(same(warm.series[key].slice(-20), direct[key].slice(-20)), `${key} should match calculate()`);
+    }
+    const stored = await storage.getRecord('indicatorState', 'ETHUSD:1d');
+    assert(same(Object.keys(stored.indicators).sort(), ['ema', 'macd', 'rsi', 'sma', 'sma200', 'sma50']),
+      `Every streamable default is kept in the state, got ${Object.keys(stored.indicators).join(', ')}`);
+    assert(JSON.stringify(stored).length <= 45000, 'The default streams fit in one record');
+    console.log('✅ Incremental calculation through storage');
+
+    // The state always fits in a Sheets cell - old points go first, oversized windows fail loudly
+    const everything = new IndicatorStream({ ...SPEC, sma200: { indicator: 'sma', period: 200 } }, { maxPoints: 1000 });
+    everything.update(fixture);
+    assert(JSON.stringify(everything.toJSON()).length > 50000, 'The fixture needs trimming to fit');
+    for (const key of ['ema', 'rsi', 'macd']) {
+      assert(JSON.stringify(everything.toJSON().indicators[key].state).length < 1000, `${key}'s running averages stay short`);
+    }
+    const fitted = everything.fit();
+    assert(JSON.stringify(fitted).length <= 45000 && fitted.indicators.sma.points.length < fixture.length - 19, 'Points are trimmed to fit');
+    const trimmed = new IndicatorStream({ ...SPEC, sma200: { indicator: 'sma', period: 200 } }).load(fitted).update(fixture);
+    assert(!trimmed.rebuilt && same(trimmed.series.sma200.slice(-1), computeIndicators(fixture, { sma200: { indicator: 'sma', period: 200 } }).sma200.slice(-1)),
+      'A trimmed state still resumes with the right values');
+    let tooBig = null;
+    try {
+      everything.fit(2000);
+    } catch (error) {
+      tooBig = error.message;
+    }
+    assert(/over the 2000 limit/.test(tooBig), `A state whose windows can't fit is refused, got ${tooBig}`);
+    const failing = { getRecord: async () => null, putRecord: async () => { throw new Error('cell too long'); } };
+    const unsaved = await indicators.calculateIncremental(bars, declared, { storage: failing, key: 'ETHUSD:1d' });
+    assert(unsaved.state.saved === false, 'A state that could not be stored is reported');
+    console.log('✅ State size is bounded');
+
+    console.log('\n🎉 All incremental indicator tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testIndicatorStream();
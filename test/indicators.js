@@ -0,0 +1,174 @@
+// Indicator library tests - new series, configurable periods, per-indicator votes and the registry
+import { readFileSync } from 'fs';
+import TechnicalIndicators, { registry, registerIndicator, computeIndicators, latestValues } from '../lib/indicators.js';
+import strategy from '../lib/strategy.js';
+import { resolveHistoryRange } from '../lib/yahooFinance.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+const last = series => series[series.length - 1];
+
+const day = i => new Date(Date.UTC(2024, 0, 1 + i)).toISOString();
+const bar = (i, c, { high = c + 1, low = c - 1, volume = 100 } = {}) =>
+  ({ date: day(i), open: c, high, low, close: c, volume });
+
+async function testIndicators() {
+  console.log('🧪 Testing technical indicators...');
+
+  try {
+    const fixture = JSON.parse(readFileSync(new URL('./fixtures/eth-usd-daily.json', import.meta.url)));
+    const indicators = new TechnicalIndicators();
+    const technicals = indicators.calculate(fixture);
+
+    for (const name of ['sma', 'ema', 'rsi', 'sma50', 'sma200', 'bollinger', 'atr', 'stochastic', 'adx', 'vwap', 'obv', 'donchian']) {
+      const series = technicals[name];
+      assert(Array.isArray(series) && series.length > 0, `${name} should produce a series`);
+      assert(series.every(point => point.date && Number.isFinite(point.value)), `${name} points should be { date, value }`);
+    }
+    assert(technicals.sma50.length === fixture.length - 49 && technicals.sma200.length === fixture.length - 199, 'SMA50/200 warm-up');
+    assert(technicals.bollinger.every(b => b.lower <= b.value && b.value <= b.upper), 'Bollinger bands should bracket the middle');
+    assert(technicals.adx.every(a => a.value >= 0 && a.value <= 100), 'ADX should be 0-100');
+    assert(technicals.stochastic.every(s => s.value >= 0 && s.value <= 100), 'Stochastic should be 0-100');
+    console.log('✅ Every indicator returns a { date, value } series');
+
+    // Hand-checked values on small inputs
+    const flat = Array.from({ length: 25 }, (_, i) => bar(i, 100));
+    const flatBands = last(indicators.calculateBollingerBands(flat));
+    assert(flatBands.upper === 100 && flatBands.lower === 100 && flatBands.bandwidth === 0, 'Flat prices have zero-width bands');
+    assert(close(last(indicators.calculateATR(flat)).value, 2), 'ATR of a constant 2-point range is 2');
+
+    const channel = indicators.calculateDonchian([bar(0, 10), bar(1, 14), bar(2, 12), bar(3, 9)], { period: 3 });
+    assert(channel.length === 2, 'Donchian needs `period` bars');
+    assert(channel[1].upper === 15 && channel[1].lower === 8 && channel[1].value === 11.5, 'Donchian channel of the last 3 bars');
+
+    const obv = indicators.calculateOBV([bar(0, 10), bar(1, 11, { volume: 50 }), bar(2, 10, { volume: 20 }), bar(3, 10, { volume: 99 })]);
+    assert(obv.map(p => p.value).join() === '50,30,30', `OBV should add up/down volume, got ${obv.map(p => p.value)}`);
+
+    const dailyVwap = indicators.calculateVWAP([bar(0, 10, { volume: 1 }), bar(1, 20, { volume: 3 })]);
+    assert(last(dailyVwap).value === 17.5, 'Daily bars accumulate VWAP across the window');
+    const hour = h => new Date(Date.UTC(2024, 0, 1, h)).toISOString();
+    const intraday = [
+      { date: hour(22), high: 10, low: 10, close: 10, volume: 1 },
+      { date: hour(23), high: 20, low: 20, close: 20, volume: 1 },
+      { date: hour(24), high: 30, low: 30, close: 30, volume: 1 }
+    ];
+    const sessionVwap = indicators.calculateVWAP(intraday);
+    assert(sessionVwap[1].value === 15 && sessionVwap[2].value === 30, 'Intraday VWAP resets at the UTC day boundary');
+    console.log('✅ Hand-checked values');
+
+    // Periods are configurable
+    const custom = new TechnicalIndicators({ sma: { period: 5 }, donchian: { period: 10 }, bollinger: { period: 10, stdDev: 3 } });
+    const customTechnicals = custom.calculate(fixture);
+    assert(customTechnicals.sma.length === fixture.length - 4, 'SMA period override');
+    assert(customTechnicals.donchian.length === fixture.length - 9, 'Donchian period override');
+    const wide = last(customTechnicals.bollinger);
+    const narrow = last(new TechnicalIndicators({ bollinger: { period: 10, stdDev: 1 } }).calculate(fixture).bollinger);
+    assert(Math.abs((wide.upper - wide.value) / (narrow.upper - narrow.value) - 3) < 1e-3, 'Bollinger stdDev override');
+    assert(custom.settings.rsi.period === 14, 'Unspecified indicators keep their defaults');
+    console.log('✅ Configurable periods');
+
+    // Each indicator votes on its own
+    const votes = indicators.generateSignals({
+      sma50: [{ value: 110 }],
+      sma200: [{ value: 100 }],
+      bollinger: [{ value: 100, upper: 104, lower: 96 }],
+      ema: [{ value: 100 }],
+      atr: [{ value: 3 }],
+      stochastic: [{ value: 15, d: 10 }],
+      adx: [{ value: 30, plusDI: 10, minusDI: 25 }],
+      vwap: [{ value: 90 }],
+      obv: Array.from({ length: 12 }, (_, i) => ({ value: 100 - i })),
+      donchian: [{ upper: 94, lower: 80 }, { upper: 96, lower: 80 }]
+    }, 95);
+    assert(votes.smaCross === 'BUY', 'Golden cross votes BUY');
+    assert(votes.bollinger === 'BUY', 'Below the lower band votes BUY');
+    assert(votes.atr === 'SELL', 'More than 1 ATR below the EMA votes SELL');
+    assert(votes.stochastic === 'BUY', 'Oversold %K crossing up votes BUY');
+    assert(votes.adx === 'SELL', 'Strong trend with -DI on top votes SELL');
+    assert(votes.vwap === 'BUY', 'Above VWAP votes BUY');
+    assert(votes.obv === 'SELL', 'Falling OBV votes SELL');
+    assert(votes.donchian === 'BUY', 'Breakout above the previous channel votes BUY');
+    assert(votes.overall === 'BUY', `5 BUY vs 3 SELL should be BUY overall, got ${votes.overall}`);
+
+    const weakTrend = indicators.generateSignals({ adx: [{ value: 15, plusDI: 30, minusDI: 10 }] }, 100);
+    assert(weakTrend.adx === 'HOLD', 'ADX below the trend threshold abstains');
+    console.log('✅ Per-indicator votes');
+
+    // The live default lookback (a year of daily bars, fewest for a weekday-only equity)
+    // warms every series up far enough for each vote to fire
+    const { start, end } = resolveHistoryRange({ interval: '1d' }, new Date('2024-06-10T12:00:00.000Z'));
+    const liveBars = Math.floor((end - start) / DAY_MS * 5 / 7);
+    const wave = Array.from({ length: liveBars + 18 }, (_, i) => {
+      const c = 100 + 20 * Math.sin(i / 15) + 8 * Math.sin(i / 4) + i * 0.05;
+      return { ...bar(i, c, { high: c + 1.5, low: c - 1.5, volume: 1000 + 500 * Math.sin(i / 3) }), open: c - 0.5 };
+    });
+    const fired = new Set();
+    for (let offset = 0; offset <= 18; offset += 6) {
+      const window = wave.slice(offset, offset + liveBars);
+      const windowVotes = indicators.generateSignals(indicators.calculate(window), last(window).close);
+      Object.entries(windowVotes).filter(([, vote]) => vote !== 'HOLD').forEach(([name]) => fired.add(name));
+    }
+    const silent = Object.keys(indicators.generateSignals({}, 100)).filter(name => !fired.has(name));
+    assert(silent.length === 0, `Every vote should fire on ${liveBars} live bars, silent: ${silent.join(', ')}`);
+    console.log(`✅ Every vote fires on a live-sized series (${liveBars} bars)`);
+
+    // Registry: a strategy gets exactly the series it declares
+    const declared = computeIndicators(fixture, { rsi: { period: 14 }, bb: { period: 20, k: 2 }, slow: { indicator: 'sma', period: 50 } });
+    assert(Object.keys(declared).join() === 'rsi,bb,slow', `Expected only the declared keys, got ${Object.keys(declared)}`);
+    assert(JSON.stringify(declared.slow) === JSON.stringify(technicals.sma50), 'Aliased declarations use the named implementation');
+    assert(JSON.stringify(declared.bb) === JSON.stringify(technicals.bollinger), 'bb should match the default Bollinger series');
+    const latest = latestValues(declared);
+    assert(latest.rsi === last(declared.rsi) && latest.bb.upper > latest.bb.lower, 'latestValues picks the last point of each series');
+    console.log('✅ Declared indicators');
+
+    const badSpecs = [
+      [{ rsi: { length: 14 } }, /no parameter "length"/],
+      [{ rsi: { period: 0 } }, /must be >= 1/],
+      [{ bb: { k: '2' } }, /must be number/],
+      [{ ichimoku: {} }, /Unknown indicator "ichimoku"/]
+    ];
+    for (const [spec, pattern] of badSpecs) {
+      let message = null;
+      try {
+        computeIndicators(fixture, spec);
+      } catch (error) {
+        message = error.message;
+      }
+      assert(message && pattern.test(message), `${JSON.stringify(spec)} should be rejected with ${pattern}, got ${message}`);
+    }
+    console.log('✅ Parameter validation');
+
+    // Custom indicators plug in from outside lib/indicators.js
+    registerIndicator('roc', {
+      description: 'Rate of change (%)',
+      params: { period: { type: 'integer', min: 1, default: 10 } },
+      compute: (bars, { period }) => bars.slice(period).map((b, i) => ({
+        date: b.date,
+        value: (b.close - bars[i].close) / bars[i].close * 100
+      }))
+    });
+    const withCustom = computeIndicators(fixture, { roc: { period: 5 } });
+    assert(withCustom.roc.length === fixture.length - 5, 'Custom indicator should compute with its params');
+    assert(registry.list().some(i => i.name === 'roc' && i.params.period.default === 10), 'Custom indicator should be listed with its schema');
+    assert('roc' in indicators.calculate(fixture, { roc: {} }), 'calculate() should add declared custom series to the defaults');
+    console.log('✅ Custom indicators');
+
+    // The strategy's declaration drives calculate()
+    const strategySeries = indicators.calculate(fixture, strategy.indicators);
+    assert(strategy.getLatestRSI(strategySeries) === last(strategySeries.rsi).value, 'Strategy reads its declared RSI');
+    assert(new TechnicalIndicators({ rsi: { period: 7 } }).calculate(fixture, { rsi: { period: 14 } }).rsi.length === technicals.rsi.length,
+      'Declared parameters override the instance defaults');
+    console.log('✅ Strategy declarations');
+
+    console.log('\n🎉 All indicator tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testIndicators();
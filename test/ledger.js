@@ -0,0 +1,87 @@
+// Lot ledger tests - FIFO, LIFO and average-cost closes with fees and holding periods
+import { createStorage } from '../lib/storage.js';
+import { LotLedger, closeLots } from '../lib/ledger.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function near(a, b, eps = 1e-6) {
+  return Math.abs(a - b) < eps;
+}
+
+const LOTS = [
+  { id: 'a', openedAt: '2024-01-01T00:00:00.000Z', quantity: 1, remaining: 1, price: 100, fees: 1 },
+  { id: 'b', openedAt: '2024-01-02T00:00:00.000Z', quantity: 1, remaining: 1, price: 200, fees: 2 }
+];
+
+async function replay(method) {
+  const storage = createStorage('memory');
+  const ledger = new LotLedger(storage, { method });
+  await ledger.applyTrade('ETHUSD', { id: 'b1', action: 'BUY', quantity: 1, price: 100, fees: 1, timestamp: LOTS[0].openedAt });
+  await ledger.applyTrade('ETHUSD', { id: 'b2', action: 'BUY', quantity: 1, price: 200, fees: 2, timestamp: LOTS[1].openedAt });
+  const realized = await ledger.applyTrade('ETHUSD', {
+    id: 's1', action: 'SELL', quantity: 1.5, price: 300, fees: 3, timestamp: '2024-01-03T00:00:00.000Z'
+  });
+  return { ledger, realized };
+}
+
+async function testLedger() {
+  console.log('🧪 Testing lot ledger...');
+
+  try {
+    // Pure lot selection
+    const fifo = closeLots(LOTS, 1.5, 'FIFO');
+    assert(fifo.closed[0].lotId === 'a' && near(fifo.closed[1].quantity, 0.5), 'FIFO should close the oldest lot first');
+    assert(fifo.remaining.length === 1 && near(fifo.remaining[0].remaining, 0.5), 'FIFO should leave half of lot b');
+    assert(LOTS[0].remaining === 1, 'closeLots must not mutate its input');
+
+    const lifo = closeLots(LOTS, 1.5, 'LIFO');
+    assert(lifo.closed[0].lotId === 'b' && lifo.remaining[0].id === 'a', 'LIFO should close the newest lot first');
+
+    const average = closeLots(LOTS, 1, 'AVERAGE');
+    assert(average.closed.every(c => near(c.quantity, 0.5)), 'AVERAGE should take evenly from every lot');
+    console.log('✅ Lot selection');
+
+    // FIFO: 1 @ 100 + 0.5 @ 200 sold at 300
+    // pnl = 200 + 50 - buy fees (1 + 1) - sell fees 3 = 245
+    let { ledger, realized } = await replay('FIFO');
+    assert(near(realized.pnl, 245), `FIFO pnl should be 245, got ${realized.pnl}`);
+    assert(near(realized.fees, 5), `FIFO fees should be 5, got ${realized.fees}`);
+    assert(near(realized.averageEntryPrice, 400 / 3), 'FIFO average entry should be 133.33');
+    // (1 x 48h + 0.5 x 24h) / 1.5
+    assert(near(realized.holdingPeriodHours, 40), `FIFO holding period should be 40h, got ${realized.holdingPeriodHours}`);
+    const open = await ledger.getOpenLots('ETHUSD');
+    assert(open.length === 1 && near(open[0].remaining, 0.5) && open[0].price === 200, 'FIFO should leave 0.5 @ 200 open');
+    console.log('✅ FIFO');
+
+    // LIFO: 1 @ 200 + 0.5 @ 100 -> 100 + 100 - (2 + 0.5) - 3 = 194.5
+    ({ ledger, realized } = await replay('LIFO'));
+    assert(near(realized.pnl, 194.5), `LIFO pnl should be 194.5, got ${realized.pnl}`);
+    assert((await ledger.getOpenLots('ETHUSD'))[0].price === 100, 'LIFO should leave the oldest lot open');
+    console.log('✅ LIFO');
+
+    // AVERAGE: 0.75 from each lot -> (300 - 150) x 1.5 - (0.75 + 1.5) - 3 = 219.75
+    ({ ledger, realized } = await replay('AVERAGE'));
+    assert(near(realized.pnl, 219.75), `AVERAGE pnl should be 219.75, got ${realized.pnl}`);
+    assert(near(realized.averageEntryPrice, 150), 'AVERAGE entry should be the average cost');
+    console.log('✅ Average cost');
+
+    // Sells with no lots fall back to the supplied basis
+    const storage = createStorage('memory');
+    const legacy = new LotLedger(storage);
+    const fallback = await legacy.applyTrade('ETHUSD', { action: 'SELL', quantity: 1, price: 110 }, async () => 100);
+    assert(near(fallback.pnl, 10) && fallback.holdingPeriodHours === null, 'Unmatched sells should use the fallback basis');
+
+    const summary = await ledger.getRealizedSummary();
+    assert(summary.closedTrades === 1 && summary.winRate === 100, 'Summary should count closed trades');
+    console.log('✅ Fallback basis and summary');
+
+    console.log('\n🎉 All ledger tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testLedger();
@@ -0,0 +1,257 @@
+// Market data tests - replay provider, ordered failover, stale quotes and an offline /api/trading run
+// Import the provider modules directly - lib/marketData.js builds its default
+// instance from the environment, which the offline endpoint run below sets first
+import MarketDataProvider from '../lib/marketData/baseProvider.js';
+import ReplayProvider from '../lib/marketData/replayProvider.js';
+import { isEquityMarketOpen } from '../lib/marketHours.js';
+import CachedMarketData from '../lib/marketData/cachedProvider.js';
+import MemoryStorage from '../lib/storage/memoryStorage.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const REPLAY_PATH = new URL('./fixtures/market-replay.json', import.meta.url).pathname;
+const NOW = new Date('2024-06-10T12:00:00.000Z').getTime();
+
+// Scripted provider for failover tests
+class FakeProvider extends MarketDataProvider {
+  constructor(name, { quote = null, bars = null, error = null } = {}) {
+    super(name);
+    this.quote = quote;
+    this.bars = bars;
+    this.error = error;
+    this.calls = 0;
+  }
+
+  async getQuote() {
+    this.calls++;
+    if (this.error) throw new Error(this.error);
+    return { ...this.quote, source: this.name };
+  }
+
+  async getBars() {
+    this.calls++;
+    if (this.error) throw new Error(this.error);
+    return this.bars;
+  }
+}
+
+async function testMarketData() {
+  console.log('🧪 Testing market data providers...');
+
+  try {
+    Object.assign(process.env, {
+      MARKET_DATA_PROVIDERS: 'replay',
+      MARKET_DATA_REPLAY_PATH: REPLAY_PATH,
+      STORAGE_BACKEND: 'memory',
+      BROKER_BACKEND: 'simulated',
+      AUTH_DISABLED: 'true'
+    });
+    delete process.env.SIM_BROKER_STATE_PATH;
+    const { FailoverMarketData } = await import('../lib/marketData.js');
+
+    // Replay serves the recording, counting lookbacks back from the last bar
+    const replay = new ReplayProvider({ filePath: REPLAY_PATH });
+    const quote = await replay.getQuote('ETHUSD');
+    assert(quote.price === 1975.12 && quote.ticker === 'ETH-USD' && quote.source === 'replay', 'Recorded quote');
+    const bars = await replay.getBars('ETH-USD', { interval: '1d', lookback: '1mo' });
+    assert(bars.length === 32, `Expected 32 bars in the last month of the recording, got ${bars.length}`);
+    assert(bars[bars.length - 1].date === '2024-08-27T00:00:00.000Z', 'Bars should end at the last recorded bar');
+    const again = await new ReplayProvider({ filePath: REPLAY_PATH }).getBars('ETH-USD', '1mo');
+    assert(JSON.stringify(again) === JSON.stringify(bars), 'Replay should be deterministic');
+    let threw = false;
+    try {
+      await replay.getBars('ETH-USD', { interval: '15m' });
+    } catch (error) {
+      threw = /No recorded 15m bars/.test(error.message);
+    }
+    assert(threw, 'Missing intervals should fail');
+    console.log('✅ Replay provider');
+
+    // A bare bar array (backtest fixture) is quoted at the last close
+    const fromBars = new ReplayProvider({ data: [{ date: '2024-01-02', close: 101 }, { date: '2024-01-01', close: 100 }] });
+    assert((await fromBars.getQuote('ETHUSD')).price === 101, 'Quote should come from the latest bar');
+    console.log('✅ Quotes derived from bars');
+
+    // Recording through another provider round-trips
+    const recorder = new ReplayProvider({ data: {} });
+    const source = new FakeProvider('fake', {
+      quote: { ticker: 'BTC-USD', price: 65000, marketTime: new Date(NOW).toISOString() },
+      bars: [{ date: '2024-06-10T11:00:00.000Z', open: 1, high: 2, low: 1, close: 2, volume: 5 }]
+    });
+    await recorder.record(source, 'BTCUSD', { interval: '1h', start: '2024-06-10T00:00:00.000Z', end: '2024-06-10T12:00:00.000Z' });
+    assert((await recorder.getQuote('BTC-USD')).price === 65000, 'Recorded quote should replay');
+    assert((await recorder.getBars('BTC-USD', { interval: '1h', lookback: '1d' })).length === 1, 'Recorded bars should replay');
+    console.log('✅ Recording');
+
+    // Failover: throttled provider, then a stale one, then a good one
+    const fresh = { price: 3500, marketTime: new Date(NOW - 60 * 1000).toISOString() };
+    const throttled = new FakeProvider('yahoo', { error: 'Too Many Requests' });
+    const stale = new FakeProvider('alpaca', { quote: { price: 3400, marketTime: new Date(NOW - 3600 * 1000).toISOString() } });
+    const backup = new FakeProvider('backup', { quote: fresh, bars: [{ date: '2024-06-10', close: 3500 }] });
+    const marketData = new FailoverMarketData({ providers: [throttled, stale, backup], maxQuoteAgeSeconds: 300, now: () => NOW });
+
+    const served = await marketData.getQuote('ETHUSD');
+    assert(served.price === 3500 && served.source === 'backup', `Expected the backup quote, got ${served.source}`);
+    assert(throttled.calls === 1 && stale.calls === 1, 'Providers should be tried in order');
+    assert((await marketData.getBars('ETHUSD', '1mo')).length === 1, 'Bars should fail over too');
+    console.log('✅ Ordered failover with stale-quote check');
+
+    const allDown = new FailoverMarketData({ providers: [throttled, stale], maxQuoteAgeSeconds: 300, now: () => NOW });
+    threw = false;
+    try {
+      await allDown.getQuote('ETHUSD');
+    } catch (error) {
+      threw = error.message.includes('yahoo: Too Many Requests') && error.message.includes('alpaca: stale quote');
+    }
+    assert(threw, 'Should report every provider failure');
+
+    // Recorded quotes are old by definition - replay is exempt from the stale check
+    const offline = new FailoverMarketData({ providers: [replay], maxQuoteAgeSeconds: 1 });
+    assert((await offline.getQuote('ETHUSD')).price === 1975.12, 'Replay quotes should never be stale');
+    console.log('✅ Failure reporting');
+
+    // Equity quotes may be as old as the last close while the market is closed; crypto never closes
+    const SATURDAY = Date.parse('2024-06-08T15:00:00Z');
+    const TUESDAY_OPEN = Date.parse('2024-06-11T15:00:00Z');
+    const fridayClose = { price: 530, marketTime: '2024-06-07T20:00:00.000Z' };
+    const closed = new FailoverMarketData({ providers: [new FakeProvider('yahoo', { quote: fridayClose })], now: () => SATURDAY });
+    assert((await closed.getQuote('SPY')).price === 530, "Friday's close is a fresh quote on Saturday");
+    const cryptoWeekend = new FailoverMarketData({ providers: [new FakeProvider('yahoo', { quote: fridayClose })], now: () => SATURDAY });
+    threw = false;
+    try {
+      await cryptoWeekend.getQuote('ETHUSD');
+    } catch (error) {
+      threw = /stale quote/.test(error.message);
+    }
+    assert(threw, 'A day-old crypto quote is stale even on a weekend');
+    const open = new FailoverMarketData({ providers: [new FakeProvider('yahoo', { quote: fridayClose })], now: () => TUESDAY_OPEN });
+    assert(open.maxQuoteAgeFor('SPY') === 900 * 1000 && open.maxQuoteAgeFor('SPY') === open.maxQuoteAgeFor('UNLISTED'),
+      'During the session equities get the open-market limit, as do symbols off the watchlist');
+    const openAt = iso => isEquityMarketOpen(Date.parse(iso));
+    assert(openAt('2024-06-10T13:30:00Z') && !openAt('2024-06-10T13:29:00Z') && !openAt('2024-06-10T20:00:00Z') &&
+      openAt('2024-01-08T14:30:00Z') && !openAt('2024-01-08T14:29:00Z'), 'The session follows New York time through daylight saving');
+    console.log('✅ Quote age by asset class and session');
+
+    // Cache: repeated lookups inside the TTL skip the upstream provider
+    let clock = NOW;
+    const upstream = new FakeProvider('upstream', { quote: fresh, bars: [{ date: '2024-06-10', close: 3500 }] });
+    const cache = new CachedMarketData({ source: upstream, quoteTtlSeconds: 30, now: () => clock });
+    await cache.getQuote('ETHUSD');
+    const cachedQuote = await cache.getQuote('ETH-USD');
+    assert(upstream.calls === 1 && cachedQuote.price === 3500, 'Broker symbol and Yahoo ticker should share one cache entry');
+    cachedQuote.price = 1;
+    assert((await cache.getQuote('ETHUSD')).price === 3500, 'Callers should not be able to mutate cached values');
+    clock += 31 * 1000;
+    await cache.getQuote('ETHUSD');
+    assert(upstream.calls === 2, 'Quotes should be refetched after the TTL');
+
+    await cache.getBars('ETHUSD', { interval: '15m', lookback: '5d' });
+    clock += 60 * 1000;
+    await cache.getBars('ETHUSD', { interval: '15m', lookback: '5d' });
+    assert(upstream.calls === 3, '15m bars should still be fresh after a minute');
+    clock += 61 * 1000;
+    await cache.getBars('ETHUSD', { interval: '15m', lookback: '5d' });
+    assert(upstream.calls === 4, '15m bars should expire after two minutes');
+    await cache.getBars('ETHUSD', { interval: '1d', lookback: '5d' });
+    assert(upstream.calls === 5, 'Different intervals are different entries');
+    console.log('✅ Per-interval TTLs');
+
+    // Concurrent identical requests share one upstream call
+    clock += 3600 * 1000;
+    const [a, b, c] = await Promise.all([cache.getQuote('ETHUSD'), cache.getQuote('ETHUSD'), cache.getQuote('ETH-USD')]);
+    assert(upstream.calls === 6 && a.price === b.price && b.price === c.price, 'Concurrent quotes should coalesce');
+    let stats = cache.getStats();
+    assert(stats.coalesced === 2 && stats.misses === 6, `Unexpected stats ${JSON.stringify(stats)}`);
+    const snapshot = cache.getStats();
+    await cache.getQuote('ETHUSD');
+    const delta = cache.statsSince(snapshot);
+    assert(delta.hits === 1 && delta.misses === 0 && delta.hitRate === 100, 'statsSince should only count new lookups');
+    console.log('✅ In-flight coalescing and stats');
+
+    // Failures are not cached
+    const flaky = new FakeProvider('flaky', { error: 'timeout' });
+    const flakyCache = new CachedMarketData({ source: flaky, now: () => clock });
+    for (let i = 0; i < 2; i++) {
+      await flakyCache.getQuote('ETHUSD').catch(() => {});
+    }
+    assert(flaky.calls === 2 && flakyCache.getStats().errors === 2, 'Errors should not be cached');
+
+    // Persistent cache: a second instance (another invocation) reuses the first one's fetch
+    const shared = new MemoryStorage();
+    const first = new FakeProvider('first', { quote: fresh });
+    const second = new FakeProvider('second', { quote: fresh });
+    await new CachedMarketData({ source: first, storage: shared, now: () => clock }).getQuote('ETHUSD');
+    const warm = new CachedMarketData({ source: second, storage: shared, now: () => clock });
+    await warm.getQuote('ETHUSD');
+    assert(second.calls === 0 && warm.getStats().persistentHits === 1, 'Persisted entries should be shared');
+    const expired = new CachedMarketData({ source: second, storage: shared, now: () => clock + 60 * 1000 });
+    await expired.getQuote('ETHUSD');
+    assert(second.calls === 1, 'Expired persisted entries should be refetched');
+    console.log('✅ Persistent cache through storage');
+
+    // Persisted entries are evicted once expired, and capped in number
+    const bounded = new MemoryStorage();
+    const upstreamBars = new FakeProvider('bars', { quote: fresh, bars: [{ date: '2024-01-01', close: 1 }] });
+    let later = clock;
+    const evicting = new CachedMarketData({ source: upstreamBars, storage: bounded, maxPersistedEntries: 3, sweepIntervalSeconds: 0, now: () => later });
+    for (const interval of ['1m', '5m', '15m', '1h']) await evicting.getBars('ETHUSD', { interval, lookback: '1d' });
+    let keys = (await bounded.listRecords('marketDataCache')).map(entry => entry.key);
+    assert(keys.length === 3 && !keys.includes('bars:ETH-USD:1m:1d::'), `The soonest to expire goes over the cap, got ${keys.join(', ')}`);
+    later += 200 * 1000;
+    await evicting.getQuote('ETHUSD');
+    keys = (await bounded.listRecords('marketDataCache')).map(entry => entry.key);
+    assert(keys.length === 2 && keys.includes('quote:ETH-USD') && keys.includes('bars:ETH-USD:1h:1d::'),
+      `Expired entries are deleted on write, got ${keys.join(', ')}`);
+    later += 3600 * 1000;
+    await new CachedMarketData({ source: new FakeProvider('cold', { quote: fresh }), storage: bounded, sweepIntervalSeconds: 3600, now: () => later })
+      ._readPersisted('bars:ETH-USD:1h:1d::');
+    assert(!(await bounded.getRecord('marketDataCache', 'bars:ETH-USD:1h:1d::')), 'Expired entries are deleted on read');
+    assert(evicting.getStats().entries === 2, 'Expired entries leave memory too');
+    console.log('✅ Persistent cache eviction');
+
+    // The trading endpoint runs end to end offline against the recording
+    const { default: handler } = await import('../api/trading.js');
+    const response = await invoke(handler, { method: 'GET', query: { symbols: 'ETHUSD', autoTrade: 'false' }, headers: {} });
+    assert(response.statusCode === 200 && response.body.success, `Offline run failed: ${JSON.stringify(response.body.error)}`);
+    const result = response.body.data.results.ETHUSD;
+    assert(result.status === 'ANALYZED' && result.market.yahoo.source === 'replay', 'Offline run should analyze replayed data');
+    assert(response.body.data.marketData.providers.join() === 'replay', 'Response should name the providers');
+    stats = response.body.data.marketData.cache;
+    assert(stats.misses === 2 && typeof stats.hitRate === 'number', `Response should report cache stats, got ${JSON.stringify(stats)}`);
+    console.log(`✅ Offline /api/trading run: ${result.decision.action}`);
+
+    // A keyed run stores a compact response (latest indicator values, not the series) and replays it
+    const keyed = { method: 'GET', query: { symbols: 'ETHUSD', autoTrade: 'false' }, headers: { 'idempotency-key': 'offline-run-1' } };
+    const original = await invoke(handler, keyed);
+    assert(typeof original.body.data.results.ETHUSD.market.technicals.rsi === 'number', 'Technicals should be summarized to latest values');
+    assert(JSON.stringify(original.body).length < 50000, 'The stored response should fit a Sheets cell');
+    const replayed = await invoke(handler, keyed);
+    assert(replayed.headers['Idempotent-Replayed'] === 'true' && replayed.body.requestId === original.body.requestId,
+      'A retry with the same key should replay the stored response');
+    console.log('✅ Compact Idempotency-Key responses');
+
+    console.log('\n🎉 All market data tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Minimal Vercel-style req/res
+function invoke(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ statusCode: this.statusCode, headers: this.headers, body }); return this; },
+      end() { resolve({ statusCode: this.statusCode, headers: this.headers, body: null }); return this; }
+    };
+    handler(req, res).catch(reject);
+  });
+}
+
+testMarketData();
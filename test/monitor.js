@@ -0,0 +1,82 @@
+// Monitor tests - an offline /api/monitor run against replayed prices and the simulated broker
+// The lib modules build their default instances from the environment, so it's set
+// before anything is imported
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+Object.assign(process.env, {
+  MARKET_DATA_PROVIDERS: 'replay',
+  MARKET_DATA_REPLAY_PATH: new URL('./fixtures/market-replay.json', import.meta.url).pathname,
+  STORAGE_BACKEND: 'memory',
+  BROKER_BACKEND: 'simulated',
+  AUTH_DISABLED: 'true'
+});
+delete process.env.SIM_BROKER_STATE_PATH;
+
+async function testMonitor() {
+  console.log('🧪 Testing the position monitor...');
+
+  try {
+    const { default: storage } = await import('../lib/storage.js');
+    const { default: broker } = await import('../lib/broker.js');
+    const { default: tradingState } = await import('../lib/tradingState.js');
+    const { default: handler } = await import('../api/monitor.js');
+
+    // Hold 1 ETHUSD bought well above the replayed 1975.12 quote - about 6% under water
+    const openPosition = async () => {
+      await broker.placeOrder({ symbol: 'ETHUSD', side: 'buy', qty: 1, type: 'market', tif: 'gtc', confirm: true });
+      await storage.updatePosition('ETHUSD', { action: 'BUY', quantity: 1, price: 2100, timestamp: new Date().toISOString() });
+    };
+    const brokerQty = async () => {
+      const held = (await broker.getPositions()).find(p => p.symbol === 'ETHUSD');
+      return held ? parseFloat(held.qty) : 0;
+    };
+
+    // A drawdown breach pauses entries, and the monitor's stop loss still sells
+    await openPosition();
+    await tradingState.pauseOnRisk({ shouldHalt: true, haltReason: 'Equity drawdown 6.00% exceeds 5% limit - new entries halted', pauseReasons: [] });
+    assert((await tradingState.getState()).state === 'ENTRIES_PAUSED', 'The breach should pause entries');
+    let response = await invoke(handler, { method: 'GET', query: {}, headers: {} });
+    assert(response.statusCode === 200 && response.body.success, `Monitor run failed: ${JSON.stringify(response.body.error)}`);
+    let result = response.body.data.monitoringResults.find(r => r.symbol === 'ETHUSD');
+    assert(result.urgentAction?.action === 'SELL', `Expected an urgent stop-loss sell, got ${JSON.stringify(result.decision?.action)}`);
+    assert(await brokerQty() === 0, 'The stop-loss sell should reach the broker while entries are paused');
+    const exit = (await broker.getOrders()).find(o => o.side === 'sell');
+    assert(/^monitor-ETHUSD-SELL-/.test(exit.client_order_id), `The urgent exit should carry a monitor client order id, got ${exit.client_order_id}`);
+    assert(!(await storage.getCurrentPosition('ETHUSD')), 'The stopped-out position should be closed in storage');
+    console.log('✅ Stop loss runs after a drawdown breach');
+
+    // An operator's halt is the full stop - the same exit is held back
+    await openPosition();
+    await tradingState.setState('HALTED', { actor: 'ops', reason: 'manual stop' });
+    response = await invoke(handler, { method: 'GET', query: {}, headers: {} });
+    result = response.body.data.monitoringResults.find(r => r.symbol === 'ETHUSD');
+    assert(result.urgentAction?.action === 'SELL', 'The stop loss should still be flagged');
+    assert(await brokerQty() === 1, 'A manual halt should block the sell');
+    console.log('✅ Manual halt blocks urgent exits');
+
+    console.log('\n🎉 All monitor tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Minimal Vercel-style req/res
+function invoke(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ statusCode: this.statusCode, body }); return this; },
+      end() { resolve({ statusCode: this.statusCode, body: null }); return this; }
+    };
+    handler(req, res).catch(reject);
+  });
+}
+
+testMonitor();
@@ -0,0 +1,105 @@
+// Monte Carlo tests - trade returns, reshuffle/resample distributions, shocks and size recommendation
+import { readFileSync } from 'fs';
+import MonteCarloSimulator, { tradeReturns, percentiles, runMonteCarlo } from '../lib/monteCarlo.js';
+import { runBacktest } from '../lib/backtest.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Round trips on $10,000: a buy (pnl null) then a sell with the P&L
+const roundTrips = pnls => pnls.flatMap(pnl => [
+  { action: 'BUY', quantity: 10, price: 100, pnl: null },
+  { action: 'SELL', quantity: 10, price: 100, pnl }
+]);
+const MIXED = roundTrips([300, -200, 150, -250, 400, -100, -300, 200, 250, -150]);
+
+async function testMonteCarlo() {
+  console.log('🧪 Testing Monte Carlo analysis...');
+
+  try {
+    // Closed trades -> returns on the equity before each one
+    const returns = tradeReturns(roundTrips([500, -1050]), 10000);
+    assert(returns.length === 2, 'Only closing trades count');
+    assert(returns[0].return === 0.05 && returns[1].return === -0.1 && returns[1].exposure === 1000 / 10500,
+      `Returns should use running equity, got ${JSON.stringify(returns)}`);
+    const bands = percentiles([5, 1, 4, 2, 3]);
+    assert(bands.p50 === 3 && bands.p25 === 2 && bands.p95 === 4.8, `Percentiles interpolate, got ${JSON.stringify(bands)}`);
+    console.log('✅ Trade returns and percentiles');
+
+    // Reshuffling keeps the final return and only moves the path
+    const shuffled = runMonteCarlo({ trades: MIXED, iterations: 500, methods: ['reshuffle'] });
+    const final = shuffled.distributions.finalReturnPct;
+    assert(final.min === final.max && final.p50 === shuffled.original.finalReturnPct, 'Reshuffles share one final return');
+    const drawdown = shuffled.distributions.maxDrawdownPct;
+    assert(drawdown.min < drawdown.p50 && drawdown.p50 < drawdown.max, 'Drawdown should spread across orderings');
+    assert(drawdown.p5 <= drawdown.p25 && drawdown.p75 <= drawdown.p95, 'Percentile bands should be ordered');
+    assert(shuffled.distributions.longestLosingStreak.max <= 5, 'Five losers allow at most a streak of five');
+    console.log(`✅ Reshuffle: p95 drawdown ${drawdown.p95}%`);
+
+    // Resampling changes the mix, and the same seed repeats
+    const resampled = runMonteCarlo({ trades: MIXED, iterations: 500, methods: ['resample'], seed: 3 });
+    const spread = resampled.distributions.finalReturnPct;
+    assert(spread.p5 < spread.p50 && spread.p50 < spread.p95, 'Resamples should spread the final return');
+    assert(resampled.distributions.probabilityOfLossPct > 0, 'Some resamples should lose money');
+    assert(JSON.stringify(resampled) === JSON.stringify(runMonteCarlo({ trades: MIXED, iterations: 500, methods: ['resample'], seed: 3 })),
+      'Same seed should give the same result');
+    const both = runMonteCarlo({ trades: MIXED, iterations: 200 });
+    assert(both.byMethod.reshuffle && both.byMethod.resample, 'Both methods run by default and report separately');
+    console.log('✅ Resample');
+
+    // Skipped trades and slippage shocks
+    const winners = roundTrips([100, 100, 100, 100, 100, 100, 100, 100]);
+    const steady = runMonteCarlo({ trades: winners, iterations: 200, methods: ['reshuffle'] });
+    const skipped = runMonteCarlo({ trades: winners, iterations: 200, methods: ['reshuffle'], skipProbability: 0.5 });
+    assert(skipped.distributions.finalReturnPct.mean < steady.distributions.finalReturnPct.mean, 'Skipped winners lower the return');
+    const shocked = runMonteCarlo({ trades: winners, iterations: 200, methods: ['reshuffle'], slippageShockPct: 20 });
+    assert(shocked.distributions.finalReturnPct.mean < steady.distributions.finalReturnPct.mean &&
+      shocked.distributions.longestLosingStreak.max > 0, 'Slippage shocks should turn some winners into losers');
+    console.log('✅ Skips and slippage shocks');
+
+    // Size recommendation against the drawdown budget
+    const risky = runMonteCarlo({ trades: MIXED, iterations: 1000, maxDrawdownPct: 2 });
+    const { recommendation } = risky;
+    assert(!recommendation.withinLimit && recommendation.p95DrawdownPct > 2, `1x should break a 2% budget, got ${recommendation.p95DrawdownPct}%`);
+    assert(recommendation.multiplier > 0 && recommendation.multiplier < 1, `Expected a size cut, got ${recommendation.multiplier}`);
+    assert(recommendation.p95DrawdownAtMultiplierPct <= 2, 'Recommended size should fit the budget');
+    const slightlyMore = new MonteCarloSimulator({ iterations: 1000, maxDrawdownPct: 2, maxMultiplier: recommendation.multiplier + 0.02 })
+      .run(MIXED).recommendation;
+    assert(slightlyMore.multiplier === recommendation.multiplier, 'The recommendation should be the largest size that fits');
+    const safe = runMonteCarlo({ trades: winners, iterations: 200 });
+    assert(safe.recommendation.maxDrawdownPct === 5 && safe.recommendation.withinLimit, 'Default budget is the strategy MAX_DRAWDOWN_PCT');
+    assert(safe.recommendation.multiplier === 3, 'Runs without drawdown can use the largest multiplier');
+    console.log(`✅ Size recommendation: ${recommendation.multiplier}x for a 2% p95 drawdown`);
+
+    // Bad input
+    for (const [options, trades, pattern] of [
+      [{ methods: ['bootstrap'] }, MIXED, /Unknown Monte Carlo method "bootstrap"/],
+      [{ skipProbability: 1 }, MIXED, /skipProbability must be in \[0, 1\)/],
+      [{}, [{ action: 'BUY', pnl: null }], /at least one closed trade/]
+    ]) {
+      let message = null;
+      try {
+        runMonteCarlo({ trades, ...options });
+      } catch (error) {
+        message = error.message;
+      }
+      assert(message && pattern.test(message), `${JSON.stringify(options)} should fail with ${pattern}, got ${message}`);
+    }
+    console.log('✅ Input validation');
+
+    // Backtest trades feed straight in
+    const bars = JSON.parse(readFileSync(new URL('./fixtures/eth-usd-daily.json', import.meta.url)));
+    const backtest = await runBacktest({ bars });
+    const analysis = runMonteCarlo({ trades: backtest.trades, initialCash: backtest.options.initialCash, iterations: 300 });
+    assert(analysis.trades === backtest.stats.closedTrades, 'Every closed backtest trade should be simulated');
+    console.log(`✅ Backtest trades: ${analysis.trades} closed, p95 drawdown ${analysis.distributions.maxDrawdownPct.p95}%`);
+
+    console.log('\n🎉 All Monte Carlo tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testMonteCarlo();
@@ -0,0 +1,121 @@
+// Multi-timeframe confirmation tests - rule evaluation, resampling, vetoes and strategy reasoning
+import { resolveConfirmations, loadTimeframes, evaluateConfirmations } from '../lib/multiTimeframe.js';
+import strategy from '../lib/strategy.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const at = (i, minutes) => new Date(Date.UTC(2024, 5, 1) + i * minutes * 60000).toISOString();
+const toBars = (closes, minutes) => closes.map((close, i) => ({ date: at(i, minutes), open: close, high: close + 1, low: close - 1, close, volume: 100 }));
+
+// 4h uptrend, 1h pullback, 15m MACD that turned up two bars ago
+const BARS = {
+  '4h': toBars(Array.from({ length: 40 }, (_, i) => 100 + i), 240),
+  '1h': toBars(Array.from({ length: 40 }, (_, i) => 200 - i), 60),
+  '15m': toBars([...Array.from({ length: 50 }, (_, i) => 200 - i), 152, 156, 162], 15)
+};
+
+const RULES = [
+  { interval: '4h', rule: 'trend', direction: 'up' },
+  { interval: '1h', rule: 'rsiPullback', below: 45 },
+  { interval: '15m', rule: 'macdCross', within: 3 }
+];
+
+// Serves BARS per interval and records what was asked for
+function fakeMarketData(bars = BARS, failing = []) {
+  return {
+    requests: [],
+    async getBars(ticker, { interval }) {
+      this.requests.push(interval);
+      if (failing.includes(interval)) throw new Error('Too Many Requests');
+      return bars[interval];
+    }
+  };
+}
+
+// Scores 10/10 on the single-timeframe checks so only the confirmations decide
+function strongBuySetup(extra) {
+  return {
+    currentPrice: 110,
+    volume: 5000,
+    rsi: [{ value: 25 }],
+    sma: [{ value: 100 }, { value: 101 }, { value: 102 }],
+    signals: [{ type: 'BUY' }, { type: 'BUY' }],
+    ...extra
+  };
+}
+
+async function testMultiTimeframe() {
+  console.log('🧪 Testing multi-timeframe confirmation...');
+
+  try {
+    const badRules = [
+      [[{ interval: '4h', rule: 'ichimoku' }], /unknown rule "ichimoku"/],
+      [[{ interval: '2h', rule: 'trend' }], /unsupported interval "2h"/],
+      [[{ interval: '1h', rule: 'trend', from: '4h' }], /cannot be built from 4h/],
+      [[{ interval: '1h', rule: 'rsiPullback', length: 7 }], /no parameter "length"/]
+    ];
+    for (const [rules, pattern] of badRules) {
+      let message = null;
+      try {
+        resolveConfirmations(rules);
+      } catch (error) {
+        message = error.message;
+      }
+      assert(message && pattern.test(message), `${JSON.stringify(rules)} should be rejected with ${pattern}, got ${message}`);
+    }
+    assert(resolveConfirmations(RULES)[1].params.period === 14, 'Rules should get their default parameters');
+    console.log('✅ Rule validation');
+
+    // Every timeframe agrees
+    const marketData = fakeMarketData();
+    const timeframes = await loadTimeframes(marketData, 'ETH-USD', RULES);
+    assert(marketData.requests.join() === '4h,1h,15m', `Each interval should be fetched once, got ${marketData.requests}`);
+    const agreed = evaluateConfirmations(RULES, timeframes);
+    assert(agreed.passed, `All rules should pass: ${JSON.stringify(agreed.results)}`);
+    assert(/bullish MACD cross 2 bar\(s\) ago/.test(agreed.results[2].detail), `Unexpected MACD detail: ${agreed.results[2].detail}`);
+    console.log('✅ Trend, pullback and MACD cross');
+
+    // Each rule vetoes on its own
+    const strict = evaluateConfirmations([
+      { interval: '4h', rule: 'trend', direction: 'down' },
+      { interval: '1h', rule: 'rsiPullback', below: 45, floor: 20 },
+      { interval: '15m', rule: 'macdCross', within: 1 }
+    ], timeframes);
+    assert(!strict.passed && strict.vetoes.map(v => v.interval).join() === '4h,1h,15m', `Every rule should veto, got ${JSON.stringify(strict.results)}`);
+    console.log('✅ Vetoes');
+
+    // 4h bars built from 1h bars
+    const resampled = await loadTimeframes(fakeMarketData(), 'ETH-USD', [{ interval: '4h', rule: 'trend', from: '1h' }]);
+    assert(resampled['4h'].bars.length === 10 && resampled['4h'].source === '1h resampled', 'Forty 1h bars make ten 4h bars');
+    assert(resampled['4h'].bars[0].close === BARS['1h'][3].close, 'A 4h bar closes at its last 1h close');
+
+    // A timeframe without data vetoes instead of failing the run
+    const partial = await loadTimeframes(fakeMarketData(BARS, ['15m']), 'ETH-USD', RULES);
+    const missing = evaluateConfirmations(RULES, partial);
+    assert(!missing.passed && /15m data unavailable: Too Many Requests/.test(missing.vetoes[0].detail), 'Unavailable data should veto');
+    console.log('✅ Resampling and missing data');
+
+    // The strategy names the timeframes that supported or vetoed the entry
+    const approved = strategy.analyze(strongBuySetup({ confirmations: RULES, timeframes }), null);
+    assert(approved.action === 'BUY' && approved.confirmation.passed, `Expected a confirmed BUY, got ${approved.action}`);
+    assert(approved.reasoning.some(line => line.startsWith('✓ 4h trend')), 'BUY reasoning should list the supporting timeframes');
+
+    const vetoed = strategy.analyze(strongBuySetup({ confirmations: RULES, timeframes: partial }), null);
+    assert(vetoed.action === 'HOLD', `A vetoed entry should HOLD, got ${vetoed.action}`);
+    assert(/VETOED BY 15m/.test(vetoed.reasoning[0]) && vetoed.reasoning.some(line => line.startsWith('✗ 15m macdCross')),
+      `Reasoning should name the vetoing timeframe: ${vetoed.reasoning.join(' | ')}`);
+
+    const single = strategy.analyze(strongBuySetup(), null);
+    assert(single.action === 'BUY' && !single.confirmation, 'Symbols without rules trade on one timeframe as before');
+    console.log('✅ Strategy reasoning');
+
+    console.log('\n🎉 All multi-timeframe tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testMultiTimeframe();
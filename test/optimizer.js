@@ -0,0 +1,119 @@
+// Walk-forward optimizer tests - search spaces, windows, per-window results and exported parameters
+import { readFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import WalkForwardOptimizer, { expandSpace, gridCandidates, randomCandidates, walkForwardWindows, exportParams } from '../lib/optimizer.js';
+import { ProfessionalTradingStrategy } from '../lib/strategy.js';
+import { strategyFor } from '../lib/ruleStrategy.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const SPACE = {
+  RSI_OVERSOLD: [30, 40],
+  STOP_LOSS_PCT: { min: 1.5, max: 2.5, step: 0.5 }
+};
+
+async function testOptimizer() {
+  console.log('🧪 Testing walk-forward optimizer...');
+  const tmp = mkdtempSync(path.join(tmpdir(), 'optimizer-'));
+
+  try {
+    // Search spaces
+    assert(expandSpace(SPACE).STOP_LOSS_PCT.join() === '1.5,2,2.5', 'Ranges expand by step');
+    const grid = gridCandidates(SPACE);
+    assert(grid.length === 6 && grid.some(set => set.RSI_OVERSOLD === 40 && set.STOP_LOSS_PCT === 2.5), 'Grid is the full product');
+    const sampled = randomCandidates(SPACE, 4, 7);
+    assert(sampled.length === 4 && new Set(sampled.map(set => JSON.stringify(set))).size === 4, 'Random search draws distinct sets');
+    assert(JSON.stringify(sampled) === JSON.stringify(randomCandidates(SPACE, 4, 7)), 'Random search repeats with the same seed');
+    assert(randomCandidates(SPACE, 50).length === 6, 'Random search never draws more than the grid');
+    console.log('✅ Grid and random search');
+
+    // Rolling windows
+    const windows = walkForwardWindows(240, { inSampleBars: 120, outOfSampleBars: 30 });
+    assert(windows.length === 4, `240 bars give 4 windows of 120+30, got ${windows.length}`);
+    assert(windows[1].inSample.join() === '30,150' && windows[1].outOfSample.join() === '150,180', 'Windows roll by the out-of-sample length');
+    assert(walkForwardWindows(240, { inSampleBars: 120, outOfSampleBars: 30, stepBars: 60 }).length === 2, 'stepBars sets the roll');
+    console.log('✅ Walk-forward windows');
+
+    // Full run over the fixture
+    const bars = JSON.parse(readFileSync(new URL('./fixtures/eth-usd-daily.json', import.meta.url)));
+    const optimizer = new WalkForwardOptimizer({ space: SPACE, inSampleBars: 100, outOfSampleBars: 40 });
+    const result = optimizer.run(bars);
+    assert(result.windows.length === 3 && result.candidates === 6, `Expected 3 windows over 6 sets, got ${result.windows.length}/${result.candidates}`);
+    for (const window of result.windows) {
+      assert(window.outOfSample.bars === 40 && new Date(window.outOfSample.start) > new Date(window.inSample.end),
+        'Out-of-sample must follow its in-sample window');
+      assert(grid.some(set => JSON.stringify(set) === JSON.stringify(window.params)), 'Chosen params come from the space');
+      assert(Number.isFinite(window.inSampleStats.sharpeRatio) && Number.isFinite(window.outOfSampleStats.totalReturnPct), 'Both stats are reported');
+    }
+
+    // The winner really is the in-sample best
+    const first = result.windows[0];
+    const inSample = bars.slice(0, 100);
+    for (const params of grid) {
+      const stats = optimizer.backtest(inSample, params);
+      assert(stats.tradeCount < 1 || stats.sharpeRatio <= first.inSampleStats.sharpeRatio, `${JSON.stringify(params)} beat the chosen set in-sample`);
+    }
+
+    const { aggregate } = result;
+    const compounded = result.windows.reduce((equity, w) => equity * (1 + w.outOfSampleStats.totalReturnPct / 100), 1);
+    assert(Math.abs(aggregate.outOfSampleReturnPct - (compounded - 1) * 100) < 0.01, 'Aggregate return compounds the out-of-sample windows');
+    assert(Object.values(aggregate.parameterStability.RSI_OVERSOLD).reduce((a, b) => a + b, 0) === 3, 'Stability counts one pick per window');
+    assert(grid.some(set => JSON.stringify(set) === JSON.stringify(result.recommended.params)), 'Recommended params come from the space');
+    console.log(`✅ Walk-forward run: ${aggregate.outOfSampleReturnPct}% out of sample, efficiency ${aggregate.efficiency}`);
+
+    // Export -> live strategy
+    const file = path.join(tmp, 'optimized', 'ethusd.json');
+    await exportParams(result, file);
+    const exported = JSON.parse(readFileSync(file, 'utf8'));
+    assert(exported.strategy === 'builtin' && exported.walkForward.windows === 3, 'Export records the strategy and walk-forward summary');
+    const live = strategyFor({ symbol: 'ETHUSD', trading: { strategy: null, strategyParams: file } });
+    assert(live instanceof ProfessionalTradingStrategy && live.RSI_OVERSOLD === result.recommended.params.RSI_OVERSOLD &&
+      live.STOP_LOSS_PCT === result.recommended.params.STOP_LOSS_PCT, 'strategyFor should load the exported params');
+    assert(live.PROFIT_TARGET_PCT === new ProfessionalTradingStrategy().PROFIT_TARGET_PCT, 'Params not optimized keep their defaults');
+
+    let message = null;
+    try {
+      strategyFor({ symbol: 'ETHUSD', trading: { strategy: 'rsi-trend', strategyParams: file } });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(/optimized for builtin, not rsi-trend/.test(message), `Params for another strategy should be refused, got ${message}`);
+    console.log('✅ Exported params load into the live strategy');
+
+    // Bad input fails before any replay
+    const badOptions = [
+      [{ space: { RSI_OVERSOLD_TYPO: [30] } }, /Unknown strategy parameter "RSI_OVERSOLD_TYPO"/, bars],
+      [{ objective: 'luck' }, /Unknown objective "luck"/, bars],
+      [{ strategy: 'rsi-trend', space: { RSI_OVERSOLD: [30] } }, /has no param "RSI_OVERSOLD"/, bars],
+      [{ space: SPACE }, /Need at least 150 bars/, bars.slice(0, 100)]
+    ];
+    for (const [options, pattern, data] of badOptions) {
+      message = null;
+      try {
+        new WalkForwardOptimizer(options).run(data);
+      } catch (error) {
+        message = error.message;
+      }
+      assert(message && pattern.test(message), `${JSON.stringify(options)} should fail with ${pattern}, got ${message}`);
+    }
+    console.log('✅ Input validation');
+
+    // Rule-based strategies are optimized through their params
+    const rules = new WalkForwardOptimizer({ strategy: 'rsi-trend', space: { rsiOverbought: [60, 70] }, inSampleBars: 150, outOfSampleBars: 60 });
+    const ruleResult = rules.run(bars);
+    assert(ruleResult.windows.length === 1 && [60, 70].includes(ruleResult.recommended.params.rsiOverbought), 'Rule strategy params should be searchable');
+    console.log('✅ Rule-based strategy params');
+
+    console.log('\n🎉 All optimizer tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+testOptimizer();
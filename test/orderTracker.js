@@ -0,0 +1,84 @@
+// Order tracker tests - partial fills, fill timeouts and fills seen twice, against a scripted broker
+import { OrderTracker } from '../lib/orderTracker.js';
+import MemoryStorage from '../lib/storage/memoryStorage.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Each getOrder() returns the order's next scripted state, then keeps returning the last one
+class FakeBroker {
+  constructor(scripts = {}) {
+    this.scripts = scripts;
+    this.calls = 0;
+  }
+
+  async getOrder(orderId) {
+    this.calls++;
+    const script = this.scripts[orderId];
+    const state = script.length > 1 ? script.shift() : script[0];
+    return { id: orderId, ...state };
+  }
+}
+
+const submitted = (orderId, qty) => ({ orderId, symbol: 'ETHUSD', side: 'buy', qty, status: 'new' });
+
+async function testOrderTracker() {
+  console.log('🧪 Testing order tracking...');
+
+  try {
+    // A partial fill and the rest are recorded as separate trades keyed by the cumulative quantity
+    let storage = new MemoryStorage();
+    let broker = new FakeBroker({
+      O1: [
+        { status: 'partially_filled', filled_qty: '0.4', filled_avg_price: '100', fees: '0.1' },
+        { status: 'filled', filled_qty: '1', filled_avg_price: '101', fees: '0.25' }
+      ]
+    });
+    let tracker = new OrderTracker({ broker, storage, pollIntervalMs: 1, timeoutMs: 1000 });
+    const filled = await tracker.track(submitted('O1', 1), { action: 'BUY', source: 'test' });
+    assert(filled.status === 'FILLED' && filled.filledQty === 1 && filled.filledAvgPrice === 101, `Order should settle as FILLED, got ${filled.status}`);
+    const trades = (await storage.getTradeHistory(10)).reverse();
+    assert(trades.map(t => t.id).join() === 'trade_O1_0.4,trade_O1_1', `Trade ids should carry the cumulative quantity, got ${trades.map(t => t.id)}`);
+    assert(trades[0].quantity === 0.4 && trades[0].price === 100 && trades[0].fees === 0.1, 'First trade is the partial fill');
+    assert(trades[1].quantity === 0.6 && Math.abs(trades[1].price - (101 - 40) / 0.6) < 1e-4 && trades[1].fees === 0.15,
+      `Second trade is the remainder at its own price, got ${trades[1].quantity} @ ${trades[1].price}`);
+    assert((await storage.getCurrentPosition('ETHUSD')).quantity === 1, 'The position holds the whole fill');
+    console.log('✅ Partial fills');
+
+    // An order still working when the time budget runs out stays PENDING for reconcilePending()
+    broker = new FakeBroker({ O2: [{ status: 'new', filled_qty: '0' }] });
+    tracker = new OrderTracker({ broker, storage: new MemoryStorage(), pollIntervalMs: 5, timeoutMs: 30 });
+    const started = Date.now();
+    const waiting = await tracker.track(submitted('O2', 1), { action: 'BUY' });
+    assert(waiting.status === 'PENDING' && Date.now() - started < 1000, 'waitForFill should give up after its timeout');
+    assert(broker.calls > 1, 'The broker should be polled until the deadline');
+    assert((await tracker.getPendingOrders()).map(r => r.orderId).join() === 'O2', 'The order is left pending for the next run');
+    console.log('✅ Fill timeout');
+
+    // A fill that was recorded before the order record was saved (a crash, an overlapping run) is skipped
+    storage = new MemoryStorage();
+    broker = new FakeBroker({
+      O3: [
+        { status: 'new', filled_qty: '0' },
+        { status: 'filled', filled_qty: '0.5', filled_avg_price: '2000', fees: '0' }
+      ]
+    });
+    tracker = new OrderTracker({ broker, storage, pollIntervalMs: 1, timeoutMs: 0 });
+    const pending = await tracker.track(submitted('O3', 0.5), { action: 'BUY' });
+    await tracker.refresh('O3');
+    await storage.putRecord('orders', 'O3', pending);
+    const again = await tracker.refresh('O3');
+    assert(again.status === 'FILLED', 'The replayed update still settles the order');
+    assert((await storage.getTradeHistory(10)).filter(t => t.id === 'trade_O3_0.5').length === 1, 'The fill is recorded once');
+    assert((await storage.getCurrentPosition('ETHUSD')).quantity === 0.5, 'The position is not doubled');
+    console.log('✅ Duplicate fills are skipped');
+
+    console.log('\n🎉 All order tracker tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testOrderTracker();
@@ -0,0 +1,123 @@
+// Order validation tests - order types, time in force, tick size, price band and strategy order pricing
+import { validateOrder, strategyOrderParams, tickSizeFor, roundToTick } from '../lib/orderValidation.js';
+import { SimulatedBroker } from '../lib/broker.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const spy = { symbol: 'SPY', assetClass: 'us_equity', defaultTimeInForce: 'day', trading: {} };
+const eth = { symbol: 'ETHUSD', assetClass: 'crypto', defaultTimeInForce: 'gtc', trading: {} };
+
+const failsWith = (result, pattern) => !result.valid && result.errors.some(error => pattern.test(error));
+
+async function testOrderValidation() {
+  console.log('🧪 Testing order validation...');
+
+  try {
+    // Tick sizes
+    assert(tickSizeFor(spy, 500) === 0.01 && tickSizeFor(spy, 0.5) === 0.0001 && tickSizeFor(eth, 0.5) === 0.000001,
+      'Default ticks: a cent from $1, sub-penny below');
+    assert(tickSizeFor({ ...spy, trading: { tickSize: 0.05 } }, 500) === 0.05, 'trading.tickSize overrides the default');
+    assert(roundToTick(100.126, 0.01) === 100.13 && roundToTick(0.123456789, 0.000001) === 0.123457, 'Prices round to the tick');
+    console.log('✅ Tick size');
+
+    // Normalization and a valid limit order
+    const limit = validateOrder({ symbol: 'SPY', side: 'BUY', qty: '5', type: 'LIMIT', tif: 'GTC', limit_price: '99.5' }, { instrument: spy, quote: 100 });
+    assert(limit.valid, `Limit order should pass: ${limit.errors.join('; ')}`);
+    assert(limit.order.side === 'buy' && limit.order.type === 'limit' && limit.order.tif === 'gtc' && limit.order.qty === 5 &&
+      limit.order.limit_price === 99.5, 'Fields are normalized');
+    assert(failsWith(validateOrder({ side: 'buy', qty: 5, type: 'limit' }, { instrument: spy, quote: 100 }), /limit_price is required/),
+      'Limit orders need a limit price');
+    assert(failsWith(validateOrder({ side: 'buy', qty: 5, type: 'market', limit_price: 99 }, { instrument: spy, quote: 100 }), /not used by market/),
+      'Market orders reject stray prices');
+    assert(failsWith(validateOrder({ side: 'hold', qty: 0, type: 'market' }, { instrument: spy, quote: 100 }), /qty must be a positive/),
+      'Bad side and qty are rejected');
+    console.log('✅ Required fields');
+
+    // Tick and fat-finger band
+    assert(failsWith(validateOrder({ side: 'buy', qty: 5, type: 'limit', limit_price: 99.555 }, { instrument: spy, quote: 100 }), /nearest 99.56/),
+      'Off-tick prices are rejected with the nearest valid price');
+    assert(failsWith(validateOrder({ side: 'buy', qty: 5, type: 'limit', limit_price: 85 }, { instrument: spy, quote: 100 }), /15.0% from/),
+      'Prices outside the band are rejected');
+    assert(validateOrder({ side: 'buy', qty: 5, type: 'limit', limit_price: 85 }, { instrument: { ...spy, trading: { priceBandPercent: 20 } }, quote: 100 }).valid,
+      'trading.priceBandPercent widens the band');
+    assert(failsWith(validateOrder({ side: 'buy', qty: 5, type: 'limit', limit_price: 99 }, { instrument: spy, quote: null }), /no current price/),
+      'Priced orders need a quote to check against');
+    console.log('✅ Tick and price band');
+
+    // Order types and time in force per asset class
+    assert(failsWith(validateOrder({ side: 'sell', qty: 1, type: 'stop', stop_price: 1900 }, { instrument: eth, quote: 2000 }), /stop orders are not available for crypto/),
+      'Crypto has no plain stop orders');
+    assert(failsWith(validateOrder({ side: 'buy', qty: 1, type: 'market', tif: 'day' }, { instrument: eth, quote: 2000 }), /"day" is not available for crypto/),
+      'Crypto has no day orders');
+    assert(validateOrder({ side: 'sell', qty: 0.5, type: 'stop_limit', stop_price: 1900, limit_price: 1890 }, { instrument: eth, quote: 2000 }).valid,
+      'Crypto stop-limit with fractional qty is fine');
+    assert(failsWith(validateOrder({ side: 'buy', qty: 1.5, type: 'market', tif: 'gtc' }, { instrument: spy, quote: 100 }), /fractional share orders must use time in force "day"/),
+      'Fractional equity orders are day only');
+    assert(validateOrder({ side: 'buy', qty: 10, type: 'market', tif: 'opg' }, { instrument: spy, quote: 100 }).valid, 'Whole-share equity orders may use opg');
+    console.log('✅ Types and time in force');
+
+    // Stop direction
+    assert(failsWith(validateOrder({ side: 'sell', qty: 5, type: 'stop', stop_price: 101 }, { instrument: spy, quote: 100 }), /must be below the current price/),
+      'Sell stops above the market are rejected');
+    assert(failsWith(validateOrder({ side: 'buy', qty: 5, type: 'stop', stop_price: 99 }, { instrument: spy, quote: 100 }), /must be above the current price/),
+      'Buy stops below the market are rejected');
+    assert(validateOrder({ side: 'sell', qty: 5, type: 'stop', stop_price: 98 }, { instrument: spy, quote: 100 }).valid, 'Sell stop below the market is fine');
+    console.log('✅ Stop direction');
+
+    // Trailing stops
+    assert(validateOrder({ side: 'sell', qty: 5, type: 'trailing_stop', trail_percent: 2 }, { instrument: spy, quote: 100 }).valid, 'trail_percent trailing stop');
+    assert(validateOrder({ side: 'sell', qty: 5, type: 'trailing_stop', trail_price: '1.5' }, { instrument: spy, quote: 100 }).order.trail_price === 1.5,
+      'trail_price trailing stop');
+    assert(failsWith(validateOrder({ side: 'sell', qty: 5, type: 'trailing_stop', trail_percent: 2, trail_price: 1 }, { instrument: spy, quote: 100 }), /exactly one/),
+      'Only one trail may be given');
+    assert(failsWith(validateOrder({ side: 'sell', qty: 5, type: 'trailing_stop', trail_percent: 150 }, { instrument: spy, quote: 100 }), /between 0 and 100/),
+      'trail_percent must be a percentage');
+    assert(failsWith(validateOrder({ side: 'sell', qty: 0.5, type: 'trailing_stop', trail_percent: 2 }, { instrument: spy, quote: 100 }), /cannot be trailing/),
+      'Fractional shares cannot trail');
+    assert(failsWith(validateOrder({ side: 'sell', qty: 5, type: 'limit', limit_price: 99, trail_percent: 2 }, { instrument: spy, quote: 100 }), /only used by trailing_stop/),
+      'Trail fields are rejected on other types');
+    console.log('✅ Trailing stops');
+
+    // Strategy order pricing from trading.orders
+    assert(strategyOrderParams(null, { side: 'buy', quote: 100, instrument: spy }).type === 'market', 'No spec means market');
+    const buyLimit = strategyOrderParams({ type: 'limit', offsetPercent: 0.1 }, { side: 'buy', quote: 100, instrument: spy });
+    const sellLimit = strategyOrderParams({ type: 'limit', offsetPercent: 0.1 }, { side: 'sell', quote: 100, instrument: spy });
+    assert(buyLimit.limit_price === 100.1 && sellLimit.limit_price === 99.9, 'Limit offsets move against us');
+    const stopLimit = strategyOrderParams({ type: 'stop_limit', offsetPercent: 1, limitOffsetPercent: 0.5 }, { side: 'sell', quote: 2000, instrument: eth });
+    assert(stopLimit.stop_price === 1980 && stopLimit.limit_price === 1970.1, `Unexpected stop-limit prices ${JSON.stringify(stopLimit)}`);
+    assert(validateOrder({ side: 'sell', qty: 1, tif: 'gtc', ...stopLimit }, { instrument: eth, quote: 2000 }).valid, 'Strategy prices pass validation');
+    assert(strategyOrderParams({ type: 'trailing_stop', trailPercent: 1 }, { side: 'sell', quote: 100, instrument: spy }).trail_percent === 1,
+      'Trailing spec passes trail_percent');
+    let message = null;
+    try {
+      strategyOrderParams({ type: 'iceberg' }, { side: 'buy', quote: 100, instrument: spy });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(/Unknown strategy order type "iceberg"/.test(message), `Unknown types should fail, got ${message}`);
+    console.log('✅ Strategy order params');
+
+    // Simulated broker trails by a fixed dollar amount
+    const feed = { price: 100 };
+    const broker = new SimulatedBroker({ initialCash: 100000, slippagePct: 0, feePct: 0, getPrice: async () => feed.price });
+    await broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 5, type: 'market', tif: 'day' });
+    const trailing = await broker.placeOrder({ symbol: 'SPY', side: 'sell', qty: 5, type: 'trailing_stop', trail_price: 2, tif: 'day' });
+    feed.price = 110;
+    await broker.getOrder(trailing.orderId);
+    feed.price = 108.5;
+    assert((await broker.getOrder(trailing.orderId)).status !== 'filled', 'Within $2 of the high the trailing stop rests');
+    feed.price = 107.9;
+    const filled = await broker.getOrder(trailing.orderId);
+    assert(filled.status === 'filled' && filled.stop_price === 108, `Trailing stop should fill at a $108 stop, got ${filled.status} ${filled.stop_price}`);
+    console.log('✅ Simulated trail_price');
+
+    console.log('\n🎉 All order validation tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testOrderValidation();
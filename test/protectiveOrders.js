@@ -0,0 +1,150 @@
+// Protective order tests - bracket, OCO and trailing exits at the simulated broker, stop moves and cancellation
+import { MemoryStorage } from '../lib/storage.js';
+import { SimulatedBroker, AlpacaService } from '../lib/broker.js';
+import { OrderTracker } from '../lib/orderTracker.js';
+import { ProtectiveOrderManager } from '../lib/protectiveOrders.js';
+import { TradingStateService } from '../lib/tradingState.js';
+import { ProfessionalTradingStrategy } from '../lib/strategy.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const instrument = protection => ({
+  symbol: 'SPY',
+  assetClass: 'us_equity',
+  defaultTimeInForce: 'day',
+  trading: { protection }
+});
+
+function setup() {
+  const feed = { price: 100 };
+  const storage = new MemoryStorage();
+  const broker = new SimulatedBroker({ initialCash: 100000, slippagePct: 0, feePct: 0, getPrice: async () => feed.price });
+  const orderTracker = new OrderTracker({ broker, storage, pollIntervalMs: 1, timeoutMs: 20 });
+  const manager = new ProtectiveOrderManager({ broker, storage, orderTracker });
+  return { feed, storage, broker, orderTracker, manager };
+}
+
+// Entry the way api/trading.js places it: plan, attach legs, track, protect
+async function enter({ broker, orderTracker, manager }, plan, qty = 10) {
+  const entry = await broker.placeOrder(manager.entryOrder({ symbol: 'SPY', side: 'buy', qty, type: 'market', tif: 'day', confirm: true }, plan));
+  entry.fill = await orderTracker.track(entry, { action: 'BUY', source: 'strategy' });
+  return manager.attach(entry, plan);
+}
+
+async function testProtectiveOrders() {
+  console.log('🧪 Testing protective orders...');
+
+  try {
+    const strategy = new ProfessionalTradingStrategy({ STOP_LOSS_PCT: 2, PROFIT_TARGET_PCT: 20, TRAILING_STOP_PCT: 1 });
+
+    // Plans are priced from the strategy's exit levels
+    const { manager: planner } = setup();
+    const bracketPlan = planner.plan(instrument('bracket'), strategy, 100);
+    assert(bracketPlan.stopPrice === 98 && bracketPlan.takeProfitPrice === 120, `Unexpected bracket prices ${JSON.stringify(bracketPlan)}`);
+    assert(planner.plan(instrument('trailing'), strategy, 100).trailPercent === 1, 'Trailing plan uses TRAILING_STOP_PCT');
+    assert(planner.plan(instrument(null), strategy, 100) === null && planner.plan(instrument('none'), strategy, 100) === null,
+      'No protection configured means no plan');
+    let message = null;
+    try {
+      planner.plan(instrument('guaranteed'), strategy, 100);
+    } catch (error) {
+      message = error.message;
+    }
+    assert(/Unknown protection "guaranteed"/.test(message), `Unknown modes should fail, got ${message}`);
+    const alpaca = new ProtectiveOrderManager({ broker: new AlpacaService() });
+    assert(alpaca.plan({ ...instrument('bracket'), symbol: 'ETHUSD', assetClass: 'crypto' }, strategy, 2000) === null,
+      'Alpaca crypto has no bracket orders, so exits stay with the monitor');
+    assert(strategy.stopPrice({ averagePrice: 100, highWaterMark: 100.5 }) === 98, 'Stop stays fixed until the trailing stop locks in a gain');
+    assert(Math.abs(strategy.stopPrice({ averagePrice: 100, highWaterMark: 110 }) - 108.9) < 1e-9, 'Trailing stop raises the stop');
+    console.log('✅ Plans');
+
+    // Bracket: the stop fills between runs and the next run logs it
+    let env = setup();
+    const bracket = await enter(env, bracketPlan);
+    assert(bracket.status === 'ACTIVE' && bracket.legs.length === 2, `Bracket legs should be live, got ${bracket.status}`);
+    env.feed.price = 97;
+    await env.orderTracker.reconcilePending();
+    const [triggered] = await env.manager.syncAll();
+    assert(triggered.status === 'TRIGGERED' && /stop_loss filled/.test(triggered.reason), `Stop should trigger, got ${triggered.status}`);
+    assert((await env.broker.getPositions()).length === 0, 'Broker stop should close the position');
+    const takeProfit = triggered.legs.find(leg => leg.role === 'take_profit');
+    assert((await env.broker.getOrder(takeProfit.orderId)).status === 'canceled', 'The filled stop cancels the take-profit');
+    const [exit] = await env.storage.getTradeHistory(1);
+    assert(exit.action === 'SELL' && exit.price === 97 && (await env.storage.getCurrentPosition('SPY')) === null,
+      'The broker stop fill should be logged and close the stored position');
+    console.log('✅ Bracket stop-loss');
+
+    // OCO after the entry fills; the monitor ratchets the stop up
+    env = setup();
+    const oco = await enter(env, env.manager.plan(instrument('oco'), strategy, 100));
+    assert(oco.status === 'ACTIVE' && oco.legs.map(leg => leg.role).join() === 'take_profit,stop_loss', 'OCO exits go in after the fill');
+    const firstStop = oco.legs[1].orderId;
+    env.feed.price = 110;
+    const moved = await env.manager.moveStop('SPY', strategy.stopPrice({ averagePrice: 100, highWaterMark: 110 }));
+    assert(moved.length === 1 && moved[0].to === 108.9, `Stop should move to 108.9, got ${JSON.stringify(moved)}`);
+    assert((await env.broker.getOrder(firstStop)).status === 'replaced', 'The old stop is replaced at the broker');
+    assert((await env.manager.moveStop('SPY', 105)).length === 0, 'Stops never move down');
+    env.feed.price = 108;
+    await env.orderTracker.reconcilePending();
+    const [ocoDone] = await env.manager.syncAll();
+    assert(ocoDone.status === 'TRIGGERED' && (await env.broker.getPositions()).length === 0, 'Moved stop should close the position');
+    assert((await env.storage.getRealizedSummary()).realizedPnL > 0, 'Exit at the moved stop locks in the gain');
+    console.log('✅ OCO with a moved stop');
+
+    // Native trailing stop follows the high at the broker
+    env = setup();
+    const trailing = await enter(env, env.manager.plan(instrument('trailing'), strategy, 100));
+    assert(trailing.legs[0].role === 'trailing_stop', 'Trailing protection is a single trailing_stop order');
+    env.feed.price = 120;
+    await env.orderTracker.reconcilePending();
+    env.feed.price = 119;
+    await env.orderTracker.reconcilePending();
+    assert((await env.manager.syncAll())[0].status === 'ACTIVE', 'Within 1% of the high the trailing stop rests');
+    env.feed.price = 118.5;
+    await env.orderTracker.reconcilePending();
+    assert((await env.manager.syncAll())[0].status === 'TRIGGERED', 'A 1% drop from the high fills the trailing stop');
+    console.log('✅ Trailing stop');
+
+    // Closing by hand cancels the exits first
+    env = setup();
+    const manual = await enter(env, bracketPlan);
+    const cancelled = await env.manager.cancel('SPY', { reason: 'manual sell' });
+    assert(cancelled.length === 2 && cancelled.every(leg => leg.status === 'CANCELLED'), 'Both legs should be cancelled');
+    for (const leg of manual.legs) {
+      assert((await env.broker.getOrder(leg.orderId)).status === 'canceled', 'Broker legs should be cancelled');
+    }
+    assert((await env.manager.getActive('SPY')).length === 0, 'Cancelled protection is no longer active');
+    console.log('✅ Cancel on manual close');
+
+    // Liquidation cancels the exits before selling
+    env = setup();
+    await enter(env, bracketPlan);
+    const service = new TradingStateService({ storage: env.storage, broker: env.broker, orderTracker: env.orderTracker, protectiveOrders: env.manager });
+    const flattened = await service.flattenAll({ actor: 'ops', reason: 'test' });
+    assert(flattened[0].status === 'FILLED' && (await env.manager.getActive()).length === 0, 'Flatten should cancel protection and sell');
+    console.log('✅ Liquidation');
+
+    // Unfilled and simulated entries
+    env = setup();
+    assert(await env.manager.attach({ orderId: 'SIMULATED_1', symbol: 'SPY', qty: 1, status: 'simulated' }, bracketPlan) === null,
+      'Simulated entries get no protection');
+    const rejected = await env.broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 1, type: 'limit', limit_price: 50, tif: 'day' });
+    await env.orderTracker.track(rejected, { action: 'BUY' });
+    const waiting = await env.manager.attach(rejected, env.manager.plan(instrument('oco'), strategy, 100));
+    assert(waiting.status === 'PENDING_ENTRY' && waiting.legs.length === 0, 'Exits wait for the entry to fill');
+    await env.broker.cancelOrder(rejected.orderId);
+    await env.orderTracker.reconcilePending();
+    const [dropped] = await env.manager.syncAll();
+    assert(dropped.status === 'CANCELLED' && dropped.reason === 'entry cancelled', `Unfilled entries drop their protection, got ${dropped.reason}`);
+    console.log('✅ Unfilled entries');
+
+    console.log('\n🎉 All protective order tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testProtectiveOrders();
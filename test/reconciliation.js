@@ -0,0 +1,159 @@
+// Reconciliation tests - classifying broker/storage differences, alerting, healing, limits and locks
+import { MemoryStorage } from '../lib/storage.js';
+import { SimulatedBroker } from '../lib/broker.js';
+import { OrderTracker } from '../lib/orderTracker.js';
+import { SymbolLockManager } from '../lib/symbolLock.js';
+import { TradeEventLog } from '../lib/tradeEvents.js';
+import { ReconciliationService } from '../lib/reconciliation.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function buy(env, symbol, qty, { tracked = true } = {}) {
+  const order = await env.broker.placeOrder({ symbol, side: 'buy', qty, type: 'market', tif: 'day' });
+  if (tracked) await env.orderTracker.track(order, { action: 'BUY' });
+  return order;
+}
+
+// One of each difference:
+//   SPY - bought at the broker, never recorded       (MISSING_LOCALLY)
+//   QQQ - stored, never held at the broker           (GHOST_LOCALLY)
+//   IWM - stored as 4 of the 5 held                  (QUANTITY_MISMATCH)
+//   DIA - stored at $90 instead of $100              (AVERAGE_PRICE_MISMATCH)
+//   an untracked resting order and a tracked order cancelled behind our back
+async function setup(options = {}) {
+  const feed = { price: 100 };
+  const storage = new MemoryStorage();
+  const broker = new SimulatedBroker({ initialCash: 100000, slippagePct: 0, feePct: 0, getPrice: async () => feed.price });
+  const orderTracker = new OrderTracker({ broker, storage, pollIntervalMs: 1, timeoutMs: 20 });
+  const symbolLocks = new SymbolLockManager({ storage, settleMs: 0 });
+  const service = new ReconciliationService({ broker, storage, orderTracker, symbolLocks, policy: 'alert', ...options });
+  const env = { feed, storage, broker, orderTracker, symbolLocks, service };
+
+  await buy(env, 'SPY', 10, { tracked: false });
+  await storage.adjustPosition('QQQ', { quantity: 2, averagePrice: 400 }, { actor: 'test', reason: 'ghost' });
+  await buy(env, 'IWM', 5);
+  await storage.adjustPosition('IWM', { quantity: 4, averagePrice: 100 }, { actor: 'test', reason: 'drift' });
+  await buy(env, 'DIA', 5);
+  await storage.adjustPosition('DIA', { quantity: 5, averagePrice: 90 }, { actor: 'test', reason: 'drift' });
+
+  env.untracked = await broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 1, type: 'limit', limit_price: 50, tif: 'gtc' });
+  env.cancelled = await broker.placeOrder({ symbol: 'IWM', side: 'buy', qty: 1, type: 'limit', limit_price: 40, tif: 'gtc' });
+  await orderTracker.watch(env.cancelled, { action: 'BUY' });
+  await broker.cancelOrder(env.cancelled.orderId);
+  return env;
+}
+
+function find(report, kind, symbol) {
+  return report.differences.find(d => d.kind === kind && d.symbol === symbol);
+}
+
+async function auditTypes(storage) {
+  return (await storage.getAuditLog(100)).map(event => event.type);
+}
+
+async function testReconciliation() {
+  console.log('🧪 Testing broker reconciliation...');
+
+  try {
+    // Every kind of difference is classified
+    let env = await setup();
+    let report = await env.service.run({ actor: 'test' });
+    assert(!report.inSync && report.differences.length === 6, `Expected 6 differences, got ${report.differences.length}`);
+    assert(find(report, 'position', 'SPY').type === 'MISSING_LOCALLY', 'Untracked broker positions are MISSING_LOCALLY');
+    assert(find(report, 'position', 'QQQ').type === 'GHOST_LOCALLY', 'Stored positions the broker lacks are GHOST_LOCALLY');
+    const iwm = find(report, 'position', 'IWM');
+    assert(iwm.type === 'QUANTITY_MISMATCH' && iwm.quantityDelta === 1 && iwm.value === 100, 'Quantity differences are sized');
+    const dia = find(report, 'position', 'DIA');
+    assert(dia.type === 'AVERAGE_PRICE_MISMATCH' && dia.averagePriceDelta === 10 && dia.value === 50, 'Price differences are sized');
+    const untracked = report.differences.find(d => d.orderId === env.untracked.orderId);
+    assert(untracked.kind === 'order' && untracked.type === 'MISSING_LOCALLY', 'Untracked open orders are MISSING_LOCALLY');
+    const ghost = report.differences.find(d => d.orderId === env.cancelled.orderId);
+    assert(ghost.type === 'GHOST_LOCALLY' && ghost.stored.status === 'PENDING', 'Pending orders the broker closed are GHOST_LOCALLY');
+    assert(report.positions.broker === 3 && report.orders.broker === 1 && report.orders.tracked === 1, 'Counts cover both sides');
+    console.log('✅ Classification');
+
+    // The alert policy leaves storage alone and audits each alert once
+    assert(report.alerts === 6 && report.differences.every(d => d.resolution === 'ALERTED'), 'Everything is alerted');
+    assert((await env.storage.getCurrentPosition('QQQ')).quantity === 2, 'Storage is untouched');
+    assert((await auditTypes(env.storage)).filter(type => type === 'RECONCILIATION_ALERT').length === 6, 'Each alert is audited');
+    report = await env.service.run({ actor: 'test' });
+    assert(report.alerts === 6, 'Unresolved differences stay alerted');
+    assert((await auditTypes(env.storage)).filter(type => type === 'RECONCILIATION_ALERT').length === 6, 'Repeats are not audited again');
+    assert((await env.service.getOpenAlerts()).length === 6, 'Open alerts are kept for review');
+    console.log('✅ Alert policy');
+
+    // The heal policy moves storage to the broker, audited and rebuildable from the event log
+    report = await env.service.run({ policy: 'heal', actor: 'test' });
+    assert(report.healed === 6 && report.alerts === 0, `Everything heals, got ${JSON.stringify(report.differences.map(d => d.resolution))}`);
+    const positions = await env.storage.getAllPositions();
+    assert(positions.SPY.quantity === 10 && positions.IWM.quantity === 5 && positions.DIA.averagePrice === 100 && !positions.QQQ,
+      'Stored positions match the broker');
+    assert((await env.orderTracker.getOrder(env.untracked.orderId)).status === 'PENDING', 'The untracked order is tracked now');
+    assert((await env.orderTracker.getOrder(env.cancelled.orderId)).status === 'CANCELLED', 'The ghost order is settled');
+    const events = await env.storage.getTradeEvents();
+    assert(events.filter(event => event.type === 'SYNC_CORRECTION').length === 4, 'Position heals are sync corrections');
+    const types = await auditTypes(env.storage);
+    assert(types.filter(type => type === 'POSITION_ADJUSTED').length >= 4 && types.filter(type => type === 'ORDER_RECONCILED').length === 2,
+      'Heals are audited');
+    assert((await new TradeEventLog({ storage: env.storage }).diff()).inSync, 'The event log rebuilds the healed positions');
+    report = await env.service.run({ actor: 'test' });
+    assert(report.inSync && (await env.service.getOpenAlerts()).length === 0, 'The next run is clean and the alerts are closed');
+    console.log('✅ Heal policy');
+
+    // Large heals are alerted instead
+    env = await setup({ policy: 'heal', maxHealValue: 75 });
+    report = await env.service.run({ symbols: ['IWM', 'DIA'], actor: 'test' });
+    assert(report.differences.length === 3 && report.differences.every(d => ['IWM', 'DIA'].includes(d.symbol)),
+      'Only the requested symbols are reconciled');
+    assert(find(report, 'position', 'IWM').resolution === 'ALERTED' && /auto-heal limit/.test(find(report, 'position', 'IWM').message),
+      'A $100 heal is over the $75 limit');
+    assert(find(report, 'position', 'DIA').resolution === 'HEALED', 'A $50 heal is under it');
+    console.log('✅ Heal limit');
+
+    // Locked symbols wait for the next run unless the caller holds the lock
+    const { broker, storage, orderTracker, symbolLocks } = env;
+    const healer = new ReconciliationService({ broker, storage, orderTracker, symbolLocks, policy: 'heal' });
+    const held = await symbolLocks.acquire('SPY', 'trading:r1');
+    report = await healer.run({ symbols: ['SPY'], actor: 'test' });
+    assert(report.skipped === 2 && find(report, 'position', 'SPY').lockedBy === 'trading:r1', 'Locked symbols are skipped');
+    assert((await env.storage.getCurrentPosition('SPY')) === null, 'Skipped symbols are untouched');
+    report = await healer.run({ symbols: ['SPY'], actor: 'trading:r1', leases: [held] });
+    assert(report.healed === 2 && (await env.storage.getCurrentPosition('SPY')).quantity === 10, 'The lock holder can heal');
+    assert((await env.symbolLocks.getLock('SPY')).owner === 'trading:r1', "The caller's lock is left in place");
+    console.log('✅ Locks');
+
+    // Positions are compared again once locked, so trades made in between aren't overwritten
+    env = await setup({ policy: 'heal' });
+    await env.broker.cancelOrder(env.untracked.orderId);
+    const acquire = env.symbolLocks.acquire.bind(env.symbolLocks);
+    env.symbolLocks.acquire = async (symbol, owner) => {
+      if (symbol === 'SPY') await buy(env, 'SPY', 2);
+      if (symbol === 'QQQ') await env.storage.adjustPosition('QQQ', { quantity: 0 }, { actor: 'ops', reason: 'fixed by hand' });
+      return acquire(symbol, owner);
+    };
+    report = await env.service.run({ symbols: ['SPY', 'QQQ'], actor: 'test' });
+    const spy = find(report, 'position', 'SPY');
+    assert(spy.resolution === 'HEALED' && spy.broker.quantity === 12 && spy.stored.quantity === 2, 'The heal uses the broker position seen under the lock');
+    assert((await env.storage.getCurrentPosition('SPY')).quantity === 12, 'The fill made in between is kept');
+    assert(!find(report, 'position', 'QQQ'), 'A difference gone by the time the lock is held is dropped');
+    console.log('✅ Rechecked under the lock');
+
+    let message = null;
+    try {
+      new ReconciliationService({ storage: env.storage, broker: env.broker, policy: 'fix' });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(/Unknown reconcile policy/.test(message), `Unknown policies are refused, got ${message}`);
+    console.log('✅ Policy validation');
+
+    console.log('\n🎉 All reconciliation tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testReconciliation();
@@ -0,0 +1,74 @@
+// Risk control tests - loss streak pause, size reduction, daily trade cap, drawdown halt
+import strategy from '../lib/strategy.js';
+import { createStorage } from '../lib/storage.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const NOW = new Date('2024-06-10T12:00:00.000Z').getTime();
+const hoursAgo = hours => new Date(NOW - hours * 3600000).toISOString();
+
+// Newest first, like storage.getTradeHistory()
+function closes(pnls, startHoursAgo = 1) {
+  return pnls.map((pnl, i) => ({ id: `t${i}`, orderId: `o${i}`, action: 'SELL', pnl, timestamp: hoursAgo(startHoursAgo + i * 30) }));
+}
+
+async function testRisk() {
+  console.log('🧪 Testing risk controls...');
+
+  try {
+    let risk = strategy.assessRisk(null, null, null, { trades: [], now: NOW });
+    assert(!risk.shouldPause && risk.positionSizeMultiplier === 1, 'No history should mean no restrictions');
+
+    // Two losses shrink size but don't pause; a BUY fill in between is ignored
+    const twoLosses = closes([-5, -3, 10]);
+    twoLosses.splice(1, 0, { id: 'b', orderId: 'ob', action: 'BUY', pnl: null, timestamp: hoursAgo(10) });
+    risk = strategy.assessRisk(null, null, null, { trades: twoLosses, now: NOW });
+    assert(risk.consecutiveLosses === 2 && !risk.shouldPause, 'Two losses should not pause');
+    assert(Math.abs(risk.positionSizeMultiplier - 0.64) < 1e-9, `Size should shrink to 0.8^2, got ${risk.positionSizeMultiplier}`);
+    console.log('✅ Size reduction after losses');
+
+    // Partial fills of one losing order count once
+    const partials = [...closes([-1, -1, -1]), ...closes([-1])].map((t, i) => ({ ...t, orderId: i < 2 ? 'same' : `o${i}` }));
+    assert(strategy.countConsecutiveLosses(partials) === 3, 'Partial fills of one order should count as one loss');
+
+    risk = strategy.assessRisk(null, null, null, { trades: closes([-5, -3, -2]), now: NOW });
+    assert(risk.shouldPause && risk.pauseReasons[0].includes('consecutive losses'), 'Three losses should pause entries');
+    risk = strategy.assessRisk(null, null, null, { trades: closes([-5, -3, -2], 25), now: NOW });
+    assert(!risk.shouldPause, 'The loss pause should expire after LOSS_PAUSE_HOURS');
+    console.log('✅ Consecutive-loss pause');
+
+    const busyDay = Array.from({ length: 10 }, (_, i) => ({ id: `d${i}`, orderId: `d${i}`, action: 'BUY', pnl: null, timestamp: hoursAgo(i * 0.5) }));
+    risk = strategy.assessRisk(null, null, null, { trades: busyDay, now: NOW });
+    assert(risk.tradesToday === 10 && risk.shouldPause, 'Ten orders today should hit the daily cap');
+    console.log('✅ Daily trade cap');
+
+    const equity = [{ equity: 10000 }, { equity: 10500 }, { equity: 10200 }];
+    risk = strategy.assessRisk(null, { equity: '9900' }, null, { trades: [], equity, now: NOW });
+    assert(risk.shouldHalt && risk.riskLevel === 'CRITICAL', `A 5.7% drawdown should halt trading, got ${risk.drawdownPct}%`);
+    risk = strategy.assessRisk(null, { equity: '10300' }, null, { trades: [], equity, now: NOW });
+    assert(!risk.shouldHalt && risk.drawdownPct === 1.9, 'A 1.9% drawdown should not halt');
+    console.log('✅ Drawdown halt');
+
+    // A paused strategy still returns HOLD with the reasons, and the metrics ride along
+    const decision = strategy.analyze({ currentPrice: 2000, volume: 1e9 }, null, null, { equity: 9000 }, { trades: [], equity });
+    assert(decision.action === 'HOLD' && decision.riskMetrics.shouldHalt, 'Halted strategy should not enter');
+    assert(decision.reasoning.some(r => r.includes('new entries halted')), 'Halt reason should be in the decision');
+
+    // Equity history keeps the high water mark after it leaves the window
+    const storage = createStorage('memory');
+    await storage.recordEquity(12000, hoursAgo(600));
+    for (let i = 0; i < 500; i++) await storage.recordEquity(11000);
+    const history = await storage.getEquityHistory();
+    assert(history[0].equity === 12000 && history.length === 501, 'Equity history should keep the all-time peak');
+    console.log('✅ Strategy decision and equity history');
+
+    console.log('\n🎉 All risk control tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testRisk();
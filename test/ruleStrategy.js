@@ -0,0 +1,147 @@
+// Rule-based strategy tests - validation, scoring, exits, sizing and config loading
+import { readFileSync } from 'fs';
+import RuleStrategy, { validateStrategyDefinition, loadStrategyDefinition, strategyFor } from '../lib/ruleStrategy.js';
+import defaultStrategy from '../lib/strategy.js';
+import { runBacktest } from '../lib/backtest.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const DEFINITION = {
+  name: 'test',
+  params: { oversold: 30, minVolume: 1000 },
+  indicators: { rsi: { period: 14 }, fast: { indicator: 'sma', period: 5 }, slow: { indicator: 'sma', period: 20 } },
+  entry: {
+    minScore: 2,
+    conditions: [
+      { name: 'RSI oversold', weight: 2, when: { left: 'rsi', op: '<', right: '$oversold' } },
+      { name: 'Fast crossed slow', when: { left: 'fast', op: 'crossesAbove', right: 'slow' } },
+      { name: 'Volume', required: true, weight: 0, when: { left: 'volume', op: '>=', right: '$minVolume' } }
+    ]
+  },
+  exit: {
+    minScore: 1,
+    conditions: [
+      { name: 'Trend broken', when: { any: [{ left: 'fast', op: 'falling', bars: 2 }, { not: { left: 'price', op: '>', right: 'slow' } }] } }
+    ]
+  },
+  sizing: { type: 'risk', riskPercent: 1, maxQuantity: 5 },
+  stops: { stopLossPercent: 2, takeProfitPercent: 5 }
+};
+
+const series = values => values.map(value => ({ value }));
+const market = extra => ({
+  currentPrice: 100,
+  volume: 5000,
+  rsi: series([40, 25]),
+  fast: series([98, 99, 101]),
+  slow: series([99, 99.5, 100]),
+  ...extra
+});
+const ACCOUNT = { equity: 10000 };
+
+async function testRuleStrategy() {
+  console.log('🧪 Testing rule-based strategies...');
+
+  try {
+    // The validator reports every problem at once
+    const { valid, errors } = validateStrategyDefinition({
+      name: 'broken',
+      indicators: { rsi: { length: 14 } },
+      entry: {
+        minScore: '$missing',
+        conditions: [
+          { name: 'Bad op', when: { left: 'rsi', op: '=~', right: 30 } },
+          { name: 'Unknown series', when: { left: 'adx', op: '>', right: 25 } },
+          { when: { all: [] } }
+        ]
+      },
+      sizing: { type: 'kelly' },
+      stops: { stopLossPercent: -1 }
+    });
+    const expected = [
+      /indicators: Indicator "rsi" has no parameter "length"/,
+      /entry.minScore references unknown param "\$missing"/,
+      /conditions\[0\].when.op "=~"/,
+      /conditions\[1\].when.left reads "adx", which is not in indicators/,
+      /conditions\[2\].name is required/,
+      /conditions\[2\].when.all must be a non-empty array/,
+      /sizing.type must be one of/,
+      /stops.stopLossPercent must be a non-negative number/
+    ];
+    assert(!valid, 'Broken definition should be invalid');
+    for (const pattern of expected) {
+      assert(errors.some(error => pattern.test(error)), `Missing error ${pattern} in ${JSON.stringify(errors)}`);
+    }
+    assert(validateStrategyDefinition(DEFINITION).valid, `Test definition should be valid: ${validateStrategyDefinition(DEFINITION).errors}`);
+    console.log('✅ Validation');
+
+    // Entry: weighted score, required conditions and risk-based sizing
+    const strategy = new RuleStrategy(DEFINITION);
+    const buy = strategy.analyze(market(), null, null, ACCOUNT);
+    assert(buy.action === 'BUY' && buy.strategy === 'test', `Expected BUY, got ${buy.action}: ${buy.reasoning}`);
+    assert(buy.confidence === 1 && buy.urgency === 'HIGH', `Full score should be confidence 1, got ${buy.confidence}`);
+    assert(buy.quantity === 5, `1% of 10000 over a 2% stop at 100 is 50 units, capped at 5 - got ${buy.quantity}`);
+    const small = strategy.analyze(market(), null, null, { equity: 500 });
+    assert(small.quantity === 2.5, `1% of 500 over a $2 stop is 2.5 units, got ${small.quantity}`);
+    assert(buy.reasoning.includes('✓ Fast crossed slow') && buy.riskMetrics, 'Decision should carry reasoning and risk metrics');
+
+    const noCross = strategy.analyze(market({ fast: series([98, 98.5, 99]) }), null, null, ACCOUNT);
+    assert(noCross.action === 'BUY' && noCross.confidence === 0.6667, `2 of 3 points should still buy, got ${noCross.action} ${noCross.confidence}`);
+
+    const thin = strategy.analyze(market({ volume: 10 }), null, null, ACCOUNT);
+    assert(thin.action === 'HOLD' && /required Volume not met/.test(thin.reasoning[0]), `Required conditions gate the entry: ${thin.reasoning[0]}`);
+
+    const weak = strategy.analyze(market({ rsi: series([50]) }), null, null, ACCOUNT);
+    assert(weak.action === 'HOLD' && /score 1 below 2/.test(weak.reasoning[0]), 'Low score should hold');
+
+    const paused = strategy.analyze(market(), null, null, { equity: 9000 }, { equity: [{ equity: 10000 }] });
+    assert(paused.action === 'HOLD' && paused.riskMetrics.shouldHalt, 'Inherited drawdown halt should block entries');
+    console.log('✅ Entry scoring');
+
+    // Exits: stops first, then the exit conditions
+    const position = { quantity: 2, averagePrice: 100 };
+    const stopped = strategy.analyze(market({ currentPrice: 97.5 }), position, null, ACCOUNT);
+    assert(stopped.action === 'SELL' && stopped.urgency === 'IMMEDIATE' && stopped.quantity === 2, 'Stop loss should sell everything');
+    const target = strategy.analyze(market({ currentPrice: 106 }), position, null, ACCOUNT);
+    assert(target.action === 'SELL' && /PROFIT TARGET/.test(target.reasoning[0]), 'Take profit should sell');
+    const broken = strategy.analyze(market({ currentPrice: 101, fast: series([103, 102, 101]) }), position, null, ACCOUNT);
+    assert(broken.action === 'SELL' && /EXIT SIGNAL/.test(broken.reasoning[0]), `Falling fast SMA should exit, got ${broken.action}`);
+    const holding = strategy.analyze(market({ currentPrice: 101 }), position, null, ACCOUNT);
+    assert(holding.action === 'HOLD', `Intact trend should hold, got ${holding.action}`);
+    console.log('✅ Stops and exit conditions');
+
+    // Shipped definitions load, and symbol trading values fill their params
+    const shipped = loadStrategyDefinition('rsi-trend');
+    assert(shipped.params.rsiOversold === 40, 'Shipped strategy should load from config/strategies');
+    const instrument = { symbol: 'ETHUSD', trading: { strategy: 'rsi-trend', rsiOverbought: 75, maxPositionSize: 0.01 } };
+    const configured = strategyFor(instrument);
+    assert(configured instanceof RuleStrategy && configured.params.rsiOverbought === 75 && configured.params.rsiOversold === 40,
+      'Symbol trading values should override the definition params');
+    assert(strategyFor(instrument) === configured, 'Strategies should be built once per configuration');
+    assert(strategyFor({ symbol: 'ETHUSD', trading: { strategy: null } }) === defaultStrategy, 'No strategy keeps the built-in one');
+
+    let threw = false;
+    try {
+      strategyFor({ symbol: 'X', trading: { strategy: 'does-not-exist' } });
+    } catch (error) {
+      threw = /Could not load strategy "does-not-exist"/.test(error.message);
+    }
+    assert(threw, 'Unknown strategies should fail loudly');
+    console.log('✅ Loading from config');
+
+    // The engine runs in the backtester like the built-in strategy
+    const bars = JSON.parse(readFileSync(new URL('./fixtures/eth-usd-daily.json', import.meta.url)));
+    const result = await runBacktest({ bars, strategy: configured });
+    assert(result.stats.tradeCount > 0, 'rsi-trend should trade over the fixture');
+    console.log(`✅ Backtest: ${result.stats.tradeCount} trades, ${result.stats.totalReturnPct}% return`);
+
+    console.log('\n🎉 All rule-based strategy tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testRuleStrategy();
@@ -0,0 +1,87 @@
+// Storage backend tests - runs the local backends against the same scenario
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createStorage } from '../lib/storage.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function exerciseBackend(name, options = {}) {
+  const storage = createStorage(name, options);
+
+  const health = await storage.healthCheck();
+  assert(health.status === 'healthy', `${name}: health check failed (${health.error})`);
+  assert(health.backend === name, `${name}: health check should report its backend`);
+
+  await storage.updatePosition('ETHUSD', { action: 'BUY', quantity: 0.02, price: 2000, orderId: 'o1' });
+  await storage.updatePosition('ETHUSD', { action: 'BUY', quantity: 0.02, price: 2200, orderId: 'o2' });
+
+  let position = await storage.getCurrentPosition('ETHUSD');
+  assert(position && Math.abs(position.quantity - 0.04) < 1e-9, `${name}: expected 0.04 ETH, got ${position?.quantity}`);
+  assert(Math.abs(position.averagePrice - 2100) < 1e-6, `${name}: expected $2100 average, got ${position.averagePrice}`);
+  assert(position.highWaterMark === 2200, `${name}: high water mark should track the highest fill`);
+
+  await storage.updatePosition('ETHUSD', { action: 'SELL', quantity: 0.04, price: 2300, reasoning: ['test', 'exit'] });
+  position = await storage.getCurrentPosition('ETHUSD');
+  assert(position === null, `${name}: position should be closed`);
+
+  const trades = await storage.getTradeHistory(10);
+  assert(trades.length === 3, `${name}: expected 3 trades, got ${trades.length}`);
+  assert(trades[0].action === 'SELL' && trades[0].reasoning === 'test | exit', `${name}: newest trade should come first`);
+  assert(Math.abs(trades[0].pnl - 8) < 1e-6, `${name}: SELL should be logged with $8 realized P&L, got ${trades[0].pnl}`);
+  assert(trades[1].pnl === null, `${name}: BUYs carry no realized P&L`);
+  assert((await storage.getOpenLots('ETHUSD')).length === 0, `${name}: all lots should be closed`);
+
+  const realized = await storage.getRealizedSummary();
+  assert(realized.closedTrades === 1 && realized.winRate === 100, `${name}: realized summary should count the winning close`);
+
+  const lastTrade = await storage.getLastTrade('ETHUSD');
+  assert(lastTrade.action === 'SELL', `${name}: last trade should be the SELL`);
+  assert(await storage.isInCooldown() === true, `${name}: a fresh trade should start the cooldown`);
+
+  await storage.logPerformanceMetrics({ totalPnL: 8, tradeCount: 3 });
+  console.log(`✅ ${name} backend`);
+}
+
+async function testStorage() {
+  console.log('🧪 Testing storage backends...');
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+
+  try {
+    await exerciseBackend('memory');
+    await exerciseBackend('json', { filePath: path.join(tmpDir, 'storage.json') });
+
+    // The package can be installed without its native binding - probe both before testing
+    let sqliteMissing = null;
+    try {
+      const { default: Database } = await import('better-sqlite3');
+      new Database(':memory:').close();
+    } catch (error) {
+      sqliteMissing = error.code === 'ERR_MODULE_NOT_FOUND' ? 'better-sqlite3 not installed' : `better-sqlite3 unusable: ${error.message.split('\n')[0]}`;
+    }
+    if (sqliteMissing) {
+      console.log(`⏭️ sqlite backend skipped (${sqliteMissing})`);
+    } else {
+      await exerciseBackend('sqlite', { filePath: path.join(tmpDir, 'storage.db') });
+    }
+
+    let threw = false;
+    try {
+      createStorage('nope');
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'Unknown backends should be rejected');
+
+    console.log('\n🎉 All storage tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+testStorage();
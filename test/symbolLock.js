@@ -0,0 +1,132 @@
+// Symbol lock tests - leases, expiry, fencing tokens, racing runs and skipped liquidations
+import { MemoryStorage } from '../lib/storage.js';
+import { SimulatedBroker } from '../lib/broker.js';
+import { OrderTracker } from '../lib/orderTracker.js';
+import { SymbolLockManager } from '../lib/symbolLock.js';
+import { TradingStateService } from '../lib/tradingState.js';
+import { createFakeSheetsStorage } from './fixtures/fakeSheets.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function rejects(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+async function testSymbolLocks() {
+  console.log('🧪 Testing symbol locks...');
+
+  try {
+    let clock = Date.parse('2026-10-19T14:30:00Z');
+    const storage = new MemoryStorage();
+    const locks = new SymbolLockManager({ storage, ttlMs: 60000, settleMs: 0, now: () => clock });
+
+    // One holder at a time, per symbol
+    const trading = await locks.acquire('ETHUSD', 'trading:r1');
+    assert(trading.acquired && trading.token === 1, 'The first run gets the lock');
+    const monitor = await locks.acquire('ETHUSD', 'monitor:r2');
+    assert(!monitor.acquired && monitor.heldBy === 'trading:r1', 'An overlapping run is refused and told who holds it');
+    assert((await locks.acquire('BTCUSD', 'monitor:r2')).acquired, 'Other symbols are unaffected');
+    await locks.verify(trading);
+    console.log('✅ Exclusive lease');
+
+    // Release keeps the token so the next holder's is higher
+    assert(await locks.release(trading), 'The holder can release');
+    assert(await locks.getLock('ETHUSD') === null, 'A released lock is free');
+    const next = await locks.acquire('ETHUSD', 'monitor:r2');
+    assert(next.acquired && next.token === 2, `Tokens keep increasing, got ${next.token}`);
+    assert(!(await locks.release(trading)), 'A stale lease cannot release the new holder');
+    assert((await locks.getLock('ETHUSD')).owner === 'monitor:r2', 'The new holder keeps the lock');
+    console.log('✅ Release and tokens');
+
+    // An expired lease is taken over and its holder can no longer place orders
+    clock += 61000;
+    const takeover = await locks.acquire('ETHUSD', 'trading:r3');
+    assert(takeover.acquired && takeover.token === 3, 'Expired leases are taken over');
+    const message = await rejects(locks.verify(next));
+    assert(/Lock on ETHUSD lost \(token 2, now 3 held by trading:r3\)/.test(message), `Fenced-off runs fail verify, got ${message}`);
+    await locks.verify(takeover);
+    console.log('✅ Expiry and fencing');
+
+    // Two runs racing for a free lock: only the last claim survives the read-back
+    const racing = new SymbolLockManager({ storage: new MemoryStorage(), ttlMs: 60000, settleMs: 20 });
+    const [a, b] = await Promise.all([racing.acquire('SPY', 'trading:a'), racing.acquire('SPY', 'monitor:b')]);
+    assert([a, b].filter(lease => lease.acquired).length === 1, 'Exactly one racing run gets the lock');
+    console.log('✅ Racing runs');
+
+    // On Sheets, runs locking different symbols at once keep each other's claims
+    const sheetsStorage = createFakeSheetsStorage();
+    await sheetsStorage._ensureRecordSheet('locks');
+    const sheetLocks = new SymbolLockManager({ storage: sheetsStorage, ttlMs: 60000, settleMs: 5 });
+    const [eth, btc, spy] = await Promise.all([
+      sheetLocks.acquire('ETHUSD', 'trading:a'),
+      sheetLocks.acquire('BTCUSD', 'monitor:b'),
+      sheetLocks.acquire('SPY', 'trading:c')
+    ]);
+    assert(eth.acquired && btc.acquired && spy.acquired, 'Every run gets its own symbol');
+    assert((await sheetLocks.getLock('ETHUSD')).owner === 'trading:a' && (await sheetLocks.getLock('BTCUSD')).owner === 'monitor:b',
+      'No claim is overwritten by another symbol\'s');
+    assert(!sheetsStorage.sheets.calls.some(([call]) => call === 'clear'), 'Lock writes never clear the sheet');
+    await Promise.all([sheetLocks.release(eth), sheetLocks.acquire('BTCUSD', 'trading:d')]);
+    assert((await sheetLocks.getLock('BTCUSD')).owner === 'monitor:b', 'A held symbol stays held while others are released');
+    const [c, d] = await Promise.all([sheetLocks.acquire('QQQ', 'trading:c'), sheetLocks.acquire('QQQ', 'monitor:d')]);
+    assert([c, d].filter(lease => lease.acquired).length === 1, 'Racing first claims on one symbol: the later row wins');
+    console.log('✅ Sheets backend');
+
+    // Fills are settled under the symbol's lock and checked against it when written
+    const settleFeed = { price: 100 };
+    const settleStorage = new MemoryStorage();
+    const settleBroker = new SimulatedBroker({ initialCash: 100000, slippagePct: 0, feePct: 0, getPrice: async () => settleFeed.price });
+    let settleClock = Date.parse('2026-10-19T14:30:00Z');
+    const settleLocks = new SymbolLockManager({ storage: settleStorage, ttlMs: 60000, settleMs: 0, now: () => settleClock });
+    const tracker = new OrderTracker({ broker: settleBroker, storage: settleStorage, pollIntervalMs: 1, timeoutMs: 20, symbolLocks: settleLocks });
+    const resting = await settleBroker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 2, type: 'limit', limit_price: 95, tif: 'gtc' });
+    await tracker.watch(resting, { action: 'BUY' });
+    settleFeed.price = 94;
+
+    const stale = await settleLocks.acquire('SPY', 'trading:r5');
+    assert((await tracker.reconcilePending({ owner: 'monitor:r6' })).length === 0, 'Locked symbols are not settled');
+    assert((await tracker.getOrder(resting.orderId)).status === 'PENDING' && (await settleStorage.getCurrentPosition('SPY')) === null,
+      'Their fills wait for the lock');
+    settleClock += 61000;
+    const current = await settleLocks.acquire('SPY', 'monitor:r7');
+    await tracker.refresh(resting.orderId, stale);
+    assert((await settleStorage.getCurrentPosition('SPY')) === null, 'A fenced-off lease cannot write the fill');
+    assert((await tracker.reconcilePending({ owner: 'monitor:r7', leases: [current] }))[0].status === 'FILLED' &&
+      (await settleStorage.getCurrentPosition('SPY')).quantity === 2, "The holder's run settles it");
+    assert((await settleLocks.getLock('SPY')).owner === 'monitor:r7', 'A lock the run already held is left in place');
+    console.log('✅ Settling under locks');
+
+    // Liquidation leaves symbols another run is trading for the next pass
+    const feed = { price: 100 };
+    const liquidationStorage = new MemoryStorage();
+    const broker = new SimulatedBroker({ initialCash: 100000, slippagePct: 0, feePct: 0, getPrice: async () => feed.price });
+    const orderTracker = new OrderTracker({ broker, storage: liquidationStorage, pollIntervalMs: 1, timeoutMs: 20 });
+    const symbolLocks = new SymbolLockManager({ storage: liquidationStorage, settleMs: 0 });
+    await broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 5, type: 'market', tif: 'day' });
+    await broker.placeOrder({ symbol: 'QQQ', side: 'buy', qty: 5, type: 'market', tif: 'day' });
+    const held = await symbolLocks.acquire('SPY', 'trading:r4');
+    const service = new TradingStateService({ storage: liquidationStorage, broker, orderTracker, symbolLocks });
+    const flattened = await service.flattenAll({ actor: 'ops', reason: 'test' });
+    assert(flattened.find(r => r.symbol === 'SPY').status === 'SKIPPED', 'The locked symbol is skipped');
+    assert(flattened.find(r => r.symbol === 'QQQ').status === 'FILLED', 'The others are sold');
+    assert((await symbolLocks.getLock('QQQ')) === null && (await symbolLocks.getLock('SPY')).owner === 'trading:r4',
+      'Liquidation releases its own locks only');
+    await symbolLocks.release(held);
+    assert((await service.flattenAll({ actor: 'ops', reason: 'test' }))[0].status === 'FILLED', 'The next pass sells it');
+    console.log('✅ Liquidation');
+
+    console.log('\n🎉 All symbol lock tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testSymbolLocks();
@@ -0,0 +1,144 @@
+// Trade event log tests - events from live trading, deterministic rebuilds, diffs, adjustments and seeding
+import { MemoryStorage } from '../lib/storage.js';
+import { SimulatedBroker } from '../lib/broker.js';
+import { OrderTracker } from '../lib/orderTracker.js';
+import { TradeEventLog, projectEvents, diffPositions } from '../lib/tradeEvents.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function near(a, b, eps = 1e-6) {
+  return Math.abs(a - b) < eps;
+}
+
+async function trade(env, side, qty, price) {
+  env.feed.price = price;
+  const order = await env.broker.placeOrder({ symbol: 'SPY', side, qty, type: 'market', tif: 'day' });
+  return env.orderTracker.track(order, { action: side.toUpperCase() });
+}
+
+async function setup() {
+  const feed = { price: 100 };
+  const storage = new MemoryStorage();
+  const broker = new SimulatedBroker({ initialCash: 100000, slippagePct: 0, feePct: 0.1, getPrice: async () => feed.price });
+  const orderTracker = new OrderTracker({ broker, storage, pollIntervalMs: 1, timeoutMs: 20 });
+  const env = { feed, storage, broker, orderTracker, log: new TradeEventLog({ storage }) };
+
+  await trade(env, 'buy', 10, 100);
+  await trade(env, 'buy', 5, 110);
+  await trade(env, 'sell', 8, 120);
+  return env;
+}
+
+async function testTradeEvents() {
+  console.log('🧪 Testing the trade event log...');
+
+  try {
+    // Live trading appends submissions, fills and cancels
+    let env = await setup();
+    const resting = await env.broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 1, type: 'limit', limit_price: 50, tif: 'day' });
+    await env.orderTracker.track(resting, { action: 'BUY' });
+    await env.broker.cancelOrder(resting.orderId);
+    await env.orderTracker.reconcilePending();
+    const events = await env.storage.getTradeEvents();
+    const types = events.map(event => event.type);
+    assert(types.filter(type => type === 'ORDER_SUBMITTED').length === 4 && types.filter(type => type === 'FILL').length === 3,
+      `Expected 4 submissions and 3 fills, got ${types.join(',')}`);
+    assert(types[types.length - 1] === 'ORDER_CANCELLED', 'The cancelled order is logged');
+    console.log('✅ Events from live trading');
+
+    // Rebuilding reproduces exactly what the live path stored
+    let report = await env.log.diff();
+    assert(report.inSync, `Rebuilt positions should match storage: ${JSON.stringify(report.differences)}`);
+    const rebuilt = report.projection.positions.SPY;
+    const stored = await env.storage.getCurrentPosition('SPY');
+    assert(rebuilt.quantity === 7 && near(rebuilt.averagePrice, stored.averagePrice), 'Same quantity and average price');
+    assert(JSON.stringify(report.projection.lots.SPY) === JSON.stringify(await env.storage.getOpenLots('SPY')), 'Same lots');
+    assert(report.realized.rebuilt.realizedPnL === report.realized.stored.realizedPnL && report.realized.rebuilt.closedTrades === 1,
+      'Same realized P&L');
+    assert(report.projection.orders[resting.orderId].status === 'CANCELLED' &&
+      Object.values(report.projection.orders).filter(order => order.status === 'FILLED').length === 3, 'Order states are projected too');
+    assert(JSON.stringify(projectEvents(events)) === JSON.stringify(projectEvents(events)), 'Rebuilds are deterministic');
+    const lifo = projectEvents(events, { method: 'LIFO' });
+    assert(lifo.realized[0].pnl !== report.projection.realized[0].pnl, 'The lot method changes realized P&L');
+    console.log('✅ Deterministic rebuild');
+
+    // Corrupted projections are found and repaired from the log
+    await env.storage.replacePositions({
+      SPY: { ...stored, quantity: 3 },
+      QQQ: { symbol: 'QQQ', quantity: 2, averagePrice: 400 }
+    });
+    await env.storage.ledger.replaceLots('SPY', []);
+    report = await env.log.diff();
+    const bySymbol = Object.fromEntries(report.differences.map(d => [d.symbol, d]));
+    assert(bySymbol.SPY.status === 'MISMATCH' && bySymbol.SPY.quantityDelta === 4, 'Wrong quantities show as MISMATCH');
+    assert(bySymbol.QQQ.status === 'EXTRA', 'Positions the log never opened show as EXTRA');
+    assert(diffPositions({}, { SPY: rebuilt })[0].status === 'MISSING', 'Positions missing from storage show as MISSING');
+    await env.log.apply({ actor: 'ops', reason: 'test' });
+    assert((await env.log.diff()).inSync, 'Applying the rebuild brings storage back in sync');
+    assert((await env.storage.getOpenLots('SPY')).length === 2 && (await env.storage.getCurrentPosition('QQQ')) === null,
+      'Lots are restored and stray positions dropped');
+    assert((await env.storage.getAuditLog(1))[0].type === 'PROJECTIONS_REBUILT', 'The rebuild is audited');
+    console.log('✅ Diff and repair');
+
+    // Adjustments are events too
+    await env.storage.adjustPosition('SPY', { quantity: 12, averagePrice: 105 }, { actor: 'ops', reason: 'broker shows 12' });
+    const adjusted = await env.storage.getCurrentPosition('SPY');
+    assert(adjusted.quantity === 12 && adjusted.averagePrice === 105, 'Adjustments set the position');
+    assert((await env.storage.getOpenLots('SPY')).length === 1, 'Adjustments collapse the lots');
+    assert((await env.log.diff()).inSync, 'Adjusted positions rebuild from the log');
+    await env.storage.adjustPosition('SPY', { quantity: 0 }, { type: 'SYNC_CORRECTION', actor: 'system', reason: 'flat at broker' });
+    assert((await env.storage.getCurrentPosition('SPY')) === null && (await env.log.diff()).inSync, 'Sync corrections can close positions');
+    let message = null;
+    try {
+      await env.storage.adjustPosition('SPY', { quantity: 1 }, { type: 'FILL' });
+    } catch (error) {
+      message = error.message;
+    }
+    assert(/Unknown adjustment type/.test(message), `Fills can't be forged as adjustments, got ${message}`);
+    console.log('✅ Adjustments');
+
+    // A fill seen again (the order record was never saved after it) is recorded once
+    env = await setup();
+    const order = await env.broker.placeOrder({ symbol: 'SPY', side: 'buy', qty: 2, type: 'market', tif: 'day' });
+    const beforeFill = await env.orderTracker.watch(order, { action: 'BUY' });
+    const brokerOrder = await env.broker.getOrder(order.orderId);
+    await env.orderTracker.applyUpdate(brokerOrder);
+    await env.storage.putRecord('orders', order.orderId, beforeFill);
+    await env.orderTracker.applyUpdate(brokerOrder);
+    assert((await env.storage.getCurrentPosition('SPY')).quantity === 9, 'The replayed fill is not applied twice');
+    const fills = (await env.storage.getTradeEvents('SPY')).filter(event => event.orderId === order.orderId);
+    assert(fills.filter(event => event.type === 'FILL').length === 1 && fills.find(event => event.type === 'FILL').tradeId.endsWith(`${order.orderId}_2`),
+      'Trade ids come from the order and its cumulative fill');
+    assert((await env.orderTracker.getOrder(order.orderId)).status === 'FILLED', 'The order record still catches up');
+    assert((await env.log.diff()).inSync, 'The log agrees with storage');
+    console.log('✅ Fills recorded once');
+
+    // Installs that predate the log start it from the trade history
+    env = await setup();
+    const legacy = new MemoryStorage({
+      positions: { SPY: await env.storage.getCurrentPosition('SPY') },
+      trades: (await env.storage.getTradeHistory(10)).reverse()
+    });
+    const legacyLog = new TradeEventLog({ storage: legacy });
+    assert(!(await legacyLog.diff()).inSync, 'An empty log does not explain the stored position');
+    assert(await legacyLog.seedFromTrades() === 3, 'Every trade becomes a fill');
+    assert((await legacyLog.diff()).inSync, 'The seeded log rebuilds the stored position');
+    message = null;
+    try {
+      await legacyLog.seedFromTrades();
+    } catch (error) {
+      message = error.message;
+    }
+    assert(/already has fills/.test(message), 'Seeding twice is refused');
+    console.log('✅ Seeding');
+
+    console.log('\n🎉 All trade event log tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testTradeEvents();
@@ -0,0 +1,90 @@
+// Kill switch tests - state gating, audit log and flatten-all through the simulated broker
+import { MemoryStorage } from '../lib/storage.js';
+import { SimulatedBroker } from '../lib/broker.js';
+import { TradingStateService } from '../lib/tradingState.js';
+import { OrderTracker } from '../lib/orderTracker.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function testTradingState() {
+  console.log('🧪 Testing trading state...');
+
+  try {
+    const storage = new MemoryStorage();
+    const broker = new SimulatedBroker({ initialCash: 10000, getPrice: async () => 2000 });
+    const orderTracker = new OrderTracker({ broker, storage, pollIntervalMs: 1, timeoutMs: 50 });
+    const service = new TradingStateService({ storage, broker, orderTracker });
+
+    assert((await service.getState()).state === 'ACTIVE', 'Default state should be ACTIVE');
+    assert((await service.checkOrder('BUY')).allowed, 'ACTIVE allows entries');
+
+    await service.setState('ENTRIES_PAUSED', { actor: 'ops', reason: 'news event' });
+    assert(!(await service.checkOrder('BUY')).allowed, 'ENTRIES_PAUSED blocks entries');
+    assert((await service.checkOrder('SELL')).allowed, 'ENTRIES_PAUSED allows exits');
+
+    await service.setState('HALTED', { actor: 'ops', reason: 'broker outage' });
+    const halted = await service.checkOrder('SELL');
+    assert(!halted.allowed && halted.reason.includes('broker outage'), 'HALTED blocks everything with the reason');
+
+    let threw = false;
+    try {
+      await service.setState('PANIC', { actor: 'ops' });
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'Unknown states should be rejected');
+    console.log('✅ Order gating');
+
+    // Flatten sells every broker position and logs the fills
+    await broker.placeOrder({ symbol: 'ETHUSD', side: 'buy', qty: 0.5, type: 'market' });
+    await broker.placeOrder({ symbol: 'BTCUSD', side: 'buy', qty: 0.1, type: 'market' });
+    await service.setState('LIQUIDATE', { actor: 'ops', reason: 'end of strategy' });
+    const results = await service.flattenAll({ actor: 'ops', reason: 'end of strategy' });
+    assert(results.length === 2 && results.every(r => r.status === 'FILLED'), 'Every position should be sold');
+    assert((await broker.getPositions()).length === 0, 'Broker should be flat');
+    assert((await service.flattenAll({ actor: 'system' })).length === 0, 'Flattening a flat account is a no-op');
+
+    const trades = await storage.getTradeHistory(10);
+    assert(trades.filter(t => t.action === 'SELL').length === 2, 'Liquidation fills should be in the trade log');
+
+    // Shorts are bought back, not sold again
+    const orders = [];
+    const shortBroker = {
+      getPositions: async () => [{ symbol: 'TSLA', qty: '-3' }],
+      placeOrder: async order => { orders.push(order); return { orderId: 'cover-1', status: 'accepted' }; }
+    };
+    const covering = new TradingStateService({ storage: new MemoryStorage(), broker: shortBroker, orderTracker });
+    const [cover] = await covering.flattenAll({ actor: 'ops' });
+    assert(orders.length === 1 && orders[0].side === 'buy' && orders[0].qty === 3, 'A short is closed with a buy of its size');
+    assert(cover.side === 'buy' && cover.status === 'accepted', 'The cover is reported');
+    console.log('✅ Flatten all');
+
+    const audit = await service.getAuditLog();
+    assert(audit.length === 4, `Expected 3 state changes and 1 liquidation in the audit log, got ${audit.length}`);
+    assert(audit[0].type === 'POSITIONS_FLATTENED' && audit[0].actor === 'ops', 'Newest audit event first');
+    assert(audit[1].from === 'HALTED' && audit[1].to === 'LIQUIDATE' && audit[1].reason === 'end of strategy', 'State changes record from, to and why');
+    console.log('✅ Audit log');
+
+    // A drawdown breach pauses entries but keeps exits open, without overriding an operator's state
+    const risky = new TradingStateService({ storage: new MemoryStorage(), broker, orderTracker });
+    const breach = { shouldHalt: true, haltReason: 'Equity drawdown 6.00% exceeds 5% limit - new entries halted', pauseReasons: [] };
+    assert(await risky.pauseOnRisk({ shouldHalt: false, pauseReasons: [] }) === null, 'No breach, no pause');
+    await risky.pauseOnRisk(breach);
+    const riskPause = await risky.getState();
+    assert(riskPause.state === 'ENTRIES_PAUSED' && riskPause.updatedBy === 'risk-controls' && /drawdown/.test(riskPause.reason), 'A breach pauses entries');
+    assert(!(await risky.checkOrder('BUY')).allowed && (await risky.checkOrder('SELL')).allowed, 'Stops and exits still go out');
+    await risky.setState('HALTED', { actor: 'ops', reason: 'manual stop' });
+    await risky.pauseOnRisk(breach);
+    assert((await risky.getState()).state === 'HALTED', "An operator's halt is not downgraded");
+    console.log('✅ Risk pause');
+
+    console.log('\n🎉 All trading state tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testTradingState();
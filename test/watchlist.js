@@ -0,0 +1,65 @@
+// Watchlist tests - instrument resolution, per-symbol overrides, cooldowns and position limits
+import { getInstruments, findInstrument, resolveInstruments, toYahooTicker } from '../lib/watchlist.js';
+import MemoryStorage from '../lib/storage/memoryStorage.js';
+import symbols from '../config/symbols.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function testWatchlist() {
+  console.log('🧪 Testing the watchlist...');
+
+  try {
+    // Only enabled entries run by default; disabled ones resolve when asked for
+    assert(getInstruments().map(i => i.symbol).join() === 'ETHUSD', 'Only ETHUSD is enabled by default');
+    assert(getInstruments({ includeDisabled: true }).map(i => i.symbol).join() === 'ETHUSD,BTCUSD,SPY', 'Every entry with includeDisabled');
+    assert(findInstrument('btc/usd')?.symbol === 'BTCUSD' && findInstrument('SPY')?.symbol === 'SPY', 'Lookup by broker symbol, any case, with or without a slash');
+    assert(findInstrument('eth-usd')?.symbol === 'ETHUSD', 'Lookup by Yahoo ticker');
+    assert(findInstrument('DOGEUSD') === null && findInstrument('') === null, 'Unknown symbols resolve to null');
+
+    const selected = resolveInstruments('ETHUSD, eth-usd,SPY,NOPE');
+    assert(selected.instruments.map(i => i.symbol).join() === 'ETHUSD,SPY', 'A selection is resolved once per instrument');
+    assert(selected.unknown.join() === 'NOPE', 'Unknown symbols are reported');
+    assert(resolveInstruments(['BTCUSD']).instruments[0].enabled === false, 'Explicitly requested disabled entries still resolve');
+    assert(resolveInstruments('').instruments.length === getInstruments().length, 'An empty selection is the enabled watchlist');
+
+    assert(toYahooTicker('BTCUSD') === 'BTC-USD' && toYahooTicker('SOLUSD') === 'SOL-USD' && toYahooTicker('AAPL') === 'AAPL',
+      'Broker symbols map to Yahoo tickers, configured or not');
+    console.log('✅ Instrument resolution');
+
+    // Each entry overrides the global trading defaults it names and inherits the rest
+    const eth = findInstrument('ETHUSD');
+    const btc = findInstrument('BTCUSD');
+    const spy = findInstrument('SPY');
+    assert(eth.trading.maxPositionSize === symbols.trading.maxPositionSize, 'ETHUSD keeps the default position limit');
+    assert(btc.trading.maxPositionSize === 0.002 && spy.trading.maxPositionSize === 1, 'Position limits are per symbol');
+    assert(btc.trading.stopLossPercent === symbols.trading.stopLossPercent && spy.trading.stopLossPercent === 1.5,
+      'Unset parameters fall back to the defaults');
+    assert(eth.defaultTimeInForce === 'gtc' && spy.defaultTimeInForce === 'day', 'Crypto orders are GTC, equities DAY');
+    console.log('✅ Per-symbol overrides and position limits');
+
+    // Cooldowns are per symbol; only an explicit per-symbol cooldownMinutes replaces COOLDOWN_MINUTES
+    assert(eth.cooldownMinutes === null, 'The global cooldownMinutes is not a per-symbol override');
+    const storage = new MemoryStorage();
+    await storage.updatePosition('ETHUSD', {
+      action: 'BUY',
+      quantity: 0.02,
+      price: 2000,
+      orderId: 'o1',
+      timestamp: new Date(Date.now() - 10 * 60000).toISOString()
+    });
+    delete process.env.COOLDOWN_MINUTES;
+    assert(await storage.isInCooldown('ETHUSD', 15) === true, 'A 15 minute override still covers a trade 10 minutes ago');
+    assert(await storage.isInCooldown('ETHUSD', eth.cooldownMinutes) === false, 'The 5 minute default has run out');
+    assert(await storage.isInCooldown('BTCUSD', 15) === false, "Another symbol's trade doesn't start a cooldown");
+    console.log('✅ Per-symbol cooldowns');
+
+    console.log('\n🎉 All watchlist tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testWatchlist();
@@ -0,0 +1,90 @@
+// Historical data window tests - intervals, lookbacks and per-interval limits (no network)
+import { resolveHistoryRange, aggregateBars } from '../lib/yahooFinance.js';
+import { getInstruments } from '../lib/watchlist.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(pattern.test(error.message), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`${message} (did not throw)`);
+}
+
+const NOW = new Date('2024-06-10T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function testHistoryRange() {
+  console.log('🧪 Testing historical data ranges...');
+
+  try {
+    // Plain period strings keep working and default to daily bars
+    let range = resolveHistoryRange('1mo', NOW);
+    assert(range.interval === '1d', 'Period string should default to daily bars');
+    assert(range.start.toISOString() === '2024-05-10T12:00:00.000Z', `1mo should go back one month, got ${range.start.toISOString()}`);
+    assert(range.end.getTime() === NOW.getTime(), 'Range should end now');
+
+    range = resolveHistoryRange({ interval: '1wk', lookback: '2y' }, NOW);
+    assert(range.start.toISOString() === '2022-06-10T12:00:00.000Z', '2y lookback');
+    range = resolveHistoryRange({ interval: '1d', lookback: '6mo' }, NOW);
+    assert(range.start.toISOString() === '2023-12-10T12:00:00.000Z', '6mo lookback');
+    console.log('✅ Lookback periods');
+
+    // Each interval falls back to its own default lookback
+    range = resolveHistoryRange({ interval: '15m' }, NOW);
+    assert(NOW - range.start === 5 * DAY_MS, '15m bars should default to 5 days');
+    range = resolveHistoryRange({ interval: '1m', lookback: null }, NOW);
+    assert(NOW - range.start === DAY_MS, '1m bars should default to 1 day');
+    console.log('✅ Per-interval default lookback');
+
+    // Explicit dates
+    range = resolveHistoryRange({ interval: '1h', start: '2024-05-01', end: '2024-05-15' }, NOW);
+    assert(range.start.toISOString() === '2024-05-01T00:00:00.000Z' && range.end.toISOString() === '2024-05-15T00:00:00.000Z', 'Explicit start/end');
+    assertThrows(() => resolveHistoryRange({ start: '2024-05-15', end: '2024-05-01' }, NOW), /must be before/, 'Start after end');
+    assertThrows(() => resolveHistoryRange({ start: 'yesterday-ish' }, NOW), /Invalid start date/, 'Bad date');
+    console.log('✅ Explicit start/end dates');
+
+    // Provider limits
+    assertThrows(() => resolveHistoryRange({ interval: '1m', lookback: '10d' }, NOW), /at most 7 days/, '1m range cap');
+    assertThrows(() => resolveHistoryRange({ interval: '1m', start: '2024-04-01', end: '2024-04-03' }, NOW), /last 30 days/, '1m age cap');
+    assertThrows(() => resolveHistoryRange({ interval: '5m', lookback: '3mo' }, NOW), /last 60 days/, '5m age cap');
+    assertThrows(() => resolveHistoryRange({ interval: '4h', lookback: '3y' }, NOW), /last 730 days/, '4h age cap');
+    resolveHistoryRange({ interval: '1d', lookback: '20y' }, NOW);
+    assertThrows(() => resolveHistoryRange({ interval: '2h' }, NOW), /Unsupported interval/, 'Unknown interval');
+    assertThrows(() => resolveHistoryRange({ lookback: 'forever' }, NOW), /Invalid lookback/, 'Unknown lookback');
+    console.log('✅ Per-interval lookback limits');
+
+    // 1h bars roll up into UTC-aligned 4h candles
+    const hourly = [0, 1, 2, 3, 4, 5].map(h => ({
+      date: `2024-06-10T${String(h).padStart(2, '0')}:00:00.000Z`,
+      open: 100 + h,
+      high: 110 + h,
+      low: 90 + h,
+      close: 101 + h,
+      volume: 10
+    }));
+    const fourHour = aggregateBars(hourly, 240);
+    assert(fourHour.length === 2, `Expected 2 candles, got ${fourHour.length}`);
+    assert(fourHour[0].date === '2024-06-10T00:00:00.000Z' && fourHour[1].date === '2024-06-10T04:00:00.000Z', '4h buckets should align to UTC');
+    assert(fourHour[0].open === 100 && fourHour[0].close === 104 && fourHour[0].high === 113 && fourHour[0].low === 90, 'OHLC of the first 4h candle');
+    assert(fourHour[0].volume === 40 && fourHour[1].volume === 20, '4h volume');
+    console.log('✅ 4h aggregation');
+
+    // Watchlist entries carry their timeframe
+    const eth = getInstruments().find(i => i.symbol === 'ETHUSD');
+    assert(eth.timeframe.interval === '1d' && eth.timeframe.lookback === null, 'ETHUSD should use the default daily timeframe');
+    console.log('✅ Watchlist timeframe');
+
+    console.log('\n🎉 All historical data tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testHistoryRange();